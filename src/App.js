@@ -1,10 +1,14 @@
 import { firebaseConfig } from './firebaseConfig';
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
-    signInAnonymously, 
-    onAuthStateChanged
+    onAuthStateChanged,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    sendEmailVerification,
+    signOut,
+    connectAuthEmulator
 } from 'firebase/auth';
 import { 
     getFirestore, 
@@ -17,8 +21,32 @@ import {
     updateDoc,
     writeBatch,
     where,
-    getDocs
+    getDocs,
+    getDoc,
+    getDocFromServer,
+    waitForPendingWrites,
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    runTransaction,
+    increment,
+    arrayUnion,
+    setDoc,
+    collectionGroup,
+    connectFirestoreEmulator
 } from 'firebase/firestore';
+import {
+    ResponsiveContainer,
+    ComposedChart,
+    BarChart,
+    Bar,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend
+} from 'recharts';
 
 // --- Helper Functions ---
 const formatDate = (date) => {
@@ -32,6 +60,18 @@ const formatDate = (date) => {
     }).format(d);
 };
 
+const formatDateTime = (date) => {
+    if (!date) return 'N/A';
+    return new Intl.DateTimeFormat('th-TH', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'Asia/Bangkok'
+    }).format(date instanceof Date ? date : date.toDate());
+};
+
 const formatCurrency = (amount) => {
     return new Intl.NumberFormat('th-TH', {
         style: 'currency',
@@ -39,8 +79,465 @@ const formatCurrency = (amount) => {
     }).format(amount);
 };
 
+const isSaleVoided = (sale) => sale.status === 'voided';
+
+// Revenue and cost of a sale after partial refunds; voided sales count as zero.
+const getSaleNetAmount = (sale) => {
+    if (isSaleVoided(sale)) return 0;
+    return sale.amount - (sale.refundedAmount || 0);
+};
+
+const getSaleNetCost = (sale) => {
+    if (isSaleVoided(sale)) return 0;
+    if (!sale.quantity) return sale.cost;
+    return sale.cost * (sale.quantity - (sale.refundedQuantity || 0)) / sale.quantity;
+};
+
+// Marketplace commission and payment fees are charged on what the buyer paid, so refunds shrink them too;
+// a platform's shipping subsidy comes back to the seller and offsets them
+const getSaleNetChannelFee = (sale) => {
+    const fee = (sale.channelFee || 0) - (sale.shippingSubsidy || 0);
+    if (isSaleVoided(sale) || !fee) return 0;
+    if (!sale.amount) return fee;
+    return fee * getSaleNetAmount(sale) / sale.amount;
+};
+
+const getSaleNetProfit = (sale) => getSaleNetAmount(sale) - getSaleNetCost(sale) - getSaleNetChannelFee(sale);
+
+const PAYMENT_METHODS = {
+    cash: 'เงินสด',
+    promptpay: 'พร้อมเพย์',
+    card: 'บัตร',
+    transfer: 'โอนเงิน',
+};
+
+// What each payment method brought in for a sale after refunds; sales from before payments were recorded are 'unrecorded'
+const getSalePaymentBreakdown = (sale) => {
+    const net = getSaleNetAmount(sale);
+    if (!sale.payments?.length) return { unrecorded: net };
+    const scale = sale.amount ? net / sale.amount : 0;
+    return sale.payments.reduce((acc, payment) => ({ ...acc, [payment.method]: (acc[payment.method] || 0) + payment.amount * scale }), {});
+};
+
+// What each payment method took in when the sale was rung up, before any refund or void
+const getSaleTakings = (sale) => {
+    if (!sale.payments?.length) return { unrecorded: sale.amount };
+    return sale.payments.reduce((acc, payment) => ({ ...acc, [payment.method]: (acc[payment.method] || 0) + payment.amount }), {});
+};
+
+// Keeps the split between methods when a sale's amount is edited
+const scalePayments = (payments, ratio) => (payments || []).map(payment => ({ ...payment, amount: Math.round(payment.amount * ratio * 100) / 100 }));
+
+const getPaymentMethodLabel = (method) => PAYMENT_METHODS[method] || 'ไม่ระบุ';
+
+// Sales are locked per branch and calendar day once that day is closed; the day is the shop's, whatever the device's time zone
+const getBusinessDay = (date) => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Bangkok' });
+const getDayClosingId = (branchId, businessDay) => `${branchId}_${businessDay}`;
+// A backdated sale starts at the shop's midnight, so it lands on the picked business day on any device
+const fromBusinessDay = (businessDay) => new Date(`${businessDay}T00:00:00+07:00`);
+
+// --- CSV Helpers ---
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks; rows end in CRLF, LF or CR.
+export const parseCSV = (text) => {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Excel on Thai Windows saves "CSV" as Windows-874 rather than UTF-8
+export const decodeCSVBuffer = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('windows-874').decode(buffer);
+    }
+};
+
+const readFileAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+});
+
+// Marketplace reports come as either CSV or XLSX; only the first sheet of a workbook is read
+const readSpreadsheetRows = async (file) => {
+    const buffer = await readFileAsArrayBuffer(file);
+    if (!/\.xlsx$/i.test(file.name)) return parseCSV(decodeCSVBuffer(buffer));
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const rows = [];
+    workbook.worksheets[0]?.eachRow(row => {
+        rows.push(Array.from({ length: row.cellCount }, (_, index) => row.getCell(index + 1).text));
+    });
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const parseImportNumber = (value) => {
+    const cleaned = String(value ?? '').replace(/[,฿\s]/g, '');
+    if (cleaned === '') return null;
+    const number = Number(cleaned);
+    return isNaN(number) ? NaN : number;
+};
+
+// Accepts YYYY-MM-DD and DD/MM/YYYY, including Buddhist-era years
+const parseImportDate = (value) => {
+    const trimmed = String(value ?? '').trim();
+    if (!trimmed) return null;
+    let year, month, day;
+    const isoMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const slashMatch = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (isoMatch) {
+        [, year, month, day] = isoMatch.map(Number);
+    } else if (slashMatch) {
+        [, day, month, year] = slashMatch.map(Number);
+    } else {
+        return undefined;
+    }
+    if (year > 2400) year -= 543;
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : undefined;
+};
+
+// Commits any number of writes, split into batches under Firestore's per-batch limit
+const commitInChunks = async (db, writes) => {
+    for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(({ type, ref, data, options }) => {
+            if (type === 'update') batch.update(ref, data);
+            else batch.set(ref, data, options || {});
+        });
+        await batch.commit();
+    }
+};
+
+// --- Costing Helpers ---
+const COSTING_METHODS = {
+    average: 'ถัวเฉลี่ยถ่วงน้ำหนัก',
+    fifo: 'เข้าก่อนออกก่อน (FIFO)',
+};
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Unit cost plus the receipt's shipping spread evenly across its units
+const getLandedUnitCost = (unitCost, shippingCost, quantity) => unitCost + (quantity > 0 ? (shippingCost || 0) / quantity : 0);
+
+const createCostLayer = ({ quantity, unitCost, shippingCost = 0, receivedAt = new Date(), source }) => ({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    receivedAt,
+    quantity,
+    remaining: quantity,
+    unitCost,
+    shippingCost,
+    landedUnitCost: roundCost(getLandedUnitCost(unitCost, shippingCost, quantity)),
+    source
+});
+
+const getLayersOnHand = (layers) => layers.reduce((sum, layer) => sum + layer.remaining, 0);
+
+// Products that predate cost layers only know their last purchase cost
+const getFallbackUnitCost = (product) => product.averageCost ?? getLandedUnitCost(product.cost || 0, product.shippingCost || 0, product.stock || 0);
+
+// Cost of one unit on hand under the given method, used to value stock
+const getInventoryUnitCost = (product, method) => {
+    const layers = product.costLayers || [];
+    const onHand = getLayersOnHand(layers);
+    if (method === 'fifo' && onHand > 0) {
+        return layers.reduce((sum, layer) => sum + layer.remaining * layer.landedUnitCost, 0) / onHand;
+    }
+    return getFallbackUnitCost(product);
+};
+
+// Layers track stock company-wide (warehouse and branches), so transfers never touch them
+const addCostLayer = (product, layer) => {
+    const layers = product.costLayers || [];
+    const onHand = getLayersOnHand(layers);
+    const currentAverage = product.averageCost ?? layer.landedUnitCost;
+    const total = onHand + layer.remaining;
+    return {
+        costLayers: layer.remaining > 0 ? [...layers, layer] : layers,
+        averageCost: total > 0 ? roundCost((onHand * currentAverage + layer.remaining * layer.landedUnitCost) / total) : layer.landedUnitCost
+    };
+};
+
+// Depletes the oldest layers first. Under FIFO the sale is costed at those layers; under weighted average at the running average.
+const consumeCostLayers = (product, quantity, method) => {
+    const layers = (product.costLayers || []).map(layer => ({ ...layer }));
+    const consumed = [];
+    let remainingToConsume = quantity;
+    let fifoCost = 0;
+
+    layers.forEach(layer => {
+        const take = Math.min(layer.remaining, remainingToConsume);
+        if (take <= 0) return;
+        layer.remaining -= take;
+        remainingToConsume -= take;
+        fifoCost += take * layer.landedUnitCost;
+        consumed.push({ layerId: layer.id, quantity: take, unitCost: layer.landedUnitCost });
+    });
+
+    const averageCost = product.averageCost ?? getFallbackUnitCost(product);
+    // Units with no layer behind them (stock that arrived before layers were tracked) fall back to the average
+    fifoCost += remainingToConsume * averageCost;
+
+    return {
+        cost: roundCost(method === 'fifo' ? fifoCost : averageCost * quantity),
+        consumed,
+        costLayers: layers.filter(layer => layer.remaining > 0),
+        averageCost
+    };
+};
+
+// Units coming back from a refund, void or edit re-enter at the cost they left with
+const returnToCostLayers = (product, quantity, unitCost) => addCostLayer(product, createCostLayer({ quantity, unitCost, source: 'return' }));
+
+// Moves warehouse stock to an absolute value, adding or depleting layers for the difference
+const adjustCostLayersForStockChange = (product, newStock, unitCost, shippingCost = 0) => {
+    const difference = newStock - (product.stock || 0);
+    if (difference > 0) return addCostLayer(product, createCostLayer({ quantity: difference, unitCost, shippingCost, source: 'adjustment' }));
+    if (difference < 0) {
+        const { costLayers, averageCost } = consumeCostLayers(product, -difference, 'fifo');
+        return { costLayers, averageCost };
+    }
+    return {};
+};
+
+// The rules replay a till's layer change against the order that caused it, and only follow this many layers per product
+const MAX_LAYERS_PER_SALE_WRITE = 4;
+
+// Layers each product gave up for an order, oldest first, with a product's lines merged into one list
+const buildLayerConsumption = (lines, costs) => lines.reduce((acc, line, index) => {
+    const taken = [...(acc[line.productId] || [])];
+    costs[index].consumedLayers.forEach(({ layerId, quantity }) => {
+        const last = taken[taken.length - 1];
+        if (last?.layerId === layerId) taken[taken.length - 1] = { layerId, quantity: last.quantity + quantity };
+        else taken.push({ layerId, quantity });
+    });
+    return { ...acc, [line.productId]: taken };
+}, {});
+
+// Lines are costed in order, so a product on two lines draws from its cost layers in sequence
+const costLinesFromLayers = (lines, productsById, method) => {
+    const costUpdates = {};
+    const costs = lines.map(line => {
+        const product = costUpdates[line.productId] || productsById[line.productId] || {};
+        const consumption = consumeCostLayers(product, line.quantity, method);
+        costUpdates[line.productId] = { ...product, costLayers: consumption.costLayers, averageCost: consumption.averageCost };
+        return { cost: consumption.cost, consumedLayers: consumption.consumed };
+    });
+    return { costs, costUpdates };
+};
+
+// --- Export Helpers ---
+const toDateInputValue = (date) => (date ? new Date(date).toLocaleDateString('en-CA') : '');
+
+const formatExportValue = (value, type) => {
+    if (value === null || value === undefined) return '';
+    if (type === 'date') return toDateInputValue(value);
+    if (type === 'currency') return Number(value).toFixed(2);
+    return value;
+};
+
+const escapeCSVField = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The BOM makes Excel open Thai text as UTF-8 instead of the system code page
+const toCSV = (columns, records) => {
+    const lines = [
+        columns.map(col => escapeCSVField(col.header)),
+        ...records.map(record => columns.map(col => escapeCSVField(formatExportValue(col.value(record), col.type))))
+    ];
+    return '\uFEFF' + lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+};
+
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+const exportCSV = (filename, columns, records) => {
+    downloadBlob(new Blob([toCSV(columns, records)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+};
+
+const XLSX_NUMBER_FORMATS = {
+    currency: '"฿"#,##0.00',
+    number: '#,##0',
+    date: 'yyyy-mm-dd',
+};
+
+const exportXLSX = async (filename, sheetName, columns, records) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((col, index) => ({
+        header: col.header,
+        key: String(index),
+        width: col.width || 14,
+        style: XLSX_NUMBER_FORMATS[col.type] ? { numFmt: XLSX_NUMBER_FORMATS[col.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    records.forEach(record => {
+        sheet.addRow(columns.reduce((row, col, index) => {
+            const value = col.value(record);
+            row[String(index)] = col.type === 'date' && value ? new Date(value) : (value ?? '');
+            return row;
+        }, {}));
+    });
+    const buffer = await workbook.xlsx.writeBuffer();
+    downloadBlob(new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${filename}.xlsx`);
+};
+
+const SALES_EXPORT_COLUMNS = [
+    { header: 'date', type: 'date', value: sale => sale.date },
+    { header: 'orderId', value: sale => sale.orderId || '' },
+    { header: 'branch', width: 20, value: sale => sale.branchName || '' },
+    { header: 'salesChannel', width: 20, value: sale => sale.salesChannel || '' },
+    { header: 'paymentMethod', width: 20, value: sale => (sale.payments || []).map(payment => payment.method).join('+') },
+    { header: 'productId', value: sale => sale.productId || '' },
+    { header: 'product', width: 30, value: sale => sale.product },
+    { header: 'quantity', type: 'number', value: sale => sale.quantity },
+    { header: 'unitPrice', type: 'currency', value: sale => sale.unitPrice },
+    { header: 'discount', type: 'currency', value: sale => sale.discount || 0 },
+    { header: 'amount', type: 'currency', value: sale => sale.amount },
+    { header: 'cost', type: 'currency', value: sale => sale.cost },
+    { header: 'refundedQuantity', type: 'number', value: sale => sale.refundedQuantity || 0 },
+    { header: 'refundedAmount', type: 'currency', value: sale => sale.refundedAmount || 0 },
+    { header: 'netAmount', type: 'currency', value: sale => getSaleNetAmount(sale) },
+    { header: 'netCost', type: 'currency', value: sale => getSaleNetCost(sale) },
+    { header: 'channelFee', type: 'currency', value: sale => getSaleNetChannelFee(sale) },
+    { header: 'profit', type: 'currency', value: sale => getSaleNetProfit(sale) },
+    { header: 'status', value: sale => sale.status || 'completed' },
+];
+
+// Same headers as the CSV importer so an export can be edited and uploaded again; the importer ignores landedCost
+const INVENTORY_EXPORT_COLUMNS = [
+    { header: 'date', type: 'date', value: item => item.date },
+    { header: 'sku', value: item => item.sku || '' },
+    { header: 'barcode', width: 18, value: item => item.barcode || '' },
+    { header: 'brand', value: item => item.brand || '' },
+    { header: 'category', width: 20, value: item => item.category || '' },
+    { header: 'name', width: 30, value: item => item.name },
+    { header: 'stock', type: 'number', value: item => item.stock },
+    { header: 'cost', type: 'currency', value: item => item.cost },
+    { header: 'shippingCost', type: 'currency', value: item => item.shippingCost || 0 },
+    { header: 'price', type: 'currency', value: item => item.price || 0 },
+    { header: 'landedCost', type: 'currency', value: item => item.landedCost || 0 },
+];
+
+const BRANCH_STOCK_EXPORT_COLUMNS = [
+    { header: 'branch', width: 20, value: row => row.branchName },
+    { header: 'sku', value: row => row.sku || '' },
+    { header: 'barcode', width: 18, value: row => row.barcode || '' },
+    { header: 'brand', value: row => row.brand || '' },
+    { header: 'name', width: 30, value: row => row.name || '' },
+    { header: 'stock', type: 'number', value: row => row.stock },
+    { header: 'landedCost', type: 'currency', value: row => row.landedCost || 0 },
+    { header: 'stockValue', type: 'currency', value: row => (row.landedCost || 0) * row.stock },
+];
+
+const ExportButtons = ({ label, filename, sheetName, columns, records }) => {
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleExportXLSX = async () => {
+        setIsExporting(true);
+        setError('');
+        try {
+            await exportXLSX(filename, sheetName, columns, records);
+        } catch (err) {
+            console.error("Error exporting Excel: ", err);
+            setError('ไม่สามารถสร้างไฟล์ Excel ได้');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const buttonStyle = "py-1 px-3 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300 disabled:text-gray-400";
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-gray-700">{label} ({records.length} รายการ):</span>
+            <button type="button" onClick={() => exportCSV(filename, columns, records)} disabled={records.length === 0} className={buttonStyle}>CSV</button>
+            <button type="button" onClick={handleExportXLSX} disabled={isExporting || records.length === 0} className={buttonStyle}>{isExporting ? '...' : 'Excel'}</button>
+            {error && <span className="text-red-500 text-sm">{error}</span>}
+        </div>
+    );
+};
+
+const InventoryExportPanel = ({ inventory, branches, branchInventory, costingMethod = 'average' }) => {
+    const inventoryRows = useMemo(() => inventory.map(item => ({
+        ...item,
+        landedCost: getInventoryUnitCost(item, costingMethod)
+    })), [inventory, costingMethod]);
+
+    const branchStockRows = useMemo(() => branchInventory.map(row => {
+        const masterProduct = inventory.find(p => p.id === row.productId) || {};
+        return {
+            ...masterProduct,
+            ...row,
+            branchName: getLocationName(row.branchId, branches),
+            landedCost: getInventoryUnitCost(masterProduct, costingMethod)
+        };
+    }).sort((a, b) => a.branchName.localeCompare(b.branchName, 'th')), [inventory, branches, branchInventory, costingMethod]);
+
+    const dateSuffix = toDateInputValue(new Date());
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-md mb-6 space-y-2">
+            <h3 className="text-sm font-bold text-gray-800">ส่งออกข้อมูล</h3>
+            <ExportButtons label="สินค้าคลังกลาง" filename={`inventory-${dateSuffix}`} sheetName="Inventory" columns={INVENTORY_EXPORT_COLUMNS} records={inventoryRows} />
+            <ExportButtons label="สต็อกสาขา" filename={`branch-stock-${dateSuffix}`} sheetName="Branch Stock" columns={BRANCH_STOCK_EXPORT_COLUMNS} records={branchStockRows} />
+        </div>
+    );
+};
+
 // --- Main UI Components ---
-const Header = () => (
+const Header = ({ user, membership, onSignOut }) => (
     <header className="bg-gray-800 text-white shadow-lg">
         <div className="container mx-auto px-4 sm:px-6 lg:px-8">
             <div className="flex items-center justify-between h-16">
@@ -50,17 +547,33 @@ const Header = () => (
                     </svg>
                     <h1 className="text-2xl font-bold">Sales & Inventory</h1>
                 </div>
+                {user && (
+                    <div className="flex items-center space-x-4 text-sm">
+                        <span className="text-gray-300">
+                            {user.email}
+                            {membership && <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-700 text-xs">{ROLE_LABELS[membership.role]}</span>}
+                        </span>
+                        <button onClick={onSignOut} className="text-gray-300 hover:text-white">ออกจากระบบ</button>
+                    </div>
+                )}
             </div>
         </div>
     </header>
 );
 
-const ViewSwitcher = ({ currentView, setCurrentView }) => {
+const ViewSwitcher = ({ currentView, setCurrentView, role }) => {
     const views = [
         { key: 'sales', label: 'Sales Tracker' },
-        { key: 'inventory', label: 'Inventory' },
-        { key: 'branch', label: 'มุมมองสาขา' },
-    ];
+        { key: 'dashboard', label: 'แดชบอร์ด', managerOnly: true },
+        { key: 'inventory', label: 'Inventory', managerOnly: true },
+        { key: 'branch', label: 'มุมมองสาขา', managerOnly: true },
+        { key: 'purchasing', label: 'สั่งซื้อ', managerOnly: true },
+        { key: 'replenishment', label: 'เติมสต็อก', managerOnly: true },
+        { key: 'stocktake', label: 'ตรวจนับสต็อก', managerOnly: true },
+        { key: 'promotions', label: 'โปรโมชัน', managerOnly: true },
+        { key: 'customers', label: 'ลูกค้า', managerOnly: true },
+        { key: 'team', label: 'ร้านและผู้ใช้งาน', ownerOnly: true },
+    ].filter(view => (!view.managerOnly || canManageStore(role)) && (!view.ownerOnly || role === 'owner'));
     const baseStyle = "px-4 py-2 text-sm font-medium rounded-t-lg transition-colors focus:outline-none";
     const activeStyle = "bg-white text-indigo-600 border-b-2 border-indigo-600";
     const inactiveStyle = "text-gray-500 hover:text-gray-700";
@@ -90,73 +603,637 @@ const StatsCard = ({ title, value, icon }) => (
     </div>
 );
 
+// --- Offline Sync Components ---
+// Transactions have to reach the server; while offline Firestore gives up on them with 'unavailable'
+const OFFLINE_TRANSACTION_MESSAGE = 'รายการนี้ต้องเชื่อมต่ออินเทอร์เน็ต กรุณาลองอีกครั้งเมื่อกลับมาออนไลน์';
+const isOfflineError = (err) => err?.code === 'unavailable';
+
+const SYNC_CONFLICT_MESSAGE = 'สต็อกในสาขาไม่พอ อาจมีเครื่องอื่นขายสินค้าชิ้นเดียวกันไประหว่างออฟไลน์ รายการนี้จึงไม่ถูกบันทึก';
+
+const SYNC_DENIED_MESSAGE = 'ระบบไม่ยอมรับรายการนี้ (เช่น สาขาปิดยอดวันนั้นแล้ว) รายการนี้จึงไม่ถูกบันทึก';
+
+// The rules reject a queued sale as a whole, whether stock ran out or its day was closed,
+// so the branch rows are read back before blaming the stock
+const describeRejectedSale = async (db, orgId, entry) => {
+    if (!entry.stockLines?.length) return SYNC_CONFLICT_MESSAGE;
+    try {
+        const rowSnaps = await Promise.all(entry.stockLines.map(line => getDocFromServer(doc(db, 'organizations', orgId, 'branchInventory', line.rowId))));
+        const isShort = rowSnaps.some((snap, i) => (snap.exists() ? snap.data().stock || 0 : 0) < entry.stockLines[i].quantity);
+        return isShort ? SYNC_CONFLICT_MESSAGE : SYNC_DENIED_MESSAGE;
+    } catch (readErr) {
+        console.error("Error checking stock for a failed sync: ", readErr);
+        return SYNC_CONFLICT_MESSAGE;
+    }
+};
+
+const describeSyncFailure = (db, orgId, err, entry) => (
+    err?.code === 'permission-denied' ? describeRejectedSale(db, orgId, entry) : Promise.resolve('ซิงก์ไม่สำเร็จ รายการนี้ไม่ถูกบันทึก')
+);
+
+// Queued sales are also kept in localStorage so a reload still knows which ones to confirm with the server
+const getOutboxKey = (orgId) => `salesTracker.outbox.${orgId}`;
+
+const readOutbox = (orgId) => {
+    try {
+        return JSON.parse(localStorage.getItem(getOutboxKey(orgId))) || [];
+    } catch (err) {
+        console.error("Error reading offline outbox: ", err);
+        return [];
+    }
+};
+
+const saveOutbox = (orgId, entries) => {
+    localStorage.setItem(getOutboxKey(orgId), JSON.stringify(entries));
+};
+
+// Cashiers cannot read an order that does not exist, so a denied read means the sale never arrived
+const orderExistsOnServer = async (db, orgId, orderId) => {
+    try {
+        const snapshot = await getDocFromServer(doc(db, 'organizations', orgId, 'orders', orderId));
+        return snapshot.exists();
+    } catch (err) {
+        if (err.code === 'permission-denied') return false;
+        throw err;
+    }
+};
+
+// Takes a synced offline sale's units off the cost layers as they stand on the server and replaces its estimated cost
+const settleQueuedSaleCost = async (db, orgId, orderId) => {
+    const orderRef = doc(db, 'organizations', orgId, 'orders', orderId);
+    await runTransaction(db, async (transaction) => {
+        const orderSnap = await transaction.get(orderRef);
+        if (!orderSnap.exists() || !orderSnap.data().costPending) return;
+        const order = orderSnap.data();
+        const saleRefs = order.lines.map(line => doc(db, 'organizations', orgId, 'sales', line.saleId));
+        const saleSnaps = await Promise.all(saleRefs.map(ref => transaction.get(ref)));
+        const pending = saleSnaps
+            .map((snap, index) => ({ index, sale: snap.exists() ? snap.data() : null }))
+            .filter(({ sale }) => sale?.uncostedQuantity > 0);
+        const productIds = [...new Set(pending.map(({ sale }) => sale.productId))];
+        const productSnaps = await Promise.all(productIds.map(id => transaction.get(doc(db, 'organizations', orgId, 'inventory', id))));
+        const productsById = Object.fromEntries(productSnaps.map(snap => [snap.id, snap.exists() ? snap.data() : {}]));
+
+        const pendingLines = pending.map(({ sale }) => ({ productId: sale.productId, quantity: sale.uncostedQuantity }));
+        const { costs, costUpdates } = costLinesFromLayers(pendingLines, productsById, pending[0]?.sale.costMethod || 'average');
+        const lines = order.lines.map(line => ({ ...line }));
+        pending.forEach(({ index }, i) => {
+            transaction.update(saleRefs[index], { cost: costs[i].cost, consumedLayers: costs[i].consumedLayers, uncostedQuantity: 0 });
+            lines[index].cost = costs[i].cost;
+        });
+        Object.entries(costUpdates).forEach(([productId, product]) => {
+            if (productSnaps.find(snap => snap.id === productId)?.exists()) {
+                transaction.update(doc(db, 'organizations', orgId, 'inventory', productId), { costLayers: product.costLayers, lastOrderId: orderId });
+            }
+        });
+        transaction.update(orderRef, {
+            lines,
+            cost: lines.reduce((sum, line) => sum + line.cost, 0),
+            costPending: false,
+            layerConsumption: { ...(order.layerConsumption || {}), ...buildLayerConsumption(pendingLines, costs) }
+        });
+    });
+};
+
+const SyncStatusBar = ({ isOnline, outbox, pendingStockCount, onDismiss }) => {
+    const pendingSales = outbox.filter(entry => entry.status === 'pending');
+    const conflicts = outbox.filter(entry => entry.status === 'conflict');
+    const pendingCount = pendingSales.length + pendingStockCount;
+
+    let statusStyle = 'bg-green-50 text-green-700 border-green-200';
+    let statusText = 'ออนไลน์ · ข้อมูลซิงก์ครบแล้ว';
+    if (!isOnline) {
+        statusStyle = 'bg-yellow-50 text-yellow-800 border-yellow-200';
+        statusText = `ออฟไลน์ · รายการขายจะบันทึกไว้ในเครื่องและซิงก์เมื่อกลับมาออนไลน์${pendingCount > 0 ? ` (รอซิงก์ ${pendingCount} รายการ)` : ''}`;
+    } else if (pendingCount > 0) {
+        statusStyle = 'bg-blue-50 text-blue-700 border-blue-200';
+        statusText = `กำลังซิงก์ ${pendingCount} รายการ...`;
+    }
+
+    return (
+        <div className="mb-4 space-y-2">
+            <div className={`px-4 py-2 rounded-lg border text-sm ${statusStyle}`}>
+                <span className={`inline-block w-2 h-2 rounded-full mr-2 ${isOnline ? 'bg-green-500' : 'bg-yellow-500'}`}></span>
+                {statusText}
+            </div>
+            {conflicts.length > 0 && (
+                <div className="px-4 py-3 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700 space-y-2">
+                    <p className="font-medium">รายการขายที่ซิงก์ไม่สำเร็จ ({conflicts.length})</p>
+                    {conflicts.map(entry => (
+                        <div key={entry.orderId} className="flex justify-between items-start gap-4">
+                            <div>
+                                <p>{entry.receiptNumber} · {entry.branchName} · {formatCurrency(entry.amount)}</p>
+                                <p className="text-xs">{entry.lines.map(line => `${line.product} x${line.quantity}`).join(', ')}</p>
+                                <p className="text-xs">{entry.reason}</p>
+                            </div>
+                            <button type="button" onClick={() => onDismiss(entry.orderId)} className="text-red-700 hover:text-red-900 whitespace-nowrap">รับทราบ</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Barcode Scanning Components ---
+// Barcodes match exactly; SKUs ignore case because staff also type them by hand
+const findProductByCode = (products, code) => {
+    const trimmed = code.trim();
+    if (!trimmed) return null;
+    return products.find(p => p.barcode && p.barcode === trimmed)
+        || products.find(p => p.sku && p.sku.toLowerCase() === trimmed.toLowerCase())
+        || null;
+};
+
+const SAME_CODE_PAUSE_MS = 1500;
+
+const CameraScanner = ({ onScan, onClose }) => {
+    const videoRef = useRef(null);
+    const onScanRef = useRef(onScan);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        onScanRef.current = onScan;
+    });
+
+    useEffect(() => {
+        let controls = null;
+        let cancelled = false;
+        let lastCode = '';
+        let lastScannedAt = 0;
+
+        const start = async () => {
+            try {
+                const { BrowserMultiFormatReader } = await import('@zxing/browser');
+                if (cancelled) return;
+                const reader = new BrowserMultiFormatReader();
+                controls = await reader.decodeFromVideoDevice(undefined, videoRef.current, (result) => {
+                    if (!result) return;
+                    const code = result.getText();
+                    const now = Date.now();
+                    // The camera sees the same code on every frame, so only count it again after a pause
+                    if (code === lastCode && now - lastScannedAt < SAME_CODE_PAUSE_MS) return;
+                    lastCode = code;
+                    lastScannedAt = now;
+                    onScanRef.current(code);
+                });
+                if (cancelled) controls.stop();
+            } catch (err) {
+                console.error("Error starting camera scanner: ", err);
+                setError('ไม่สามารถเปิดกล้องได้ กรุณาอนุญาตการใช้กล้อง หรือใช้เครื่องสแกนแทน');
+            }
+        };
+        start();
+
+        return () => {
+            cancelled = true;
+            if (controls) controls.stop();
+        };
+    }, []);
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto p-4 space-y-3">
+                <h3 className="text-lg font-medium text-gray-900">สแกนด้วยกล้อง</h3>
+                <video ref={videoRef} className="w-full rounded-lg bg-black" muted playsInline />
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                <div className="text-right">
+                    <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ปิดกล้อง</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// USB scanners behave like a keyboard: they type the code and press Enter, so a focused text box is all they need
+const BarcodeScanInput = ({ onScan, autoFocus = true, placeholder = 'สแกนบาร์โค้ดหรือพิมพ์ SKU แล้วกด Enter' }) => {
+    const [code, setCode] = useState('');
+    const [isCameraOpen, setIsCameraOpen] = useState(false);
+    const inputRef = useRef(null);
+
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Enter') return;
+        // Keep the scanner's Enter from submitting the surrounding form
+        e.preventDefault();
+        if (code.trim()) onScan(code.trim());
+        setCode('');
+    };
+
+    const handleCloseCamera = () => {
+        setIsCameraOpen(false);
+        inputRef.current?.focus();
+    };
+
+    return (
+        <div className="flex gap-2">
+            <input
+                ref={inputRef}
+                type="text"
+                autoFocus={autoFocus}
+                value={code}
+                onChange={e => setCode(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder={placeholder}
+                aria-label="สแกนบาร์โค้ด"
+                className="flex-grow block w-full px-3 py-2 border border-indigo-300 rounded-md bg-indigo-50"
+            />
+            <button type="button" onClick={() => setIsCameraOpen(true)} className="py-2 px-4 text-sm font-medium rounded-md text-indigo-600 bg-white hover:bg-indigo-50 border border-indigo-600">กล้อง</button>
+            {isCameraOpen && <CameraScanner onScan={onScan} onClose={handleCloseCamera} />}
+        </div>
+    );
+};
+
+// --- Payment Components ---
+const PROMPTPAY_AID = 'A000000677010111';
+
+const formatEmvField = (id, value) => `${id}${String(value.length).padStart(2, '0')}${value}`;
+
+// CRC-16/CCITT-FALSE over the whole payload including the "6304" tag that precedes it
+export const crc16 = (text) => {
+    let crc = 0xFFFF;
+    for (let i = 0; i < text.length; i++) {
+        crc ^= text.charCodeAt(i) << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+// PromptPay accepts a mobile number (10 digits), a citizen or tax ID (13 digits) or an e-wallet ID (15 digits)
+const isValidPromptPayId = (id) => /^(0\d{9}|\d{13}|\d{15})$/.test(id || '');
+
+// EMVCo merchant-presented QR as issued by Thai banks; mobile numbers are sent as 0066 plus the number without its leading 0
+export const buildPromptPayPayload = (promptPayId, amount) => {
+    const id = (promptPayId || '').replace(/\D/g, '');
+    const target = id.length === 10
+        ? formatEmvField('01', `0066${id.slice(1)}`)
+        : formatEmvField(id.length === 13 ? '02' : '03', id);
+    const payload = [
+        formatEmvField('00', '01'),
+        formatEmvField('01', amount ? '12' : '11'),
+        formatEmvField('29', formatEmvField('00', PROMPTPAY_AID) + target),
+        formatEmvField('53', '764'),
+        ...(amount ? [formatEmvField('54', amount.toFixed(2))] : []),
+        formatEmvField('58', 'TH'),
+    ].join('') + '6304';
+    return payload + crc16(payload);
+};
+
+const PromptPayQR = ({ promptPayId, amount }) => {
+    const containerRef = useRef(null);
+    const [error, setError] = useState('');
+    const payload = isValidPromptPayId(promptPayId) ? buildPromptPayPayload(promptPayId, amount) : '';
+
+    useEffect(() => {
+        if (!payload) return;
+        let cancelled = false;
+        import('@zxing/browser').then(({ BrowserQRCodeSvgWriter }) => {
+            if (cancelled || !containerRef.current) return;
+            containerRef.current.replaceChildren(new BrowserQRCodeSvgWriter().write(payload, 200, 200));
+        }).catch(err => {
+            console.error("Error creating PromptPay QR: ", err);
+            setError('ไม่สามารถสร้าง QR พร้อมเพย์ได้');
+        });
+        return () => { cancelled = true; };
+    }, [payload]);
+
+    if (!payload) return <p className="text-sm text-yellow-700">ยังไม่ได้ตั้งค่าหมายเลขพร้อมเพย์ของร้าน (เจ้าของร้านตั้งค่าได้ที่เมนูทีมงาน)</p>;
+    return (
+        <div className="flex flex-col items-center gap-1 p-3 bg-white border border-gray-200 rounded-lg">
+            <p className="text-sm font-medium text-gray-700">สแกนจ่ายพร้อมเพย์</p>
+            <div ref={containerRef} style={{ width: 200, height: 200 }} />
+            <p className="text-lg font-bold text-indigo-600">{formatCurrency(amount)}</p>
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+        </div>
+    );
+};
+
+// Payment rows as entered at the till; the last row takes whatever is left of the bill
+export const resolvePayments = (rows, total) => {
+    const fixed = rows.slice(0, -1).map(row => ({ method: row.method, amount: Number(row.amount) || 0 }));
+    const paid = fixed.reduce((sum, payment) => sum + payment.amount, 0);
+    const last = rows[rows.length - 1];
+    return [...fixed, { method: last.method, amount: Math.round((total - paid) * 100) / 100 }];
+};
+
+// Combines rows of the same method so a bill paid ฿100 + ฿50 cash reads as ฿150 cash
+export const mergePayments = (payments) => Object.entries(payments.reduce((acc, payment) => ({ ...acc, [payment.method]: (acc[payment.method] || 0) + payment.amount }), {}))
+    .map(([method, amount]) => ({ method, amount }))
+    .filter(payment => payment.amount > 0);
+
 // --- Sales Components ---
-const FilterControls = ({ yearFilter, setYearFilter, monthFilter, setMonthFilter }) => {
+const FILTER_PRESETS = [
+    { key: 'all', label: 'ทั้งหมด' },
+    { key: 'today', label: 'วันนี้' },
+    { key: 'week', label: 'สัปดาห์นี้' },
+    { key: 'last30', label: '30 วันล่าสุด' },
+    { key: 'month', label: 'เดือนนี้' },
+    { key: 'quarter', label: 'ไตรมาสนี้' },
+    { key: 'year', label: 'ปีนี้' },
+];
+
+const DEFAULT_SALES_FILTER = { preset: 'all', from: '', to: '', branchId: '', productId: '' };
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const parseDateInput = (value) => (value ? new Date(value + 'T00:00:00') : null);
+
+// Presets cover whole calendar periods so they compare cleanly with the period before
+const getPresetRange = (preset, now = new Date()) => {
+    const year = now.getFullYear();
+    const month = now.getMonth();
+    const today = new Date(year, month, now.getDate());
+    switch (preset) {
+        case 'today': return { start: today, end: addDays(today, 1) };
+        case 'week': {
+            const start = addDays(today, -((today.getDay() + 6) % 7)); // Weeks start on Monday
+            return { start, end: addDays(start, 7) };
+        }
+        case 'last30': return { start: addDays(today, -29), end: addDays(today, 1) };
+        case 'month': return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+        case 'quarter': {
+            const quarterStart = Math.floor(month / 3) * 3;
+            return { start: new Date(year, quarterStart, 1), end: new Date(year, quarterStart + 3, 1) };
+        }
+        case 'year': return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+        default: return null;
+    }
+};
+
+// [start, end) of the filter's dates; null means all time. Open-ended custom ranges cannot be compared with other periods.
+const getFilterRange = (filter) => {
+    if (filter.preset !== 'custom') {
+        const range = getPresetRange(filter.preset);
+        return range && { ...range, isBounded: true };
+    }
+    const start = parseDateInput(filter.from);
+    const to = parseDateInput(filter.to);
+    if (!start && !to) return null;
+    return {
+        start: start || new Date(0),
+        end: to ? addDays(to, 1) : new Date(8640000000000000),
+        isBounded: Boolean(start && to)
+    };
+};
+
+const matchesSalesFilter = (sale, filter, { ignoreBranch = false } = {}) => (
+    (ignoreBranch || !filter.branchId || sale.branchId === filter.branchId)
+    && (!filter.productId || sale.productId === filter.productId)
+);
+
+const getFilterSuffix = (filter, range) => {
+    if (!range) return 'all';
+    if (!range.isBounded) return filter.from ? `from-${filter.from}` : `to-${filter.to}`;
+    return `${toDateInputValue(range.start)}_${toDateInputValue(addDays(range.end, -1))}`;
+};
+
+// The filter and current view live in the query string so a filtered view can be bookmarked
+const readURLState = () => {
+    const params = new URLSearchParams(window.location.search);
+    const from = params.get('from') || '';
+    const to = params.get('to') || '';
+    const preset = params.get('preset');
+    return {
+        view: params.get('view') || 'sales',
+        filter: {
+            preset: FILTER_PRESETS.some(p => p.key === preset) ? preset : (from || to ? 'custom' : 'all'),
+            from,
+            to,
+            branchId: params.get('branch') || '',
+            productId: params.get('product') || ''
+        }
+    };
+};
+
+const writeURLState = (view, filter) => {
+    const params = new URLSearchParams();
+    if (view !== 'sales') params.set('view', view);
+    if (filter.preset === 'custom') {
+        if (filter.from) params.set('from', filter.from);
+        if (filter.to) params.set('to', filter.to);
+    } else if (filter.preset !== 'all') {
+        params.set('preset', filter.preset);
+    }
+    if (filter.branchId) params.set('branch', filter.branchId);
+    if (filter.productId) params.set('product', filter.productId);
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+};
+
+const FilterControls = ({ filter, setFilter, sales, branches, products, showBranch = true }) => {
     const months = [
         "มกราคม", "กุมภาพันธ์", "มีนาคม", "เมษายน", "พฤษภาคม", "มิถุนายน",
         "กรกฎาคม", "สิงหาคม", "กันยายน", "ตุลาคม", "พฤศจิกายน", "ธันวาคม"
     ];
-    const years = [2025, 2024];
+    const years = useMemo(() => {
+        const found = new Set(sales.filter(sale => sale.date).map(sale => sale.date.getFullYear()));
+        found.add(new Date().getFullYear());
+        return [...found].sort((a, b) => b - a);
+    }, [sales]);
+
+    // Year and month are shortcuts for a custom range, so read them back from from/to
+    const [selectedYear, selectedMonth] = useMemo(() => {
+        const start = parseDateInput(filter.from);
+        const to = parseDateInput(filter.to);
+        if (filter.preset !== 'custom' || !start || !to) return ['all', 'all'];
+        const end = addDays(to, 1);
+        if (start.getDate() !== 1 || end.getDate() !== 1) return ['all', 'all'];
+        if (start.getMonth() === 0 && end.getMonth() === 0 && end.getFullYear() === start.getFullYear() + 1) return [String(start.getFullYear()), 'all'];
+        if (addMonths(start, 1).getTime() === end.getTime()) return [String(start.getFullYear()), String(start.getMonth())];
+        return ['all', 'all'];
+    }, [filter]);
 
     const baseStyle = "px-4 py-2 text-sm font-medium rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500";
     const activeStyle = "bg-indigo-600 text-white shadow";
     const inactiveStyle = "bg-white text-gray-700 hover:bg-gray-100";
 
+    const setRange = (start, end) => {
+        setFilter({ ...filter, preset: 'custom', from: toDateInputValue(start), to: toDateInputValue(addDays(end, -1)) });
+    };
+
     const handleYearChange = (e) => {
-        setYearFilter(e.target.value);
-        setMonthFilter('all'); // Reset month when year changes
+        if (e.target.value === 'all') {
+            setFilter({ ...filter, preset: 'all', from: '', to: '' });
+            return;
+        }
+        const year = Number(e.target.value);
+        setRange(new Date(year, 0, 1), new Date(year + 1, 0, 1)); // Reset month when year changes
     };
 
     const handleMonthChange = (e) => {
-        setMonthFilter(e.target.value);
+        const year = Number(selectedYear);
+        if (e.target.value === 'all') {
+            setRange(new Date(year, 0, 1), new Date(year + 1, 0, 1));
+            return;
+        }
+        const month = Number(e.target.value);
+        setRange(new Date(year, month, 1), new Date(year, month + 1, 1));
     };
-    
-    const handleShowAll = () => {
-        setYearFilter('all');
-        setMonthFilter('all');
+
+    const handleDateChange = (field, value) => {
+        setFilter({ ...filter, preset: 'custom', [field]: value });
     };
 
     return (
-        <div className="flex justify-center flex-wrap items-center gap-2 my-6">
-            <select onChange={handleYearChange} value={yearFilter} className={`${baseStyle} border-gray-300 border`}>
-                <option value="all">-- เลือกปี --</option>
-                {years.map((year) => (<option key={year} value={year}>{`ปี ${year}`}</option>))}
-            </select>
-            <select onChange={handleMonthChange} value={monthFilter} disabled={yearFilter === 'all'} className={`${baseStyle} border-gray-300 border disabled:bg-gray-100 disabled:cursor-not-allowed`}>
-                <option value="all">-- เลือกเดือน --</option>
-                {months.map((month, index) => (<option key={index} value={index}>{month}</option>))}
-            </select>
-            <button onClick={handleShowAll} className={`${baseStyle} ${yearFilter === 'all' ? activeStyle : inactiveStyle}`}>ทั้งหมด</button>
+        <div className="my-6 space-y-3">
+            <div className="flex justify-center flex-wrap items-center gap-2">
+                {FILTER_PRESETS.map(preset => (
+                    <button
+                        key={preset.key}
+                        onClick={() => setFilter({ ...filter, preset: preset.key, from: '', to: '' })}
+                        className={`${baseStyle} ${filter.preset === preset.key ? activeStyle : inactiveStyle}`}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </div>
+            <div className="flex justify-center flex-wrap items-center gap-2">
+                <select onChange={handleYearChange} value={selectedYear} className={`${baseStyle} border-gray-300 border`}>
+                    <option value="all">-- เลือกปี --</option>
+                    {years.map((year) => (<option key={year} value={year}>{`ปี ${year}`}</option>))}
+                </select>
+                <select onChange={handleMonthChange} value={selectedMonth} disabled={selectedYear === 'all'} className={`${baseStyle} border-gray-300 border disabled:bg-gray-100 disabled:cursor-not-allowed`}>
+                    <option value="all">-- เลือกเดือน --</option>
+                    {months.map((month, index) => (<option key={index} value={index}>{month}</option>))}
+                </select>
+                <input type="date" aria-label="ตั้งแต่วันที่" value={filter.preset === 'custom' ? filter.from : ''} onChange={e => handleDateChange('from', e.target.value)} className={`${baseStyle} border-gray-300 border`} />
+                <span className="text-sm text-gray-500">ถึง</span>
+                <input type="date" aria-label="ถึงวันที่" value={filter.preset === 'custom' ? filter.to : ''} onChange={e => handleDateChange('to', e.target.value)} className={`${baseStyle} border-gray-300 border`} />
+                {showBranch && (
+                    <select onChange={e => setFilter({ ...filter, branchId: e.target.value })} value={filter.branchId} className={`${baseStyle} border-gray-300 border`}>
+                        <option value="">-- ทุกสาขา --</option>
+                        {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                    </select>
+                )}
+                <select onChange={e => setFilter({ ...filter, productId: e.target.value })} value={filter.productId} className={`${baseStyle} border-gray-300 border`}>
+                    <option value="">-- ทุกสินค้า --</option>
+                    {products.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button onClick={() => setFilter(DEFAULT_SALES_FILTER)} className={`${baseStyle} ${inactiveStyle} border border-gray-300`}>ล้างตัวกรอง</button>
+            </div>
         </div>
     );
 };
 
-const SalesStats = ({ sales }) => {
+const SalesStats = ({ sales, showCosts = true }) => {
     const stats = useMemo(() => {
-        const totalRevenue = sales.reduce((sum, sale) => sum + sale.amount, 0);
-        const totalCost = sales.reduce((sum, sale) => sum + sale.cost, 0);
-        const totalSales = sales.length;
+        const activeSales = sales.filter(sale => !isSaleVoided(sale));
+        const totalRevenue = activeSales.reduce((sum, sale) => sum + getSaleNetAmount(sale), 0);
+        const totalSales = activeSales.length;
         const averageSale = totalSales > 0 ? totalRevenue / totalSales : 0;
-        const totalProfit = totalRevenue - totalCost;
-        return { totalRevenue, totalSales, averageSale, totalProfit };
+        const totalProfit = activeSales.reduce((sum, sale) => sum + getSaleNetProfit(sale), 0);
+        const grossMargin = totalRevenue > 0 ? totalProfit / totalRevenue : 0;
+        return { totalRevenue, totalSales, averageSale, totalProfit, grossMargin };
     }, [sales]);
+    const channels = useMemo(() => buildChannelBreakdown(sales), [sales]);
+    const payments = useMemo(() => buildPaymentBreakdown(sales), [sales]);
     return (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6 mb-6">
-            <StatsCard title="ยอดขายทั้งหมด" value={formatCurrency(stats.totalRevenue)} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v.01" /></svg>} />
-            <StatsCard title="กำไรทั้งหมด" value={formatCurrency(stats.totalProfit)} icon={<svg className="h-6 w-6 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" /></svg>} />
-            <StatsCard title="จำนวนออเดอร์" value={stats.totalSales} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" /></svg>} />
-            <StatsCard title="ยอดขายเฉลี่ย" value={formatCurrency(stats.averageSale)} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" /></svg>} />
-        </div>
+        <>
+            <div className={`grid grid-cols-1 md:grid-cols-2 ${showCosts ? 'lg:grid-cols-5' : 'lg:grid-cols-3'} gap-4 sm:gap-6 mb-6`}>
+                <StatsCard title="ยอดขายทั้งหมด" value={formatCurrency(stats.totalRevenue)} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v.01" /></svg>} />
+                {showCosts && <StatsCard title="กำไรทั้งหมด" value={formatCurrency(stats.totalProfit)} icon={<svg className="h-6 w-6 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" /></svg>} />}
+                {showCosts && <StatsCard title="อัตรากำไรขั้นต้น" value={formatPercent(stats.grossMargin)} icon={<svg className="h-6 w-6 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z" /></svg>} />}
+                <StatsCard title="จำนวนออเดอร์" value={stats.totalSales} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" /></svg>} />
+                <StatsCard title="ยอดขายเฉลี่ย" value={formatCurrency(stats.averageSale)} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" /></svg>} />
+            </div>
+            {channels.length > 1 && (
+                <div className="bg-white rounded-xl shadow-md overflow-hidden mb-6">
+                    <h3 className="px-6 pt-4 text-lg font-bold text-gray-800">ยอดขายตามช่องทาง</h3>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ช่องทาง</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวนออเดอร์</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดขาย</th>
+                                    {showCosts && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ค่าธรรมเนียม</th>}
+                                    {showCosts && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">กำไร</th>}
+                                    {showCosts && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">อัตรากำไร</th>}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {channels.map(channel => (
+                                    <tr key={channel.id}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{channel.name}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{channel.orders}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(channel.revenue)}</td>
+                                        {showCosts && <td className="px-6 py-4 whitespace-nowrap text-sm text-red-500">{formatCurrency(channel.fees)}</td>}
+                                        {showCosts && <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(channel.profit)}</td>}
+                                        {showCosts && <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatPercent(channel.margin)}</td>}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+            {payments.length > 0 && (
+                <div className="bg-white rounded-xl shadow-md overflow-hidden mb-6">
+                    <h3 className="px-6 pt-4 text-lg font-bold text-gray-800">ยอดขายตามวิธีชำระเงิน</h3>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วิธีชำระเงิน</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดรับ</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สัดส่วน</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {payments.map(payment => (
+                                    <tr key={payment.method}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{payment.name}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(payment.amount)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatPercent(payment.share)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </>
     );
 };
 
-const AddSaleForm = ({ db, userId, inventory, branches, branchInventory }) => {
-    const [selectedBranchId, setSelectedBranchId] = useState('');
+// Spreads an order-level discount across lines by their net value; the last line absorbs rounding.
+const allocateOrderDiscount = (lineTotals, orderDiscount) => {
+    const subtotal = lineTotals.reduce((sum, total) => sum + total, 0);
+    if (!orderDiscount || subtotal <= 0) return lineTotals.map(() => 0);
+    let allocated = 0;
+    return lineTotals.map((total, index) => {
+        if (index === lineTotals.length - 1) return Math.round((orderDiscount - allocated) * 100) / 100;
+        const share = Math.round((orderDiscount * total / subtotal) * 100) / 100;
+        allocated += share;
+        return share;
+    });
+};
+
+// Quantities are whole units, prices and discounts are never negative, and a discount never exceeds its line
+const getSaleLineError = ({ quantity, unitPrice, discount = 0 }) => {
+    if (!Number.isInteger(quantity) || quantity < 1) return "จำนวนต้องเป็นจำนวนเต็มอย่างน้อย 1";
+    if (!(unitPrice > 0)) return "ราคาขายต้องมากกว่า 0";
+    if (!(discount >= 0)) return "ส่วนลดต้องไม่ติดลบ";
+    if (discount > unitPrice * quantity) return "ส่วนลดต้องไม่เกินราคารวมของรายการ";
+    return null;
+};
+
+const AddSaleForm = ({ db, orgId, userId, inventory, branches, channels = [], promotions = [], customers = [], openShifts = [], closedDayIds = new Set(), promptPayId = '', branchInventory, defaultBranchId = '', showCosts = true, costingMethod = 'average', onSaleQueued, onSaleComplete }) => {
+    const [selectedBranchId, setSelectedBranchId] = useState(defaultBranchId);
+    const [selectedChannelId, setSelectedChannelId] = useState(WALK_IN_CHANNEL.id);
     const [selectedProductId, setSelectedProductId] = useState('');
     const [quantity, setQuantity] = useState(1);
     const [unitPrice, setUnitPrice] = useState('');
     const [discount, setDiscount] = useState('');
+    const [cartLines, setCartLines] = useState([]);
+    const [orderDiscount, setOrderDiscount] = useState('');
     const [saleDate, setSaleDate] = useState('');
+    const [selectedCustomerId, setSelectedCustomerId] = useState('');
+    const [pointsToRedeem, setPointsToRedeem] = useState('');
+    const [paymentRows, setPaymentRows] = useState([{ key: 'payment-0', method: 'cash', amount: '' }]);
+    const [cashReceived, setCashReceived] = useState('');
+    const [isScanMode, setIsScanMode] = useState(false);
+    const [scanMessage, setScanMessage] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState(null);
 
@@ -165,22 +1242,184 @@ const AddSaleForm = ({ db, userId, inventory, branches, branchInventory }) => {
         const branchProducts = branchInventory.filter(item => item.branchId === selectedBranchId);
         return branchProducts.map(bp => {
             const masterProduct = inventory.find(inv => inv.id === bp.productId);
-            return { ...masterProduct, ...bp, branchInventoryId: bp.id }; // Add branchInventoryId
+            return { ...masterProduct, ...bp, branchInventoryId: bp.id, price: getSellingPrice(masterProduct, bp) }; // Add branchInventoryId
         });
     }, [selectedBranchId, branchInventory, inventory]);
 
+    const getCartQuantity = (productId, excludeKey) => cartLines
+        .filter(line => line.productId === productId && line.key !== excludeKey)
+        .reduce((sum, line) => sum + line.quantity, 0);
+
+    const handleBranchChange = (e) => {
+        setSelectedBranchId(e.target.value);
+        setSelectedProductId('');
+        setCartLines([]);
+    };
+
+    const handleProductChange = (e) => {
+        const product = availableProducts.find(p => p.productId === e.target.value);
+        setSelectedProductId(e.target.value);
+        if (product?.price) setUnitPrice(String(product.price));
+    };
+
+    const handleAddLine = () => {
+        const productInBranch = availableProducts.find(p => p.productId === selectedProductId);
+        if (!productInBranch || !quantity || !unitPrice) {
+            setError("กรุณากรอกข้อมูลให้ครบ: สินค้า, จำนวน, และราคาขาย");
+            return;
+        }
+        const lineError = getSaleLineError({ quantity: Number(quantity), unitPrice: Number(unitPrice), discount: Number(discount) || 0 });
+        if (lineError) {
+            setError(lineError);
+            return;
+        }
+        const inCart = getCartQuantity(selectedProductId);
+        if (quantity + inCart > productInBranch.stock) {
+            setError(`สินค้าไม่พอ! เหลือเพียง ${productInBranch.stock} ชิ้นในสาขานี้ (อยู่ในตะกร้าแล้ว ${inCart} ชิ้น)`);
+            return;
+        }
+        setCartLines([...cartLines, {
+            key: `${selectedProductId}-${Date.now()}`,
+            productId: selectedProductId,
+            quantity: Number(quantity),
+            unitPrice: Number(unitPrice),
+            discount: Number(discount) || 0
+        }]);
+        setSelectedProductId('');
+        setQuantity(1);
+        setUnitPrice('');
+        setDiscount('');
+        setError(null);
+    };
+
+    // A scan adds one unit; scanning a product already in the cart bumps that line instead of adding another
+    const handleScan = (code) => {
+        const productInBranch = findProductByCode(availableProducts, code);
+        setScanMessage('');
+        if (!productInBranch) {
+            setError(`ไม่พบสินค้า "${code}" ในสาขานี้`);
+            return;
+        }
+        const inCart = getCartQuantity(productInBranch.productId);
+        if (inCart + 1 > productInBranch.stock) {
+            setError(`สินค้าไม่พอ! ${productInBranch.name} เหลือเพียง ${productInBranch.stock} ชิ้นในสาขานี้ (อยู่ในตะกร้าแล้ว ${inCart} ชิ้น)`);
+            return;
+        }
+        const existingLine = cartLines.find(line => line.productId === productInBranch.productId);
+        if (existingLine) {
+            setCartLines(cartLines.map(line => line.key === existingLine.key ? { ...line, quantity: line.quantity + 1 } : line));
+        } else {
+            setCartLines([...cartLines, {
+                key: `${productInBranch.productId}-${Date.now()}`,
+                productId: productInBranch.productId,
+                quantity: 1,
+                unitPrice: productInBranch.price || 0,
+                discount: 0
+            }]);
+        }
+        setError(null);
+        setScanMessage(`เพิ่ม ${productInBranch.name} (${inCart + 1} ชิ้น)`);
+    };
+
+    const handleLineChange = (key, field, value) => {
+        setCartLines(cartLines.map(line => line.key === key ? { ...line, [field]: Number(value) } : line));
+    };
+
+    const handleRemoveLine = (key) => {
+        setCartLines(cartLines.filter(line => line.key !== key));
+    };
+
+    const cartDetails = useMemo(() => {
+        const productsById = Object.fromEntries(inventory.map(p => [p.id, p]));
+        const { costs } = costLinesFromLayers(cartLines, productsById, costingMethod);
+        const applied = applyPromotions(
+            cartLines.map(line => ({ ...productsById[line.productId], ...line })),
+            promotions,
+            { branchId: selectedBranchId, date: saleDate ? fromBusinessDay(saleDate) : new Date() }
+        );
+        return cartLines.map((line, index) => {
+            const productInBranch = availableProducts.find(p => p.productId === line.productId);
+            const grossAmount = line.unitPrice * line.quantity;
+            // A manual line discount is taken first, so the promotion never pushes a line below zero
+            const promotionDiscount = Math.min(applied[index].discount, Math.max(grossAmount - line.discount, 0));
+            return {
+                ...line,
+                productInBranch,
+                grossAmount,
+                promotionDiscount,
+                promotion: promotionDiscount > 0 ? applied[index].promotion : null,
+                netAmount: grossAmount - line.discount - promotionDiscount,
+                cost: costs[index].cost,
+                consumedLayers: costs[index].consumedLayers
+            };
+        });
+    }, [cartLines, availableProducts, inventory, costingMethod, promotions, selectedBranchId, saleDate]);
+
+    const subtotal = cartDetails.reduce((sum, line) => sum + line.grossAmount, 0);
+    const lineDiscountTotal = cartDetails.reduce((sum, line) => sum + line.discount, 0);
+    const promotionDiscountTotal = cartDetails.reduce((sum, line) => sum + line.promotionDiscount, 0);
+    const totalCost = cartDetails.reduce((sum, line) => sum + line.cost, 0);
+    // The live record, so a balance changed at another till shows up before the bill is settled
+    const selectedCustomer = customers.find(c => c.id === selectedCustomerId) || null;
+    const pointsRedeemed = selectedCustomer ? Math.floor(Number(pointsToRedeem) || 0) : 0;
+    const pointsDiscount = pointsRedeemed * POINT_VALUE;
+    const finalAmount = subtotal - lineDiscountTotal - promotionDiscountTotal - (Number(orderDiscount) || 0) - pointsDiscount;
+    const pointsEarned = selectedCustomer ? calculatePointsEarned(finalAmount) : 0;
+    const selectedChannel = channels.find(c => c.id === selectedChannelId) || WALK_IN_CHANNEL;
+    const channelFeeRate = getChannelFeeRate(selectedChannel);
+    const openShift = openShifts.find(shift => shift.branchId === selectedBranchId) || null;
+    const payments = resolvePayments(paymentRows, finalAmount);
+    const cashDue = payments.filter(payment => payment.method === 'cash').reduce((sum, payment) => sum + payment.amount, 0);
+    const promptPayDue = payments.filter(payment => payment.method === 'promptpay').reduce((sum, payment) => sum + payment.amount, 0);
+    const change = cashReceived === '' ? 0 : Math.round((Number(cashReceived) - cashDue) * 100) / 100;
+
+    const handlePaymentRowChange = (key, field, value) => {
+        setPaymentRows(paymentRows.map(row => row.key === key ? { ...row, [field]: value } : row));
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         const selectedBranch = branches.find(b => b.id === selectedBranchId);
-        const productInBranch = availableProducts.find(p => p.productId === selectedProductId);
-        const saleDiscount = Number(discount) || 0;
+        const orderDiscountValue = Number(orderDiscount) || 0;
 
-        if (!selectedBranch || !productInBranch || !quantity || !unitPrice || !userId) {
-            setError("กรุณากรอกข้อมูลให้ครบ: สาขา, สินค้า, จำนวน, และราคาขาย");
+        if (!selectedBranch || cartDetails.length === 0 || !userId) {
+            setError("กรุณาเลือกสาขาและเพิ่มสินค้าลงตะกร้าอย่างน้อย 1 รายการ");
+            return;
+        }
+        const invalidLine = cartDetails.find(line => getSaleLineError(line));
+        if (invalidLine) {
+            setError(`${invalidLine.productInBranch?.name || ''}: ${getSaleLineError(invalidLine)}`);
+            return;
+        }
+        if (orderDiscountValue < 0) {
+            setError("ส่วนลดท้ายบิลต้องไม่ติดลบ");
+            return;
+        }
+        const shortLine = cartDetails.find(line => !line.productInBranch || getCartQuantity(line.productId) > line.productInBranch.stock);
+        if (shortLine) {
+            setError(`สินค้าไม่พอ! ${shortLine.productInBranch?.name || ''} เหลือเพียง ${shortLine.productInBranch?.stock || 0} ชิ้นในสาขานี้`);
+            return;
+        }
+        if (pointsRedeemed < 0 || pointsRedeemed > (selectedCustomer?.points || 0)) {
+            setError(`แต้มไม่พอ! ${selectedCustomer?.name || ''} มีแต้มสะสม ${selectedCustomer?.points || 0} แต้ม`);
             return;
         }
-        if (quantity > productInBranch.stock) {
-            setError(`สินค้าไม่พอ! เหลือเพียง ${productInBranch.stock} ชิ้นในสาขานี้`);
+        if (finalAmount < 0) {
+            setError("ส่วนลดรวมมากกว่ายอดขาย");
+            return;
+        }
+        if (payments.some(payment => payment.amount < 0)) {
+            setError("ยอดชำระแต่ละวิธีรวมกันเกินยอดสุทธิ");
+            return;
+        }
+        if (cashReceived !== '' && change < 0) {
+            setError(`รับเงินสดไม่พอ! ต้องรับเงินสด ${formatCurrency(cashDue)}`);
+            return;
+        }
+        const dateToStore = saleDate ? fromBusinessDay(saleDate) : new Date();
+        const businessDay = getBusinessDay(dateToStore);
+        if (closedDayIds.has(getDayClosingId(selectedBranchId, businessDay))) {
+            setError(`สาขานี้ปิดยอดวันที่ ${formatDate(dateToStore)} แล้ว ไม่สามารถบันทึกการขายย้อนหลังได้`);
             return;
         }
 
@@ -188,96 +1427,409 @@ const AddSaleForm = ({ db, userId, inventory, branches, branchInventory }) => {
         setError(null);
 
         try {
-            const dateToStore = saleDate ? new Date(saleDate + 'T00:00:00') : new Date();
-            const batch = writeBatch(db);
+            const orderRef = doc(collection(db, 'organizations', orgId, 'orders'));
+            const salesCollection = collection(db, 'organizations', orgId, 'sales');
+            const counterRef = doc(db, 'organizations', orgId, 'receiptCounters', selectedBranchId);
+            const customerRef = selectedCustomer ? doc(db, 'organizations', orgId, 'customers', selectedCustomer.id) : null;
+            // Redeemed points come off the bill like an order discount
+            const discountShares = allocateOrderDiscount(cartDetails.map(line => line.netAmount), orderDiscountValue + pointsDiscount);
+            // Each payment method is spread over the lines the same way, so per-sale reports add up to the bill
+            const orderPayments = mergePayments(payments);
+            const lineAmounts = cartDetails.map((line, index) => line.netAmount - discountShares[index]);
+            const paymentShares = orderPayments.map(payment => allocateOrderDiscount(lineAmounts, payment.amount));
 
-            const salesCollection = collection(db, 'users', userId, 'sales');
-            batch.set(doc(salesCollection), {
-                product: productInBranch.name,
-                productId: productInBranch.productId,
-                branchId: selectedBranchId,
-                branchName: selectedBranch.name,
-                quantity: Number(quantity),
-                unitPrice: Number(unitPrice),
-                amount: (Number(unitPrice) * quantity) - saleDiscount,
-                cost: productInBranch.cost * quantity,
-                discount: saleDiscount,
-                salesChannel: selectedBranch.name,
-                date: dateToStore,
-                userId
-            });
+            // The same product can sit on several lines, so deduct each branch row once with the combined quantity
+            const quantitiesByRow = cartDetails.reduce((acc, line) => {
+                const rowId = line.productInBranch.branchInventoryId;
+                acc[rowId] = (acc[rowId] || 0) + line.quantity;
+                return acc;
+            }, {});
 
-            const branchInventoryDocRef = doc(db, 'users', userId, 'branchInventory', productInBranch.branchInventoryId);
-            const newStock = productInBranch.stock - quantity;
-            batch.update(branchInventoryDocRef, { stock: newStock });
+            // Online the branch stock is written from the transaction's own read; a queued sale can only send a delta,
+            // and the rules reject it as a whole if another till sold the same units first
+            const buildSaleWrites = (receiptNumber, { costs, costUpdates }, stockByRow = null, customerPoints = null) => {
+                const isQueued = !stockByRow;
+                // Queued sales are costed once they reach the server, and so is a product drawing on more layers than the rules follow
+                const layerConsumption = buildLayerConsumption(cartDetails, costs);
+                const uncostedIds = new Set(isQueued
+                    ? Object.keys(layerConsumption)
+                    : Object.keys(layerConsumption).filter(productId => layerConsumption[productId].length > MAX_LAYERS_PER_SALE_WRITE));
+                const writes = [];
+                const orderLines = cartDetails.map((line, index) => {
+                    const saleRef = doc(salesCollection);
+                    const lineDiscount = line.discount + line.promotionDiscount + discountShares[index];
+                    const amount = line.grossAmount - lineDiscount;
+                    const sale = {
+                        product: line.productInBranch.name,
+                        productId: line.productId,
+                        branchId: selectedBranchId,
+                        branchName: selectedBranch.name,
+                        quantity: line.quantity,
+                        unitPrice: line.unitPrice,
+                        amount,
+                        cost: costs[index].cost,
+                        costMethod: costingMethod,
+                        // An uncosted sale carries a local cost estimate until settleQueuedSaleCost takes its units off the layers
+                        consumedLayers: uncostedIds.has(line.productId) ? [] : costs[index].consumedLayers,
+                        ...(uncostedIds.has(line.productId) ? { uncostedQuantity: line.quantity } : {}),
+                        discount: lineDiscount,
+                        lineDiscount: line.discount,
+                        orderDiscountShare: discountShares[index],
+                        promotionDiscount: line.promotionDiscount,
+                        promotionId: line.promotion?.id || null,
+                        promotionName: line.promotion?.name || null,
+                        customerId: selectedCustomer?.id || null,
+                        customerName: selectedCustomer?.name || null,
+                        payments: orderPayments.map((payment, paymentIndex) => ({ method: payment.method, amount: paymentShares[paymentIndex][index] })).filter(payment => payment.amount > 0),
+                        shiftId: openShift?.id || null,
+                        channelId: selectedChannel.id,
+                        salesChannel: selectedChannel.name,
+                        channelFeeRate,
+                        channelFee: calculateChannelFee(amount, channelFeeRate),
+                        orderId: orderRef.id,
+                        receiptNumber,
+                        date: dateToStore,
+                        businessDay,
+                        userId
+                    };
+                    writes.push({ type: 'set', ref: saleRef, data: sale });
+                    return {
+                        saleId: saleRef.id,
+                        productId: sale.productId,
+                        product: sale.product,
+                        quantity: sale.quantity,
+                        unitPrice: sale.unitPrice,
+                        discount: sale.discount,
+                        amount: sale.amount,
+                        cost: sale.cost,
+                        channelFee: sale.channelFee,
+                        promotionName: sale.promotionName
+                    };
+                });
 
-            await batch.commit();
+                writes.push({ type: 'set', ref: orderRef, data: {
+                    branchId: selectedBranchId,
+                    branchName: selectedBranch.name,
+                    lines: orderLines,
+                    subtotal,
+                    lineDiscount: lineDiscountTotal,
+                    promotionDiscount: promotionDiscountTotal,
+                    orderDiscount: orderDiscountValue,
+                    pointsDiscount,
+                    amount: finalAmount,
+                    cost: costs.reduce((sum, line) => sum + line.cost, 0),
+                    channelId: selectedChannel.id,
+                    salesChannel: selectedChannel.name,
+                    channelFee: Math.round(orderLines.reduce((sum, line) => sum + line.channelFee, 0) * 100) / 100,
+                    customerId: selectedCustomer?.id || null,
+                    customerName: selectedCustomer?.name || null,
+                    pointsRedeemed,
+                    pointsEarned,
+                    payments: orderPayments,
+                    cashReceived: cashReceived === '' ? null : Number(cashReceived),
+                    change: cashReceived === '' ? 0 : change,
+                    shiftId: openShift?.id || null,
+                    receiptNumber,
+                    ...(isQueued ? { receiptProvisional: true } : {}),
+                    ...(uncostedIds.size > 0 ? { costPending: true } : {}),
+                    layerConsumption: Object.fromEntries(Object.entries(layerConsumption).filter(([productId]) => !uncostedIds.has(productId))),
+                    date: dateToStore,
+                    businessDay,
+                    userId
+                } });
+
+                Object.entries(quantitiesByRow).forEach(([rowId, soldQuantity]) => {
+                    const line = cartDetails.find(l => l.productInBranch.branchInventoryId === rowId);
+                    // A queued sale only knows this device's stock, so its balance is a best guess until it syncs
+                    const balance = (isQueued ? line.productInBranch.stock : stockByRow[rowId]) - soldQuantity;
+                    writes.push({ type: 'update', ref: doc(db, 'organizations', orgId, 'branchInventory', rowId), data: { stock: isQueued ? increment(-soldQuantity) : balance } });
+                    writes.push({ type: 'set', ref: stockMovementRef(db, orgId), data: buildStockMovement({
+                        productId: line.productId,
+                        productName: line.productInBranch.name,
+                        locationId: selectedBranchId,
+                        locationName: selectedBranch.name,
+                        type: 'sale',
+                        quantity: -soldQuantity,
+                        balance,
+                        userId,
+                        referenceId: orderRef.id,
+                        note: receiptNumber
+                    }) });
+                });
+                // Another till may draw on the same layers while this one is offline, so a queued sale never writes them.
+                // Selling leaves the average cost as it was, so only the layers change.
+                Object.entries(costUpdates).filter(([productId]) => !uncostedIds.has(productId)).forEach(([productId, product]) => {
+                    writes.push({ type: 'update', ref: doc(db, 'organizations', orgId, 'inventory', productId), data: { costLayers: product.costLayers, lastOrderId: orderRef.id } });
+                });
+                if (customerRef) {
+                    const points = isQueued ? increment(pointsEarned - pointsRedeemed) : customerPoints - pointsRedeemed + pointsEarned;
+                    // The rules check the new balance against this order's earned and redeemed points
+                    writes.push({ type: 'update', ref: customerRef, data: { points, lastPurchaseAt: dateToStore, lastOrderId: orderRef.id } });
+                }
+                return writes;
+            };
+
+            // Receipt counters need the server, so an offline sale gets a provisional number that cannot collide
+            const queueSale = () => {
+                const receiptNumber = formatDocumentNumber('R', selectedBranch, `OFF${Date.now().toString(36).toUpperCase()}`);
+                const batch = writeBatch(db);
+                // Without the server the cost estimate can only come from the local snapshot
+                const productsById = Object.fromEntries(inventory.map(p => [p.id, p]));
+                buildSaleWrites(receiptNumber, costLinesFromLayers(cartLines, productsById, costingMethod)).forEach(({ type, ref, data }) => {
+                    if (type === 'update') batch.update(ref, data);
+                    else batch.set(ref, data);
+                });
+                // Offline the commit only settles after reconnecting, so the outbox tracks it instead of the form waiting
+                onSaleQueued({
+                    orderId: orderRef.id,
+                    receiptNumber,
+                    branchName: selectedBranch.name,
+                    amount: finalAmount,
+                    lines: cartDetails.map(line => ({ product: line.productInBranch.name, quantity: line.quantity })),
+                    stockLines: Object.entries(quantitiesByRow).map(([rowId, quantity]) => ({ rowId, quantity })),
+                    createdAt: new Date().toISOString()
+                }, batch.commit());
+            };
+
+            if (!navigator.onLine) {
+                queueSale();
+            } else {
+                try {
+                    // A transaction rather than a batch so two tills in one branch never take the same receipt number
+                    await runTransaction(db, async (transaction) => {
+                        const counterSnap = await transaction.get(counterRef);
+                        // Stock and cost layers are read again here; the list snapshot may already be stale on a busy branch
+                        const rowSnaps = await Promise.all(Object.keys(quantitiesByRow).map(rowId => transaction.get(doc(db, 'organizations', orgId, 'branchInventory', rowId))));
+                        const productIds = [...new Set(cartLines.map(line => line.productId))];
+                        const productSnaps = await Promise.all(productIds.map(productId => transaction.get(doc(db, 'organizations', orgId, 'inventory', productId))));
+
+                        const stockByRow = {};
+                        rowSnaps.forEach(snap => {
+                            const available = snap.exists() ? (snap.data().stock || 0) : 0;
+                            if (available < quantitiesByRow[snap.id]) {
+                                const line = cartDetails.find(l => l.productInBranch.branchInventoryId === snap.id);
+                                const error = new Error(`สินค้าไม่พอ! ${line.productInBranch.name} เหลือเพียง ${available} ชิ้นในสาขานี้`);
+                                error.code = 'insufficient-stock';
+                                throw error;
+                            }
+                            stockByRow[snap.id] = available;
+                        });
+                        const productsById = Object.fromEntries(productSnaps.map(snap => [snap.id, snap.exists() ? snap.data() : {}]));
+
+                        const customerSnap = customerRef ? await transaction.get(customerRef) : null;
+                        const customerPoints = customerSnap?.exists() ? customerSnap.data().points || 0 : 0;
+                        if (customerSnap && customerPoints < pointsRedeemed) {
+                            const error = new Error(`แต้มไม่พอ! ${selectedCustomer.name} มีแต้มสะสม ${customerPoints} แต้ม`);
+                            error.code = 'insufficient-points';
+                            throw error;
+                        }
 
-            setSelectedBranchId('');
+                        const receiptSequence = (counterSnap.exists() ? counterSnap.data().receipt || 0 : 0) + 1;
+                        const receiptNumber = formatDocumentNumber('R', selectedBranch, receiptSequence);
+                        buildSaleWrites(receiptNumber, costLinesFromLayers(cartLines, productsById, costingMethod), stockByRow, customerPoints).forEach(({ type, ref, data }) => {
+                            if (type === 'update') transaction.update(ref, data);
+                            else transaction.set(ref, data);
+                        });
+                        transaction.set(counterRef, { receipt: receiptSequence }, { merge: true });
+                    });
+                } catch (err) {
+                    // The connection dropped before the transaction could reach the server
+                    if (err.code !== 'unavailable') throw err;
+                    queueSale();
+                }
+            }
+
+            setSelectedBranchId(defaultBranchId);
             setSelectedProductId('');
             setQuantity(1);
             setUnitPrice('');
             setDiscount('');
+            setCartLines([]);
+            setOrderDiscount('');
             setSaleDate('');
+            setSelectedCustomerId('');
+            setPointsToRedeem('');
+            setPaymentRows([{ key: 'payment-0', method: 'cash', amount: '' }]);
+            setCashReceived('');
+            setScanMessage('');
+            if (onSaleComplete) onSaleComplete({ orderId: orderRef.id });
         } catch (err) {
             console.error("Error processing sale: ", err);
-            setError("เกิดข้อผิดพลาดในการบันทึกการขาย");
+            setError(['insufficient-stock', 'insufficient-points'].includes(err.code) ? err.message : "เกิดข้อผิดพลาดในการบันทึกการขาย");
         } finally {
             setIsSubmitting(false);
         }
     };
-    
-    const productDetails = availableProducts.find(p => p.productId === selectedProductId);
-    const totalAmount = unitPrice ? Number(unitPrice) * quantity : 0;
-    const finalAmount = totalAmount - (Number(discount) || 0);
 
     return (
         <div className="bg-white p-6 rounded-xl shadow-md mb-6">
-            <h2 className="text-xl font-bold text-gray-800 mb-4">เพิ่มรายการขายใหม่ (ตัดสต็อกตามสาขา)</h2>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-bold text-gray-800">เพิ่มรายการขายใหม่ (ตัดสต็อกตามสาขา)</h2>
+                <button type="button" onClick={() => { setIsScanMode(!isScanMode); setScanMessage(''); }} className={`py-2 px-4 text-sm font-medium rounded-md border ${isScanMode ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-600 border-indigo-600 hover:bg-indigo-50'}`}>
+                    โหมดสแกน
+                </button>
+            </div>
             <form onSubmit={handleSubmit} className="space-y-4">
                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                      <div>
                         <label htmlFor="branch" className="block text-sm font-medium text-gray-700">สาขา/จุดขาย</label>
-                        <select id="branch" value={selectedBranchId} onChange={(e) => { setSelectedBranchId(e.target.value); setSelectedProductId(''); }} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                        <select id="branch" value={selectedBranchId} onChange={handleBranchChange} disabled={Boolean(defaultBranchId)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
                             <option value="">-- เลือกสาขา --</option>
                             {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
                         </select>
                     </div>
                      <div className="lg:col-span-2">
                         <label htmlFor="product" className="block text-sm font-medium text-gray-700">สินค้า</label>
-                        <select id="product" value={selectedProductId} onChange={(e) => setSelectedProductId(e.target.value)} disabled={!selectedBranchId} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md disabled:bg-gray-100">
+                        <select id="product" value={selectedProductId} onChange={handleProductChange} disabled={!selectedBranchId} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md disabled:bg-gray-100">
                             <option value="">-- เลือกสินค้า --</option>
-                            {availableProducts.map(p => <option key={p.productId} value={p.productId} disabled={p.stock === 0}>{p.name} (คงเหลือ: {p.stock})</option>)}
+                            {sortWithVariants(availableProducts).map(p => <option key={p.productId} value={p.productId} disabled={p.stock === 0}>{p.parentId ? '\u00a0\u00a0' : ''}{p.name} (คงเหลือ: {p.stock})</option>)}
                         </select>
                     </div>
                     <div>
                         <label htmlFor="quantity" className="block text-sm font-medium text-gray-700">จำนวน</label>
-                        <input type="number" id="quantity" min="1" value={quantity} onChange={(e) => setQuantity(Number(e.target.value))} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" />
+                        <input type="number" id="quantity" min="1" step="1" value={quantity} onChange={(e) => setQuantity(Number(e.target.value))} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" />
                     </div>
                 </div>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {isScanMode && (
+                    selectedBranchId ? (
+                        <div>
+                            <BarcodeScanInput onScan={handleScan} />
+                            {scanMessage && <p className="text-green-600 text-sm mt-1">{scanMessage}</p>}
+                        </div>
+                    ) : <p className="text-sm text-gray-500">เลือกสาขาก่อนเริ่มสแกน</p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
                     <div>
                         <label htmlFor="unitPrice" className="block text-sm font-medium text-gray-700">ราคาขาย (ต่อหน่วย)</label>
-                        <input type="number" id="unitPrice" value={unitPrice} onChange={(e) => setUnitPrice(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" placeholder="0" />
+                        <input type="number" id="unitPrice" min="0" value={unitPrice} onChange={(e) => setUnitPrice(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" placeholder="0" />
+                    </div>
+                    <div>
+                        <label htmlFor="discount" className="block text-sm font-medium text-gray-700">ส่วนลดรายการ (฿)</label>
+                        <input type="number" id="discount" min="0" value={discount} onChange={(e) => setDiscount(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" placeholder="0" />
+                    </div>
+                    <div className="text-right">
+                        <button type="button" onClick={handleAddLine} disabled={!selectedProductId} className="w-full inline-flex justify-center py-2 px-4 border border-indigo-600 text-sm font-medium rounded-md text-indigo-600 bg-white hover:bg-indigo-50 disabled:text-indigo-300 disabled:border-indigo-300">
+                            เพิ่มลงตะกร้า
+                        </button>
+                    </div>
+                </div>
+
+                {cartDetails.length > 0 && (
+                    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ราคา/หน่วย</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ส่วนลด</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">รวม</th>
+                                    <th className="relative px-4 py-2"><span className="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {cartDetails.map(line => (
+                                    <tr key={line.key}>
+                                        <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                                            {line.productInBranch?.name}
+                                            {line.promotion && <span className="block text-xs font-normal text-green-600">{line.promotion.name}: ลด {formatCurrency(line.promotionDiscount)}</span>}
+                                            {getSaleLineError(line) && <span className="block text-xs font-normal text-red-500">{getSaleLineError(line)}</span>}
+                                        </td>
+                                        <td className="px-4 py-2 text-sm"><input type="number" min="1" step="1" value={line.quantity} onChange={e => handleLineChange(line.key, 'quantity', e.target.value)} className="w-20 px-2 py-1 border border-gray-300 rounded-md" /></td>
+                                        <td className="px-4 py-2 text-sm"><input type="number" min="0" value={line.unitPrice || ''} placeholder="ราคา" onChange={e => handleLineChange(line.key, 'unitPrice', e.target.value)} className={`w-24 px-2 py-1 border rounded-md ${line.unitPrice ? 'border-gray-300' : 'border-red-400'}`} /></td>
+                                        <td className="px-4 py-2 text-sm"><input type="number" min="0" value={line.discount} onChange={e => handleLineChange(line.key, 'discount', e.target.value)} className="w-24 px-2 py-1 border border-gray-300 rounded-md" /></td>
+                                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{formatCurrency(line.netAmount)}</td>
+                                        <td className="px-4 py-2 text-right text-sm"><button type="button" onClick={() => handleRemoveLine(line.key)} className="text-red-600 hover:text-red-900">ลบ</button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2">
+                        <p className="block text-sm font-medium text-gray-700 mb-1">ลูกค้าสมาชิก</p>
+                        <CustomerPicker db={db} orgId={orgId} customers={customers} selectedCustomer={selectedCustomer} onSelect={customer => { setSelectedCustomerId(customer?.id || ''); setPointsToRedeem(''); }} />
                     </div>
                     <div>
-                        <label htmlFor="discount" className="block text-sm font-medium text-gray-700">ส่วนลด (฿)</label>
-                        <input type="number" id="discount" value={discount} onChange={(e) => setDiscount(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" placeholder="0" />
+                        <label htmlFor="pointsToRedeem" className="block text-sm font-medium text-gray-700">แลกแต้ม (1 แต้ม = ฿{POINT_VALUE})</label>
+                        <input type="number" id="pointsToRedeem" min="0" max={selectedCustomer?.points || 0} value={pointsToRedeem} onChange={(e) => setPointsToRedeem(e.target.value)} disabled={!selectedCustomer || !selectedCustomer.points} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md disabled:bg-gray-100" placeholder="0" />
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="channel" className="block text-sm font-medium text-gray-700">ช่องทางการขาย</label>
+                        <select id="channel" value={selectedChannel.id} onChange={(e) => setSelectedChannelId(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                            <option value={WALK_IN_CHANNEL.id}>{WALK_IN_CHANNEL.name}</option>
+                            {channels.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="orderDiscount" className="block text-sm font-medium text-gray-700">ส่วนลดท้ายบิล (฿)</label>
+                        <input type="number" id="orderDiscount" min="0" value={orderDiscount} onChange={(e) => setOrderDiscount(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" placeholder="0" />
                     </div>
                      <div>
                         <label htmlFor="saleDate" className="block text-sm font-medium text-gray-700">วันที่ขาย</label>
                         <input type="date" id="saleDate" value={saleDate} onChange={(e) => setSaleDate(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" />
                     </div>
                 </div>
-                {productDetails && <div className="p-4 bg-indigo-50 rounded-lg text-sm grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <p><strong>ต้นทุนรวม:</strong> {formatCurrency(productDetails.cost * quantity)}</p>
-                    <p><strong>ราคารวม:</strong> <span className={discount > 0 ? 'line-through text-gray-500' : ''}>{formatCurrency(totalAmount)}</span></p>
-                    <p><strong>ยอดสุทธิ:</strong> <span className="font-bold text-indigo-600">{formatCurrency(finalAmount)}</span></p>
+                {selectedBranchId && !openShift && <p className="text-sm text-yellow-700">สาขานี้ยังไม่ได้เปิดกะ ยอดขายนี้จะไม่ถูกนับในรายงานปิดกะ</p>}
+                {cartDetails.length > 0 && <div className="p-4 bg-indigo-50 rounded-lg text-sm grid grid-cols-1 md:grid-cols-3 gap-4">
+                    {showCosts ? (
+                        <p>
+                            <strong>ต้นทุนรวม:</strong> {formatCurrency(totalCost)}
+                            {channelFeeRate > 0 && <span className="block text-red-500">ค่าธรรมเนียม {selectedChannel.name}: {formatCurrency(calculateChannelFee(finalAmount, channelFeeRate))}</span>}
+                        </p>
+                    ) : <p><strong>จำนวนสินค้า:</strong> {cartDetails.reduce((sum, line) => sum + line.quantity, 0)} ชิ้น</p>}
+                    <p>
+                        <strong>ราคารวม:</strong> <span className={subtotal !== finalAmount ? 'line-through text-gray-500' : ''}>{formatCurrency(subtotal)}</span>
+                        {promotionDiscountTotal > 0 && <span className="block text-green-600">ส่วนลดโปรโมชัน: {formatCurrency(promotionDiscountTotal)}</span>}
+                    </p>
+                    <p>
+                        <strong>ยอดสุทธิ:</strong> <span className="font-bold text-indigo-600">{formatCurrency(finalAmount)}</span>
+                        {pointsDiscount > 0 && <span className="block text-green-600">ส่วนลดจากแต้ม: {formatCurrency(pointsDiscount)}</span>}
+                        {selectedCustomer && <span className="block text-gray-600">ได้รับแต้ม {pointsEarned} แต้ม</span>}
+                    </p>
                 </div>}
+                {cartDetails.length > 0 && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <p className="text-sm font-medium text-gray-700">การชำระเงิน</p>
+                            {paymentRows.map((row, index) => (
+                                <div key={row.key} className="flex gap-2 items-center">
+                                    <select aria-label="วิธีชำระเงิน" value={row.method} onChange={e => handlePaymentRowChange(row.key, 'method', e.target.value)} className="px-3 py-2 bg-white border border-gray-300 rounded-md text-sm">
+                                        {Object.entries(PAYMENT_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                    {index === paymentRows.length - 1 ? (
+                                        <span className={`flex-grow text-sm ${payments[index].amount < 0 ? 'text-red-600' : 'text-gray-700'}`}>{paymentRows.length > 1 ? 'ส่วนที่เหลือ ' : ''}{formatCurrency(payments[index].amount)}</span>
+                                    ) : (
+                                        <input type="number" aria-label="จำนวนเงิน" min="0" value={row.amount} onChange={e => handlePaymentRowChange(row.key, 'amount', e.target.value)} placeholder="0" className="flex-grow w-full px-3 py-2 border border-gray-300 rounded-md text-sm" />
+                                    )}
+                                    {paymentRows.length > 1 && <button type="button" onClick={() => setPaymentRows(paymentRows.filter(r => r.key !== row.key))} className="text-sm text-red-600 hover:text-red-900">ลบ</button>}
+                                </div>
+                            ))}
+                            <button type="button" onClick={() => setPaymentRows([...paymentRows, { key: `payment-${Date.now()}`, method: 'transfer', amount: '' }])} className="text-sm text-indigo-600 hover:text-indigo-900">+ แบ่งชำระหลายวิธี</button>
+                            {cashDue > 0 && (
+                                <div className="flex flex-wrap gap-2 items-center pt-2">
+                                    <label htmlFor="cashReceived" className="text-sm font-medium text-gray-700">รับเงินสด (฿)</label>
+                                    <input type="number" id="cashReceived" min="0" value={cashReceived} onChange={e => setCashReceived(e.target.value)} placeholder={String(cashDue)} className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm" />
+                                    {cashReceived !== '' && (
+                                        <span className={`text-sm font-medium ${change < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                            {change < 0 ? `ขาดอีก ${formatCurrency(-change)}` : `เงินทอน ${formatCurrency(change)}`}
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                        {promptPayDue > 0 && <PromptPayQR promptPayId={promptPayId} amount={promptPayDue} />}
+                    </div>
+                )}
                 {error && <p className="text-red-500 text-sm">{error}</p>}
                 <div className="text-right">
-                    <button type="submit" disabled={isSubmitting || !selectedProductId} className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
-                        {isSubmitting ? 'กำลังบันทึก...' : 'บันทึกการขาย'}
+                    <button type="submit" disabled={isSubmitting || cartDetails.length === 0} className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                        {isSubmitting ? 'กำลังบันทึก...' : `บันทึกการขาย (${cartDetails.length} รายการ)`}
                     </button>
                 </div>
             </form>
@@ -285,9 +1837,10 @@ const AddSaleForm = ({ db, userId, inventory, branches, branchInventory }) => {
     );
 };
 
-const SalesList = ({ sales, loading }) => {
+const SalesList = ({ sales, loading, showCosts = true, onEdit, onRefund, onVoid, onReceipt }) => {
     if (loading) return <div className="text-center p-8"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-indigo-500 mx-auto"></div><p className="mt-4 text-gray-600">กำลังโหลดข้อมูล...</p></div>;
     if (sales.length === 0) return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">ยังไม่มีรายการขาย</h3></div>;
+    const showActions = Boolean(onEdit || onRefund || onVoid || onReceipt);
     return (
         <div className="bg-white rounded-xl shadow-md overflow-hidden">
             <div className="overflow-x-auto">
@@ -299,22 +1852,45 @@ const SalesList = ({ sales, loading }) => {
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ส่วนลด</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดขายสุทธิ</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ต้นทุนรวม</th>
+                            {showCosts && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ต้นทุนรวม</th>}
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ช่องทาง</th>
+                            {showActions && <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>}
                         </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
-                        {sales.map((sale) => (
-                            <tr key={sale.id} className="hover:bg-gray-50">
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(sale.date)}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{sale.product}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{sale.quantity}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-red-500">{formatCurrency(sale.discount || 0)}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">{formatCurrency(sale.amount)}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(sale.cost)}</td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{sale.salesChannel}</td>
-                            </tr>
-                        ))}
+                        {sales.map((sale) => {
+                            const voided = isSaleVoided(sale);
+                            return (
+                                <tr key={sale.id} className={`hover:bg-gray-50 ${voided ? 'text-gray-400 line-through' : ''}`}>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {formatDate(sale.date)}
+                                        {sale.receiptNumber && <span className="block text-xs text-gray-400">{sale.receiptNumber}</span>}
+                                        {sale.pending && <span className="inline-block mt-1 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">รอซิงก์</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {sale.product}
+                                        {voided && <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-200 text-gray-700">ยกเลิกแล้ว</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {sale.quantity}
+                                        {sale.refundedQuantity > 0 && <span className="ml-1 text-xs text-red-500">(คืน {sale.refundedQuantity})</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-red-500">{formatCurrency(sale.discount || 0)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">{formatCurrency(getSaleNetAmount(sale))}</td>
+                                    {showCosts && <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(getSaleNetCost(sale))}</td>}
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{sale.salesChannel}</td>
+                                    {showActions && (
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                            {onReceipt && <button onClick={() => onReceipt(sale)} className="text-gray-600 hover:text-gray-900">ใบเสร็จ</button>}
+                                            {!voided && !sale.locked && onEdit && <button onClick={() => onEdit(sale)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>}
+                                            {!voided && !sale.locked && onRefund && <button onClick={() => onRefund(sale)} className="text-yellow-600 hover:text-yellow-900">คืนเงิน</button>}
+                                            {!voided && !sale.locked && onVoid && <button onClick={() => onVoid(sale)} className="text-red-600 hover:text-red-900">ยกเลิก</button>}
+                                            {sale.locked && (onEdit || onRefund || onVoid) && <span className="text-xs text-gray-400">ปิดยอดแล้ว</span>}
+                                        </td>
+                                    )}
+                                </tr>
+                            );
+                        })}
                     </tbody>
                 </table>
             </div>
@@ -322,370 +1898,524 @@ const SalesList = ({ sales, loading }) => {
     );
 };
 
+// --- Sale Adjustment Components ---
+// Snapshot of the values an adjustment overwrites, kept on the sale so the original is never lost.
+const buildSaleAuditEntry = (sale, action, userId, details = {}) => ({
+    action,
+    userId,
+    at: new Date(),
+    previous: {
+        quantity: sale.quantity,
+        unitPrice: sale.unitPrice,
+        discount: sale.discount || 0,
+        amount: sale.amount,
+        cost: sale.cost,
+        date: sale.date || null,
+        refundedQuantity: sale.refundedQuantity || 0,
+        refundedAmount: sale.refundedAmount || 0,
+        status: sale.status || 'completed'
+    },
+    ...details
+});
 
-// --- Inventory Components ---
-const InventoryStats = ({ inventory }) => {
-    const stats = useMemo(() => {
-        const totalProducts = inventory.length;
-        const totalStockValueCost = inventory.reduce((sum, item) => sum + (item.cost * item.stock), 0);
-        const totalStockUnits = inventory.reduce((sum, item) => sum + item.stock, 0);
-        const lowStockItems = inventory.filter(item => item.stock < 5).length;
-        return { totalProducts, totalStockValueCost, totalStockUnits, lowStockItems };
-    }, [inventory]);
+// A closed day's sales are final, and an edit may not move a sale into a closed day either
+const assertDayOpen = async (transaction, db, orgId, branchId, date) => {
+    const closingSnap = await transaction.get(doc(db, 'organizations', orgId, 'dayClosings', getDayClosingId(branchId, getBusinessDay(date))));
+    if (closingSnap.exists()) {
+        const error = new Error(`ปิดยอดวันที่ ${formatDate(date)} แล้ว ไม่สามารถแก้ไขรายการขายของวันนั้นได้`);
+        error.code = 'day-closed';
+        throw error;
+    }
+};
 
-    return (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6 my-6">
-            <StatsCard title="จำนวนสินค้าทั้งหมด" value={stats.totalProducts} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A2 2 0 013 12V7a4 4 0 014-4z" /></svg>} />
-            <StatsCard title="จำนวนสินค้าในคลัง (ชิ้น)" value={stats.totalStockUnits} icon={<svg className="h-6 w-6 text-purple-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" /></svg>} />
-            <StatsCard title="มูลค่าสต็อก (ราคาซื้อ)" value={formatCurrency(stats.totalStockValueCost)} icon={<svg className="h-6 w-6 text-blue-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" /></svg>} />
-            <StatsCard title="สินค้าใกล้หมด" value={`${stats.lowStockItems} รายการ`} icon={<svg className="h-6 w-6 text-red-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" /></svg>} />
-        </div>
-    );
+// A sale queued offline has no cost layers behind it until it is costed online, so it cannot be adjusted yet
+const assertCostSettled = (sale) => {
+    if (sale.uncostedQuantity > 0) {
+        const error = new Error('รายการนี้ยังรอคำนวณต้นทุนหลังซิงก์ กรุณาลองอีกครั้งในอีกสักครู่');
+        error.code = 'cost-pending';
+        throw error;
+    }
 };
 
-const InventoryCSVUploader = ({ db, userId }) => {
-    const [isUploading, setIsUploading] = useState(false);
-    const [error, setError] = useState('');
-    const [successMessage, setSuccessMessage] = useState('');
-    const [file, setFile] = useState(null);
+// Adjustments check and write against the server's copy; the list snapshot can be behind another manager's refund or void
+const readStoredSale = async (transaction, saleRef, sale) => {
+    const saleSnap = await transaction.get(saleRef);
+    if (!saleSnap.exists() || saleSnap.data().status === 'voided') {
+        const error = new Error('รายการขายนี้ถูกยกเลิกไปแล้ว');
+        error.code = 'sale-voided';
+        throw error;
+    }
+    const data = saleSnap.data();
+    const stored = { ...sale, ...data, id: saleSnap.id, date: data.date?.toDate ? data.date.toDate() : data.date };
+    assertCostSettled(stored);
+    return stored;
+};
 
-    const handleFileChange = (e) => {
-        setError('');
-        setSuccessMessage('');
-        if (e.target.files.length) {
-            setFile(e.target.files[0]);
-        }
+// Sales rung up before the cart kept no breakdown, so their whole discount counts as the line's own
+const getSaleDiscountBreakdown = (sale) => ({
+    lineDiscount: sale.lineDiscount ?? (sale.discount || 0),
+    promotionDiscount: sale.promotionDiscount || 0,
+    orderDiscountShare: sale.orderDiscountShare || 0
+});
+
+// An edited discount changes the line's own discount first; the bill's share and the promotion only shrink when the new total is below them
+const splitEditedDiscount = (sale, discount) => {
+    const { orderDiscountShare, promotionDiscount } = getSaleDiscountBreakdown(sale);
+    const share = Math.min(orderDiscountShare, discount);
+    const promotion = Math.min(promotionDiscount, discount - share);
+    return {
+        lineDiscount: Math.round((discount - share - promotion) * 100) / 100,
+        promotionDiscount: promotion,
+        orderDiscountShare: share
     };
+};
 
-    const handleUpload = async () => {
-        if (!file) {
-            setError('กรุณาเลือกไฟล์ CSV ก่อน');
-            return;
-        }
-        setIsUploading(true);
-        setError('');
-        setSuccessMessage('');
+// Stock and cost layers are read inside the transaction so the movement log records the true balance
+const readSaleStock = async (transaction, stockRef, productRef, needsProduct) => {
+    const stockSnap = await transaction.get(stockRef);
+    const productSnap = needsProduct ? await transaction.get(productRef) : null;
+    return {
+        stock: stockSnap.exists() ? (stockSnap.data().stock || 0) : 0,
+        product: productSnap?.exists() ? productSnap.data() : null
+    };
+};
 
-        const reader = new FileReader();
-        reader.onload = async (event) => {
-            const csvData = event.target.result;
-            const lines = csvData.split('\n').filter(line => line.trim() !== '');
-            
-            if (lines.length <= 1) {
-                setError('ไฟล์ CSV ว่างเปล่าหรือมีแค่หัวข้อ');
-                setIsUploading(false);
-                return;
-            }
+// Money paid back over the counter comes out of whichever drawer is open at the sale's branch now, not the one it was rung up in
+const readOpenShiftRef = async (transaction, db, orgId, branchId) => {
+    const markerSnap = await transaction.get(doc(db, 'organizations', orgId, 'openShifts', branchId));
+    return markerSnap.exists() ? doc(db, 'organizations', orgId, 'shifts', markerSnap.data().shiftId) : null;
+};
 
-            const headers = lines[0].split(',').map(h => h.trim());
-            const requiredHeaders = ['date', 'sku', 'barcode', 'brand', 'name', 'stock', 'cost', 'shippingCost'];
-            
-            const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-            if (missingHeaders.length > 0) {
-                 setError(`ไฟล์ CSV ขาดหัวข้อที่จำเป็น: ${missingHeaders.join(', ')}`);
-                 setIsUploading(false);
-                 return;
-            }
+// Paid-out amounts are positive; an edit that raises a sale's price records what was collected as negative
+const writeShiftEvent = (transaction, shiftRef, userId, sale, type, paidOut) => {
+    if (!shiftRef) return;
+    const amount = Math.round(Object.values(paidOut).reduce((sum, value) => sum + value, 0) * 100) / 100;
+    if (amount === 0) return;
+    transaction.update(shiftRef, {
+        events: arrayUnion({
+            type,
+            saleId: sale.id,
+            amount,
+            payments: Object.fromEntries(Object.entries(paidOut).map(([method, value]) => [method, Math.round(value * 100) / 100])),
+            at: new Date(),
+            by: userId
+        })
+    });
+};
 
-            const productsToAdd = [];
-            const errors = [];
+const scaleTakings = (sale, amount) => {
+    const ratio = sale.amount ? amount / sale.amount : 0;
+    return Object.fromEntries(Object.entries(getSaleTakings(sale)).map(([method, value]) => [method, value * ratio]));
+};
 
-            for (let i = 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
-                if (values.length !== headers.length) {
-                    errors.push(`แถวที่ ${i + 1}: จำนวนคอลัมน์ไม่ตรงกับหัวข้อ`);
-                    continue;
-                }
+// Refunding part of a member's bill takes back the points it earned and gives back the points it redeemed, in the same share
+const readPointsReversal = async (transaction, db, orgId, sale, refundedAmount) => {
+    if (!sale.customerId || !sale.orderId || !(refundedAmount > 0)) return null;
+    const orderSnap = await transaction.get(doc(db, 'organizations', orgId, 'orders', sale.orderId));
+    const order = orderSnap.exists() ? orderSnap.data() : null;
+    if (!order?.amount || !(order.pointsEarned || order.pointsRedeemed)) return null;
+    const customerRef = doc(db, 'organizations', orgId, 'customers', sale.customerId);
+    const customerSnap = await transaction.get(customerRef);
+    if (!customerSnap.exists()) return null;
+    const share = Math.min(refundedAmount / order.amount, 1);
+    const change = Math.round((order.pointsRedeemed || 0) * share) - Math.round((order.pointsEarned || 0) * share);
+    return { ref: customerRef, points: Math.max((customerSnap.data().points || 0) + change, 0) };
+};
 
-                const productData = headers.reduce((obj, header, index) => {
-                    obj[header] = values[index];
-                    return obj;
-                }, {});
+const writeSaleStockChange = (transaction, db, orgId, userId, sale, { stockRef, stock, change, type }) => {
+    const balance = stock + change;
+    if (balance < 0) {
+        const error = new Error(`สินค้าไม่พอ! ${sale.branchName || ''} เหลือเพียง ${stock} ชิ้น`);
+        error.code = 'insufficient-stock';
+        throw error;
+    }
+    transaction.set(stockRef, { branchId: sale.branchId, productId: sale.productId, stock: balance }, { merge: true });
+    transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+        productId: sale.productId,
+        productName: sale.product,
+        locationId: sale.branchId,
+        locationName: sale.branchName || '',
+        type,
+        quantity: change,
+        balance,
+        userId,
+        referenceId: sale.id,
+        note: sale.receiptNumber || ''
+    }));
+};
 
-                const stock = Number(productData.stock);
-                const cost = Number(productData.cost);
-                const shippingCost = Number(productData.shippingCost) || 0;
+const updateSale = async (db, orgId, userId, sale, { quantity, unitPrice, discount, date, reason }) => {
+    if (!Number.isInteger(quantity) || quantity < 1 || unitPrice < 0 || discount < 0 || discount > unitPrice * quantity) {
+        const error = new Error("จำนวนต้องเป็นจำนวนเต็มอย่างน้อย 1 และส่วนลดต้องอยู่ระหว่าง 0 ถึงราคารวม");
+        error.code = 'invalid-sale';
+        throw error;
+    }
+    assertCostSettled(sale);
+    const amount = (unitPrice * quantity) - discount;
+    const saleRef = doc(db, 'organizations', orgId, 'sales', sale.id);
+    const stockRef = await getLocationStockRef(db, orgId, sale.branchId, sale.productId);
+    const productRef = doc(db, 'organizations', orgId, 'inventory', sale.productId);
 
-                if (isNaN(stock) || isNaN(cost)) {
-                     errors.push(`แถวที่ ${i + 1}: ข้อมูล stock หรือ cost ไม่ใช่ตัวเลข`);
-                     continue;
-                }
-                
-                productsToAdd.push({
-                    date: productData.date ? new Date(productData.date + 'T00:00:00') : new Date(),
-                    sku: productData.sku || '',
-                    barcode: productData.barcode || '',
-                    brand: productData.brand || '',
-                    name: productData.name || `สินค้าแถวที่ ${i+1}`,
-                    stock,
-                    cost,
-                    price: 0, // Price is set per sale, not in inventory
-                    shippingCost,
-                });
-            }
+    await runTransaction(db, async (transaction) => {
+        const current = await readStoredSale(transaction, saleRef, sale);
+        if (quantity < (current.refundedQuantity || 0)) {
+            const error = new Error(`จำนวนต้องไม่น้อยกว่าจำนวนที่คืนไปแล้ว (${current.refundedQuantity} ชิ้น)`);
+            error.code = 'invalid-sale';
+            throw error;
+        }
+        await assertDayOpen(transaction, db, orgId, current.branchId, current.date);
+        await assertDayOpen(transaction, db, orgId, current.branchId, date);
+        const { stock, product } = await readSaleStock(transaction, stockRef, productRef, quantity !== current.quantity);
+        const orderRef = current.orderId ? doc(db, 'organizations', orgId, 'orders', current.orderId) : null;
+        const orderSnap = orderRef ? await transaction.get(orderRef) : null;
+        const order = orderSnap?.exists() ? orderSnap.data() : null;
+        const siblingSnaps = order ? await Promise.all(order.lines
+            .filter(line => line.saleId !== sale.id)
+            .map(line => transaction.get(doc(db, 'organizations', orgId, 'sales', line.saleId)))) : [];
+        const shiftRef = amount !== current.amount ? await readOpenShiftRef(transaction, db, orgId, current.branchId) : null;
+        const customerRef = order?.customerId && amount !== current.amount ? doc(db, 'organizations', orgId, 'customers', order.customerId) : null;
+        const customerSnap = customerRef ? await transaction.get(customerRef) : null;
 
-            if (errors.length > 0) {
-                setError(`พบข้อผิดพลาดในไฟล์:\n${errors.join('\n')}`);
-                setIsUploading(false);
-                return;
-            }
+        const unitCost = current.quantity ? current.cost / current.quantity : 0;
+        let cost = unitCost * quantity;
+        let costUpdate = null;
+        if (product && quantity > current.quantity) {
+            const consumption = consumeCostLayers(product, quantity - current.quantity, current.costMethod || 'average');
+            cost = current.cost + consumption.cost;
+            costUpdate = { costLayers: consumption.costLayers, averageCost: consumption.averageCost };
+        } else if (product && quantity < current.quantity) {
+            costUpdate = returnToCostLayers(product, current.quantity - quantity, unitCost);
+        }
 
-            if (productsToAdd.length === 0) {
-                setError('ไม่พบข้อมูลสินค้าที่ถูกต้องในไฟล์ CSV');
-                setIsUploading(false);
-                return;
+        if (quantity !== current.quantity) {
+            writeSaleStockChange(transaction, db, orgId, userId, current, { stockRef, stock, change: current.quantity - quantity, type: 'sale-edit' });
+        }
+        const channelFee = current.channelFeeRate ? calculateChannelFee(amount, current.channelFeeRate) : current.channelFee;
+        const breakdown = splitEditedDiscount(current, discount);
+        // What was paid by each method moves with the amount, so shift reports still add up
+        const paymentRatio = current.amount ? amount / current.amount : 1;
+        // A sale rung up in the open shift is already counted there at its new amount
+        if (shiftRef && shiftRef.id !== current.shiftId) {
+            const before = getSaleTakings(current);
+            const after = getSaleTakings({ ...current, amount, payments: scalePayments(current.payments, paymentRatio) });
+            writeShiftEvent(transaction, shiftRef, userId, current, 'edit', Object.fromEntries(Object.keys(before).map(method => [method, before[method] - (after[method] || 0)])));
+        }
+        transaction.update(saleRef, {
+            quantity,
+            unitPrice,
+            discount,
+            ...breakdown,
+            amount,
+            cost,
+            ...(current.channelFeeRate ? { channelFee } : {}),
+            ...(current.payments?.length ? { payments: scalePayments(current.payments, paymentRatio) } : {}),
+            date,
+            businessDay: getBusinessDay(date),
+            auditTrail: arrayUnion(buildSaleAuditEntry(current, 'edit', userId, { reason: reason || '' }))
+        });
+        // Receipts and tax invoices are reprinted from the order, so its lines and totals are rebuilt from every sale on it
+        if (order) {
+            const siblings = Object.fromEntries(siblingSnaps.filter(snap => snap.exists()).map(snap => [snap.id, snap.data()]));
+            const lines = order.lines.map(line => (line.saleId === sale.id ? {
+                ...line,
+                quantity,
+                unitPrice,
+                discount,
+                amount,
+                cost,
+                ...(line.channelFee !== undefined ? { channelFee: channelFee || 0 } : {})
+            } : line));
+            const breakdowns = order.lines.map(line => (line.saleId === sale.id ? breakdown : getSaleDiscountBreakdown(siblings[line.saleId] || line)));
+            const sumOf = (field) => Math.round(breakdowns.reduce((sum, item) => sum + item[field], 0) * 100) / 100;
+            // Redeemed points and the bill discount were shared out together; points keep their part while the share covers it
+            const billShare = sumOf('orderDiscountShare');
+            const pointsDiscount = Math.min(order.pointsDiscount || 0, billShare);
+            const orderAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+            // A member earns on what the bill comes to now; the balance moves by the difference, as a refund would move it
+            const pointsEarned = customerRef ? calculatePointsEarned(orderAmount) : order.pointsEarned;
+            if (customerSnap?.exists() && pointsEarned !== (order.pointsEarned || 0)) {
+                transaction.update(customerRef, { points: Math.max((customerSnap.data().points || 0) + pointsEarned - (order.pointsEarned || 0), 0) });
             }
+            transaction.update(orderRef, {
+                lines,
+                subtotal: lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0),
+                lineDiscount: sumOf('lineDiscount'),
+                promotionDiscount: sumOf('promotionDiscount'),
+                orderDiscount: Math.round((billShare - pointsDiscount) * 100) / 100,
+                pointsDiscount,
+                amount: orderAmount,
+                ...(customerRef ? { pointsEarned } : {}),
+                cost: lines.reduce((sum, line) => sum + line.cost, 0),
+                ...(order.channelFee !== undefined ? { channelFee: Math.round(lines.reduce((sum, line) => sum + (line.channelFee || 0), 0) * 100) / 100 } : {}),
+                ...(order.payments?.length && order.amount ? { payments: scalePayments(order.payments, orderAmount / order.amount) } : {})
+            });
+        }
+        if (costUpdate) {
+            transaction.update(productRef, costUpdate);
+        }
+    });
+};
 
-            try {
-                const inventoryCollection = collection(db, 'users', userId, 'inventory');
-                const batch = writeBatch(db);
-                
-                productsToAdd.forEach(product => {
-                    const docRef = doc(inventoryCollection);
-                    batch.set(docRef, product);
-                });
+const refundSale = async (db, orgId, userId, sale, { quantity, amount, reason }) => {
+    assertCostSettled(sale);
+    const saleRef = doc(db, 'organizations', orgId, 'sales', sale.id);
+    const stockRef = await getLocationStockRef(db, orgId, sale.branchId, sale.productId);
+    const productRef = doc(db, 'organizations', orgId, 'inventory', sale.productId);
 
-                await batch.commit();
-                setSuccessMessage(`เพิ่มสินค้าจำนวน ${productsToAdd.length} รายการสำเร็จ!`);
-                setFile(null);
-                document.getElementById('csv-file-input').value = '';
+    await runTransaction(db, async (transaction) => {
+        const current = await readStoredSale(transaction, saleRef, sale);
+        const refundableQuantity = current.quantity - (current.refundedQuantity || 0);
+        const refundableAmount = Math.round((current.amount - (current.refundedAmount || 0)) * 100) / 100;
+        if (!Number.isInteger(quantity) || quantity < 0 || quantity > refundableQuantity || !(amount > 0) || amount > refundableAmount) {
+            const error = new Error(`คืนได้ไม่เกิน ${refundableQuantity} ชิ้น และไม่เกิน ${formatCurrency(refundableAmount)}`);
+            error.code = 'invalid-refund';
+            throw error;
+        }
+        await assertDayOpen(transaction, db, orgId, current.branchId, current.date);
+        const { stock, product } = await readSaleStock(transaction, stockRef, productRef, quantity > 0);
+        const pointsReversal = await readPointsReversal(transaction, db, orgId, current, amount);
+        const shiftRef = await readOpenShiftRef(transaction, db, orgId, current.branchId);
 
-            } catch (err) {
-                console.error("Error batch writing from CSV: ", err);
-                setError('เกิดข้อผิดพลาดในการบันทึกข้อมูล');
-            } finally {
-                setIsUploading(false);
-            }
-        };
+        if (quantity > 0) {
+            writeSaleStockChange(transaction, db, orgId, userId, current, { stockRef, stock, change: quantity, type: 'refund' });
+        }
+        writeShiftEvent(transaction, shiftRef, userId, current, 'refund', scaleTakings(current, amount));
+        if (pointsReversal) {
+            transaction.update(pointsReversal.ref, { points: pointsReversal.points });
+        }
+        transaction.update(saleRef, {
+            refundedQuantity: increment(quantity),
+            refundedAmount: increment(amount),
+            auditTrail: arrayUnion(buildSaleAuditEntry(current, 'refund', userId, { quantity, amount, reason: reason || '' }))
+        });
+        if (product) {
+            transaction.update(productRef, returnToCostLayers(product, quantity, current.cost / current.quantity));
+        }
+    });
+};
 
-        reader.onerror = () => {
-             setError('ไม่สามารถอ่านไฟล์ได้');
-             setIsUploading(false);
-        };
+const voidSale = async (db, orgId, userId, sale, { reason }) => {
+    assertCostSettled(sale);
+    const saleRef = doc(db, 'organizations', orgId, 'sales', sale.id);
+    const stockRef = await getLocationStockRef(db, orgId, sale.branchId, sale.productId);
+    const productRef = doc(db, 'organizations', orgId, 'inventory', sale.productId);
 
-        reader.readAsText(file, 'UTF-8');
-    };
+    await runTransaction(db, async (transaction) => {
+        const current = await readStoredSale(transaction, saleRef, sale);
+        const quantityToRestore = current.quantity - (current.refundedQuantity || 0);
+        await assertDayOpen(transaction, db, orgId, current.branchId, current.date);
+        const { stock, product } = await readSaleStock(transaction, stockRef, productRef, quantityToRestore > 0);
+        // Whatever an earlier partial refund already settled is left alone
+        const pointsReversal = await readPointsReversal(transaction, db, orgId, current, current.amount - (current.refundedAmount || 0));
+        const shiftRef = await readOpenShiftRef(transaction, db, orgId, current.branchId);
 
-    return (
-        <div className="bg-gray-50 p-6 rounded-xl shadow-md mb-6 border-t-4 border-indigo-300">
-            <h2 className="text-xl font-bold text-gray-800 mb-2">เพิ่มสินค้าจำนวนมาก (Upload CSV)</h2>
-            <p className="text-sm text-gray-600 mb-4">
-                เตรียมไฟล์ CSV ของคุณโดยมีหัวข้อคอลัมน์ดังนี้: 
-                <code className="text-xs bg-gray-200 p-1 rounded">date,sku,barcode,brand,name,stock,cost,shippingCost</code>
-            </p>
-            <div className="flex flex-col sm:flex-row items-center gap-4">
-                <input 
-                    type="file" 
-                    id="csv-file-input"
-                    accept=".csv" 
-                    onChange={handleFileChange}
-                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
-                />
-                <button 
-                    onClick={handleUpload} 
-                    disabled={isUploading || !file}
-                    className="w-full sm:w-auto inline-flex justify-center py-2 px-6 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 disabled:cursor-not-allowed"
-                >
-                    {isUploading ? 'กำลังอัปโหลด...' : 'อัปโหลด'}
-                </button>
-            </div>
-            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
-            {successMessage && <p className="text-green-600 text-sm mt-2">{successMessage}</p>}
-        </div>
-    );
+        if (quantityToRestore > 0) {
+            writeSaleStockChange(transaction, db, orgId, userId, current, { stockRef, stock, change: quantityToRestore, type: 'void' });
+        }
+        writeShiftEvent(transaction, shiftRef, userId, current, 'void', scaleTakings(current, current.amount - (current.refundedAmount || 0)));
+        if (pointsReversal) {
+            transaction.update(pointsReversal.ref, { points: pointsReversal.points });
+        }
+        transaction.update(saleRef, {
+            status: 'voided',
+            voidedAt: new Date(),
+            auditTrail: arrayUnion(buildSaleAuditEntry(current, 'void', userId, { reason: reason || '' }))
+        });
+        if (product) {
+            transaction.update(productRef, returnToCostLayers(product, quantityToRestore, current.cost / current.quantity));
+        }
+    });
 };
 
-const AddInventoryForm = ({ db, userId }) => {
-    const [name, setName] = useState('');
-    const [brand, setBrand] = useState('');
-    const [stock, setStock] = useState('');
-    const [cost, setCost] = useState('');
-    const [shippingCost, setShippingCost] = useState('');
-    const [dateAdded, setDateAdded] = useState('');
-    const [sku, setSku] = useState('');
-    const [barcode, setBarcode] = useState('');
+const EditSaleModal = ({ sale, db, orgId, userId, branchInventory, onClose }) => {
+    const [quantity, setQuantity] = useState(sale.quantity);
+    const [unitPrice, setUnitPrice] = useState(sale.unitPrice);
+    const [discount, setDiscount] = useState(sale.discount || '');
+    const [date, setDate] = useState(sale.date ? getBusinessDay(sale.date) : '');
+    const [reason, setReason] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
-    const [error, setError] = useState('');
+    const [error, setError] = useState(null);
+
+    const branchStock = branchInventory.find(item => item.branchId === sale.branchId && item.productId === sale.productId)?.stock || 0;
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!name || !stock || !cost || !userId) {
-            setError("กรุณากรอกข้อมูลให้ครบ: ชื่อ, จำนวน, และราคาซื้อ");
+        const newQuantity = Number(quantity);
+        const newUnitPrice = Number(unitPrice);
+        const newDiscount = Number(discount) || 0;
+        if (!Number.isInteger(newQuantity) || newQuantity < 1 || !(newUnitPrice > 0)) {
+            setError("กรุณากรอกจำนวน (จำนวนเต็ม) และราคาขายให้ถูกต้อง");
+            return;
+        }
+        if (newDiscount < 0 || newDiscount > newUnitPrice * newQuantity) {
+            setError("ส่วนลดต้องไม่ติดลบและไม่เกินราคารวม");
             return;
         }
+        if (newQuantity < (sale.refundedQuantity || 0)) {
+            setError(`จำนวนต้องไม่น้อยกว่าจำนวนที่คืนไปแล้ว (${sale.refundedQuantity} ชิ้น)`);
+            return;
+        }
+        if (newQuantity - sale.quantity > branchStock) {
+            setError(`สินค้าไม่พอ! เหลือเพียง ${branchStock} ชิ้นในสาขานี้`);
+            return;
+        }
+
         setIsSubmitting(true);
-        setError('');
+        setError(null);
         try {
-            const inventoryCollection = collection(db, 'users', userId, 'inventory');
-            const dateToStore = dateAdded ? new Date(dateAdded + 'T00:00:00') : new Date();
-            await addDoc(inventoryCollection, {
-                name,
-                brand,
-                stock: Number(stock),
-                price: 0, // Price is set per sale
-                cost: Number(cost),
-                shippingCost: Number(shippingCost) || 0,
-                date: dateToStore,
-                sku,
-                barcode,
+            await updateSale(db, orgId, userId, sale, {
+                quantity: newQuantity,
+                unitPrice: newUnitPrice,
+                discount: newDiscount,
+                date: date && (!sale.date || date !== getBusinessDay(sale.date)) ? fromBusinessDay(date) : sale.date,
+                reason
             });
-            setName('');
-            setBrand('');
-            setStock('');
-            setCost('');
-            setShippingCost('');
-            setDateAdded('');
-            setSku('');
-            setBarcode('');
+            onClose();
         } catch (err) {
-            console.error("Error adding inventory: ", err);
-            setError("ไม่สามารถเพิ่มสินค้าได้");
+            console.error("Error updating sale: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['insufficient-stock', 'day-closed', 'invalid-sale', 'cost-pending', 'sale-voided'].includes(err.code) ? err.message : "เกิดข้อผิดพลาดในการแก้ไขรายการขาย");
         } finally {
             setIsSubmitting(false);
         }
     };
 
     return (
-        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
-            <h2 className="text-xl font-bold text-gray-800 mb-4">เพิ่มสินค้าทีละรายการ</h2>
-            <form onSubmit={handleSubmit} className="space-y-4">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <div>
-                        <label htmlFor="inv-date" className="block text-sm font-medium text-gray-700">วันที่เพิ่ม</label>
-                        <input type="date" id="inv-date" value={dateAdded} onChange={e => setDateAdded(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
-                    </div>
-                    <div>
-                        <label htmlFor="inv-sku" className="block text-sm font-medium text-gray-700">SKU</label>
-                        <input type="text" id="inv-sku" value={sku} onChange={e => setSku(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="รหัสสินค้า" />
-                    </div>
-                    <div>
-                        <label htmlFor="inv-barcode" className="block text-sm font-medium text-gray-700">Barcode</label>
-                        <input type="text" id="inv-barcode" value={barcode} onChange={e => setBarcode(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="รหัสบาร์โค้ด" />
-                    </div>
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <div>
-                        <label htmlFor="inv-brand" className="block text-sm font-medium text-gray-700">แบรนด์</label>
-                        <input type="text" id="inv-brand" value={brand} onChange={e => setBrand(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น No-Brand" />
-                    </div>
-                    <div className="md:col-span-2">
-                        <label htmlFor="inv-name" className="block text-sm font-medium text-gray-700">ชื่อสินค้า</label>
-                        <input type="text" id="inv-name" value={name} onChange={e => setName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น เสื้อยืดลายแมว" />
-                    </div>
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
-                    <div>
-                        <label htmlFor="inv-stock" className="block text-sm font-medium text-gray-700">จำนวน</label>
-                        <input type="number" id="inv-stock" value={stock} onChange={e => setStock(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="100" />
-                    </div>
-                    <div>
-                        <label htmlFor="inv-cost" className="block text-sm font-medium text-gray-700">ราคาซื้อ (ต่อหน่วย)</label>
-                        <input type="number" id="inv-cost" value={cost} onChange={e => setCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="150" />
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">แก้ไขรายการขาย: {sale.product}</h3>
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="edit-sale-date" className="block text-sm font-medium text-gray-700">วันที่ขาย</label>
+                                <input type="date" id="edit-sale-date" value={date} onChange={e => setDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-sale-quantity" className="block text-sm font-medium text-gray-700">จำนวน</label>
+                                <input type="number" id="edit-sale-quantity" min="1" step="1" value={quantity} onChange={e => setQuantity(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-sale-price" className="block text-sm font-medium text-gray-700">ราคาขาย (ต่อหน่วย)</label>
+                                <input type="number" id="edit-sale-price" min="0" value={unitPrice} onChange={e => setUnitPrice(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-sale-discount" className="block text-sm font-medium text-gray-700">ส่วนลด (฿)</label>
+                                <input type="number" id="edit-sale-discount" min="0" value={discount} onChange={e => setDiscount(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-sale-reason" className="block text-sm font-medium text-gray-700">เหตุผลที่แก้ไข</label>
+                                <input type="text" id="edit-sale-reason" value={reason} onChange={e => setReason(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น พิมพ์จำนวนผิด" />
+                            </div>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
                     </div>
-                     <div>
-                        <label htmlFor="inv-shipping" className="block text-sm font-medium text-gray-700">ค่าขนส่ง (รวม)</label>
-                        <input type="number" id="inv-shipping" value={shippingCost} onChange={e => setShippingCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="500" />
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
                     </div>
-                </div>
-                 <div className="text-right">
-                    <button type="submit" disabled={isSubmitting} className="w-full md:w-auto inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
-                        {isSubmitting ? 'กำลังเพิ่ม...' : 'เพิ่มสินค้า'}
-                    </button>
-                </div>
-            </form>
-            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                </form>
+            </div>
         </div>
     );
 };
 
-const InventoryList = ({ inventory, db, userId, loading, onEdit }) => {
-    const handleDelete = async (id) => {
-        if (!userId) return;
+const RefundSaleModal = ({ sale, db, orgId, userId, onClose }) => {
+    const refundableQuantity = sale.quantity - (sale.refundedQuantity || 0);
+    const refundableAmount = sale.amount - (sale.refundedAmount || 0);
+    const [quantity, setQuantity] = useState(refundableQuantity);
+    const [amount, setAmount] = useState(refundableAmount);
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleQuantityChange = (e) => {
+        const value = e.target.value;
+        setQuantity(value);
+        // Suggest a refund proportional to the net price paid per unit
+        setAmount(sale.quantity ? Math.round((sale.amount / sale.quantity) * Number(value) * 100) / 100 : 0);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const refundQuantity = Number(quantity) || 0;
+        const refundAmount = Number(amount) || 0;
+        if (!Number.isInteger(refundQuantity) || refundQuantity < 0 || refundQuantity > refundableQuantity) {
+            setError(`จำนวนที่คืนต้องเป็นจำนวนเต็ม และไม่เกิน ${refundableQuantity} ชิ้น`);
+            return;
+        }
+        if (refundAmount <= 0 || refundAmount > refundableAmount) {
+            setError(`ยอดคืนเงินต้องมากกว่า 0 และไม่เกิน ${formatCurrency(refundableAmount)}`);
+            return;
+        }
+
+        setIsSubmitting(true);
+        setError(null);
         try {
-            await deleteDoc(doc(db, 'users', userId, 'inventory', id));
-        } catch (error) {
-            console.error("Error deleting inventory item: ", error);
+            await refundSale(db, orgId, userId, sale, { quantity: refundQuantity, amount: refundAmount, reason });
+            onClose();
+        } catch (err) {
+            console.error("Error refunding sale: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['day-closed', 'cost-pending', 'sale-voided', 'invalid-refund'].includes(err.code) ? err.message : "เกิดข้อผิดพลาดในการคืนเงิน");
+        } finally {
+            setIsSubmitting(false);
         }
     };
-    if (loading) return <div className="text-center p-8"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-indigo-500 mx-auto"></div><p className="mt-4 text-gray-600">กำลังโหลดข้อมูล...</p></div>;
-    if (inventory.length === 0) return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">ยังไม่มีสินค้าในสต็อก</h3></div>;
+
     return (
-        <div className="bg-white rounded-xl shadow-md overflow-hidden">
-            <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                        <tr>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่เพิ่ม</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Barcode</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">แบรนด์</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ชื่อสินค้า</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">คงเหลือ</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ราคาซื้อ</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ค่าขนส่ง</th>
-                            <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
-                        </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                        {inventory.map((item) => {
-                            const stockClass = item.stock < 5 ? 'bg-red-100 text-red-800' : item.stock < 10 ? 'bg-yellow-100 text-yellow-800' : '';
-                            return (
-                                <tr key={item.id} className="hover:bg-gray-50">
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(item.date)}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.sku || '-'}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.barcode || '-'}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.brand || '-'}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{item.name}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${stockClass}`}>
-                                            {item.stock}
-                                        </span>
-                                    </td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(item.cost)}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(item.shippingCost || 0)}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                                        <button onClick={() => onEdit(item)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>
-                                        <button onClick={() => handleDelete(item.id)} className="text-red-600 hover:text-red-900">ลบ</button>
-                                    </td>
-                                </tr>
-                            );
-                        })}
-                    </tbody>
-                </table>
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">คืนเงิน: {sale.product}</h3>
+                        <p className="text-sm text-gray-500 mt-1">คืนได้อีก {refundableQuantity} ชิ้น / {formatCurrency(refundableAmount)}</p>
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="refund-quantity" className="block text-sm font-medium text-gray-700">จำนวนสินค้าที่คืนเข้าสต็อก</label>
+                                <input type="number" id="refund-quantity" min="0" step="1" max={refundableQuantity} value={quantity} onChange={handleQuantityChange} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="refund-amount" className="block text-sm font-medium text-gray-700">ยอดคืนเงิน (฿)</label>
+                                <input type="number" id="refund-amount" value={amount} onChange={e => setAmount(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="refund-reason" className="block text-sm font-medium text-gray-700">เหตุผล</label>
+                                <input type="text" id="refund-reason" value={reason} onChange={e => setReason(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น สินค้าชำรุด" />
+                            </div>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 disabled:bg-yellow-300">ยืนยันคืนเงิน</button>
+                    </div>
+                </form>
             </div>
         </div>
     );
 };
 
-const EditInventoryModal = ({ item, db, userId, onClose }) => {
-    const [name, setName] = useState(item.name);
-    const [brand, setBrand] = useState(item.brand || '');
-    const [stock, setStock] = useState(item.stock);
-    const [cost, setCost] = useState(item.cost);
-    const [shippingCost, setShippingCost] = useState(item.shippingCost || '');
-    const [date, setDate] = useState(item.date ? new Date(item.date.toDate()).toISOString().split('T')[0] : '');
-    const [sku, setSku] = useState(item.sku || '');
-    const [barcode, setBarcode] = useState(item.barcode || '');
+const VoidSaleModal = ({ sale, db, orgId, userId, onClose }) => {
+    const [reason, setReason] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        if (!reason) {
+            setError("กรุณาระบุเหตุผลที่ยกเลิก");
+            return;
+        }
         setIsSubmitting(true);
-        const itemRef = doc(db, 'users', userId, 'inventory', item.id);
+        setError(null);
         try {
-            await updateDoc(itemRef, {
-                name,
-                brand,
-                stock: Number(stock),
-                cost: Number(cost),
-                shippingCost: Number(shippingCost) || 0,
-                date: new Date(date + 'T00:00:00'),
-                sku,
-                barcode,
-            });
+            await voidSale(db, orgId, userId, sale, { reason });
             onClose();
-        } catch (error) {
-            console.error("Error updating inventory: ", error);
+        } catch (err) {
+            console.error("Error voiding sale: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['day-closed', 'cost-pending', 'sale-voided'].includes(err.code) ? err.message : "เกิดข้อผิดพลาดในการยกเลิกรายการขาย");
         } finally {
             setIsSubmitting(false);
         }
@@ -696,178 +2426,5943 @@ const EditInventoryModal = ({ item, db, userId, onClose }) => {
             <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
                 <form onSubmit={handleSubmit}>
                     <div className="p-6">
-                        <h3 className="text-lg font-medium text-gray-900">แก้ไข: {item.name}</h3>
-                        <div className="mt-4 space-y-4">
-                            <div>
-                                <label htmlFor="edit-date" className="block text-sm font-medium text-gray-700">วันที่เพิ่ม</label>
-                                <input type="date" id="edit-date" value={date} onChange={e => setDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
-                            </div>
-                             <div>
-                                <label htmlFor="edit-sku" className="block text-sm font-medium text-gray-700">SKU</label>
-                                <input type="text" id="edit-sku" value={sku} onChange={e => setSku(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
-                            </div>
+                        <h3 className="text-lg font-medium text-gray-900">ยกเลิกรายการขาย: {sale.product}</h3>
+                        <p className="text-sm text-gray-500 mt-1">
+                            สินค้า {sale.quantity - (sale.refundedQuantity || 0)} ชิ้นจะถูกคืนเข้าสต็อกสาขา {sale.branchName} และยอดขายนี้จะไม่ถูกนับในรายงาน
+                        </p>
+                        <div className="mt-4">
+                            <label htmlFor="void-reason" className="block text-sm font-medium text-gray-700">เหตุผล</label>
+                            <input type="text" id="void-reason" value={reason} onChange={e => setReason(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น บันทึกซ้ำ" />
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ปิด</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:bg-red-300">ยืนยันยกเลิก</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Receipt Components ---
+const VAT_RATE = 0.07;
+
+const RECEIPT_PAPER_SIZES = {
+    '58mm': { label: 'กระดาษความร้อน 58 มม.', width: 58 },
+    '80mm': { label: 'กระดาษความร้อน 80 มม.', width: 80 },
+    a4: { label: 'A4', width: 210 },
+};
+
+// Receipts and tax invoices run their own sequences per branch, e.g. R00001-000042 and INV00001-000007
+const formatDocumentNumber = (type, branch, sequence) => {
+    const prefix = branch.taxBranchCode || branch.id.slice(0, 4).toUpperCase();
+    return `${type}${prefix}-${String(sequence).padStart(6, '0')}`;
+};
+
+// The Revenue Department identifies the head office as 00000 and other places of business by their registered number
+const getTaxBranchLabel = (branch) => {
+    const code = branch?.taxBranchCode || '00000';
+    return code === '00000' ? 'สำนักงานใหญ่' : `สาขาที่ ${code}`;
+};
+
+// Shelf prices already include VAT, so the tax is backed out of the total rather than added on top
+const splitVat = (amount) => {
+    const vat = Math.round(amount * VAT_RATE / (1 + VAT_RATE) * 100) / 100;
+    return { net: Math.round((amount - vat) * 100) / 100, vat };
+};
+
+// Sales recorded before orders existed are printed as a one-line order
+const buildReceiptOrder = (order, sale) => {
+    if (order) return order;
+    return {
+        id: null,
+        branchId: sale.branchId,
+        branchName: sale.branchName,
+        receiptNumber: sale.receiptNumber || null,
+        date: sale.date,
+        lines: [{ saleId: sale.id, product: sale.product, quantity: sale.quantity, unitPrice: sale.unitPrice, discount: sale.discount || 0, amount: sale.amount, promotionName: sale.promotionName }],
+        subtotal: sale.unitPrice * sale.quantity,
+        lineDiscount: sale.discount || 0,
+        orderDiscount: 0,
+        amount: sale.amount,
+        payments: sale.payments || []
+    };
+};
+
+// A full tax invoice takes the next number in the branch's INV sequence once; reprints reuse it
+const issueTaxInvoice = async (db, orgId, orderId, branch, buyer) => {
+    const orderRef = doc(db, 'organizations', orgId, 'orders', orderId);
+    const counterRef = doc(db, 'organizations', orgId, 'receiptCounters', branch.id);
+    return runTransaction(db, async (transaction) => {
+        const orderSnap = await transaction.get(orderRef);
+        const counterSnap = await transaction.get(counterRef);
+        if (orderSnap.data().taxInvoice) return orderSnap.data().taxInvoice;
+        const sequence = (counterSnap.exists() ? counterSnap.data().taxInvoice || 0 : 0) + 1;
+        const taxInvoice = { number: formatDocumentNumber('INV', branch, sequence), buyer, issuedAt: new Date() };
+        transaction.set(counterRef, { taxInvoice: sequence }, { merge: true });
+        transaction.update(orderRef, { taxInvoice });
+        return taxInvoice;
+    });
+};
+
+const ReceiptDocument = React.forwardRef(({ order, seller, branch, paperSize, salesById }, ref) => {
+    const isThermal = paperSize !== 'a4';
+    const taxInvoice = order.taxInvoice;
+    const lines = order.lines.map(line => {
+        const sale = salesById[line.saleId];
+        return { ...line, voided: sale ? isSaleVoided(sale) : false, refundedAmount: sale?.refundedAmount || 0 };
+    });
+    const activeLines = lines.filter(line => !line.voided);
+    const refundedTotal = activeLines.reduce((sum, line) => sum + line.refundedAmount, 0);
+    const total = activeLines.reduce((sum, line) => sum + line.amount, 0) - refundedTotal;
+    const { net, vat } = splitVat(total);
+    const title = taxInvoice
+        ? 'ใบกำกับภาษี / ใบเสร็จรับเงิน'
+        : seller.vatRegistered ? 'ใบเสร็จรับเงิน / ใบกำกับภาษีอย่างย่อ' : 'ใบเสร็จรับเงิน';
+
+    return (
+        <div ref={ref} className={`receipt-print bg-white text-black ${isThermal ? 'text-xs p-2' : 'text-sm p-8'}`} style={{ width: `${RECEIPT_PAPER_SIZES[paperSize].width}mm` }}>
+            <div className="text-center space-y-0.5">
+                <p className={`font-bold ${isThermal ? 'text-sm' : 'text-lg'}`}>{seller.legalName || 'ร้านค้า'}</p>
+                {seller.address && <p className="whitespace-pre-line">{seller.address}</p>}
+                {seller.taxId && <p>เลขประจำตัวผู้เสียภาษี {seller.taxId} ({getTaxBranchLabel(branch)})</p>}
+                {seller.phone && <p>โทร {seller.phone}</p>}
+                <p>{order.branchName}</p>
+                <p className={`font-bold pt-1 ${isThermal ? '' : 'text-base'}`}>{title}</p>
+            </div>
+            <div className="flex justify-between mt-2">
+                <span>เลขที่ {taxInvoice ? taxInvoice.number : (order.receiptNumber || '-')}</span>
+                <span>{formatDate(taxInvoice ? taxInvoice.issuedAt : order.date)}</span>
+            </div>
+            {taxInvoice && order.receiptNumber && <p>อ้างอิงใบเสร็จ {order.receiptNumber}</p>}
+            {taxInvoice && (
+                <div className="mt-2 border-t border-dashed border-gray-400 pt-1">
+                    <p>ผู้ซื้อ: {taxInvoice.buyer.name}</p>
+                    <p className="whitespace-pre-line">ที่อยู่: {taxInvoice.buyer.address}</p>
+                    {taxInvoice.buyer.taxId && <p>เลขประจำตัวผู้เสียภาษี {taxInvoice.buyer.taxId} ({taxInvoice.buyer.branchLabel || 'สำนักงานใหญ่'})</p>}
+                </div>
+            )}
+            <table className="w-full mt-2 border-t border-dashed border-gray-400">
+                <tbody>
+                    {lines.map((line, index) => (
+                        <tr key={index} className={line.voided ? 'line-through text-gray-500' : ''}>
+                            <td className="py-0.5 pr-1 align-top">
+                                {line.product}
+                                <div className="text-gray-600">{line.quantity} x {formatCurrency(line.unitPrice)}{line.discount > 0 ? ` ลด ${formatCurrency(line.discount)}` : ''}</div>
+                                {line.promotionName && <div className="text-gray-600">{line.promotionName}</div>}
+                            </td>
+                            <td className="py-0.5 text-right align-top whitespace-nowrap">{formatCurrency(line.amount)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="border-t border-dashed border-gray-400 mt-1 pt-1 space-y-0.5">
+                {lines.some(line => line.voided) && <p className="text-center">รายการที่ขีดฆ่าถูกยกเลิกแล้ว</p>}
+                {refundedTotal > 0 && <div className="flex justify-between"><span>คืนเงิน</span><span>-{formatCurrency(refundedTotal)}</span></div>}
+                {seller.vatRegistered && (
+                    <>
+                        <div className="flex justify-between"><span>มูลค่าสินค้าก่อนภาษี</span><span>{formatCurrency(net)}</span></div>
+                        <div className="flex justify-between"><span>ภาษีมูลค่าเพิ่ม {VAT_RATE * 100}%</span><span>{formatCurrency(vat)}</span></div>
+                    </>
+                )}
+                <div className={`flex justify-between font-bold ${isThermal ? 'text-sm' : 'text-base'}`}><span>รวมทั้งสิ้น</span><span>{formatCurrency(total)}</span></div>
+                {(order.payments || []).map(payment => (
+                    <div key={payment.method} className="flex justify-between"><span>{getPaymentMethodLabel(payment.method)}</span><span>{formatCurrency(payment.amount)}</span></div>
+                ))}
+                {order.cashReceived > 0 && (
+                    <>
+                        <div className="flex justify-between"><span>รับเงินสด</span><span>{formatCurrency(order.cashReceived)}</span></div>
+                        <div className="flex justify-between"><span>เงินทอน</span><span>{formatCurrency(order.change || 0)}</span></div>
+                    </>
+                )}
+                {seller.vatRegistered && !taxInvoice && <p className="text-center">ราคารวมภาษีมูลค่าเพิ่มแล้ว</p>}
+            </div>
+            {order.customerName && (
+                <div className="border-t border-dashed border-gray-400 mt-1 pt-1">
+                    <p>สมาชิก: {order.customerName}</p>
+                    {order.pointsRedeemed > 0 && <p>แลกแต้ม {order.pointsRedeemed} แต้ม (ลด {formatCurrency(order.pointsDiscount || 0)})</p>}
+                    <p>ได้รับแต้ม {order.pointsEarned || 0} แต้ม</p>
+                </div>
+            )}
+            <p className="text-center mt-2">ขอบคุณที่ใช้บริการ</p>
+        </div>
+    );
+});
+
+const ReceiptModal = ({ target, db, orgId, organization, branches, sales, onClose }) => {
+    const [order, setOrder] = useState(target.orderId ? null : buildReceiptOrder(null, target.sale));
+    const [paperSize, setPaperSize] = useState('80mm');
+    const [isTaxInvoiceFormOpen, setIsTaxInvoiceFormOpen] = useState(false);
+    const [buyer, setBuyer] = useState({ name: '', address: '', taxId: '', branchLabel: 'สำนักงานใหญ่' });
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+    const receiptRef = useRef(null);
+
+    useEffect(() => {
+        if (!target.orderId) return;
+        getDoc(doc(db, 'organizations', orgId, 'orders', target.orderId)).then(snapshot => {
+            if (!snapshot.exists()) {
+                if (target.sale) setOrder(buildReceiptOrder(null, target.sale));
+                else setError('ไม่พบข้อมูลใบเสร็จ');
+                return;
+            }
+            const data = snapshot.data();
+            setOrder({
+                id: snapshot.id,
+                ...data,
+                date: data.date?.toDate(),
+                taxInvoice: data.taxInvoice ? { ...data.taxInvoice, issuedAt: data.taxInvoice.issuedAt?.toDate() } : null
+            });
+        }).catch(err => {
+            console.error("Error fetching order: ", err);
+            setError('ไม่สามารถโหลดข้อมูลใบเสร็จได้');
+        });
+    }, [db, orgId, target]);
+
+    const seller = { legalName: organization?.name, ...(organization?.seller || {}) };
+    const branch = branches.find(b => b.id === order?.branchId) || { id: order?.branchId || '' };
+    const salesById = useMemo(() => Object.fromEntries(sales.map(sale => [sale.id, sale])), [sales]);
+    const canIssueTaxInvoice = Boolean(order?.id && !order.taxInvoice && seller.vatRegistered && seller.taxId);
+
+    const handleIssueTaxInvoice = async (e) => {
+        e.preventDefault();
+        if (!buyer.name.trim() || !buyer.address.trim()) {
+            setError('ใบกำกับภาษีเต็มรูปต้องมีชื่อและที่อยู่ผู้ซื้อ');
+            return;
+        }
+        if (buyer.taxId && !/^\d{13}$/.test(buyer.taxId)) {
+            setError('เลขประจำตัวผู้เสียภาษีต้องเป็นตัวเลข 13 หลัก');
+            return;
+        }
+        setIsWorking(true);
+        setError('');
+        try {
+            const taxInvoice = await issueTaxInvoice(db, orgId, order.id, branch, {
+                name: buyer.name.trim(),
+                address: buyer.address.trim(),
+                taxId: buyer.taxId,
+                branchLabel: buyer.taxId ? buyer.branchLabel : ''
+            });
+            setOrder({ ...order, taxInvoice: { ...taxInvoice, issuedAt: taxInvoice.issuedAt?.toDate ? taxInvoice.issuedAt.toDate() : taxInvoice.issuedAt } });
+            setIsTaxInvoiceFormOpen(false);
+        } catch (err) {
+            console.error("Error issuing tax invoice: ", err);
+            setError(isOfflineError(err) ? OFFLINE_TRANSACTION_MESSAGE : 'ไม่สามารถออกใบกำกับภาษีได้');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    // The receipt is rendered to an image first so Thai text keeps the browser's fonts without embedding one in the PDF
+    const handleDownloadPDF = async () => {
+        setIsWorking(true);
+        setError('');
+        try {
+            const [{ default: html2canvas }, { jsPDF }] = await Promise.all([import('html2canvas'), import('jspdf')]);
+            const canvas = await html2canvas(receiptRef.current, { scale: 2, backgroundColor: '#ffffff' });
+            const image = canvas.toDataURL('image/png');
+            const width = RECEIPT_PAPER_SIZES[paperSize].width;
+            const pdf = paperSize === 'a4'
+                ? new jsPDF({ unit: 'mm', format: 'a4' })
+                : new jsPDF({ unit: 'mm', format: [width, width * canvas.height / canvas.width] });
+            pdf.addImage(image, 'PNG', 0, 0, width, width * canvas.height / canvas.width);
+            pdf.save(`${order.taxInvoice?.number || order.receiptNumber || 'receipt'}.pdf`);
+        } catch (err) {
+            console.error("Error creating receipt PDF: ", err);
+            setError('ไม่สามารถสร้างไฟล์ PDF ได้');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const pageRule = paperSize === 'a4' ? '@page { size: A4; margin: 0; }' : '@page { margin: 0; }';
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <style>{`@media print { body * { visibility: hidden; } .receipt-print, .receipt-print * { visibility: visible; } .receipt-print { position: absolute; left: 0; top: 0; } ${pageRule} }`}</style>
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl mx-auto max-h-full overflow-y-auto">
+                <div className="p-6 space-y-4">
+                    <div className="flex flex-wrap justify-between items-center gap-2">
+                        <h3 className="text-lg font-medium text-gray-900">ใบเสร็จ</h3>
+                        <select value={paperSize} onChange={e => setPaperSize(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+                            {Object.entries(RECEIPT_PAPER_SIZES).map(([key, size]) => <option key={key} value={key}>{size.label}</option>)}
+                        </select>
+                    </div>
+                    {!order ? (
+                        <p className="text-sm text-gray-500">กำลังโหลด...</p>
+                    ) : (
+                        <div className="overflow-x-auto bg-gray-100 p-4 flex justify-center">
+                            <ReceiptDocument ref={receiptRef} order={order} seller={seller} branch={branch} paperSize={paperSize} salesById={salesById} />
+                        </div>
+                    )}
+                    {canIssueTaxInvoice && !isTaxInvoiceFormOpen && (
+                        <button type="button" onClick={() => setIsTaxInvoiceFormOpen(true)} className="text-sm text-indigo-600 hover:text-indigo-900">ออกใบกำกับภาษีเต็มรูป</button>
+                    )}
+                    {order?.id && !seller.vatRegistered && <p className="text-xs text-gray-500">ร้านยังไม่ได้ตั้งค่าการจดทะเบียนภาษีมูลค่าเพิ่ม จึงออกใบกำกับภาษีไม่ได้</p>}
+                    {isTaxInvoiceFormOpen && (
+                        <form onSubmit={handleIssueTaxInvoice} className="grid grid-cols-1 md:grid-cols-2 gap-4 border border-gray-200 rounded-lg p-4">
                             <div>
-                                <label htmlFor="edit-barcode" className="block text-sm font-medium text-gray-700">Barcode</label>
-                                <input type="text" id="edit-barcode" value={barcode} onChange={e => setBarcode(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                <label htmlFor="buyer-name" className="block text-sm font-medium text-gray-700">ชื่อผู้ซื้อ / บริษัท</label>
+                                <input type="text" id="buyer-name" value={buyer.name} onChange={e => setBuyer({ ...buyer, name: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                             </div>
                             <div>
-                                <label htmlFor="edit-brand" className="block text-sm font-medium text-gray-700">แบรนด์</label>
-                                <input type="text" id="edit-brand" value={brand} onChange={e => setBrand(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                <label htmlFor="buyer-tax-id" className="block text-sm font-medium text-gray-700">เลขประจำตัวผู้เสียภาษี</label>
+                                <input type="text" id="buyer-tax-id" inputMode="numeric" value={buyer.taxId} onChange={e => setBuyer({ ...buyer, taxId: e.target.value.replace(/\D/g, '') })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                             </div>
-                            <div>
-                                <label htmlFor="edit-name" className="block text-sm font-medium text-gray-700">ชื่อสินค้า</label>
-                                <input type="text" id="edit-name" value={name} onChange={e => setName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            <div className="md:col-span-2">
+                                <label htmlFor="buyer-address" className="block text-sm font-medium text-gray-700">ที่อยู่</label>
+                                <textarea id="buyer-address" rows={2} value={buyer.address} onChange={e => setBuyer({ ...buyer, address: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                             </div>
                             <div>
-                                <label htmlFor="edit-stock" className="block text-sm font-medium text-gray-700">จำนวนคงเหลือ</label>
-                                <input type="number" id="edit-stock" value={stock} onChange={e => setStock(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                <label htmlFor="buyer-branch" className="block text-sm font-medium text-gray-700">สำนักงานใหญ่ / สาขา</label>
+                                <input type="text" id="buyer-branch" value={buyer.branchLabel} onChange={e => setBuyer({ ...buyer, branchLabel: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                             </div>
-                             <div>
-                                <label htmlFor="edit-cost" className="block text-sm font-medium text-gray-700">ราคาซื้อ (ต่อหน่วย)</label>
-                                <input type="number" id="edit-cost" value={cost} onChange={e => setCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            <div className="flex items-end justify-end">
+                                <button type="submit" disabled={isWorking} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">ออกเลขที่ใบกำกับภาษี</button>
                             </div>
-                            <div>
-                                <label htmlFor="edit-shipping" className="block text-sm font-medium text-gray-700">ค่าขนส่ง (รวม)</label>
-                                <input type="number" id="edit-shipping" value={shippingCost} onChange={e => setShippingCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                        </form>
+                    )}
+                    {error && <p className="text-red-500 text-sm">{error}</p>}
+                </div>
+                <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                    <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ปิด</button>
+                    <button type="button" onClick={handleDownloadPDF} disabled={!order || isWorking} className="py-2 px-4 text-sm font-medium rounded-md text-indigo-600 bg-white hover:bg-indigo-50 border border-indigo-600 disabled:text-indigo-300 disabled:border-indigo-300">ดาวน์โหลด PDF</button>
+                    <button type="button" onClick={() => window.print()} disabled={!order} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">พิมพ์</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Shift Components ---
+const withDayLocks = (sales, closedDayIds) => {
+    if (closedDayIds.size === 0) return sales;
+    return sales.map(sale => (sale.date && closedDayIds.has(getDayClosingId(sale.branchId, getBusinessDay(sale.date))) ? { ...sale, locked: true } : sale));
+};
+
+// Takings come from the sales rung up during the shift; refunds, voids and edits count in the shift they were paid out in
+export const buildShiftReport = (shift, sales) => {
+    const shiftSales = sales.filter(sale => sale.shiftId === shift.id);
+    const events = shift.events || [];
+    const eventTotal = (type) => events.filter(event => event.type === type).reduce((sum, event) => sum + event.amount, 0);
+    const payments = shiftSales.reduce((acc, sale) => {
+        Object.entries(getSaleTakings(sale)).forEach(([method, amount]) => { acc[method] = (acc[method] || 0) + amount; });
+        return acc;
+    }, {});
+    events.forEach(event => {
+        Object.entries(event.payments || {}).forEach(([method, amount]) => { payments[method] = (payments[method] || 0) - amount; });
+    });
+    const takings = shiftSales.reduce((sum, sale) => sum + sale.amount, 0);
+    const refunds = eventTotal('refund');
+    const voidedAmount = eventTotal('void');
+    const adjustments = eventTotal('edit');
+    return {
+        orders: new Set(shiftSales.map(sale => sale.orderId || sale.id)).size,
+        grossSales: shiftSales.reduce((sum, sale) => sum + sale.amount + (sale.discount || 0), 0),
+        discounts: shiftSales.reduce((sum, sale) => sum + (sale.discount || 0), 0),
+        refunds,
+        voidedAmount,
+        adjustments,
+        netSales: takings - refunds - voidedAmount - adjustments,
+        payments,
+        expectedCash: (shift.openingFloat || 0) + (payments.cash || 0)
+    };
+};
+
+// Rounded to satang before it is stored on the closed shift
+const roundShiftReport = (report) => Object.fromEntries(Object.entries(report).map(([key, value]) => [
+    key,
+    key === 'payments' ? Object.fromEntries(Object.entries(value).map(([method, amount]) => [method, Math.round(amount * 100) / 100])) : Math.round(value * 100) / 100
+]));
+
+// openShifts/{branchId} names the branch's open shift, so two tills opening at once cannot both succeed
+const openBranchShift = async (db, orgId, userId, branch, openingFloat) => {
+    const markerRef = doc(db, 'organizations', orgId, 'openShifts', branch.id);
+    const shiftRef = doc(collection(db, 'organizations', orgId, 'shifts'));
+    await runTransaction(db, async (transaction) => {
+        const markerSnap = await transaction.get(markerRef);
+        if (markerSnap.exists()) {
+            const error = new Error(`สาขา ${branch.name} มีกะที่เปิดอยู่แล้ว`);
+            error.code = 'shift-open';
+            throw error;
+        }
+        const openedAt = new Date();
+        transaction.set(shiftRef, {
+            branchId: branch.id,
+            branchName: branch.name,
+            status: 'open',
+            openingFloat,
+            openedAt,
+            openedBy: userId
+        });
+        transaction.set(markerRef, { branchId: branch.id, shiftId: shiftRef.id, openedAt });
+    });
+};
+
+// Shifts opened before the marker existed have none to clear
+const closeBranchShift = async (db, orgId, shift, closing) => {
+    const markerRef = doc(db, 'organizations', orgId, 'openShifts', shift.branchId);
+    const shiftRef = doc(db, 'organizations', orgId, 'shifts', shift.id);
+    await runTransaction(db, async (transaction) => {
+        const [markerSnap, shiftSnap] = await Promise.all([transaction.get(markerRef), transaction.get(shiftRef)]);
+        if (shiftSnap.data()?.status !== 'open') {
+            const error = new Error('กะนี้ถูกปิดไปแล้ว');
+            error.code = 'shift-closed';
+            throw error;
+        }
+        transaction.update(shiftRef, { status: 'closed', ...closing });
+        if (markerSnap.exists() && markerSnap.data().shiftId === shift.id) transaction.delete(markerRef);
+    });
+};
+
+const ZReport = ({ shift, report, sellerName }) => (
+    <div className="receipt-print bg-white text-black text-xs p-2" style={{ width: `${RECEIPT_PAPER_SIZES['80mm'].width}mm` }}>
+        <div className="text-center space-y-0.5">
+            <p className="font-bold text-sm">{sellerName || 'ร้านค้า'}</p>
+            <p>{shift.branchName}</p>
+            <p className="font-bold pt-1">รายงานปิดกะ (Z-Report)</p>
+        </div>
+        <div className="mt-2 space-y-0.5">
+            <div className="flex justify-between"><span>เปิดกะ</span><span>{formatDateTime(shift.openedAt)}</span></div>
+            <div className="flex justify-between"><span>ปิดกะ</span><span>{shift.closedAt ? formatDateTime(shift.closedAt) : 'ยังไม่ปิด'}</span></div>
+        </div>
+        <div className="border-t border-dashed border-gray-400 mt-1 pt-1 space-y-0.5">
+            <div className="flex justify-between"><span>จำนวนบิล</span><span>{report.orders}</span></div>
+            <div className="flex justify-between"><span>ยอดขายก่อนส่วนลด</span><span>{formatCurrency(report.grossSales)}</span></div>
+            <div className="flex justify-between"><span>ส่วนลด</span><span>-{formatCurrency(report.discounts)}</span></div>
+            <div className="flex justify-between"><span>คืนเงิน</span><span>-{formatCurrency(report.refunds)}</span></div>
+            {report.voidedAmount > 0 && <div className="flex justify-between"><span>ยกเลิกบิล</span><span>-{formatCurrency(report.voidedAmount)}</span></div>}
+            {report.adjustments ? <div className="flex justify-between"><span>แก้ไขยอดบิลกะก่อน</span><span>{formatCurrency(-report.adjustments)}</span></div> : null}
+            <div className="flex justify-between font-bold"><span>ยอดขายสุทธิ</span><span>{formatCurrency(report.netSales)}</span></div>
+        </div>
+        <div className="border-t border-dashed border-gray-400 mt-1 pt-1 space-y-0.5">
+            {Object.entries(report.payments).map(([method, amount]) => (
+                <div key={method} className="flex justify-between"><span>{getPaymentMethodLabel(method)}</span><span>{formatCurrency(amount)}</span></div>
+            ))}
+        </div>
+        <div className="border-t border-dashed border-gray-400 mt-1 pt-1 space-y-0.5">
+            <div className="flex justify-between"><span>เงินทอนตั้งต้น</span><span>{formatCurrency(shift.openingFloat || 0)}</span></div>
+            <div className="flex justify-between"><span>เงินสดที่ควรมี</span><span>{formatCurrency(shift.expectedCash ?? report.expectedCash)}</span></div>
+            {shift.status === 'closed' && (
+                <>
+                    <div className="flex justify-between"><span>เงินสดที่นับได้</span><span>{formatCurrency(shift.countedCash)}</span></div>
+                    <div className="flex justify-between font-bold"><span>{shift.difference < 0 ? 'เงินขาด' : 'เงินเกิน'}</span><span>{formatCurrency(Math.abs(shift.difference))}</span></div>
+                </>
+            )}
+            {shift.note && <p>หมายเหตุ: {shift.note}</p>}
+        </div>
+    </div>
+);
+
+const ZReportModal = ({ shift, sales, sellerName, onClose }) => {
+    const report = useMemo(() => shift.report || buildShiftReport(shift, sales), [shift, sales]);
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <style>{'@media print { body * { visibility: hidden; } .receipt-print, .receipt-print * { visibility: visible; } .receipt-print { position: absolute; left: 0; top: 0; } @page { margin: 0; } }'}</style>
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto max-h-full overflow-y-auto">
+                <div className="p-6 space-y-4">
+                    <h3 className="text-lg font-medium text-gray-900">รายงานปิดกะ</h3>
+                    <div className="overflow-x-auto bg-gray-100 p-4 flex justify-center">
+                        <ZReport shift={shift} report={report} sellerName={sellerName} />
+                    </div>
+                    <div className="flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ปิด</button>
+                        <button type="button" onClick={() => window.print()} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700">พิมพ์</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ShiftPanel = ({ db, orgId, userId, branches, defaultBranchId = '', shifts, closedDayIds, sales, sellerName }) => {
+    const [selectedBranchId, setSelectedBranchId] = useState('');
+    const [openingFloat, setOpeningFloat] = useState('');
+    const [countedCash, setCountedCash] = useState('');
+    const [note, setNote] = useState('');
+    const [closingDay, setClosingDay] = useState(getBusinessDay(new Date()));
+    const [reportShiftId, setReportShiftId] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    // Branches arrive after the first render, so fall back to the first one until the user picks
+    const branchId = selectedBranchId || defaultBranchId || branches[0]?.id || '';
+    const branch = branches.find(b => b.id === branchId);
+    const branchShifts = shifts.filter(shift => shift.branchId === branchId);
+    const openShift = branchShifts.find(shift => shift.status === 'open') || null;
+    const liveReport = useMemo(() => (openShift ? buildShiftReport(openShift, sales) : null), [openShift, sales]);
+    const reportShift = shifts.find(shift => shift.id === reportShiftId);
+    const isDayClosed = closedDayIds.has(getDayClosingId(branchId, closingDay));
+
+    const handleOpenShift = async () => {
+        if (!branch || openingFloat === '' || Number(openingFloat) < 0) {
+            setError('กรุณากรอกเงินทอนตั้งต้น');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await openBranchShift(db, orgId, userId, branch, Number(openingFloat));
+            setOpeningFloat('');
+        } catch (err) {
+            console.error("Error opening shift: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(err.code === 'shift-open' ? err.message : 'ไม่สามารถเปิดกะได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    // The report is stored with the count, so later refunds and edits cannot change what the drawer was reconciled against
+    const handleCloseShift = async () => {
+        if (countedCash === '' || Number(countedCash) < 0) {
+            setError('กรุณากรอกจำนวนเงินสดที่นับได้');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const report = roundShiftReport(liveReport);
+            const expectedCash = report.expectedCash;
+            await closeBranchShift(db, orgId, openShift, {
+                closedAt: new Date(),
+                closedBy: userId,
+                countedCash: Number(countedCash),
+                expectedCash,
+                difference: Math.round((Number(countedCash) - expectedCash) * 100) / 100,
+                netSales: report.netSales,
+                payments: report.payments,
+                report,
+                note: note.trim()
+            });
+            setCountedCash('');
+            setNote('');
+            setReportShiftId(openShift.id);
+        } catch (err) {
+            console.error("Error closing shift: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(err.code === 'shift-closed' ? err.message : 'ไม่สามารถปิดกะได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleCloseDay = async () => {
+        if (openShift) {
+            setError('กรุณาปิดกะที่ยังเปิดอยู่ก่อนปิดยอดประจำวัน');
+            return;
+        }
+        if (!window.confirm(`ปิดยอดวันที่ ${formatDate(new Date(closingDay + 'T00:00:00'))} ของ ${branch?.name}? หลังปิดยอดจะแก้ไขรายการขายของวันนั้นไม่ได้`)) return;
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const daySales = sales.filter(sale => sale.branchId === branchId && sale.date && getBusinessDay(sale.date) === closingDay);
+            await setDoc(doc(db, 'organizations', orgId, 'dayClosings', getDayClosingId(branchId, closingDay)), {
+                branchId,
+                branchName: branch.name,
+                businessDay: closingDay,
+                netSales: Math.round(daySales.reduce((sum, sale) => sum + getSaleNetAmount(sale), 0) * 100) / 100,
+                shiftIds: branchShifts.filter(shift => getBusinessDay(shift.openedAt) === closingDay).map(shift => shift.id),
+                closedAt: new Date(),
+                closedBy: userId
+            });
+        } catch (err) {
+            console.error("Error closing day: ", err);
+            setError('ไม่สามารถปิดยอดประจำวันได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <h3 className="text-lg font-bold text-gray-800">กะการขายและลิ้นชักเงินสด</h3>
+                {branches.length > 1 && (
+                    <select aria-label="สาขา" value={branchId} onChange={e => { setSelectedBranchId(e.target.value); setError(''); }} className="px-3 py-2 bg-white border border-gray-300 rounded-md text-sm">
+                        {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                    </select>
+                )}
+            </div>
+
+            {openShift ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="p-4 bg-green-50 rounded-lg text-sm space-y-1">
+                        <p><strong>เปิดกะเมื่อ:</strong> {formatDateTime(openShift.openedAt)}</p>
+                        <p><strong>เงินทอนตั้งต้น:</strong> {formatCurrency(openShift.openingFloat || 0)}</p>
+                        <p><strong>ยอดขายสุทธิ:</strong> {formatCurrency(liveReport.netSales)} ({liveReport.orders} บิล)</p>
+                        {Object.entries(liveReport.payments).map(([method, amount]) => (
+                            <p key={method} className="text-gray-600">{getPaymentMethodLabel(method)}: {formatCurrency(amount)}</p>
+                        ))}
+                        <p><strong>เงินสดที่ควรมีในลิ้นชัก:</strong> {formatCurrency(liveReport.expectedCash)}</p>
+                    </div>
+                    <div className="space-y-2">
+                        <label htmlFor="counted-cash" className="block text-sm font-medium text-gray-700">เงินสดที่นับได้ (฿)</label>
+                        <input type="number" id="counted-cash" min="0" value={countedCash} onChange={e => setCountedCash(e.target.value)} className="block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                        {countedCash !== '' && (
+                            <p className={`text-sm ${Number(countedCash) - liveReport.expectedCash < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                {Number(countedCash) - liveReport.expectedCash < 0 ? 'เงินขาด' : 'เงินเกิน'} {formatCurrency(Math.abs(Number(countedCash) - liveReport.expectedCash))}
+                            </p>
+                        )}
+                        <input type="text" aria-label="หมายเหตุ" value={note} onChange={e => setNote(e.target.value)} placeholder="หมายเหตุ (ถ้ามี)" className="block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                        <div className="text-right space-x-2">
+                            <button type="button" onClick={() => setReportShiftId(openShift.id)} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ดูรายงาน</button>
+                            <button type="button" onClick={handleCloseShift} disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">ปิดกะ</button>
+                        </div>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-wrap items-end gap-2">
+                    <div>
+                        <label htmlFor="opening-float" className="block text-sm font-medium text-gray-700">เงินทอนตั้งต้น (฿)</label>
+                        <input type="number" id="opening-float" min="0" value={openingFloat} onChange={e => setOpeningFloat(e.target.value)} className="mt-1 block w-40 px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <button type="button" onClick={handleOpenShift} disabled={isSubmitting || !branch} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">เปิดกะ</button>
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-end gap-2 border-t border-gray-200 pt-4">
+                <div>
+                    <label htmlFor="closing-day" className="block text-sm font-medium text-gray-700">ปิดยอดประจำวัน</label>
+                    <input type="date" id="closing-day" value={closingDay} onChange={e => setClosingDay(e.target.value)} className="mt-1 block px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                {isDayClosed ? (
+                    <span className="py-2 text-sm text-gray-500">ปิดยอดวันนี้แล้ว รายการขายของวันนี้ถูกล็อก</span>
+                ) : (
+                    <button type="button" onClick={handleCloseDay} disabled={isSubmitting || !branch || !closingDay} className="py-2 px-4 text-sm font-medium rounded-md text-red-600 bg-white hover:bg-red-50 border border-red-600 disabled:text-red-300 disabled:border-red-300">ปิดยอด</button>
+                )}
+            </div>
+
+            {branchShifts.some(shift => shift.status === 'closed') && (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">กะ</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดขายสุทธิ</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">เงินสดที่ควรมี</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">นับได้</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">เกิน / ขาด</th>
+                                <th className="relative px-4 py-2"><span className="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {branchShifts.filter(shift => shift.status === 'closed').slice(0, 5).map(shift => (
+                                <tr key={shift.id}>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{formatDateTime(shift.openedAt)} - {formatDateTime(shift.closedAt)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{formatCurrency(shift.netSales || 0)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(shift.expectedCash || 0)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(shift.countedCash || 0)}</td>
+                                    <td className={`px-4 py-2 whitespace-nowrap text-sm ${shift.difference < 0 ? 'text-red-600' : 'text-green-600'}`}>{shift.difference > 0 ? '+' : ''}{formatCurrency(shift.difference || 0)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-right text-sm"><button type="button" onClick={() => setReportShiftId(shift.id)} className="text-indigo-600 hover:text-indigo-900">Z-Report</button></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            {reportShift && <ZReportModal shift={reportShift} sales={sales} sellerName={sellerName} onClose={() => setReportShiftId(null)} />}
+        </div>
+    );
+};
+
+// --- Dashboard Components ---
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+
+const isWholeMonthRange = ({ start, end }) => start.getDate() === 1 && end.getDate() === 1
+    && start.getHours() === 0 && end.getHours() === 0;
+
+// Calendar months shift by month so February compares with January, not with the last 28 days of it
+const getPreviousRange = (range) => {
+    if (isWholeMonthRange(range)) {
+        const months = (range.end.getFullYear() - range.start.getFullYear()) * 12 + range.end.getMonth() - range.start.getMonth();
+        return { start: addMonths(range.start, -months), end: range.start };
+    }
+    const duration = range.end - range.start;
+    return { start: new Date(range.start.getTime() - duration), end: range.start };
+};
+
+const getSameRangeLastYear = (range) => ({ start: addMonths(range.start, -12), end: addMonths(range.end, -12) });
+
+const filterSalesByRange = (sales, range) => sales.filter(sale => sale.date && sale.date >= range.start && sale.date < range.end);
+
+const summarizeSales = (sales) => {
+    const activeSales = sales.filter(sale => !isSaleVoided(sale));
+    const revenue = activeSales.reduce((sum, sale) => sum + getSaleNetAmount(sale), 0);
+    const cost = activeSales.reduce((sum, sale) => sum + getSaleNetCost(sale), 0);
+    const fees = activeSales.reduce((sum, sale) => sum + getSaleNetChannelFee(sale), 0);
+    const grossAmount = activeSales.reduce((sum, sale) => sum + (sale.unitPrice || 0) * (sale.quantity || 0), 0);
+    const discount = activeSales.reduce((sum, sale) => sum + (sale.discount || 0), 0);
+    return {
+        revenue,
+        cost,
+        fees,
+        profit: revenue - cost - fees,
+        orders: activeSales.length,
+        discountRate: grossAmount > 0 ? discount / grossAmount : 0
+    };
+};
+
+const getBucketStart = (date, granularity) => {
+    if (granularity === 'monthly') return new Date(date.getFullYear(), date.getMonth(), 1);
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (granularity === 'weekly') day.setDate(day.getDate() - ((day.getDay() + 6) % 7)); // Weeks start on Monday
+    return day;
+};
+
+const formatBucketLabel = (date, granularity) => new Intl.DateTimeFormat('th-TH', granularity === 'monthly'
+    ? { month: 'short', year: '2-digit' }
+    : { day: 'numeric', month: 'short' }).format(date);
+
+const buildSalesTrend = (sales, granularity) => {
+    const buckets = new Map();
+    sales.filter(sale => sale.date && !isSaleVoided(sale)).forEach(sale => {
+        const key = getBucketStart(sale.date, granularity).getTime();
+        const bucket = buckets.get(key) || { revenue: 0, profit: 0 };
+        const amount = getSaleNetAmount(sale);
+        bucket.revenue += amount;
+        bucket.profit += getSaleNetProfit(sale);
+        buckets.set(key, bucket);
+    });
+    return [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([key, bucket]) => ({ label: formatBucketLabel(new Date(key), granularity), ...bucket }));
+};
+
+const buildProductBreakdown = (sales) => {
+    const products = new Map();
+    sales.filter(sale => !isSaleVoided(sale)).forEach(sale => {
+        const key = sale.productId || sale.product;
+        const product = products.get(key) || { name: sale.product, quantity: 0, revenue: 0, profit: 0 };
+        const amount = getSaleNetAmount(sale);
+        product.quantity += sale.quantity - (sale.refundedQuantity || 0);
+        product.revenue += amount;
+        product.profit += getSaleNetProfit(sale);
+        products.set(key, product);
+    });
+    return [...products.values()].map(p => ({ ...p, margin: p.revenue > 0 ? p.profit / p.revenue : 0 }));
+};
+
+// A product sold once at a lucky price would otherwise top the margin ranking
+const MARGIN_RANKING_MIN_QUANTITY = 5;
+
+const buildBranchBreakdown = (sales, branches) => {
+    const totals = new Map();
+    sales.filter(sale => !isSaleVoided(sale)).forEach(sale => {
+        const amount = getSaleNetAmount(sale);
+        const entry = totals.get(sale.branchId) || {
+            name: branches.find(b => b.id === sale.branchId)?.name || sale.branchName || '-',
+            revenue: 0,
+            profit: 0
+        };
+        entry.revenue += amount;
+        entry.profit += getSaleNetProfit(sale);
+        totals.set(sale.branchId, entry);
+    });
+    return [...totals.values()].sort((a, b) => b.revenue - a.revenue);
+};
+
+const buildChannelBreakdown = (sales) => {
+    const totals = new Map();
+    sales.filter(sale => !isSaleVoided(sale)).forEach(sale => {
+        const id = sale.channelId || WALK_IN_CHANNEL.id;
+        const entry = totals.get(id) || { id, name: sale.salesChannel || WALK_IN_CHANNEL.name, orders: 0, revenue: 0, fees: 0, profit: 0 };
+        entry.orders += 1;
+        entry.revenue += getSaleNetAmount(sale);
+        entry.fees += getSaleNetChannelFee(sale);
+        entry.profit += getSaleNetProfit(sale);
+        totals.set(id, entry);
+    });
+    return [...totals.values()]
+        .map(c => ({ ...c, margin: c.revenue > 0 ? c.profit / c.revenue : 0 }))
+        .sort((a, b) => b.revenue - a.revenue);
+};
+
+const buildPaymentBreakdown = (sales) => {
+    const totals = sales.reduce((acc, sale) => {
+        Object.entries(getSalePaymentBreakdown(sale)).forEach(([method, amount]) => { acc[method] = (acc[method] || 0) + amount; });
+        return acc;
+    }, {});
+    const total = Object.values(totals).reduce((sum, amount) => sum + amount, 0);
+    return Object.entries(totals)
+        .filter(([, amount]) => amount !== 0)
+        .map(([method, amount]) => ({ method, name: getPaymentMethodLabel(method), amount, share: total > 0 ? amount / total : 0 }))
+        .sort((a, b) => b.amount - a.amount);
+};
+
+const formatPercent = (ratio) => new Intl.NumberFormat('th-TH', { style: 'percent', maximumFractionDigits: 1 }).format(ratio);
+
+const ChangeBadge = ({ current, previous, label }) => {
+    if (previous === undefined) return null;
+    if (!previous) return <p className="text-xs text-gray-400">{label}: ไม่มีข้อมูล</p>;
+    const change = (current - previous) / Math.abs(previous);
+    const color = change >= 0 ? 'text-green-600' : 'text-red-600';
+    return <p className={`text-xs ${color}`}>{label}: {change >= 0 ? '▲' : '▼'} {formatPercent(Math.abs(change))}</p>;
+};
+
+const ComparisonCard = ({ title, metric, format, current, previous, lastYear }) => (
+    <div className="bg-white rounded-xl shadow-md p-6">
+        <p className="text-sm font-medium text-gray-500">{title}</p>
+        <p className="text-2xl font-bold text-gray-800">{format(current[metric])}</p>
+        <ChangeBadge current={current[metric]} previous={previous?.[metric]} label="เทียบช่วงก่อนหน้า" />
+        <ChangeBadge current={current[metric]} previous={lastYear?.[metric]} label="เทียบปีที่แล้ว" />
+    </div>
+);
+
+const DashboardView = ({ sales, filteredSales, range, branches }) => {
+    const [granularity, setGranularity] = useState('daily'); // 'daily', 'weekly' or 'monthly'
+
+    const comparison = useMemo(() => {
+        const current = summarizeSales(filteredSales);
+        if (!range || !range.isBounded) return { current };
+        return {
+            current,
+            previous: summarizeSales(filterSalesByRange(sales, getPreviousRange(range))),
+            lastYear: summarizeSales(filterSalesByRange(sales, getSameRangeLastYear(range)))
+        };
+    }, [sales, filteredSales, range]);
+
+    const trend = useMemo(() => buildSalesTrend(filteredSales, granularity), [filteredSales, granularity]);
+    const products = useMemo(() => buildProductBreakdown(filteredSales), [filteredSales]);
+    const topByQuantity = useMemo(() => [...products].sort((a, b) => b.quantity - a.quantity).slice(0, 10), [products]);
+    const topByMargin = useMemo(() => products
+        .filter(product => product.quantity >= MARGIN_RANKING_MIN_QUANTITY)
+        .sort((a, b) => b.margin - a.margin || b.profit - a.profit)
+        .slice(0, 10), [products]);
+    const branchRevenue = useMemo(() => buildBranchBreakdown(filteredSales, branches), [filteredSales, branches]);
+
+    const baseStyle = "px-3 py-1 text-sm font-medium rounded-md transition-colors focus:outline-none";
+    const activeStyle = "bg-indigo-600 text-white shadow";
+    const inactiveStyle = "bg-white text-gray-700 hover:bg-gray-100 border border-gray-300";
+    const granularities = [
+        { key: 'daily', label: 'รายวัน' },
+        { key: 'weekly', label: 'รายสัปดาห์' },
+        { key: 'monthly', label: 'รายเดือน' },
+    ];
+
+    return (
+        <div className="space-y-8">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6">
+                <ComparisonCard title="ยอดขายสุทธิ" metric="revenue" format={formatCurrency} {...comparison} />
+                <ComparisonCard title="กำไร" metric="profit" format={formatCurrency} {...comparison} />
+                <ComparisonCard title="จำนวนออเดอร์" metric="orders" format={value => value} {...comparison} />
+                <ComparisonCard title="อัตราส่วนลดเฉลี่ย" metric="discountRate" format={formatPercent} {...comparison} />
+            </div>
+            {(!range || !range.isBounded) && <p className="text-sm text-gray-500 text-center">เลือกช่วงวันที่เพื่อเปรียบเทียบกับช่วงก่อนหน้าและปีที่แล้ว</p>}
+
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                    <h3 className="text-lg font-bold text-gray-800">ยอดขายและกำไร</h3>
+                    <div className="flex gap-2">
+                        {granularities.map(g => (
+                            <button key={g.key} type="button" onClick={() => setGranularity(g.key)} className={`${baseStyle} ${granularity === g.key ? activeStyle : inactiveStyle}`}>{g.label}</button>
+                        ))}
+                    </div>
+                </div>
+                {trend.length === 0 ? <p className="text-center text-gray-500 py-8">ไม่มีข้อมูลยอดขายในช่วงนี้</p> : (
+                    <ResponsiveContainer width="100%" height={300}>
+                        <ComposedChart data={trend}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="label" />
+                            <YAxis />
+                            <Tooltip formatter={value => formatCurrency(value)} />
+                            <Legend />
+                            <Bar dataKey="revenue" name="ยอดขาย" fill="#6366f1" />
+                            <Line type="monotone" dataKey="profit" name="กำไร" stroke="#16a34a" strokeWidth={2} />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <div className="bg-white p-6 rounded-xl shadow-md">
+                    <h3 className="text-lg font-bold text-gray-800 mb-4">สินค้าขายดี (จำนวนชิ้น)</h3>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={topByQuantity} layout="vertical" margin={{ left: 40 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis type="number" />
+                            <YAxis type="category" dataKey="name" width={120} />
+                            <Tooltip />
+                            <Bar dataKey="quantity" name="จำนวน" fill="#6366f1" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+                <div className="bg-white p-6 rounded-xl shadow-md">
+                    <h3 className="text-lg font-bold text-gray-800">สินค้า Margin สูงสุด</h3>
+                    <p className="text-xs text-gray-500 mb-4">เฉพาะสินค้าที่ขายได้ตั้งแต่ {MARGIN_RANKING_MIN_QUANTITY} ชิ้นขึ้นไปในช่วงที่เลือก</p>
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">สินค้า</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500">ยอดขาย</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500">กำไร</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500">Margin</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {topByMargin.map(product => (
+                                <tr key={product.name}>
+                                    <td className="px-3 py-2 text-gray-900">{product.name}</td>
+                                    <td className="px-3 py-2 text-right text-gray-500">{formatCurrency(product.revenue)}</td>
+                                    <td className="px-3 py-2 text-right text-gray-500">{formatCurrency(product.profit)}</td>
+                                    <td className="px-3 py-2 text-right text-gray-900 font-medium">{formatPercent(product.margin)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-4">ยอดขายตามสาขา</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={branchRevenue}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis />
+                        <Tooltip formatter={value => formatCurrency(value)} />
+                        <Legend />
+                        <Bar dataKey="revenue" name="ยอดขาย" fill="#6366f1" />
+                        <Bar dataKey="profit" name="กำไร" fill="#16a34a" />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+};
+
+// --- Inventory Components ---
+// A branch's own price wins over the product's retail price; a null branch price follows the default
+const getSellingPrice = (product, branchRow) => branchRow?.price ?? product?.price ?? 0;
+
+// Variants are products of their own with their own stock, pointing at a parent and named after it
+const formatVariantLabel = (variant) => [variant?.size, variant?.color].filter(Boolean).join(' / ');
+
+const buildVariantName = (parentName, variant) => `${parentName} (${formatVariantLabel(variant)})`;
+
+// Lists each variant straight after its parent so a product family reads as one block
+const sortWithVariants = (products) => {
+    const keyOf = (item) => item.productId || item.id;
+    const keys = new Set(products.map(keyOf));
+    const variantsByParent = products.reduce((acc, item) => {
+        if (item.parentId && keys.has(item.parentId)) acc[item.parentId] = [...(acc[item.parentId] || []), item];
+        return acc;
+    }, {});
+    return products
+        .filter(item => !item.parentId || !keys.has(item.parentId))
+        .flatMap(item => [item, ...(variantsByParent[keyOf(item)] || [])]);
+};
+
+const getDistinctValues = (items, field) => [...new Set(items.map(item => item[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'th'));
+
+const InventoryStats = ({ inventory, sales = [], costingMethod = 'average' }) => {
+    const stats = useMemo(() => {
+        const totalProducts = inventory.length;
+        const totalStockValueCost = inventory.reduce((sum, item) => sum + (getInventoryUnitCost(item, costingMethod) * item.stock), 0);
+        const totalStockUnits = inventory.reduce((sum, item) => sum + item.stock, 0);
+        const lowStockItems = inventory.filter(isLowStock).length;
+        const { revenue, profit } = summarizeSales(sales);
+        const grossMargin = revenue > 0 ? profit / revenue : 0;
+        return { totalProducts, totalStockValueCost, totalStockUnits, lowStockItems, grossMargin };
+    }, [inventory, sales, costingMethod]);
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 sm:gap-6 my-6">
+            <StatsCard title="จำนวนสินค้าทั้งหมด" value={stats.totalProducts} icon={<svg className="h-6 w-6 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A2 2 0 013 12V7a4 4 0 014-4z" /></svg>} />
+            <StatsCard title="จำนวนสินค้าในคลัง (ชิ้น)" value={stats.totalStockUnits} icon={<svg className="h-6 w-6 text-purple-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" /></svg>} />
+            <StatsCard title={`มูลค่าสต็อก (${COSTING_METHODS[costingMethod]})`} value={formatCurrency(stats.totalStockValueCost)} icon={<svg className="h-6 w-6 text-blue-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" /></svg>} />
+            <StatsCard title="อัตรากำไรขั้นต้น" value={formatPercent(stats.grossMargin)} icon={<svg className="h-6 w-6 text-green-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z" /></svg>} />
+            <StatsCard title="สินค้าใกล้หมด" value={`${stats.lowStockItems} รายการ`} icon={<svg className="h-6 w-6 text-red-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" /></svg>} />
+        </div>
+    );
+};
+
+const INVENTORY_IMPORT_FIELDS = [
+    { key: 'date', label: 'วันที่', aliases: ['date', 'วันที่', 'วันที่เพิ่ม'] },
+    { key: 'sku', label: 'SKU', aliases: ['sku', 'รหัสสินค้า', 'product code'] },
+    { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'บาร์โค้ด', 'ean'] },
+    { key: 'brand', label: 'แบรนด์', aliases: ['brand', 'แบรนด์', 'ยี่ห้อ'] },
+    { key: 'category', label: 'หมวดหมู่', aliases: ['category', 'หมวดหมู่', 'ประเภทสินค้า'] },
+    { key: 'name', label: 'ชื่อสินค้า', required: true, aliases: ['name', 'ชื่อสินค้า', 'สินค้า', 'product', 'product name'] },
+    { key: 'stock', label: 'จำนวน', required: true, aliases: ['stock', 'จำนวน', 'คงเหลือ', 'qty', 'quantity'] },
+    { key: 'cost', label: 'ราคาซื้อ', required: true, aliases: ['cost', 'ราคาซื้อ', 'ต้นทุน', 'unit cost'] },
+    { key: 'shippingCost', label: 'ค่าขนส่ง', aliases: ['shippingcost', 'shipping cost', 'shipping', 'ค่าขนส่ง'] },
+    { key: 'price', label: 'ราคาขาย', aliases: ['price', 'ราคาขาย', 'retail price'] },
+];
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const guessColumnMapping = (headers, fields = INVENTORY_IMPORT_FIELDS) => {
+    const normalized = headers.map(normalizeHeader);
+    return fields.reduce((mapping, field) => {
+        const index = normalized.findIndex(h => field.aliases.includes(h));
+        mapping[field.key] = index === -1 ? '' : String(index);
+        return mapping;
+    }, {});
+};
+
+// Validates every data row and works out whether it creates a product or updates one matched by SKU, then barcode
+const buildImportPreview = (rows, mapping, inventory) => {
+    const bySku = new Map(inventory.filter(item => item.sku).map(item => [item.sku, item]));
+    const byBarcode = new Map(inventory.filter(item => item.barcode).map(item => [item.barcode, item]));
+    const seenKeys = new Set();
+
+    return rows.slice(1).map((values, index) => {
+        const rowNumber = index + 2;
+        const get = (key) => (mapping[key] === '' ? '' : (values[Number(mapping[key])] ?? '').trim());
+        const errors = [];
+
+        const sku = get('sku');
+        const barcode = get('barcode');
+        const existing = (sku && bySku.get(sku)) || (barcode && byBarcode.get(barcode)) || null;
+        const matchKey = sku ? `sku:${sku}` : (barcode ? `barcode:${barcode}` : null);
+        if (matchKey && seenKeys.has(matchKey)) errors.push('SKU/Barcode ซ้ำกับแถวก่อนหน้าในไฟล์');
+        if (matchKey) seenKeys.add(matchKey);
+
+        const stock = parseImportNumber(get('stock'));
+        const cost = parseImportNumber(get('cost'));
+        const shippingCost = parseImportNumber(get('shippingCost'));
+        const price = parseImportNumber(get('price'));
+        const date = parseImportDate(get('date'));
+        const name = get('name');
+
+        if (!existing) {
+            if (!name) errors.push('ไม่มีชื่อสินค้า');
+            if (stock === null) errors.push('ไม่มีจำนวน');
+            if (cost === null) errors.push('ไม่มีราคาซื้อ');
+        }
+        [['จำนวน', stock], ['ราคาซื้อ', cost], ['ค่าขนส่ง', shippingCost], ['ราคาขาย', price]].forEach(([label, value]) => {
+            if (Number.isNaN(value)) errors.push(`${label}ไม่ใช่ตัวเลข`);
+            else if (value !== null && value < 0) errors.push(`${label}ติดลบ`);
+        });
+        if (date === undefined) errors.push('รูปแบบวันที่ไม่ถูกต้อง');
+
+        return {
+            rowNumber,
+            existing,
+            action: existing ? 'update' : 'create',
+            errors,
+            record: { sku, barcode, brand: get('brand'), category: get('category'), name, stock, cost, shippingCost, price, date }
+        };
+    });
+};
+
+const buildImportMovement = (db, orgId, userId, productId, productName, quantity, balance) => ({
+    ref: stockMovementRef(db, orgId),
+    data: buildStockMovement({ productId, productName, locationId: WAREHOUSE_ID, locationName: getLocationName(WAREHOUSE_ID, []), type: 'import', quantity, balance, userId })
+});
+
+// New products need nothing from the server, so they are written in batches; the quantity becomes the first cost layer
+const buildNewProductWrites = (db, orgId, userId, previewRows) => {
+    const inventoryCollection = collection(db, 'organizations', orgId, 'inventory');
+    return previewRows.flatMap(({ record }) => {
+        const { costLayers, averageCost } = addCostLayer({}, createCostLayer({
+            quantity: record.stock,
+            unitCost: record.cost,
+            shippingCost: record.shippingCost || 0,
+            receivedAt: record.date || new Date(),
+            source: 'import'
+        }));
+        const productRef = doc(inventoryCollection);
+        const productWrite = {
+            type: 'set',
+            ref: productRef,
+            data: {
+                date: record.date || new Date(),
+                sku: record.sku,
+                barcode: record.barcode,
+                brand: record.brand,
+                category: record.category,
+                name: record.name,
+                stock: record.stock,
+                cost: record.cost,
+                price: record.price || 0,
+                shippingCost: record.shippingCost || 0,
+                costLayers,
+                averageCost,
+            }
+        };
+        if (record.stock <= 0) return [productWrite];
+        return [productWrite, { type: 'set', ...buildImportMovement(db, orgId, userId, productRef.id, record.name, record.stock, record.stock) }];
+    });
+};
+
+// One CSV row applied to the product as it stands; an added quantity becomes its own cost layer at the row's cost and shipping
+const applyImportRow = (product, record, stockMode) => {
+    const data = {};
+    ['sku', 'barcode', 'brand', 'category', 'name'].forEach(key => {
+        if (record[key]) data[key] = record[key];
+    });
+    if (record.cost !== null) data.cost = record.cost;
+    if (record.price !== null) data.price = record.price;
+    if (record.shippingCost !== null) data.shippingCost = record.shippingCost;
+    if (record.date) data.date = record.date;
+    if (record.stock === null) return { data, product: { ...product, ...data }, change: 0 };
+
+    const unitCost = record.cost ?? product.cost ?? 0;
+    const costUpdate = stockMode === 'add'
+        ? addCostLayer(product, createCostLayer({ quantity: record.stock, unitCost, shippingCost: record.shippingCost || 0, receivedAt: record.date || new Date(), source: 'import' }))
+        : adjustCostLayersForStockChange(product, record.stock, unitCost, record.shippingCost || 0);
+    const stock = stockMode === 'add' ? (product.stock || 0) + record.stock : record.stock;
+    Object.assign(data, costUpdate, { stock });
+    return { data, product: { ...product, ...data }, change: stock - (product.stock || 0) };
+};
+
+// Existing products are updated one transaction each, so a sale or receipt between preview and import is built on rather than overwritten
+const importIntoProduct = async (db, orgId, userId, productId, records, stockMode) => {
+    const productRef = doc(db, 'organizations', orgId, 'inventory', productId);
+    await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(productRef);
+        if (!snapshot.exists()) {
+            const error = new Error('ไม่พบสินค้านี้ในคลังกลาง');
+            error.code = 'missing-product';
+            throw error;
+        }
+        let product = snapshot.data();
+        const update = {};
+        records.forEach(record => {
+            const result = applyImportRow(product, record, stockMode);
+            product = result.product;
+            Object.assign(update, result.data);
+            if (result.change !== 0) {
+                const movement = buildImportMovement(db, orgId, userId, productId, product.name, result.change, product.stock);
+                transaction.set(movement.ref, movement.data);
+            }
+        });
+        transaction.update(productRef, update);
+    });
+};
+
+const InventoryCSVUploader = ({ db, orgId, userId, inventory }) => {
+    const [isUploading, setIsUploading] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [stockMode, setStockMode] = useState('add'); // 'add' or 'replace'
+    const [isDryRun, setIsDryRun] = useState(false);
+
+    const headers = rows[0] || [];
+    const missingFields = INVENTORY_IMPORT_FIELDS.filter(f => f.required && mapping[f.key] === '');
+    const canMatch = mapping.sku !== '' || mapping.barcode !== '';
+
+    const previewRows = useMemo(() => {
+        if (rows.length <= 1) return [];
+        return buildImportPreview(rows, mapping, inventory);
+    }, [rows, mapping, inventory]);
+
+    const summary = useMemo(() => {
+        const validRows = previewRows.filter(row => row.errors.length === 0);
+        return {
+            create: validRows.filter(row => row.action === 'create').length,
+            update: validRows.filter(row => row.action === 'update').length,
+            invalid: previewRows.length - validRows.length,
+            units: validRows.reduce((sum, row) => sum + (row.record.stock || 0), 0)
+        };
+    }, [previewRows]);
+
+    const resetFile = () => {
+        setRows([]);
+        setMapping({});
+        document.getElementById('csv-file-input').value = '';
+    };
+
+    const handleFileChange = async (e) => {
+        setError('');
+        setSuccessMessage('');
+        if (!e.target.files.length) return;
+        try {
+            const buffer = await readFileAsArrayBuffer(e.target.files[0]);
+            const parsedRows = parseCSV(decodeCSVBuffer(buffer));
+            if (parsedRows.length <= 1) {
+                setError('ไฟล์ CSV ว่างเปล่าหรือมีแค่หัวข้อ');
+                setRows([]);
+                return;
+            }
+            setRows(parsedRows);
+            setMapping(guessColumnMapping(parsedRows[0]));
+        } catch (err) {
+            console.error("Error reading CSV: ", err);
+            setError('ไม่สามารถอ่านไฟล์ได้');
+        }
+    };
+
+    const handleUpload = async () => {
+        if (missingFields.length > 0) {
+            setError(`กรุณาเลือกคอลัมน์สำหรับ: ${missingFields.map(f => f.label).join(', ')}`);
+            return;
+        }
+        if (summary.create + summary.update === 0) {
+            setError('ไม่พบข้อมูลสินค้าที่ถูกต้องในไฟล์ CSV');
+            return;
+        }
+        const skippedNote = summary.invalid > 0 ? ` (ข้าม ${summary.invalid} แถวที่มีข้อผิดพลาด)` : '';
+        if (isDryRun) {
+            setError('');
+            setSuccessMessage(`ทดลองนำเข้า: จะเพิ่มสินค้าใหม่ ${summary.create} รายการ และอัปเดต ${summary.update} รายการ${skippedNote} — ยังไม่มีการบันทึกข้อมูล`);
+            return;
+        }
+
+        setIsUploading(true);
+        setError('');
+        setSuccessMessage('');
+        try {
+            const validRows = previewRows.filter(row => row.errors.length === 0);
+            await commitInChunks(db, buildNewProductWrites(db, orgId, userId, validRows.filter(row => !row.existing)));
+            // A file can list the same product twice, so its rows are applied together in order
+            const recordsByProduct = validRows.filter(row => row.existing).reduce((acc, row) => ({ ...acc, [row.existing.id]: [...(acc[row.existing.id] || []), row.record] }), {});
+            for (const [productId, records] of Object.entries(recordsByProduct)) {
+                await importIntoProduct(db, orgId, userId, productId, records, stockMode);
+            }
+            setSuccessMessage(`นำเข้าสำเร็จ! เพิ่มสินค้าใหม่ ${summary.create} รายการ และอัปเดต ${summary.update} รายการ${skippedNote}`);
+            resetFile();
+        } catch (err) {
+            console.error("Error batch writing from CSV: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError('เกิดข้อผิดพลาดในการบันทึกข้อมูล บางส่วนอาจถูกบันทึกไปแล้ว กรุณาตรวจสอบก่อนนำเข้าอีกครั้ง');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    return (
+        <div className="bg-gray-50 p-6 rounded-xl shadow-md mb-6 border-t-4 border-indigo-300">
+            <h2 className="text-xl font-bold text-gray-800 mb-2">เพิ่มสินค้าจำนวนมาก (Upload CSV)</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                รองรับไฟล์ CSV จาก Excel (UTF-8 หรือภาษาไทย Windows) หัวข้อคอลัมน์มาตรฐาน: 
+                <code className="text-xs bg-gray-200 p-1 rounded">date,sku,barcode,brand,category,name,stock,cost,shippingCost,price</code>
+                {' '}สินค้าที่มี SKU หรือ Barcode ตรงกับในคลังจะถูกอัปเดตแทนการเพิ่มใหม่
+            </p>
+            <input 
+                type="file" 
+                id="csv-file-input"
+                accept=".csv,text/csv" 
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+            />
+
+            {rows.length > 1 && (
+                <div className="mt-6 space-y-6">
+                    <div>
+                        <h3 className="text-sm font-bold text-gray-800 mb-2">จับคู่คอลัมน์</h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {INVENTORY_IMPORT_FIELDS.map(field => (
+                                <div key={field.key}>
+                                    <label htmlFor={`map-${field.key}`} className="block text-xs font-medium text-gray-700">{field.label}{field.required && ' *'}</label>
+                                    <select id={`map-${field.key}`} value={mapping[field.key]} onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })} className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-md">
+                                        <option value="">-- ไม่ใช้ --</option>
+                                        {headers.map((header, index) => <option key={index} value={String(index)}>{header || `คอลัมน์ ${index + 1}`}</option>)}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+                        {!canMatch && <p className="text-xs text-yellow-700 mt-2">ไม่ได้เลือกคอลัมน์ SKU หรือ Barcode ทุกแถวจะถูกเพิ่มเป็นสินค้าใหม่</p>}
+                    </div>
+
+                    <div>
+                        <h3 className="text-sm font-bold text-gray-800 mb-2">
+                            ตัวอย่างข้อมูล: เพิ่มใหม่ {summary.create} / อัปเดต {summary.update} / มีข้อผิดพลาด {summary.invalid} แถว
+                        </h3>
+                        <div className="overflow-auto max-h-80 bg-white rounded-lg border border-gray-200">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">แถว</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">การทำงาน</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">SKU</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">ชื่อสินค้า</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">จำนวน</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">ราคาซื้อ</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">ข้อผิดพลาด</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {previewRows.map(row => (
+                                        <tr key={row.rowNumber} className={row.errors.length ? 'bg-red-50' : ''}>
+                                            <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                                            <td className="px-3 py-2">
+                                                {row.errors.length ? <span className="text-red-600">ข้าม</span> : (row.action === 'update'
+                                                    ? <span className="text-blue-600">อัปเดต: {row.existing.name}</span>
+                                                    : <span className="text-green-600">เพิ่มใหม่</span>)}
+                                            </td>
+                                            <td className="px-3 py-2 text-gray-500">{row.record.sku || row.record.barcode || '-'}</td>
+                                            <td className="px-3 py-2 text-gray-900">{row.record.name || '-'}</td>
+                                            <td className="px-3 py-2 text-gray-500">{Number.isNaN(row.record.stock) ? '?' : (row.record.stock ?? '-')}</td>
+                                            <td className="px-3 py-2 text-gray-500">{Number.isNaN(row.record.cost) || row.record.cost === null ? '-' : formatCurrency(row.record.cost)}</td>
+                                            <td className="px-3 py-2 text-red-600">{row.errors.join(', ')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                        <div>
+                            <label htmlFor="csv-stock-mode" className="block text-xs font-medium text-gray-700">สต็อกของสินค้าที่มีอยู่แล้ว</label>
+                            <select id="csv-stock-mode" value={stockMode} onChange={e => setStockMode(e.target.value)} className="mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md">
+                                <option value="add">บวกเพิ่มจากสต็อกเดิม</option>
+                                <option value="replace">แทนที่ด้วยจำนวนในไฟล์</option>
+                            </select>
+                        </div>
+                        <label className="inline-flex items-center text-sm text-gray-700 sm:mt-4">
+                            <input type="checkbox" checked={isDryRun} onChange={e => setIsDryRun(e.target.checked)} className="mr-2" />
+                            ทดลองนำเข้า (ไม่บันทึกข้อมูล)
+                        </label>
+                        <div className="flex-grow text-right sm:mt-4 space-x-2">
+                            <button type="button" onClick={resetFile} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                            <button 
+                                onClick={handleUpload} 
+                                disabled={isUploading || missingFields.length > 0}
+                                className="inline-flex justify-center py-2 px-6 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 disabled:cursor-not-allowed"
+                            >
+                                {isUploading ? 'กำลังอัปโหลด...' : (isDryRun ? 'ตรวจสอบ' : 'นำเข้า')}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            {error && <p className="text-red-500 text-sm mt-2 whitespace-pre-line">{error}</p>}
+            {successMessage && <p className="text-green-600 text-sm mt-2">{successMessage}</p>}
+        </div>
+    );
+};
+
+const AddInventoryForm = ({ db, orgId, userId, inventory = [] }) => {
+    const [name, setName] = useState('');
+    const [brand, setBrand] = useState('');
+    const [category, setCategory] = useState('');
+    const [price, setPrice] = useState('');
+    const [parentId, setParentId] = useState('');
+    const [variant, setVariant] = useState({ size: '', color: '' });
+    const [stock, setStock] = useState('');
+    const [cost, setCost] = useState('');
+    const [shippingCost, setShippingCost] = useState('');
+    const [dateAdded, setDateAdded] = useState('');
+    const [sku, setSku] = useState('');
+    const [barcode, setBarcode] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const parentProducts = useMemo(() => inventory.filter(item => !item.parentId), [inventory]);
+    const parent = parentProducts.find(item => item.id === parentId);
+    const categories = useMemo(() => getDistinctValues(inventory, 'category'), [inventory]);
+
+    const handleParentChange = (e) => {
+        const selected = parentProducts.find(item => item.id === e.target.value);
+        setParentId(e.target.value);
+        if (!selected) return;
+        // A new size or colour usually shares the family's brand, category and price
+        setBrand(brand || selected.brand || '');
+        setCategory(category || selected.category || '');
+        setPrice(price || (selected.price ? String(selected.price) : ''));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if ((!name && !parent) || !stock || !cost || !orgId) {
+            setError("กรุณากรอกข้อมูลให้ครบ: ชื่อ, จำนวน, และราคาซื้อ");
+            return;
+        }
+        if (parent && !formatVariantLabel(variant)) {
+            setError("กรุณาระบุขนาดหรือสีของตัวเลือกสินค้า");
+            return;
+        }
+        const productName = parent ? buildVariantName(parent.name, variant) : name;
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const inventoryCollection = collection(db, 'organizations', orgId, 'inventory');
+            const dateToStore = dateAdded ? new Date(dateAdded + 'T00:00:00') : new Date();
+            const openingLayer = createCostLayer({
+                quantity: Number(stock),
+                unitCost: Number(cost),
+                shippingCost: Number(shippingCost) || 0,
+                receivedAt: dateToStore,
+                source: 'receipt'
+            });
+            const productRef = doc(inventoryCollection);
+            const batch = writeBatch(db);
+            batch.set(productRef, {
+                name: productName,
+                brand,
+                category,
+                ...(parent ? { parentId: parent.id, variant } : {}),
+                stock: Number(stock),
+                price: Number(price) || 0,
+                cost: Number(cost),
+                shippingCost: Number(shippingCost) || 0,
+                date: dateToStore,
+                sku,
+                barcode,
+                ...addCostLayer({}, openingLayer),
+            });
+            batch.set(stockMovementRef(db, orgId), buildStockMovement({
+                productId: productRef.id,
+                productName,
+                locationId: WAREHOUSE_ID,
+                locationName: getLocationName(WAREHOUSE_ID, []),
+                type: 'opening',
+                quantity: Number(stock),
+                balance: Number(stock),
+                userId
+            }));
+            await batch.commit();
+            setName('');
+            setBrand('');
+            setCategory('');
+            setPrice('');
+            setParentId('');
+            setVariant({ size: '', color: '' });
+            setStock('');
+            setCost('');
+            setShippingCost('');
+            setDateAdded('');
+            setSku('');
+            setBarcode('');
+        } catch (err) {
+            console.error("Error adding inventory: ", err);
+            setError("ไม่สามารถเพิ่มสินค้าได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">เพิ่มสินค้าทีละรายการ</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="inv-date" className="block text-sm font-medium text-gray-700">วันที่เพิ่ม</label>
+                        <input type="date" id="inv-date" value={dateAdded} onChange={e => setDateAdded(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                        <label htmlFor="inv-sku" className="block text-sm font-medium text-gray-700">SKU</label>
+                        <input type="text" id="inv-sku" value={sku} onChange={e => setSku(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="รหัสสินค้า" />
+                    </div>
+                    <div>
+                        <label htmlFor="inv-barcode" className="block text-sm font-medium text-gray-700">Barcode</label>
+                        <input type="text" id="inv-barcode" value={barcode} onChange={e => setBarcode(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="รหัสบาร์โค้ด" />
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="inv-parent" className="block text-sm font-medium text-gray-700">ตัวเลือกของสินค้า</label>
+                        <select id="inv-parent" value={parentId} onChange={handleParentChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                            <option value="">-- สินค้าหลัก (ไม่มีตัวเลือก) --</option>
+                            {parentProducts.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+                        </select>
+                    </div>
+                    {parent ? (
+                        <>
+                            <div>
+                                <label htmlFor="inv-size" className="block text-sm font-medium text-gray-700">ขนาด</label>
+                                <input type="text" id="inv-size" value={variant.size} onChange={e => setVariant({ ...variant, size: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น M" />
+                            </div>
+                            <div>
+                                <label htmlFor="inv-color" className="block text-sm font-medium text-gray-700">สี</label>
+                                <input type="text" id="inv-color" value={variant.color} onChange={e => setVariant({ ...variant, color: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น ดำ" />
+                            </div>
+                        </>
+                    ) : (
+                        <div className="md:col-span-2">
+                            <label htmlFor="inv-name" className="block text-sm font-medium text-gray-700">ชื่อสินค้า</label>
+                            <input type="text" id="inv-name" value={name} onChange={e => setName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น เสื้อยืดลายแมว" />
+                        </div>
+                    )}
+                </div>
+                {parent && formatVariantLabel(variant) && <p className="text-sm text-gray-500">จะบันทึกเป็น: {buildVariantName(parent.name, variant)}</p>}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="inv-brand" className="block text-sm font-medium text-gray-700">แบรนด์</label>
+                        <input type="text" id="inv-brand" value={brand} onChange={e => setBrand(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น No-Brand" />
+                    </div>
+                    <div>
+                        <label htmlFor="inv-category" className="block text-sm font-medium text-gray-700">หมวดหมู่</label>
+                        <input type="text" id="inv-category" list="inv-category-options" value={category} onChange={e => setCategory(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น เสื้อผ้า" />
+                        <datalist id="inv-category-options">
+                            {categories.map(c => <option key={c} value={c} />)}
+                        </datalist>
+                    </div>
+                    <div>
+                        <label htmlFor="inv-price" className="block text-sm font-medium text-gray-700">ราคาขายปลีก</label>
+                        <input type="number" id="inv-price" min="0" value={price} onChange={e => setPrice(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="290" />
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                    <div>
+                        <label htmlFor="inv-stock" className="block text-sm font-medium text-gray-700">จำนวน</label>
+                        <input type="number" id="inv-stock" value={stock} onChange={e => setStock(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="100" />
+                    </div>
+                    <div>
+                        <label htmlFor="inv-cost" className="block text-sm font-medium text-gray-700">ราคาซื้อ (ต่อหน่วย)</label>
+                        <input type="number" id="inv-cost" value={cost} onChange={e => setCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="150" />
+                    </div>
+                     <div>
+                        <label htmlFor="inv-shipping" className="block text-sm font-medium text-gray-700">ค่าขนส่ง (รวม)</label>
+                        <input type="number" id="inv-shipping" value={shippingCost} onChange={e => setShippingCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="500" />
+                    </div>
+                </div>
+                 <div className="text-right">
+                    <button type="submit" disabled={isSubmitting} className="w-full md:w-auto inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                        {isSubmitting ? 'กำลังเพิ่ม...' : 'เพิ่มสินค้า'}
+                    </button>
+                </div>
+            </form>
+            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+        </div>
+    );
+};
+
+const InventoryScanPanel = ({ inventory, onFound }) => {
+    const [error, setError] = useState('');
+
+    const handleScan = (code) => {
+        const item = findProductByCode(inventory, code);
+        if (!item) {
+            setError(`ไม่พบสินค้า "${code}" ในคลังกลาง`);
+            return;
+        }
+        setError('');
+        onFound(item);
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-md mb-6 space-y-2">
+            <h3 className="text-sm font-bold text-gray-800">รับสินค้าเข้าด้วยการสแกน</h3>
+            <BarcodeScanInput onScan={handleScan} autoFocus={false} />
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+        </div>
+    );
+};
+
+// Saves on blur like the reorder inputs; clearing the box puts the branch back on the retail price
+const BranchPriceInput = ({ db, docPath, price, defaultPrice }) => {
+    const [value, setValue] = useState(price ?? '');
+    const [error, setError] = useState(false);
+
+    const handleBlur = async () => {
+        const next = value === '' ? null : Number(value);
+        if (Number.isNaN(next) || next < 0 || next === (price ?? null)) return;
+        setError(false);
+        try {
+            await updateDoc(doc(db, ...docPath), { price: next });
+        } catch (err) {
+            console.error("Error updating branch price: ", err);
+            setError(true);
+        }
+    };
+
+    return (
+        <input type="number" min="0" aria-label="ราคาขายของสาขา" value={value} placeholder={String(defaultPrice || 0)} onChange={e => setValue(e.target.value)} onBlur={handleBlur} className={`w-24 px-2 py-1 border rounded-md ${error ? 'border-red-500' : 'border-gray-300'}`} />
+    );
+};
+
+const InventoryList = ({ inventory, db, orgId, loading, onEdit, onReceive, onHistory, costingMethod = 'average', editBranchPrices = false }) => {
+    const [categoryFilter, setCategoryFilter] = useState('');
+    const [brandFilter, setBrandFilter] = useState('');
+
+    const categories = useMemo(() => getDistinctValues(inventory, 'category'), [inventory]);
+    const brands = useMemo(() => getDistinctValues(inventory, 'brand'), [inventory]);
+    const visibleItems = useMemo(() => sortWithVariants(inventory.filter(item =>
+        (!categoryFilter || item.category === categoryFilter) && (!brandFilter || item.brand === brandFilter)
+    )), [inventory, categoryFilter, brandFilter]);
+
+    const handleDelete = async (id) => {
+        if (!orgId) return;
+        try {
+            await deleteDoc(doc(db, 'organizations', orgId, 'inventory', id));
+        } catch (error) {
+            console.error("Error deleting inventory item: ", error);
+        }
+    };
+    if (loading) return <div className="text-center p-8"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-indigo-500 mx-auto"></div><p className="mt-4 text-gray-600">กำลังโหลดข้อมูล...</p></div>;
+    if (inventory.length === 0) return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">ยังไม่มีสินค้าในสต็อก</h3></div>;
+    return (
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+            {(categories.length > 0 || brands.length > 0) && (
+                <div className="p-4 flex flex-wrap items-center gap-2 border-b border-gray-200">
+                    <select aria-label="กรองตามหมวดหมู่" value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-md">
+                        <option value="">-- ทุกหมวดหมู่ --</option>
+                        {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                    <select aria-label="กรองตามแบรนด์" value={brandFilter} onChange={e => setBrandFilter(e.target.value)} className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-md">
+                        <option value="">-- ทุกแบรนด์ --</option>
+                        {brands.map(b => <option key={b} value={b}>{b}</option>)}
+                    </select>
+                    <span className="text-sm text-gray-500">{visibleItems.length} รายการ</span>
+                </div>
+            )}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่เพิ่ม</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Barcode</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">แบรนด์</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ชื่อสินค้า</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">คงเหลือ</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ราคาซื้อ</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ค่าขนส่ง</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ต้นทุนรวมค่าขนส่ง</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{editBranchPrices ? 'ราคาขายของสาขา' : 'ราคาขาย'}</th>
+                            <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {visibleItems.map((item) => {
+                            const stockClass = isLowStock(item) ? 'bg-red-100 text-red-800' : item.stock <= getReorderSettings(item).targetLevel ? 'bg-yellow-100 text-yellow-800' : '';
+                            return (
+                                <tr key={item.id} className="hover:bg-gray-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(item.date)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.sku || '-'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.barcode || '-'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.brand || '-'}</td>
+                                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 ${item.parentId ? 'pl-10' : ''}`}>
+                                        {item.parentId && <span className="text-gray-400 mr-1">↳</span>}
+                                        {item.name}
+                                        {item.category && <span className="block text-xs font-normal text-gray-400">{item.category}</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${stockClass}`}>
+                                            {item.stock}
+                                        </span>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(item.cost)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(item.shippingCost || 0)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {formatCurrency(getInventoryUnitCost(item, costingMethod))}
+                                        <span className="block text-xs text-gray-400">{(item.costLayers || []).length} ล็อต</span>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {editBranchPrices
+                                            ? <BranchPriceInput key={item.branchPrice ?? ''} db={db} docPath={['organizations', orgId, 'branchInventory', item.id]} price={item.branchPrice} defaultPrice={item.price} />
+                                            : formatCurrency(item.price || 0)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                        {onReceive && <button onClick={() => onReceive(item)} className="text-green-600 hover:text-green-900">รับเข้า</button>}
+                                        {onHistory && <button onClick={() => onHistory(item)} className="text-gray-600 hover:text-gray-900">ประวัติ</button>}
+                                        <button onClick={() => onEdit(item)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>
+                                        <button onClick={() => handleDelete(item.id)} className="text-red-600 hover:text-red-900">ลบ</button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// The typed stock is applied as a change to what the server holds now, so a sale made while the form was open is not undone.
+// A typed stock change is an adjustment, not a receipt, so it carries no shipping of its own.
+const saveInventoryEdit = async (db, orgId, userId, productId, { fields, stockChange, reason, costingMethod }) => {
+    const productRef = doc(db, 'organizations', orgId, 'inventory', productId);
+    await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(productRef);
+        if (!snapshot.exists()) {
+            const error = new Error('ไม่พบสินค้านี้ในคลังกลาง');
+            error.code = 'missing-product';
+            throw error;
+        }
+        const product = snapshot.data();
+        const previousStock = product.stock || 0;
+        const newStock = previousStock + stockChange;
+        if (newStock < 0) {
+            const error = new Error(`สินค้าไม่พอ! ${product.name} เหลือเพียง ${previousStock} ชิ้นในคลังกลาง`);
+            error.code = 'insufficient-stock';
+            throw error;
+        }
+        transaction.update(productRef, {
+            ...fields,
+            ...(stockChange !== 0 ? { stock: newStock, ...adjustCostLayersForStockChange(product, newStock, fields.cost) } : {})
+        });
+        if (stockChange === 0) return;
+        transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+            productId,
+            productName: fields.name,
+            locationId: WAREHOUSE_ID,
+            locationName: getLocationName(WAREHOUSE_ID, []),
+            type: 'adjustment',
+            quantity: stockChange,
+            balance: newStock,
+            userId,
+            note: STOCKTAKE_REASONS[reason]
+        }));
+        transaction.set(doc(collection(db, 'organizations', orgId, 'stockAdjustments')), {
+            productId,
+            productName: fields.name,
+            locationId: WAREHOUSE_ID,
+            locationName: getLocationName(WAREHOUSE_ID, []),
+            previousStock,
+            newStock,
+            quantity: stockChange,
+            value: roundCost(stockChange * getInventoryUnitCost(product, costingMethod)),
+            reason,
+            stocktakeId: null,
+            date: new Date(),
+            userId
+        });
+    });
+};
+
+const EditInventoryModal = ({ item, db, orgId, userId, costingMethod = 'average', onClose }) => {
+    const [name, setName] = useState(item.name);
+    const [brand, setBrand] = useState(item.brand || '');
+    const [category, setCategory] = useState(item.category || '');
+    const [price, setPrice] = useState(item.price || '');
+    const [variant, setVariant] = useState({ size: item.variant?.size || '', color: item.variant?.color || '' });
+    const [stock, setStock] = useState(item.stock);
+    const [cost, setCost] = useState(item.cost);
+    const [shippingCost, setShippingCost] = useState(item.shippingCost || '');
+    const [date, setDate] = useState(toDateInputValue(item.date));
+    const [sku, setSku] = useState(item.sku || '');
+    const [barcode, setBarcode] = useState(item.barcode || '');
+    const [reorderPoint, setReorderPoint] = useState(item.reorderPoint ?? '');
+    const [targetLevel, setTargetLevel] = useState(item.targetLevel ?? '');
+    const [stockReason, setStockReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const stockDifference = Number(stock) - (item.stock || 0);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (stockDifference !== 0 && !stockReason) {
+            setError("กรุณาระบุสาเหตุที่แก้ไขจำนวนคงเหลือ");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await saveInventoryEdit(db, orgId, userId, item.id, {
+                fields: {
+                    name,
+                    brand,
+                    category,
+                    price: Number(price) || 0,
+                    ...(item.parentId ? { variant } : {}),
+                    cost: Number(cost),
+                    shippingCost: Number(shippingCost) || 0,
+                    date: new Date(date + 'T00:00:00'),
+                    sku,
+                    barcode,
+                    reorderPoint: reorderPoint === '' ? null : Number(reorderPoint),
+                    targetLevel: targetLevel === '' ? null : Number(targetLevel)
+                },
+                stockChange: stockDifference,
+                reason: stockReason,
+                costingMethod
+            });
+            onClose();
+        } catch (error) {
+            console.error("Error updating inventory: ", error);
+            if (isOfflineError(error)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['missing-product', 'insufficient-stock'].includes(error.code) ? error.message : "ไม่สามารถบันทึกการแก้ไขสินค้าได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">แก้ไข: {item.name}</h3>
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="edit-date" className="block text-sm font-medium text-gray-700">วันที่เพิ่ม</label>
+                                <input type="date" id="edit-date" value={date} onChange={e => setDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                             <div>
+                                <label htmlFor="edit-sku" className="block text-sm font-medium text-gray-700">SKU</label>
+                                <input type="text" id="edit-sku" value={sku} onChange={e => setSku(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-barcode" className="block text-sm font-medium text-gray-700">Barcode</label>
+                                <input type="text" id="edit-barcode" value={barcode} onChange={e => setBarcode(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-brand" className="block text-sm font-medium text-gray-700">แบรนด์</label>
+                                <input type="text" id="edit-brand" value={brand} onChange={e => setBrand(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-category" className="block text-sm font-medium text-gray-700">หมวดหมู่</label>
+                                <input type="text" id="edit-category" value={category} onChange={e => setCategory(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-name" className="block text-sm font-medium text-gray-700">ชื่อสินค้า</label>
+                                <input type="text" id="edit-name" value={name} onChange={e => setName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            {item.parentId && (
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label htmlFor="edit-size" className="block text-sm font-medium text-gray-700">ขนาด</label>
+                                        <input type="text" id="edit-size" value={variant.size} onChange={e => setVariant({ ...variant, size: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                    </div>
+                                    <div>
+                                        <label htmlFor="edit-color" className="block text-sm font-medium text-gray-700">สี</label>
+                                        <input type="text" id="edit-color" value={variant.color} onChange={e => setVariant({ ...variant, color: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                    </div>
+                                </div>
+                            )}
+                            <div>
+                                <label htmlFor="edit-price" className="block text-sm font-medium text-gray-700">ราคาขายปลีก</label>
+                                <input type="number" id="edit-price" min="0" value={price} onChange={e => setPrice(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-stock" className="block text-sm font-medium text-gray-700">จำนวนคงเหลือ</label>
+                                <input type="number" id="edit-stock" value={stock} onChange={e => setStock(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            {stockDifference !== 0 && (
+                                <div>
+                                    <label htmlFor="edit-stock-reason" className="block text-sm font-medium text-gray-700">สาเหตุที่ปรับสต็อก ({stockDifference > 0 ? '+' : ''}{stockDifference})</label>
+                                    <select id="edit-stock-reason" value={stockReason} onChange={e => setStockReason(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                        <option value="">-- เลือกสาเหตุ --</option>
+                                        {Object.entries(STOCKTAKE_REASONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </div>
+                            )}
+                             <div>
+                                <label htmlFor="edit-cost" className="block text-sm font-medium text-gray-700">ราคาซื้อ (ต่อหน่วย)</label>
+                                <input type="number" id="edit-cost" value={cost} onChange={e => setCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="edit-shipping" className="block text-sm font-medium text-gray-700">ค่าขนส่ง (รวม)</label>
+                                <input type="number" id="edit-shipping" value={shippingCost} onChange={e => setShippingCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="edit-reorder" className="block text-sm font-medium text-gray-700">จุดสั่งซื้อซ้ำ</label>
+                                    <input type="number" id="edit-reorder" min="0" value={reorderPoint} onChange={e => setReorderPoint(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder={String(DEFAULT_REORDER_POINT)} />
+                                </div>
+                                <div>
+                                    <label htmlFor="edit-target" className="block text-sm font-medium text-gray-700">ระดับสต็อกเป้าหมาย</label>
+                                    <input type="number" id="edit-target" min="0" value={targetLevel} onChange={e => setTargetLevel(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder={String(getReorderSettings(item).targetLevel)} />
+                                </div>
+                            </div>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Fields to write when a delivery lands in the warehouse; the units get their own landed-cost layer
+const buildReceiptUpdate = (product, { quantity, unitCost, shippingCost = 0, date = new Date(), source = 'receipt' }) => {
+    const layer = createCostLayer({ quantity, unitCost, shippingCost, receivedAt: date, source });
+    return {
+        stock: (product.stock || 0) + quantity,
+        cost: unitCost,
+        shippingCost,
+        ...addCostLayer(product, layer)
+    };
+};
+
+const receiveStock = async (db, orgId, userId, productId, { quantity, unitCost, shippingCost = 0, date = new Date() }) => {
+    const productRef = doc(db, 'organizations', orgId, 'inventory', productId);
+    await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(productRef);
+        if (!snapshot.exists()) {
+            const error = new Error('ไม่พบสินค้านี้ในคลังกลาง');
+            error.code = 'missing-product';
+            throw error;
+        }
+        const update = buildReceiptUpdate(snapshot.data(), { quantity, unitCost, shippingCost, date });
+        transaction.update(productRef, update);
+        transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+            productId,
+            productName: snapshot.data().name,
+            locationId: WAREHOUSE_ID,
+            locationName: getLocationName(WAREHOUSE_ID, []),
+            type: 'receipt',
+            quantity,
+            balance: update.stock,
+            userId
+        }));
+    });
+};
+
+// Opened from a scan, the modal keeps the scanner live so each further scan of the same item counts one more unit
+const ReceiveStockModal = ({ item, db, orgId, userId, onClose, scanToCount = false }) => {
+    const [quantity, setQuantity] = useState(scanToCount ? 1 : '');
+    const [unitCost, setUnitCost] = useState(item.cost || '');
+    const [shippingCost, setShippingCost] = useState('');
+    const [date, setDate] = useState(toDateInputValue(new Date()));
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const landedUnitCost = getLandedUnitCost(Number(unitCost) || 0, Number(shippingCost) || 0, Number(quantity) || 0);
+
+    const handleScan = (code) => {
+        if (findProductByCode([item], code)) {
+            setQuantity(Number(quantity || 0) + 1);
+            setError(null);
+        } else {
+            setError(`"${code}" ไม่ใช่ ${item.name} กรุณารับสินค้านี้ให้เสร็จก่อน`);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!quantity || Number(quantity) < 1 || unitCost === '') {
+            setError("กรุณากรอกจำนวนและราคาซื้อต่อหน่วย");
+            return;
+        }
+        if (!Number.isInteger(Number(quantity)) || Number(unitCost) < 0 || !(Number(shippingCost || 0) >= 0)) {
+            setError("จำนวนต้องเป็นจำนวนเต็ม และราคาซื้อหรือค่าขนส่งต้องไม่ติดลบ");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await receiveStock(db, orgId, userId, item.id, {
+                quantity: Number(quantity),
+                unitCost: Number(unitCost),
+                shippingCost: Number(shippingCost) || 0,
+                date: new Date(date + 'T00:00:00')
+            });
+            onClose();
+        } catch (err) {
+            console.error("Error receiving stock: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(err.code === 'missing-product' ? err.message : "ไม่สามารถบันทึกการรับสินค้าได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">รับสินค้าเข้า: {item.name}</h3>
+                        <p className="text-sm text-gray-500 mt-1">คงเหลือในคลังกลาง {item.stock} ชิ้น</p>
+                        <div className="mt-4 space-y-4">
+                            {scanToCount && <BarcodeScanInput onScan={handleScan} placeholder="สแกนซ้ำเพื่อนับเพิ่มทีละชิ้น" />}
+                            <div>
+                                <label htmlFor="receive-date" className="block text-sm font-medium text-gray-700">วันที่รับ</label>
+                                <input type="date" id="receive-date" value={date} onChange={e => setDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="receive-quantity" className="block text-sm font-medium text-gray-700">จำนวนที่รับ</label>
+                                <input type="number" id="receive-quantity" min="1" step="1" value={quantity} onChange={e => setQuantity(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="receive-cost" className="block text-sm font-medium text-gray-700">ราคาซื้อ (ต่อหน่วย)</label>
+                                <input type="number" id="receive-cost" min="0" step="0.01" value={unitCost} onChange={e => setUnitCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="receive-shipping" className="block text-sm font-medium text-gray-700">ค่าขนส่ง (รวมทั้งล็อต)</label>
+                                <input type="number" id="receive-shipping" min="0" step="0.01" value={shippingCost} onChange={e => setShippingCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <p className="text-sm text-gray-600">ต้นทุนรวมค่าขนส่งต่อหน่วย: <span className="font-semibold">{formatCurrency(landedUnitCost)}</span></p>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:bg-green-300">รับสินค้า</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Products created before cost layers existed get one opening layer covering everything on hand, warehouse and branches
+const CostLayerMigrationNotice = ({ db, orgId, inventory, branchInventory }) => {
+    const [isMigrating, setIsMigrating] = useState(false);
+    const [error, setError] = useState('');
+    const legacyProducts = inventory.filter(item => !item.costLayers);
+
+    if (legacyProducts.length === 0) return null;
+
+    const handleMigrate = async () => {
+        setIsMigrating(true);
+        setError('');
+        try {
+            const writes = legacyProducts.map(product => {
+                const onHand = (product.stock || 0) + branchInventory
+                    .filter(row => row.productId === product.id)
+                    .reduce((sum, row) => sum + (row.stock || 0), 0);
+                const layer = createCostLayer({
+                    quantity: onHand,
+                    unitCost: product.cost || 0,
+                    shippingCost: product.shippingCost || 0,
+                    receivedAt: product.date || new Date(),
+                    source: 'opening'
+                });
+                return { type: 'update', ref: doc(db, 'organizations', orgId, 'inventory', product.id), data: addCostLayer({}, layer) };
+            });
+            await commitInChunks(db, writes);
+        } catch (err) {
+            console.error("Error creating opening cost layers: ", err);
+            setError("ไม่สามารถสร้างล็อตต้นทุนเริ่มต้นได้");
+        } finally {
+            setIsMigrating(false);
+        }
+    };
+
+    return (
+        <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-xl mb-6 flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-yellow-800">มีสินค้า {legacyProducts.length} รายการที่ยังไม่มีล็อตต้นทุน ระบบจะใช้ราคาซื้อล่าสุดคำนวณต้นทุนจนกว่าจะสร้างล็อตเริ่มต้น</p>
+            <button onClick={handleMigrate} disabled={isMigrating} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 disabled:bg-yellow-300">
+                {isMigrating ? 'กำลังสร้าง...' : 'สร้างล็อตต้นทุนเริ่มต้น'}
+            </button>
+            {error && <p className="text-red-500 text-sm w-full">{error}</p>}
+        </div>
+    );
+};
+
+// Changing the method only affects sales recorded afterwards; past sales keep the cost they were booked at
+const CostingMethodSetting = ({ db, orgId, costingMethod, canEdit }) => {
+    const [error, setError] = useState('');
+
+    const handleChange = async (e) => {
+        setError('');
+        try {
+            await updateDoc(doc(db, 'organizations', orgId), { costingMethod: e.target.value });
+        } catch (err) {
+            console.error("Error updating costing method: ", err);
+            setError("ไม่สามารถเปลี่ยนวิธีคิดต้นทุนได้");
+        }
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-md mb-6 flex flex-wrap items-center gap-2">
+            <label htmlFor="costing-method" className="text-sm font-bold text-gray-800">วิธีคิดต้นทุนขาย</label>
+            <select id="costing-method" value={costingMethod} onChange={handleChange} disabled={!canEdit} className="px-3 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-100">
+                {Object.entries(COSTING_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <span className="text-xs text-gray-500">{canEdit ? 'มีผลกับการขายที่บันทึกหลังจากนี้' : 'เฉพาะเจ้าของร้านที่เปลี่ยนได้'}</span>
+            {error && <p className="text-red-500 text-sm w-full">{error}</p>}
+        </div>
+    );
+};
+
+// --- Stock Movement Components ---
+const STOCK_MOVEMENT_TYPES = {
+    opening: 'ยอดยกมา',
+    receipt: 'รับสินค้า',
+    import: 'นำเข้า CSV',
+    'transfer-in': 'โอนเข้า',
+    'transfer-out': 'โอนออก',
+    sale: 'ขาย',
+    'sale-edit': 'แก้ไขรายการขาย',
+    refund: 'คืนสินค้า',
+    void: 'ยกเลิกการขาย',
+    stocktake: 'ตรวจนับ',
+    adjustment: 'แก้ไขจำนวน',
+};
+
+const stockMovementRef = (db, orgId) => doc(collection(db, 'organizations', orgId, 'stockMovements'));
+
+// One entry per stock change at one location; balance is that location's stock right after the change
+const buildStockMovement = ({ productId, productName, locationId, locationName, type, quantity, balance, userId, referenceId = null, note = '' }) => ({
+    productId,
+    productName: productName || '',
+    locationId,
+    locationName,
+    type,
+    quantity,
+    balance,
+    referenceId,
+    note,
+    date: new Date(),
+    userId: userId || null
+});
+
+const StockMovementTimeline = ({ db, orgId, product, branches, initialLocationId = '', onClose }) => {
+    const [movements, setMovements] = useState([]);
+    const [memberEmails, setMemberEmails] = useState({});
+    const [locationId, setLocationId] = useState(initialLocationId);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const movementsQuery = query(collection(db, 'organizations', orgId, 'stockMovements'), where('productId', '==', product.id));
+        const unsubscribe = onSnapshot(movementsQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), date: doc.data().date?.toDate() })).sort((a, b) => b.date - a.date);
+            setMovements(data);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching stock movements: ", err);
+            setError('ไม่สามารถโหลดประวัติการเคลื่อนไหวได้');
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [db, orgId, product.id]);
+
+    useEffect(() => {
+        getDocs(collection(db, 'organizations', orgId, 'members'))
+            .then(snapshot => setMemberEmails(Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data().email]))))
+            .catch(err => console.error("Error fetching members: ", err));
+    }, [db, orgId]);
+
+    const visibleMovements = locationId ? movements.filter(m => m.locationId === locationId) : movements;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl mx-auto max-h-[90vh] flex flex-col">
+                <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+                    <div>
+                        <h3 className="text-lg font-medium text-gray-900">ประวัติสต็อก: {product.name}</h3>
+                        {product.sku && <p className="text-sm text-gray-500">{product.sku}</p>}
+                    </div>
+                    <select value={locationId} onChange={e => setLocationId(e.target.value)} className="px-3 py-2 bg-white border border-gray-300 rounded-md text-sm">
+                        <option value="">ทุกสถานที่</option>
+                        <option value={WAREHOUSE_ID}>คลังกลาง</option>
+                        {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                    </select>
+                </div>
+                <div className="overflow-y-auto flex-grow">
+                    {error && <p className="text-red-500 text-sm p-6">{error}</p>}
+                    {isLoading ? (
+                        <p className="text-center text-gray-500 p-8">กำลังโหลด...</p>
+                    ) : visibleMovements.length === 0 ? (
+                        <p className="text-center text-gray-500 p-8">ยังไม่มีการเคลื่อนไหวที่บันทึกไว้</p>
+                    ) : (
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สถานที่</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ประเภท</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">คงเหลือ</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">อ้างอิง</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ผู้ทำรายการ</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {visibleMovements.map(movement => (
+                                    <tr key={movement.id}>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{formatDateTime(movement.date)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{movement.locationName}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{STOCK_MOVEMENT_TYPES[movement.type] || movement.type}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap text-sm font-medium ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>{movement.quantity > 0 ? '+' : ''}{movement.quantity}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{movement.balance}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{movement.note || '-'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{memberEmails[movement.userId] || '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+                <div className="bg-gray-50 px-6 py-3 flex justify-end rounded-b-xl">
+                    <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ปิด</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Stock Transfer Components ---
+const WAREHOUSE_ID = 'warehouse';
+
+const getLocationName = (locationId, branches) => {
+    if (locationId === WAREHOUSE_ID) return 'คลังกลาง';
+    return branches.find(b => b.id === locationId)?.name || 'ไม่ทราบสาขา';
+};
+
+// Branch rows have auto IDs, so look the pair up before the transaction; a branch that has never held the product gets a fresh ref.
+const getLocationStockRef = async (db, orgId, locationId, productId) => {
+    if (locationId === WAREHOUSE_ID) return doc(db, 'organizations', orgId, 'inventory', productId);
+    const branchInventoryCollection = collection(db, 'organizations', orgId, 'branchInventory');
+    const q = query(branchInventoryCollection, where("branchId", "==", locationId), where("productId", "==", productId));
+    const querySnapshot = await getDocs(q);
+    // New rows get a fixed ID so two first transfers racing to a branch land on the same document
+    return querySnapshot.empty ? doc(branchInventoryCollection, `${locationId}_${productId}`) : querySnapshot.docs[0].ref;
+};
+
+const transferStock = async (db, orgId, userId, { productId, fromId, toId, quantity, note, date, inventory, branches }) => {
+    const qty = Number(quantity);
+    // Stock is counted in whole units, whichever screen starts the transfer
+    if (!Number.isInteger(qty) || qty <= 0) {
+        const error = new Error('จำนวนต้องเป็นจำนวนเต็มที่มากกว่า 0');
+        error.code = 'invalid-quantity';
+        throw error;
+    }
+    const product = inventory.find(p => p.id === productId);
+    const fromRef = await getLocationStockRef(db, orgId, fromId, productId);
+    const toRef = await getLocationStockRef(db, orgId, toId, productId);
+
+    await runTransaction(db, async (transaction) => {
+        const fromSnap = await transaction.get(fromRef);
+        const toSnap = await transaction.get(toRef);
+        const available = fromSnap.exists() ? (fromSnap.data().stock || 0) : 0;
+
+        if (qty > available) {
+            const error = new Error(`สินค้าไม่พอ! ${getLocationName(fromId, branches)} เหลือเพียง ${available} ชิ้น`);
+            error.code = 'insufficient-stock';
+            throw error;
+        }
+        if (toId === WAREHOUSE_ID && !toSnap.exists()) {
+            const error = new Error('ไม่พบสินค้านี้ในคลังกลาง');
+            error.code = 'missing-product';
+            throw error;
+        }
+
+        const toBalance = (toSnap.exists() ? (toSnap.data().stock || 0) : 0) + qty;
+        transaction.update(fromRef, { stock: available - qty });
+        if (toSnap.exists()) {
+            transaction.update(toRef, { stock: toBalance });
+        } else {
+            transaction.set(toRef, { branchId: toId, productId, stock: qty });
+        }
+        const transferRef = doc(collection(db, 'organizations', orgId, 'stockTransfers'));
+        const movement = { productId, productName: product?.name, userId, referenceId: transferRef.id, note: note || '' };
+        transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+            ...movement,
+            locationId: fromId,
+            locationName: getLocationName(fromId, branches),
+            type: 'transfer-out',
+            quantity: -qty,
+            balance: available - qty
+        }));
+        transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+            ...movement,
+            locationId: toId,
+            locationName: getLocationName(toId, branches),
+            type: 'transfer-in',
+            quantity: qty,
+            balance: toBalance
+        }));
+        transaction.set(transferRef, {
+            productId,
+            productName: product?.name || '',
+            fromId,
+            fromName: getLocationName(fromId, branches),
+            toId,
+            toName: getLocationName(toId, branches),
+            quantity: qty,
+            note: note || '',
+            date: date || new Date(),
+            userId
+        });
+    });
+};
+
+const StockTransferForm = ({ db, orgId, userId, inventory, branches, branchInventory, defaultFromId = WAREHOUSE_ID, defaultToId = '' }) => {
+    const [fromId, setFromId] = useState(defaultFromId);
+    const [toId, setToId] = useState(defaultToId);
+    const [productId, setProductId] = useState('');
+    const [quantity, setQuantity] = useState(1);
+    const [note, setNote] = useState('');
+    const [transferDate, setTransferDate] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const locations = [{ id: WAREHOUSE_ID, name: 'คลังกลาง' }, ...branches];
+
+    const sourceProducts = useMemo(() => {
+        if (fromId === WAREHOUSE_ID) return inventory.map(p => ({ productId: p.id, name: p.name, stock: p.stock }));
+        return branchInventory
+            .filter(item => item.branchId === fromId)
+            .map(item => ({ productId: item.productId, name: inventory.find(p => p.id === item.productId)?.name || '-', stock: item.stock }));
+    }, [fromId, inventory, branchInventory]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!fromId || !toId || !productId || !quantity || !userId) {
+            setError("กรุณากรอกข้อมูลให้ครบ: ต้นทาง, ปลายทาง, สินค้า, และจำนวน");
+            return;
+        }
+        if (fromId === toId) {
+            setError("ต้นทางและปลายทางต้องไม่ใช่ที่เดียวกัน");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await transferStock(db, orgId, userId, {
+                productId,
+                fromId,
+                toId,
+                quantity,
+                note,
+                date: transferDate ? new Date(transferDate + 'T00:00:00') : new Date(),
+                inventory,
+                branches
+            });
+            setProductId('');
+            setQuantity(1);
+            setNote('');
+            setTransferDate('');
+        } catch (err) {
+            console.error("Error transferring stock: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['insufficient-stock', 'missing-product', 'invalid-quantity'].includes(err.code) ? err.message : "เกิดข้อผิดพลาดในการโอนสต็อก");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label htmlFor="transfer-from" className="block text-sm font-medium text-gray-700">จาก</label>
+                    <select id="transfer-from" value={fromId} onChange={e => { setFromId(e.target.value); setProductId(''); }} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+                        {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="transfer-to" className="block text-sm font-medium text-gray-700">ไปยัง</label>
+                    <select id="transfer-to" value={toId} onChange={e => setToId(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="">-- เลือกปลายทาง --</option>
+                        {locations.filter(l => l.id !== fromId && isBranchActive(l)).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                    </select>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="md:col-span-2">
+                    <label htmlFor="transfer-product" className="block text-sm font-medium text-gray-700">สินค้า</label>
+                    <select id="transfer-product" value={productId} onChange={e => setProductId(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="">-- เลือกสินค้า --</option>
+                        {sourceProducts.map(p => <option key={p.productId} value={p.productId} disabled={!p.stock}>{p.name} (คงเหลือ: {p.stock || 0})</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="transfer-quantity" className="block text-sm font-medium text-gray-700">จำนวน</label>
+                    <input type="number" id="transfer-quantity" min="1" value={quantity} onChange={e => setQuantity(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                    <label htmlFor="transfer-date" className="block text-sm font-medium text-gray-700">วันที่</label>
+                    <input type="date" id="transfer-date" value={transferDate} onChange={e => setTransferDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+            </div>
+            <div>
+                <label htmlFor="transfer-note" className="block text-sm font-medium text-gray-700">หมายเหตุ</label>
+                <input type="text" id="transfer-note" value={note} onChange={e => setNote(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น เติมของประจำสัปดาห์" />
+            </div>
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            <div className="text-right">
+                <button type="submit" disabled={isSubmitting || !productId || !toId} className="py-2 px-4 border border-transparent rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                    {isSubmitting ? '...' : 'โอนสต็อก'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const StockTransferList = ({ transfers }) => {
+    if (transfers.length === 0) return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">ยังไม่มีประวัติการโอนสต็อก</h3></div>;
+    return (
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จาก</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ไปยัง</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">หมายเหตุ</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {transfers.map((transfer) => (
+                            <tr key={transfer.id} className="hover:bg-gray-50">
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(transfer.date)}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{transfer.productName}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transfer.fromName}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transfer.toName}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transfer.quantity}</td>
+                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transfer.note || '-'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// --- Stocktake Components ---
+const STOCKTAKE_REASONS = {
+    damage: 'ชำรุด',
+    theft: 'สูญหาย/ถูกขโมย',
+    expiry: 'หมดอายุ',
+    miscount: 'บันทึกผิดพลาด',
+    other: 'อื่นๆ',
+};
+
+const STOCKTAKE_STATUS = {
+    open: { label: 'กำลังนับ', style: 'bg-yellow-100 text-yellow-800' },
+    completed: { label: 'ยืนยันแล้ว', style: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'ยกเลิก', style: 'bg-gray-100 text-gray-600' },
+};
+
+// What the system believes each location holds; a branch that has never held a product has no row for it
+const getLocationStockRows = (locationId, inventory, branchInventory) => {
+    if (locationId === WAREHOUSE_ID) return inventory.map(p => ({ productId: p.id, stock: p.stock || 0 }));
+    return branchInventory
+        .filter(row => row.branchId === locationId)
+        .map(row => ({ productId: row.productId, stock: row.stock || 0 }));
+};
+
+// Products missing from the location can still be counted, with a system stock of zero
+const buildStocktakeLines = (stockRows, counts, inventory, costingMethod) => {
+    const stockByProduct = Object.fromEntries(stockRows.map(row => [row.productId, row.stock]));
+    const productIds = [...new Set([...stockRows.map(row => row.productId), ...Object.keys(counts)])];
+    return productIds.map(productId => {
+        const product = inventory.find(p => p.id === productId) || {};
+        const systemStock = stockByProduct[productId] || 0;
+        const counted = counts[productId];
+        const isCounted = counted !== undefined && counted !== '';
+        const variance = isCounted ? Number(counted) - systemStock : 0;
+        const unitCost = getInventoryUnitCost(product, costingMethod);
+        return {
+            productId,
+            name: product.name || '-',
+            sku: product.sku || '',
+            systemStock,
+            counted: isCounted ? Number(counted) : null,
+            variance,
+            unitCost,
+            varianceValue: roundCost(variance * unitCost)
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name, 'th'));
+};
+
+// Counts are compared with stock read inside the transaction, so sales made while counting are not written back as losses
+const completeStocktake = async (db, orgId, userId, stocktakeId, { locationId, locationName, counts, reasons, inventory, costingMethod }) => {
+    const productIds = Object.keys(counts);
+    if (productIds.some(productId => !Number.isInteger(Number(counts[productId])) || Number(counts[productId]) < 0)) {
+        const error = new Error('จำนวนที่นับต้องเป็นจำนวนเต็มที่ไม่ติดลบ');
+        error.code = 'invalid-count';
+        throw error;
+    }
+    const stocktakeRef = doc(db, 'organizations', orgId, 'stocktakes', stocktakeId);
+    const locationRefs = await Promise.all(productIds.map(productId => getLocationStockRef(db, orgId, locationId, productId)));
+    const productRefs = productIds.map(productId => doc(db, 'organizations', orgId, 'inventory', productId));
+
+    await runTransaction(db, async (transaction) => {
+        const stocktakeSnap = await transaction.get(stocktakeRef);
+        if (!stocktakeSnap.exists() || stocktakeSnap.data().status !== 'open') {
+            const error = new Error('รอบตรวจนับนี้ถูกยืนยันหรือยกเลิกไปแล้ว');
+            error.code = 'stocktake-closed';
+            throw error;
+        }
+        const locationSnaps = await Promise.all(locationRefs.map(ref => transaction.get(ref)));
+        const productSnaps = await Promise.all(productRefs.map(ref => transaction.get(ref)));
+
+        const lines = productIds.map((productId, index) => {
+            const product = productSnaps[index].exists() ? productSnaps[index].data() : (inventory.find(p => p.id === productId) || {});
+            const systemStock = locationSnaps[index].exists() ? (locationSnaps[index].data().stock || 0) : 0;
+            const countedQuantity = Number(counts[productId]);
+            const variance = countedQuantity - systemStock;
+
+            // Layers hold company-wide stock, so a branch variance changes them just like a warehouse one
+            let costUpdate = {};
+            let varianceValue = 0;
+            if (variance < 0) {
+                const consumption = consumeCostLayers(product, -variance, costingMethod);
+                costUpdate = { costLayers: consumption.costLayers, averageCost: consumption.averageCost };
+                varianceValue = -consumption.cost;
+            } else if (variance > 0) {
+                const unitCost = getInventoryUnitCost(product, costingMethod);
+                costUpdate = addCostLayer(product, createCostLayer({ quantity: variance, unitCost, source: 'stocktake' }));
+                varianceValue = roundCost(variance * unitCost);
+            }
+
+            if (locationId === WAREHOUSE_ID) {
+                transaction.update(productRefs[index], { stock: countedQuantity, ...costUpdate });
+            } else {
+                if (locationSnaps[index].exists()) transaction.update(locationRefs[index], { stock: countedQuantity });
+                else transaction.set(locationRefs[index], { branchId: locationId, productId, stock: countedQuantity });
+                if (variance !== 0 && productSnaps[index].exists()) transaction.update(productRefs[index], costUpdate);
+            }
+
+            const line = {
+                productId,
+                productName: product.name || '',
+                systemStock,
+                countedQuantity,
+                variance,
+                varianceValue,
+                reason: variance !== 0 ? reasons[productId] || 'other' : ''
+            };
+            if (variance !== 0) {
+                transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+                    productId,
+                    productName: line.productName,
+                    locationId,
+                    locationName,
+                    type: 'stocktake',
+                    quantity: variance,
+                    balance: countedQuantity,
+                    userId,
+                    referenceId: stocktakeId,
+                    note: STOCKTAKE_REASONS[line.reason] || ''
+                }));
+                transaction.set(doc(collection(db, 'organizations', orgId, 'stockAdjustments')), {
+                    productId,
+                    productName: line.productName,
+                    locationId,
+                    locationName,
+                    previousStock: systemStock,
+                    newStock: countedQuantity,
+                    quantity: variance,
+                    value: varianceValue,
+                    reason: line.reason,
+                    stocktakeId,
+                    date: new Date(),
+                    userId
+                });
+            }
+            return line;
+        });
+
+        transaction.update(stocktakeRef, {
+            status: 'completed',
+            counts,
+            reasons,
+            lines,
+            varianceQuantity: lines.reduce((sum, line) => sum + line.variance, 0),
+            varianceValue: roundCost(lines.reduce((sum, line) => sum + line.varianceValue, 0)),
+            completedAt: new Date(),
+            completedBy: userId
+        });
+    });
+};
+
+const StocktakeStartForm = ({ db, orgId, userId, branches, stocktakes, onStarted }) => {
+    const [locationId, setLocationId] = useState(WAREHOUSE_ID);
+    const [note, setNote] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const locations = [{ id: WAREHOUSE_ID, name: 'คลังกลาง' }, ...branches];
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (stocktakes.some(s => s.status === 'open' && s.locationId === locationId)) {
+            setError(`${getLocationName(locationId, branches)} มีรอบตรวจนับที่ยังไม่ปิดอยู่แล้ว`);
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const stocktakeRef = await addDoc(collection(db, 'organizations', orgId, 'stocktakes'), {
+                locationId,
+                locationName: getLocationName(locationId, branches),
+                status: 'open',
+                counts: {},
+                reasons: {},
+                note,
+                createdAt: new Date(),
+                createdBy: userId
+            });
+            setNote('');
+            onStarted(stocktakeRef.id);
+        } catch (err) {
+            console.error("Error starting stocktake: ", err);
+            setError("ไม่สามารถเริ่มการตรวจนับได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">เริ่มตรวจนับสต็อก</h2>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div>
+                    <label htmlFor="stocktake-location" className="block text-sm font-medium text-gray-700">สถานที่</label>
+                    <select id="stocktake-location" value={locationId} onChange={e => setLocationId(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                        {locations.map(location => <option key={location.id} value={location.id}>{location.name}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="stocktake-note" className="block text-sm font-medium text-gray-700">หมายเหตุ</label>
+                    <input type="text" id="stocktake-note" value={note} onChange={e => setNote(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" placeholder="เช่น นับประจำเดือน" />
+                </div>
+                <div className="text-right">
+                    <button type="submit" disabled={isSubmitting} className="w-full inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                        {isSubmitting ? 'กำลังสร้าง...' : 'เริ่มตรวจนับ'}
+                    </button>
+                </div>
+            </form>
+            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+        </div>
+    );
+};
+
+const StocktakeSession = ({ stocktake, db, orgId, userId, inventory, branchInventory, costingMethod, onClose }) => {
+    const [counts, setCounts] = useState(stocktake.counts || {});
+    const [reasons, setReasons] = useState(stocktake.reasons || {});
+    const [showVarianceOnly, setShowVarianceOnly] = useState(false);
+    const [scanMessage, setScanMessage] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const stockRows = useMemo(() => getLocationStockRows(stocktake.locationId, inventory, branchInventory), [stocktake.locationId, inventory, branchInventory]);
+    const lines = useMemo(() => buildStocktakeLines(stockRows, counts, inventory, costingMethod), [stockRows, counts, inventory, costingMethod]);
+    const countedLines = lines.filter(line => line.counted !== null);
+    const varianceLines = countedLines.filter(line => line.variance !== 0);
+    const visibleLines = showVarianceOnly ? varianceLines : lines;
+
+    const handleCountChange = (productId, value) => {
+        if (value === '') {
+            const { [productId]: removed, ...rest } = counts;
+            setCounts(rest);
+            return;
+        }
+        const counted = Number(value);
+        if (!Number.isInteger(counted) || counted < 0) {
+            setError("จำนวนที่นับต้องเป็นจำนวนเต็มที่ไม่ติดลบ");
+            return;
+        }
+        setError(null);
+        setCounts({ ...counts, [productId]: counted });
+    };
+
+    // Each scan counts one more unit of the product
+    const handleScan = (code) => {
+        const product = findProductByCode(inventory, code);
+        if (!product) {
+            setScanMessage('');
+            setError(`ไม่พบสินค้า "${code}"`);
+            return;
+        }
+        const next = (Number(counts[product.id]) || 0) + 1;
+        setCounts({ ...counts, [product.id]: next });
+        setError(null);
+        setScanMessage(`${product.name}: นับได้ ${next} ชิ้น`);
+    };
+
+    const handleSaveDraft = async () => {
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'stocktakes', stocktake.id), { counts, reasons });
+            onClose();
+        } catch (err) {
+            console.error("Error saving stocktake: ", err);
+            setError("ไม่สามารถบันทึกร่างการตรวจนับได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleComplete = async () => {
+        if (countedLines.length === 0) {
+            setError("ยังไม่ได้นับสินค้ารายการใด");
+            return;
+        }
+        if (varianceLines.some(line => !reasons[line.productId])) {
+            setError("กรุณาระบุสาเหตุของทุกรายการที่มีผลต่าง");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await completeStocktake(db, orgId, userId, stocktake.id, {
+                locationId: stocktake.locationId,
+                locationName: stocktake.locationName,
+                counts,
+                reasons,
+                inventory,
+                costingMethod
+            });
+            onClose();
+        } catch (err) {
+            console.error("Error completing stocktake: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['stocktake-closed', 'invalid-count'].includes(err.code) ? err.message : "ไม่สามารถยืนยันผลการตรวจนับได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h2 className="text-xl font-bold text-gray-800">ตรวจนับ: {stocktake.locationName}</h2>
+                    <p className="text-sm text-gray-500">เริ่มเมื่อ {formatDate(stocktake.createdAt)}{stocktake.note ? ` · ${stocktake.note}` : ''}</p>
+                </div>
+                <button type="button" onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">ปิด</button>
+            </div>
+
+            <div className="mb-4">
+                <BarcodeScanInput onScan={handleScan} placeholder="สแกนเพื่อนับทีละชิ้น หรือกรอกจำนวนในตาราง" />
+                {scanMessage && <p className="text-green-600 text-sm mt-1">{scanMessage}</p>}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-2">
+                <input type="checkbox" checked={showVarianceOnly} onChange={e => setShowVarianceOnly(e.target.checked)} />
+                แสดงเฉพาะรายการที่มีผลต่าง
+            </label>
+
+            <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">คงเหลือในระบบ</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">นับได้</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ผลต่าง</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">มูลค่าผลต่าง</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สาเหตุ</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {visibleLines.map(line => (
+                            <tr key={line.productId}>
+                                <td className="px-4 py-2 text-sm font-medium text-gray-900">{line.name}{line.sku && <span className="block text-xs text-gray-400">{line.sku}</span>}</td>
+                                <td className="px-4 py-2 text-sm text-gray-500">{line.systemStock}</td>
+                                <td className="px-4 py-2 text-sm">
+                                    <input type="number" min="0" step="1" value={counts[line.productId] ?? ''} placeholder="ยังไม่นับ" onChange={e => handleCountChange(line.productId, e.target.value)} className="w-24 px-2 py-1 border border-gray-300 rounded-md" />
+                                </td>
+                                <td className={`px-4 py-2 text-sm font-medium ${line.variance < 0 ? 'text-red-600' : line.variance > 0 ? 'text-green-600' : 'text-gray-500'}`}>
+                                    {line.counted === null ? '-' : `${line.variance > 0 ? '+' : ''}${line.variance}`}
+                                </td>
+                                <td className={`px-4 py-2 text-sm ${line.varianceValue < 0 ? 'text-red-600' : 'text-gray-500'}`}>{line.variance !== 0 ? formatCurrency(line.varianceValue) : '-'}</td>
+                                <td className="px-4 py-2 text-sm">
+                                    {line.variance !== 0 && (
+                                        <select value={reasons[line.productId] || ''} onChange={e => setReasons({ ...reasons, [line.productId]: e.target.value })} className={`px-2 py-1 bg-white border rounded-md ${reasons[line.productId] ? 'border-gray-300' : 'border-red-400'}`}>
+                                            <option value="">-- เลือกสาเหตุ --</option>
+                                            {Object.entries(STOCKTAKE_REASONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                        </select>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+                <div className="text-sm text-gray-700 space-y-1">
+                    <p>นับแล้ว {countedLines.length} จาก {lines.length} รายการ · สินค้าที่ยังไม่นับจะไม่ถูกปรับสต็อก</p>
+                    <p>
+                        ผลต่างรวม <strong>{varianceLines.reduce((sum, line) => sum + line.variance, 0)}</strong> ชิ้น
+                        มูลค่า <strong className={varianceLines.reduce((sum, line) => sum + line.varianceValue, 0) < 0 ? 'text-red-600' : ''}>{formatCurrency(varianceLines.reduce((sum, line) => sum + line.varianceValue, 0))}</strong>
+                    </p>
+                </div>
+                <div className="flex gap-2 justify-end">
+                    <button type="button" onClick={handleSaveDraft} disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300 disabled:text-gray-300">บันทึกร่าง</button>
+                    <button type="button" onClick={handleComplete} disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                        {isSubmitting ? 'กำลังบันทึก...' : 'ยืนยันและปรับสต็อก'}
+                    </button>
+                </div>
+            </div>
+            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+        </div>
+    );
+};
+
+const StocktakeHistory = ({ stocktakes, onResume, onCancel }) => {
+    const [expandedId, setExpandedId] = useState(null);
+
+    if (stocktakes.length === 0) return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">ยังไม่มีประวัติการตรวจนับ</h3></div>;
+    return (
+        <div className="bg-white rounded-xl shadow-md overflow-hidden mb-6">
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สถานที่</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">รายการที่นับ</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ผลต่าง (ชิ้น)</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">มูลค่าผลต่าง</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สถานะ</th>
+                            <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {stocktakes.map(stocktake => {
+                            const status = STOCKTAKE_STATUS[stocktake.status] || STOCKTAKE_STATUS.open;
+                            const isCompleted = stocktake.status === 'completed';
+                            return (
+                                <React.Fragment key={stocktake.id}>
+                                    <tr className="hover:bg-gray-50">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(stocktake.completedAt || stocktake.createdAt)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{stocktake.locationName}{stocktake.note && <span className="block text-xs text-gray-400">{stocktake.note}</span>}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{isCompleted ? stocktake.lines.length : Object.keys(stocktake.counts || {}).length}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{isCompleted ? stocktake.varianceQuantity : '-'}</td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${stocktake.varianceValue < 0 ? 'text-red-600' : 'text-gray-500'}`}>{isCompleted ? formatCurrency(stocktake.varianceValue) : '-'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.style}`}>{status.label}</span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                            {stocktake.status === 'open' && (
+                                                <>
+                                                    <button onClick={() => onResume(stocktake)} className="text-indigo-600 hover:text-indigo-900">นับต่อ</button>
+                                                    <button onClick={() => onCancel(stocktake)} className="text-red-600 hover:text-red-900">ยกเลิก</button>
+                                                </>
+                                            )}
+                                            {isCompleted && (
+                                                <button onClick={() => setExpandedId(expandedId === stocktake.id ? null : stocktake.id)} className="text-indigo-600 hover:text-indigo-900">
+                                                    {expandedId === stocktake.id ? 'ซ่อน' : 'รายละเอียด'}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                    {expandedId === stocktake.id && (
+                                        <tr>
+                                            <td colSpan={7} className="px-6 py-4 bg-gray-50 text-sm">
+                                                {stocktake.lines.filter(line => line.variance !== 0).length === 0 ? (
+                                                    <p className="text-gray-500">นับตรงกับระบบทุกรายการ</p>
+                                                ) : stocktake.lines.filter(line => line.variance !== 0).map(line => (
+                                                    <div key={line.productId} className="flex justify-between gap-4 py-1">
+                                                        <span>{line.productName}: {line.systemStock} → {line.countedQuantity} ({line.variance > 0 ? '+' : ''}{line.variance})</span>
+                                                        <span className="text-gray-500">{STOCKTAKE_REASONS[line.reason] || '-'} · {formatCurrency(line.varianceValue)}</span>
+                                                    </div>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const StocktakeView = ({ db, orgId, userId, inventory, branches, branchInventory, stocktakes, costingMethod }) => {
+    const [activeId, setActiveId] = useState(null);
+    const [error, setError] = useState('');
+
+    const activeStocktake = stocktakes.find(s => s.id === activeId && s.status === 'open');
+
+    const handleCancel = async (stocktake) => {
+        setError('');
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'stocktakes', stocktake.id), { status: 'cancelled', cancelledAt: new Date() });
+            if (activeId === stocktake.id) setActiveId(null);
+        } catch (err) {
+            console.error("Error cancelling stocktake: ", err);
+            setError('ไม่สามารถยกเลิกรอบตรวจนับได้');
+        }
+    };
+
+    return (
+        <div>
+            {activeStocktake ? (
+                <StocktakeSession key={activeStocktake.id} stocktake={activeStocktake} db={db} orgId={orgId} userId={userId} inventory={inventory} branchInventory={branchInventory} costingMethod={costingMethod} onClose={() => setActiveId(null)} />
+            ) : (
+                <StocktakeStartForm db={db} orgId={orgId} userId={userId} branches={branches} stocktakes={stocktakes} onStarted={setActiveId} />
+            )}
+            {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+            <StocktakeHistory stocktakes={stocktakes} onResume={stocktake => setActiveId(stocktake.id)} onCancel={handleCancel} />
+        </div>
+    );
+};
+
+// --- Purchasing Components ---
+const PURCHASE_ORDER_STATUS = {
+    open: { label: 'รอรับสินค้า', style: 'bg-yellow-100 text-yellow-800' },
+    partial: { label: 'รับบางส่วน', style: 'bg-blue-100 text-blue-800' },
+    received: { label: 'รับครบแล้ว', style: 'bg-green-100 text-green-800' },
+    cancelled: { label: 'ยกเลิก', style: 'bg-gray-100 text-gray-600' },
+};
+
+const isPurchaseOrderOpen = (order) => order.status === 'open' || order.status === 'partial';
+
+const getOutstandingQuantity = (line) => Math.max(line.quantity - (line.receivedQuantity || 0), 0);
+
+// Receives part or all of a PO in one transaction. Shipping paid on this delivery is spread across its lines by value, or by units when nothing has a cost.
+const receivePurchaseOrder = async (db, orgId, userId, orderId, { lines, shippingCost = 0, date = new Date() }) => {
+    const orderRef = doc(db, 'organizations', orgId, 'purchaseOrders', orderId);
+    await runTransaction(db, async (transaction) => {
+        const orderSnap = await transaction.get(orderRef);
+        const order = orderSnap.data();
+        if (!orderSnap.exists() || !isPurchaseOrderOpen(order)) {
+            const error = new Error('ใบสั่งซื้อนี้ปิดไปแล้ว');
+            error.code = 'order-closed';
+            throw error;
+        }
+
+        const receiving = lines.filter(line => line.quantity > 0);
+        const overLine = receiving.find(line => line.quantity > getOutstandingQuantity(order.lines[line.index]));
+        if (overLine) {
+            const orderLine = order.lines[overLine.index];
+            const error = new Error(`รับ ${orderLine.productName} เกินจำนวนที่สั่ง (ค้างรับ ${getOutstandingQuantity(orderLine)} ชิ้น)`);
+            error.code = 'over-receipt';
+            throw error;
+        }
+
+        const productIds = [...new Set(receiving.map(line => order.lines[line.index].productId))];
+        const productSnaps = await Promise.all(productIds.map(id => transaction.get(doc(db, 'organizations', orgId, 'inventory', id))));
+        const products = {};
+        productSnaps.forEach((snap, i) => {
+            if (!snap.exists()) {
+                const error = new Error(`ไม่พบสินค้า ${order.lines.find(l => l.productId === productIds[i])?.productName || ''} ในคลังกลาง`);
+                error.code = 'missing-product';
+                throw error;
+            }
+            products[productIds[i]] = snap.data();
+        });
+
+        // Free goods (every unit cost 0) would leave nothing to weight by value, so split the shipping by units instead
+        const lineValues = receiving.map(line => line.quantity * line.unitCost);
+        const shippingWeights = lineValues.some(value => value > 0) ? lineValues : receiving.map(line => line.quantity);
+        const shippingShares = allocateOrderDiscount(shippingWeights, shippingCost);
+        const updatedLines = order.lines.map(line => ({ ...line }));
+        const receiptLines = receiving.map((line, i) => {
+            const orderLine = updatedLines[line.index];
+            const update = buildReceiptUpdate(products[orderLine.productId], {
+                quantity: line.quantity,
+                unitCost: line.unitCost,
+                shippingCost: shippingShares[i],
+                date,
+                source: 'purchase-order'
+            });
+            products[orderLine.productId] = { ...products[orderLine.productId], ...update };
+            orderLine.receivedQuantity = (orderLine.receivedQuantity || 0) + line.quantity;
+            transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+                productId: orderLine.productId,
+                productName: orderLine.productName,
+                locationId: WAREHOUSE_ID,
+                locationName: getLocationName(WAREHOUSE_ID, []),
+                type: 'receipt',
+                quantity: line.quantity,
+                balance: update.stock,
+                userId,
+                referenceId: orderId,
+                note: order.poNumber
+            }));
+            return {
+                productId: orderLine.productId,
+                productName: orderLine.productName,
+                quantity: line.quantity,
+                unitCost: line.unitCost,
+                shippingCost: shippingShares[i],
+                landedUnitCost: roundCost(getLandedUnitCost(line.unitCost, shippingShares[i], line.quantity))
+            };
+        });
+
+        productIds.forEach(id => {
+            const { stock, cost, shippingCost: lastShipping, costLayers, averageCost } = products[id];
+            transaction.update(doc(db, 'organizations', orgId, 'inventory', id), { stock, cost, shippingCost: lastShipping, costLayers, averageCost });
+        });
+        transaction.update(orderRef, {
+            lines: updatedLines,
+            status: updatedLines.every(line => getOutstandingQuantity(line) === 0) ? 'received' : 'partial',
+            receipts: [...(order.receipts || []), { receivedAt: date, userId, shippingCost, lines: receiptLines }]
+        });
+    });
+};
+
+const createPurchaseOrder = async (db, orgId, userId, { supplier, lines, expectedDate = null, note = '' }) => {
+    const orderRef = doc(collection(db, 'organizations', orgId, 'purchaseOrders'));
+    const createdAt = new Date();
+    await setDoc(orderRef, {
+        poNumber: `PO-${toDateInputValue(createdAt).replace(/-/g, '')}-${orderRef.id.slice(0, 4).toUpperCase()}`,
+        supplierId: supplier.id,
+        supplierName: supplier.name,
+        status: 'open',
+        expectedDate,
+        note,
+        lines: lines.map(({ productId, productName, quantity, expectedUnitCost }) => ({
+            productId,
+            productName,
+            quantity,
+            receivedQuantity: 0,
+            expectedUnitCost
+        })),
+        expectedTotal: lines.reduce((sum, line) => sum + line.quantity * line.expectedUnitCost, 0),
+        receipts: [],
+        createdAt,
+        userId
+    });
+    return orderRef;
+};
+
+const SupplierManager = ({ db, orgId, suppliers }) => {
+    const [name, setName] = useState('');
+    const [contactName, setContactName] = useState('');
+    const [phone, setPhone] = useState('');
+    const [taxId, setTaxId] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleAddSupplier = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) {
+            setError('กรุณากรอกชื่อผู้จำหน่าย');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await addDoc(collection(db, 'organizations', orgId, 'suppliers'), {
+                name: name.trim(),
+                contactName,
+                phone,
+                taxId,
+                createdAt: new Date()
+            });
+            setName('');
+            setContactName('');
+            setPhone('');
+            setTaxId('');
+        } catch (err) {
+            console.error("Error adding supplier: ", err);
+            setError('ไม่สามารถเพิ่มผู้จำหน่ายได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deleteDoc(doc(db, 'organizations', orgId, 'suppliers', id));
+        } catch (err) {
+            console.error("Error deleting supplier: ", err);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">ผู้จำหน่าย</h2>
+            <form onSubmit={handleAddSupplier} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end mb-4">
+                <div>
+                    <label htmlFor="supplier-name" className="block text-sm font-medium text-gray-700">ชื่อผู้จำหน่าย</label>
+                    <input type="text" id="supplier-name" value={name} onChange={e => setName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                    <label htmlFor="supplier-contact" className="block text-sm font-medium text-gray-700">ผู้ติดต่อ</label>
+                    <input type="text" id="supplier-contact" value={contactName} onChange={e => setContactName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                    <label htmlFor="supplier-phone" className="block text-sm font-medium text-gray-700">เบอร์โทร</label>
+                    <input type="tel" id="supplier-phone" value={phone} onChange={e => setPhone(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                    <label htmlFor="supplier-tax" className="block text-sm font-medium text-gray-700">เลขประจำตัวผู้เสียภาษี</label>
+                    <input type="text" id="supplier-tax" value={taxId} onChange={e => setTaxId(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">เพิ่มผู้จำหน่าย</button>
+            </form>
+            {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+            {suppliers.length > 0 && (
+                <ul className="divide-y divide-gray-200">
+                    {suppliers.map(supplier => (
+                        <li key={supplier.id} className="py-2 flex justify-between text-sm">
+                            <span className="font-medium text-gray-900">{supplier.name}<span className="ml-2 text-gray-500">{[supplier.contactName, supplier.phone].filter(Boolean).join(' · ')}</span></span>
+                            <button onClick={() => handleDelete(supplier.id)} className="text-red-600 hover:text-red-900">ลบ</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const PurchaseOrderForm = ({ db, orgId, userId, suppliers, inventory }) => {
+    const [supplierId, setSupplierId] = useState('');
+    const [expectedDate, setExpectedDate] = useState('');
+    const [note, setNote] = useState('');
+    const [productId, setProductId] = useState('');
+    const [quantity, setQuantity] = useState(1);
+    const [expectedUnitCost, setExpectedUnitCost] = useState('');
+    const [lines, setLines] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleProductChange = (e) => {
+        setProductId(e.target.value);
+        setExpectedUnitCost(inventory.find(p => p.id === e.target.value)?.cost ?? '');
+    };
+
+    const handleAddLine = () => {
+        const product = inventory.find(p => p.id === productId);
+        if (!product || !quantity || quantity < 1 || expectedUnitCost === '') {
+            setError('กรุณาเลือกสินค้า จำนวน และราคาซื้อที่คาดไว้');
+            return;
+        }
+        if (!Number.isInteger(Number(quantity)) || Number(expectedUnitCost) < 0) {
+            setError('จำนวนต้องเป็นจำนวนเต็ม และราคาซื้อต้องไม่ติดลบ');
+            return;
+        }
+        setLines([...lines, {
+            key: `${productId}-${Date.now()}`,
+            productId,
+            productName: product.name,
+            quantity: Number(quantity),
+            expectedUnitCost: Number(expectedUnitCost)
+        }]);
+        setProductId('');
+        setQuantity(1);
+        setExpectedUnitCost('');
+        setError('');
+    };
+
+    const expectedTotal = lines.reduce((sum, line) => sum + line.quantity * line.expectedUnitCost, 0);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const supplier = suppliers.find(s => s.id === supplierId);
+        if (!supplier || lines.length === 0) {
+            setError('กรุณาเลือกผู้จำหน่ายและเพิ่มสินค้าอย่างน้อย 1 รายการ');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await createPurchaseOrder(db, orgId, userId, {
+                supplier,
+                lines,
+                expectedDate: expectedDate ? new Date(expectedDate + 'T00:00:00') : null,
+                note
+            });
+            setSupplierId('');
+            setExpectedDate('');
+            setNote('');
+            setLines([]);
+        } catch (err) {
+            console.error("Error creating purchase order: ", err);
+            setError('ไม่สามารถสร้างใบสั่งซื้อได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">สร้างใบสั่งซื้อ</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="po-supplier" className="block text-sm font-medium text-gray-700">ผู้จำหน่าย</label>
+                        <select id="po-supplier" value={supplierId} onChange={e => setSupplierId(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                            <option value="">-- เลือกผู้จำหน่าย --</option>
+                            {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="po-expected-date" className="block text-sm font-medium text-gray-700">วันที่คาดว่าจะได้รับ</label>
+                        <input type="date" id="po-expected-date" value={expectedDate} onChange={e => setExpectedDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                        <label htmlFor="po-note" className="block text-sm font-medium text-gray-700">หมายเหตุ</label>
+                        <input type="text" id="po-note" value={note} onChange={e => setNote(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div className="md:col-span-2">
+                        <label htmlFor="po-product" className="block text-sm font-medium text-gray-700">สินค้า</label>
+                        <select id="po-product" value={productId} onChange={handleProductChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                            <option value="">-- เลือกสินค้า --</option>
+                            {inventory.map(p => <option key={p.id} value={p.id}>{p.name}{p.sku ? ` (${p.sku})` : ''}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="po-quantity" className="block text-sm font-medium text-gray-700">จำนวน</label>
+                        <input type="number" id="po-quantity" min="1" step="1" value={quantity} onChange={e => setQuantity(Number(e.target.value))} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                        <label htmlFor="po-cost" className="block text-sm font-medium text-gray-700">ราคาซื้อที่คาดไว้ (ต่อหน่วย)</label>
+                        <input type="number" id="po-cost" min="0" step="0.01" value={expectedUnitCost} onChange={e => setExpectedUnitCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                </div>
+                <div className="text-right">
+                    <button type="button" onClick={handleAddLine} disabled={!productId} className="inline-flex justify-center py-2 px-4 border border-indigo-600 text-sm font-medium rounded-md text-indigo-600 bg-white hover:bg-indigo-50 disabled:text-indigo-300 disabled:border-indigo-300">เพิ่มรายการ</button>
+                </div>
+                {lines.length > 0 && (
+                    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ราคา/หน่วย</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">รวม</th>
+                                    <th className="relative px-4 py-2"><span className="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {lines.map(line => (
+                                    <tr key={line.key}>
+                                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{line.productName}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{line.quantity}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{formatCurrency(line.expectedUnitCost)}</td>
+                                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{formatCurrency(line.quantity * line.expectedUnitCost)}</td>
+                                        <td className="px-4 py-2 text-right text-sm"><button type="button" onClick={() => setLines(lines.filter(l => l.key !== line.key))} className="text-red-600 hover:text-red-900">ลบ</button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                <div className="flex justify-between items-center">
+                    <p className="text-sm text-gray-700"><strong>มูลค่าที่คาดไว้:</strong> {formatCurrency(expectedTotal)}</p>
+                    <button type="submit" disabled={isSubmitting || lines.length === 0} className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                        {isSubmitting ? 'กำลังบันทึก...' : 'สร้างใบสั่งซื้อ'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const ReceivePurchaseOrderModal = ({ order, db, orgId, userId, inventory, onClose }) => {
+    const [lines, setLines] = useState(() => order.lines.map((line, index) => ({
+        index,
+        quantity: getOutstandingQuantity(line),
+        unitCost: line.expectedUnitCost
+    })));
+    const [shippingCost, setShippingCost] = useState('');
+    const [date, setDate] = useState(toDateInputValue(new Date()));
+    const [isScanCounting, setIsScanCounting] = useState(false);
+    const [scanMessage, setScanMessage] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleLineChange = (index, field, value) => {
+        setLines(lines.map(line => line.index === index ? { ...line, [field]: Number(value) } : line));
+    };
+
+    // Counting by scan starts every line from zero so the quantities reflect what was actually unpacked
+    const handleToggleScanCounting = () => {
+        if (!isScanCounting) setLines(lines.map(line => ({ ...line, quantity: 0 })));
+        setIsScanCounting(!isScanCounting);
+        setScanMessage('');
+    };
+
+    const handleScan = (code) => {
+        const product = findProductByCode(inventory, code);
+        const line = product && lines.find(l => order.lines[l.index].productId === product.id && l.quantity < getOutstandingQuantity(order.lines[l.index]));
+        if (!product || !order.lines.some(l => l.productId === product.id)) {
+            setError(`"${code}" ไม่อยู่ในใบสั่งซื้อนี้`);
+            return;
+        }
+        if (!line) {
+            setError(`${product.name} รับครบตามจำนวนที่สั่งแล้ว`);
+            return;
+        }
+        setLines(lines.map(l => l.index === line.index ? { ...l, quantity: l.quantity + 1 } : l));
+        setError(null);
+        setScanMessage(`${product.name}: ${line.quantity + 1}/${getOutstandingQuantity(order.lines[line.index])}`);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (lines.some(line => !Number.isInteger(line.quantity) || line.quantity < 0)) {
+            setError('จำนวนที่รับต้องเป็นจำนวนเต็มที่ไม่ติดลบ');
+            return;
+        }
+        if (lines.some(line => line.quantity > 0 && !(line.unitCost >= 0))) {
+            setError('ราคาซื้อต้องไม่ติดลบ');
+            return;
+        }
+        if (!(Number(shippingCost) >= 0)) {
+            setError('ค่าขนส่งต้องไม่ติดลบ');
+            return;
+        }
+        if (!lines.some(line => line.quantity > 0)) {
+            setError('กรุณาระบุจำนวนที่รับอย่างน้อย 1 รายการ');
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await receivePurchaseOrder(db, orgId, userId, order.id, {
+                lines,
+                shippingCost: Number(shippingCost) || 0,
+                date: new Date(date + 'T00:00:00')
+            });
+            onClose();
+        } catch (err) {
+            console.error("Error receiving purchase order: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['order-closed', 'over-receipt', 'missing-product'].includes(err.code) ? err.message : 'ไม่สามารถบันทึกการรับสินค้าได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">รับสินค้า: {order.poNumber}</h3>
+                        <div className="flex justify-between items-center mt-1">
+                            <p className="text-sm text-gray-500">{order.supplierName}</p>
+                            <button type="button" onClick={handleToggleScanCounting} className={`py-1 px-3 text-sm font-medium rounded-md border ${isScanCounting ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-600 border-indigo-600 hover:bg-indigo-50'}`}>
+                                นับด้วยการสแกน
+                            </button>
+                        </div>
+                        {isScanCounting && (
+                            <div className="mt-3">
+                                <BarcodeScanInput onScan={handleScan} />
+                                {scanMessage && <p className="text-green-600 text-sm mt-1">{scanMessage}</p>}
+                            </div>
+                        )}
+                        <div className="mt-4 overflow-x-auto border border-gray-200 rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ค้างรับ</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">รับครั้งนี้</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ราคาซื้อจริง/หน่วย</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {lines.map(line => {
+                                        const orderLine = order.lines[line.index];
+                                        const outstanding = getOutstandingQuantity(orderLine);
+                                        return (
+                                            <tr key={line.index}>
+                                                <td className="px-4 py-2 text-sm font-medium text-gray-900">{orderLine.productName}</td>
+                                                <td className="px-4 py-2 text-sm text-gray-500">{outstanding}</td>
+                                                <td className="px-4 py-2 text-sm"><input type="number" min="0" step="1" max={outstanding} value={line.quantity} disabled={outstanding === 0} onChange={e => handleLineChange(line.index, 'quantity', e.target.value)} className="w-20 px-2 py-1 border border-gray-300 rounded-md disabled:bg-gray-100" /></td>
+                                                <td className="px-4 py-2 text-sm"><input type="number" min="0" step="0.01" value={line.unitCost} disabled={outstanding === 0} onChange={e => handleLineChange(line.index, 'unitCost', e.target.value)} className="w-24 px-2 py-1 border border-gray-300 rounded-md disabled:bg-gray-100" /></td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="po-receive-date" className="block text-sm font-medium text-gray-700">วันที่รับ</label>
+                                <input type="date" id="po-receive-date" value={date} onChange={e => setDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="po-receive-shipping" className="block text-sm font-medium text-gray-700">ค่าขนส่งที่จ่ายจริง (รวมทั้งรอบ)</label>
+                                <input type="number" id="po-receive-shipping" min="0" step="0.01" value={shippingCost} onChange={e => setShippingCost(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="0" />
+                            </div>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">ค่าขนส่งจะถูกเฉลี่ยเข้าต้นทุนของแต่ละรายการตามมูลค่า</p>
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:bg-green-300">บันทึกการรับสินค้า</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const PurchaseOrderList = ({ purchaseOrders, onReceive, onCancel }) => {
+    if (purchaseOrders.length === 0) return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">ยังไม่มีใบสั่งซื้อ</h3></div>;
+    return (
+        <div className="bg-white rounded-xl shadow-md overflow-hidden mb-6">
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">เลขที่</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่สั่ง</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ผู้จำหน่าย</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">รายการ</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">กำหนดรับ</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">มูลค่าที่คาดไว้</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สถานะ</th>
+                            <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {purchaseOrders.map(order => {
+                            const status = PURCHASE_ORDER_STATUS[order.status] || PURCHASE_ORDER_STATUS.open;
+                            return (
+                                <tr key={order.id} className="hover:bg-gray-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{order.poNumber}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(order.createdAt)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.supplierName}</td>
+                                    <td className="px-6 py-4 text-sm text-gray-500">
+                                        {order.lines.map((line, index) => (
+                                            <div key={index}>{line.productName} {line.receivedQuantity || 0}/{line.quantity}</div>
+                                        ))}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.expectedDate ? formatDate(order.expectedDate) : '-'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(order.expectedTotal)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.style}`}>{status.label}</span>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                        {isPurchaseOrderOpen(order) && (
+                                            <>
+                                                <button onClick={() => onReceive(order)} className="text-green-600 hover:text-green-900">รับสินค้า</button>
+                                                <button onClick={() => onCancel(order)} className="text-red-600 hover:text-red-900">ปิดใบสั่งซื้อ</button>
+                                            </>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// What is still on order for each product across every open PO
+const OpenOrdersByProduct = ({ purchaseOrders, inventory }) => {
+    const rows = useMemo(() => {
+        const byProduct = {};
+        purchaseOrders.filter(isPurchaseOrderOpen).forEach(order => {
+            order.lines.forEach(line => {
+                const outstanding = getOutstandingQuantity(line);
+                if (outstanding === 0) return;
+                const row = byProduct[line.productId] || { productId: line.productId, productName: line.productName, onOrder: 0, orders: [], nextExpected: null };
+                row.onOrder += outstanding;
+                row.orders.push(order.poNumber);
+                if (order.expectedDate && (!row.nextExpected || order.expectedDate < row.nextExpected)) row.nextExpected = order.expectedDate;
+                byProduct[line.productId] = row;
+            });
+        });
+        return Object.values(byProduct).map(row => ({
+            ...row,
+            stock: inventory.find(p => p.id === row.productId)?.stock ?? 0
+        })).sort((a, b) => a.productName.localeCompare(b.productName, 'th'));
+    }, [purchaseOrders, inventory]);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md mb-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">สินค้าค้างรับตามใบสั่งซื้อ</h2>
+            {rows.length === 0 ? (
+                <p className="text-sm text-gray-500">ไม่มีสินค้าค้างรับ</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">คงเหลือคลังกลาง</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ค้างรับ</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">กำหนดรับเร็วที่สุด</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ใบสั่งซื้อ</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rows.map(row => (
+                                <tr key={row.productId}>
+                                    <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.productName}</td>
+                                    <td className="px-4 py-2 text-sm text-gray-500">{row.stock}</td>
+                                    <td className="px-4 py-2 text-sm font-semibold text-indigo-600">{row.onOrder}</td>
+                                    <td className="px-4 py-2 text-sm text-gray-500">{row.nextExpected ? formatDate(row.nextExpected) : '-'}</td>
+                                    <td className="px-4 py-2 text-sm text-gray-500">{row.orders.join(', ')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PurchasingView = ({ db, orgId, userId, inventory, suppliers, purchaseOrders }) => {
+    const [receivingOrder, setReceivingOrder] = useState(null);
+    const [error, setError] = useState('');
+
+    const handleCancel = async (order) => {
+        setError('');
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'purchaseOrders', order.id), { status: 'cancelled', cancelledAt: new Date() });
+        } catch (err) {
+            console.error("Error cancelling purchase order: ", err);
+            setError('ไม่สามารถปิดใบสั่งซื้อได้');
+        }
+    };
+
+    return (
+        <div>
+            <OpenOrdersByProduct purchaseOrders={purchaseOrders} inventory={inventory} />
+            <PurchaseOrderForm db={db} orgId={orgId} userId={userId} suppliers={suppliers} inventory={inventory} />
+            {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+            <PurchaseOrderList purchaseOrders={purchaseOrders} onReceive={setReceivingOrder} onCancel={handleCancel} />
+            <SupplierManager db={db} orgId={orgId} suppliers={suppliers} />
+            {receivingOrder && (
+                <ReceivePurchaseOrderModal order={receivingOrder} db={db} orgId={orgId} userId={userId} inventory={inventory} onClose={() => setReceivingOrder(null)} />
+            )}
+        </div>
+    );
+};
+
+// --- Replenishment Components ---
+// Rows without their own settings keep the old "fewer than 5 is low" rule
+const DEFAULT_REORDER_POINT = 4;
+const VELOCITY_WINDOW_DAYS = 30;
+const BRANCH_COVER_DAYS = 14;
+const WAREHOUSE_COVER_DAYS = 30;
+
+const getReorderSettings = (record) => {
+    const reorderPoint = record.reorderPoint ?? DEFAULT_REORDER_POINT;
+    return { reorderPoint, targetLevel: Math.max(record.targetLevel ?? (reorderPoint + 1) * 2, reorderPoint) };
+};
+
+const isLowStock = (record) => (record.stock || 0) <= getReorderSettings(record).reorderPoint;
+
+// Net units sold per day over the last VELOCITY_WINDOW_DAYS, per branch row and per product across all branches
+const buildSalesVelocity = (sales, now = new Date()) => {
+    const since = addDays(now, -VELOCITY_WINDOW_DAYS);
+    const byBranchProduct = {};
+    const byProduct = {};
+    sales.filter(sale => !isSaleVoided(sale) && sale.date >= since).forEach(sale => {
+        const perDay = (sale.quantity - (sale.refundedQuantity || 0)) / VELOCITY_WINDOW_DAYS;
+        const key = `${sale.branchId}:${sale.productId}`;
+        byBranchProduct[key] = (byBranchProduct[key] || 0) + perDay;
+        byProduct[sale.productId] = (byProduct[sale.productId] || 0) + perDay;
+    });
+    return { byBranchProduct, byProduct };
+};
+
+// Top up to the target level, or to enough stock to cover the window at the current sales rate, whichever is higher
+const getSuggestedQuantity = (record, dailyVelocity, coverDays, alreadyComing = 0) => {
+    const { targetLevel } = getReorderSettings(record);
+    const goal = Math.max(targetLevel, Math.ceil(dailyVelocity * coverDays));
+    return Math.max(goal - (record.stock || 0) - alreadyComing, 0);
+};
+
+const buildReplenishmentRows = ({ inventory, branches, branchInventory, sales, purchaseOrders, showAll }) => {
+    const velocity = buildSalesVelocity(sales);
+    const onOrder = {};
+    purchaseOrders.filter(isPurchaseOrderOpen).forEach(order => order.lines.forEach(line => {
+        onOrder[line.productId] = (onOrder[line.productId] || 0) + getOutstandingQuantity(line);
+    }));
+
+    const warehouse = inventory
+        .filter(product => showAll || isLowStock(product))
+        .map(product => ({
+            ...product,
+            ...getReorderSettings(product),
+            dailyVelocity: velocity.byProduct[product.id] || 0,
+            onOrder: onOrder[product.id] || 0,
+            suggested: getSuggestedQuantity(product, velocity.byProduct[product.id] || 0, WAREHOUSE_COVER_DAYS, onOrder[product.id] || 0)
+        }))
+        .sort((a, b) => a.stock - b.stock);
+
+    // Archived branches are no longer restocked
+    const activeBranchIds = new Set(branches.filter(isBranchActive).map(b => b.id));
+    const branchRows = branchInventory
+        .filter(row => activeBranchIds.has(row.branchId) && (showAll || isLowStock(row)))
+        .map(row => {
+            const product = inventory.find(p => p.id === row.productId) || {};
+            const dailyVelocity = velocity.byBranchProduct[`${row.branchId}:${row.productId}`] || 0;
+            return {
+                ...row,
+                ...getReorderSettings(row),
+                name: product.name || '',
+                branchName: getLocationName(row.branchId, branches),
+                warehouseStock: product.stock || 0,
+                dailyVelocity,
+                suggested: getSuggestedQuantity(row, dailyVelocity, BRANCH_COVER_DAYS)
+            };
+        })
+        .sort((a, b) => a.branchName.localeCompare(b.branchName, 'th') || a.stock - b.stock);
+
+    return { warehouse, branchRows };
+};
+
+// Saves on blur so typing a number does not write every keystroke
+const ReorderSettingsInputs = ({ db, docPath, reorderPoint, targetLevel }) => {
+    const [values, setValues] = useState({ reorderPoint, targetLevel });
+    const [error, setError] = useState(false);
+
+    const handleBlur = async (field) => {
+        const value = Number(values[field]);
+        if (Number.isNaN(value) || value < 0 || value === (field === 'reorderPoint' ? reorderPoint : targetLevel)) return;
+        setError(false);
+        try {
+            await updateDoc(doc(db, ...docPath), { [field]: value });
+        } catch (err) {
+            console.error("Error updating reorder settings: ", err);
+            setError(true);
+        }
+    };
+
+    return (
+        <div className="flex items-center gap-1">
+            <input type="number" min="0" aria-label="จุดสั่งซื้อซ้ำ" value={values.reorderPoint} onChange={e => setValues({ ...values, reorderPoint: e.target.value })} onBlur={() => handleBlur('reorderPoint')} className={`w-16 px-2 py-1 border rounded-md ${error ? 'border-red-500' : 'border-gray-300'}`} />
+            <span className="text-gray-400">/</span>
+            <input type="number" min="0" aria-label="ระดับเป้าหมาย" value={values.targetLevel} onChange={e => setValues({ ...values, targetLevel: e.target.value })} onBlur={() => handleBlur('targetLevel')} className={`w-16 px-2 py-1 border rounded-md ${error ? 'border-red-500' : 'border-gray-300'}`} />
+        </div>
+    );
+};
+
+const ReplenishmentView = ({ db, orgId, userId, inventory, branches, branchInventory, sales, suppliers, purchaseOrders }) => {
+    const [showAll, setShowAll] = useState(false);
+    const [supplierId, setSupplierId] = useState('');
+    const [quantities, setQuantities] = useState({});
+    const [busyKey, setBusyKey] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const { warehouse, branchRows } = useMemo(
+        () => buildReplenishmentRows({ inventory, branches, branchInventory, sales, purchaseOrders, showAll }),
+        [inventory, branches, branchInventory, sales, purchaseOrders, showAll]
+    );
+
+    const getQuantity = (key, suggested) => quantities[key] ?? suggested;
+
+    const handleCreateOrder = async (rows, key) => {
+        const supplier = suppliers.find(s => s.id === supplierId);
+        if (!supplier) {
+            setError('กรุณาเลือกผู้จำหน่ายก่อนสร้างใบสั่งซื้อ');
+            return;
+        }
+        const lines = rows
+            .map(row => ({ productId: row.id, productName: row.name, quantity: Number(getQuantity(row.id, row.suggested)), expectedUnitCost: row.cost || 0 }))
+            .filter(line => line.quantity > 0);
+        if (lines.length === 0) {
+            setError('ไม่มีจำนวนที่ต้องสั่งซื้อ');
+            return;
+        }
+        setBusyKey(key);
+        setError('');
+        setMessage('');
+        try {
+            await createPurchaseOrder(db, orgId, userId, { supplier, lines, note: 'สร้างจากรายการเติมสต็อก' });
+            setMessage(`สร้างใบสั่งซื้อ ${lines.length} รายการกับ ${supplier.name} แล้ว`);
+        } catch (err) {
+            console.error("Error creating purchase order: ", err);
+            setError('ไม่สามารถสร้างใบสั่งซื้อได้');
+        } finally {
+            setBusyKey('');
+        }
+    };
+
+    const handleTransfer = async (row) => {
+        const quantity = Math.min(Number(getQuantity(row.id, row.suggested)), row.warehouseStock);
+        if (quantity < 1) {
+            setError('คลังกลางไม่มีสต็อกให้โอน');
+            return;
+        }
+        setBusyKey(row.id);
+        setError('');
+        setMessage('');
+        try {
+            await transferStock(db, orgId, userId, {
+                productId: row.productId,
+                fromId: WAREHOUSE_ID,
+                toId: row.branchId,
+                quantity,
+                note: 'เติมสต็อกตามจุดสั่งซื้อซ้ำ',
+                date: new Date(),
+                inventory,
+                branches
+            });
+            setMessage(`โอน ${row.name} ${quantity} ชิ้นไปยัง ${row.branchName} แล้ว`);
+        } catch (err) {
+            console.error("Error transferring stock: ", err);
+            if (isOfflineError(err)) setError(OFFLINE_TRANSACTION_MESSAGE);
+            else setError(['insufficient-stock', 'missing-product', 'invalid-quantity'].includes(err.code) ? err.message : "เกิดข้อผิดพลาดในการโอนสต็อก");
+        } finally {
+            setBusyKey('');
+        }
+    };
+
+    const headerClass = "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+    const quantityInput = (key, suggested) => (
+        <input type="number" min="0" value={getQuantity(key, suggested)} onChange={e => setQuantities({ ...quantities, [key]: e.target.value })} className="w-20 px-2 py-1 border border-gray-300 rounded-md" />
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-4 rounded-xl shadow-md flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} />
+                    แสดงสินค้าทั้งหมด (สำหรับตั้งค่าจุดสั่งซื้อซ้ำ)
+                </label>
+                <p className="text-xs text-gray-500">จำนวนแนะนำคิดจากยอดขาย {VELOCITY_WINDOW_DAYS} วันล่าสุด: สาขาเติมให้พอขาย {BRANCH_COVER_DAYS} วัน คลังกลางสั่งให้พอ {WAREHOUSE_COVER_DAYS} วัน</p>
+            </div>
+            {message && <p className="text-green-600 text-sm">{message}</p>}
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <h3 className="text-lg font-bold text-gray-800">คลังกลาง ({warehouse.length} รายการ)</h3>
+                    <div className="flex items-center gap-2">
+                        <select value={supplierId} onChange={e => setSupplierId(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+                            <option value="">-- ผู้จำหน่ายสำหรับใบสั่งซื้อ --</option>
+                            {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                        <button onClick={() => handleCreateOrder(warehouse.filter(isLowStock), 'all')} disabled={busyKey !== '' || warehouse.length === 0} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                            สั่งซื้อทุกรายการที่ใกล้หมด
+                        </button>
+                    </div>
+                </div>
+                {warehouse.length === 0 ? <p className="text-sm text-gray-500">ไม่มีสินค้าในคลังกลางที่ต่ำกว่าจุดสั่งซื้อซ้ำ</p> : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className={headerClass}>สินค้า</th>
+                                    <th className={headerClass}>คงเหลือ</th>
+                                    <th className={headerClass}>จุดสั่งซื้อ / เป้าหมาย</th>
+                                    <th className={headerClass}>ขายได้/วัน</th>
+                                    <th className={headerClass}>ค้างรับ</th>
+                                    <th className={headerClass}>จำนวนแนะนำ</th>
+                                    <th className="relative px-4 py-2"><span className="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {warehouse.map(row => (
+                                    <tr key={row.id} className={isLowStock(row) ? 'bg-red-50' : ''}>
+                                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.name}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.stock}</td>
+                                        <td className="px-4 py-2 text-sm"><ReorderSettingsInputs key={`${row.reorderPoint}-${row.targetLevel}`} db={db} docPath={['organizations', orgId, 'inventory', row.id]} reorderPoint={row.reorderPoint} targetLevel={row.targetLevel} /></td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.dailyVelocity.toFixed(1)}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.onOrder}</td>
+                                        <td className="px-4 py-2 text-sm">{quantityInput(row.id, row.suggested)}</td>
+                                        <td className="px-4 py-2 text-right text-sm">
+                                            <button onClick={() => handleCreateOrder([row], row.id)} disabled={busyKey !== ''} className="text-indigo-600 hover:text-indigo-900 disabled:text-indigo-300">สร้างใบสั่งซื้อ</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-4">สต็อกสาขา ({branchRows.length} รายการ)</h3>
+                {branchRows.length === 0 ? <p className="text-sm text-gray-500">ไม่มีสินค้าในสาขาที่ต่ำกว่าจุดสั่งซื้อซ้ำ</p> : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className={headerClass}>สาขา</th>
+                                    <th className={headerClass}>สินค้า</th>
+                                    <th className={headerClass}>คงเหลือ</th>
+                                    <th className={headerClass}>จุดสั่งซื้อ / เป้าหมาย</th>
+                                    <th className={headerClass}>ขายได้/วัน</th>
+                                    <th className={headerClass}>คลังกลางมี</th>
+                                    <th className={headerClass}>จำนวนแนะนำ</th>
+                                    <th className="relative px-4 py-2"><span className="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {branchRows.map(row => (
+                                    <tr key={row.id} className={isLowStock(row) ? 'bg-red-50' : ''}>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.branchName}</td>
+                                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.name}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.stock}</td>
+                                        <td className="px-4 py-2 text-sm"><ReorderSettingsInputs key={`${row.reorderPoint}-${row.targetLevel}`} db={db} docPath={['organizations', orgId, 'branchInventory', row.id]} reorderPoint={row.reorderPoint} targetLevel={row.targetLevel} /></td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.dailyVelocity.toFixed(1)}</td>
+                                        <td className="px-4 py-2 text-sm text-gray-500">{row.warehouseStock}</td>
+                                        <td className="px-4 py-2 text-sm">{quantityInput(row.id, row.suggested)}</td>
+                                        <td className="px-4 py-2 text-right text-sm">
+                                            <button onClick={() => handleTransfer(row)} disabled={busyKey !== '' || row.warehouseStock === 0} className="text-indigo-600 hover:text-indigo-900 disabled:text-indigo-300">โอนจากคลังกลาง</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Customer Components ---
+// One point for every ฿25 spent, and each point is worth ฿1 off a later bill
+const POINTS_EARN_RATE = 25;
+const POINT_VALUE = 1;
+
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '');
+
+const calculatePointsEarned = (amount) => Math.max(Math.floor(amount / POINTS_EARN_RATE), 0);
+
+const findCustomersByPhone = (customers, phone) => {
+    const digits = normalizePhone(phone);
+    if (digits.length < 3) return [];
+    return customers.filter(c => normalizePhone(c.phone).includes(digits)).slice(0, 5);
+};
+
+// Lifetime value follows refunds and voids because it is built from each sale's net amount
+const buildCustomerSummaries = (customers, sales) => {
+    const salesByCustomer = sales.reduce((acc, sale) => {
+        if (!sale.customerId) return acc;
+        acc[sale.customerId] = [...(acc[sale.customerId] || []), sale];
+        return acc;
+    }, {});
+    return customers.map(customer => {
+        const customerSales = salesByCustomer[customer.id] || [];
+        const activeSales = customerSales.filter(sale => !isSaleVoided(sale));
+        return {
+            ...customer,
+            sales: customerSales,
+            orders: new Set(activeSales.map(sale => sale.orderId || sale.id)).size,
+            lifetimeValue: activeSales.reduce((sum, sale) => sum + getSaleNetAmount(sale), 0),
+            lastPurchaseAt: customerSales.length ? customerSales.reduce((latest, sale) => (sale.date > latest ? sale.date : latest), customerSales[0].date) : null
+        };
+    });
+};
+
+const EMPTY_CUSTOMER = { name: '', phone: '', lineId: '', taxId: '' };
+
+const CustomerFormModal = ({ db, orgId, customer, customers, initialPhone = '', onSaved, onClose }) => {
+    const [form, setForm] = useState(() => (customer ? { ...EMPTY_CUSTOMER, ...customer } : { ...EMPTY_CUSTOMER, phone: initialPhone }));
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const phone = normalizePhone(form.phone);
+        if (!form.name.trim()) {
+            setError("กรุณากรอกชื่อลูกค้า");
+            return;
+        }
+        if (phone.length < 9) {
+            setError("กรุณากรอกเบอร์โทรให้ครบ");
+            return;
+        }
+        if (customers.some(c => c.id !== customer?.id && normalizePhone(c.phone) === phone)) {
+            setError("เบอร์โทรนี้มีลูกค้าใช้อยู่แล้ว");
+            return;
+        }
+        if (form.taxId && !/^\d{13}$/.test(form.taxId)) {
+            setError("เลขประจำตัวผู้เสียภาษีต้องเป็นตัวเลข 13 หลัก");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const data = { name: form.name.trim(), phone, lineId: form.lineId.trim(), taxId: form.taxId };
+            if (customer) {
+                await updateDoc(doc(db, 'organizations', orgId, 'customers', customer.id), data);
+                if (onSaved) onSaved({ ...customer, ...data });
+            } else {
+                const customerRef = await addDoc(collection(db, 'organizations', orgId, 'customers'), { ...data, points: 0, createdAt: new Date() });
+                if (onSaved) onSaved({ id: customerRef.id, ...data, points: 0 });
+            }
+            onClose();
+        } catch (err) {
+            console.error("Error saving customer: ", err);
+            setError("ไม่สามารถบันทึกข้อมูลลูกค้าได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">{customer ? `แก้ไขข้อมูลลูกค้า: ${customer.name}` : 'เพิ่มลูกค้า'}</h3>
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="customer-name" className="block text-sm font-medium text-gray-700">ชื่อ</label>
+                                <input type="text" id="customer-name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="customer-phone" className="block text-sm font-medium text-gray-700">เบอร์โทร</label>
+                                <input type="tel" id="customer-phone" value={form.phone} onChange={e => setForm({ ...form, phone: e.target.value })} placeholder="0812345678" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="customer-line" className="block text-sm font-medium text-gray-700">LINE ID</label>
+                                <input type="text" id="customer-line" value={form.lineId} onChange={e => setForm({ ...form, lineId: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="customer-tax-id" className="block text-sm font-medium text-gray-700">เลขประจำตัวผู้เสียภาษี (ถ้ามี)</label>
+                                <input type="text" id="customer-tax-id" inputMode="numeric" value={form.taxId} onChange={e => setForm({ ...form, taxId: e.target.value.replace(/\D/g, '') })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3 rounded-b-xl">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Looks customers up by phone at the till; a number nobody has yet can be signed up on the spot
+const CustomerPicker = ({ db, orgId, customers, selectedCustomer, onSelect }) => {
+    const [phone, setPhone] = useState('');
+    const [isAdding, setIsAdding] = useState(false);
+    const matches = findCustomersByPhone(customers, phone);
+
+    if (selectedCustomer) {
+        return (
+            <div className="flex items-center justify-between px-3 py-2 bg-indigo-50 border border-indigo-200 rounded-md text-sm">
+                <span>
+                    <strong>{selectedCustomer.name}</strong> ({selectedCustomer.phone})
+                    <span className="block text-xs text-gray-500">แต้มสะสม {selectedCustomer.points || 0} แต้ม</span>
+                </span>
+                <button type="button" onClick={() => onSelect(null)} className="text-red-600 hover:text-red-900">เปลี่ยน</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="relative">
+            <input type="tel" aria-label="ค้นหาลูกค้าด้วยเบอร์โทร" value={phone} onChange={e => setPhone(e.target.value)} placeholder="ค้นหาลูกค้าด้วยเบอร์โทร" className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md" />
+            {normalizePhone(phone).length >= 3 && (
+                <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg text-sm">
+                    {matches.map(customer => (
+                        <button key={customer.id} type="button" onClick={() => { onSelect(customer); setPhone(''); }} className="block w-full text-left px-3 py-2 hover:bg-indigo-50">
+                            {customer.name} <span className="text-gray-500">{customer.phone} · {customer.points || 0} แต้ม</span>
+                        </button>
+                    ))}
+                    <button type="button" onClick={() => setIsAdding(true)} className="block w-full text-left px-3 py-2 text-indigo-600 hover:bg-indigo-50">+ เพิ่มลูกค้าใหม่</button>
+                </div>
+            )}
+            {isAdding && (
+                <CustomerFormModal
+                    db={db}
+                    orgId={orgId}
+                    customers={customers}
+                    initialPhone={normalizePhone(phone)}
+                    onSaved={customer => { onSelect(customer); setPhone(''); }}
+                    onClose={() => setIsAdding(false)}
+                />
+            )}
+        </div>
+    );
+};
+
+const CustomerHistoryModal = ({ customer, onClose }) => (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl mx-auto max-h-full overflow-y-auto">
+            <div className="p-6 space-y-4">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900">ประวัติการซื้อ: {customer.name}</h3>
+                    <p className="text-sm text-gray-500">
+                        ซื้อ {customer.orders} ครั้ง · ยอดซื้อสะสม {formatCurrency(customer.lifetimeValue)} · แต้มคงเหลือ {customer.points || 0} แต้ม
+                    </p>
+                </div>
+                {customer.sales.length === 0 ? (
+                    <p className="text-sm text-gray-500">ยังไม่มีประวัติการซื้อ</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">วันที่</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ใบเสร็จ</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สาขา</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดสุทธิ</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {customer.sales.map(sale => (
+                                    <tr key={sale.id} className={isSaleVoided(sale) ? 'line-through text-gray-400' : ''}>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm">{formatDate(sale.date)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm">{sale.receiptNumber || '-'}</td>
+                                        <td className="px-4 py-2 text-sm">{sale.product}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm">{sale.branchName}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm">{sale.quantity}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm">{formatCurrency(getSaleNetAmount(sale))}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+                <div className="text-right">
+                    <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ปิด</button>
+                </div>
+            </div>
+        </div>
+    </div>
+);
+
+const CustomersView = ({ db, orgId, customers, sales }) => {
+    const [search, setSearch] = useState('');
+    const [editingCustomer, setEditingCustomer] = useState(null); // a customer, or {} for a new one
+    const [historyCustomerId, setHistoryCustomerId] = useState(null);
+
+    const summaries = useMemo(() => buildCustomerSummaries(customers, sales), [customers, sales]);
+    const filtered = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        if (!term) return summaries;
+        const digits = normalizePhone(term);
+        return summaries.filter(c => c.name.toLowerCase().includes(term)
+            || (digits && normalizePhone(c.phone).includes(digits))
+            || (c.lineId || '').toLowerCase().includes(term));
+    }, [summaries, search]);
+    const historyCustomer = summaries.find(c => c.id === historyCustomerId);
+
+    return (
+        <div className="bg-white rounded-xl shadow-md overflow-hidden">
+            <div className="p-6 flex flex-wrap justify-between items-center gap-4">
+                <h2 className="text-xl font-bold text-gray-800">ลูกค้า</h2>
+                <div className="flex gap-2">
+                    <input type="text" aria-label="ค้นหาลูกค้า" value={search} onChange={e => setSearch(e.target.value)} placeholder="ค้นหาชื่อ เบอร์โทร หรือ LINE ID" className="px-3 py-2 border border-gray-300 rounded-md text-sm" />
+                    <button type="button" onClick={() => setEditingCustomer({})} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700">เพิ่มลูกค้า</button>
+                </div>
+            </div>
+            {filtered.length === 0 ? (
+                <p className="px-6 pb-6 text-sm text-gray-500">{customers.length === 0 ? 'ยังไม่มีลูกค้า' : 'ไม่พบลูกค้าที่ค้นหา'}</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ชื่อ</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">เบอร์โทร</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">LINE ID</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ซื้อ (ครั้ง)</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดซื้อสะสม</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">แต้มคงเหลือ</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ซื้อล่าสุด</th>
+                                <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {filtered.map(customer => (
+                                <tr key={customer.id} className="hover:bg-gray-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{customer.name}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.phone}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.lineId || '-'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.orders}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatCurrency(customer.lifetimeValue)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.points || 0}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customer.lastPurchaseAt ? formatDate(customer.lastPurchaseAt) : '-'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                        <button onClick={() => setHistoryCustomerId(customer.id)} className="text-gray-600 hover:text-gray-900">ประวัติ</button>
+                                        <button onClick={() => setEditingCustomer(customer)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {editingCustomer && (
+                <CustomerFormModal
+                    db={db}
+                    orgId={orgId}
+                    customer={editingCustomer.id ? editingCustomer : null}
+                    customers={customers}
+                    onClose={() => setEditingCustomer(null)}
+                />
+            )}
+            {historyCustomer && <CustomerHistoryModal customer={historyCustomer} onClose={() => setHistoryCustomerId(null)} />}
+        </div>
+    );
+};
+
+// --- Promotion Components ---
+const PROMOTION_TYPES = {
+    percent: 'ลดเป็นเปอร์เซ็นต์',
+    fixed: 'ลดเป็นเงินต่อชิ้น',
+    'buy-x-get-y': 'ซื้อ X แถม Y',
+    bundle: 'ราคาเหมาเป็นชุด',
+};
+
+const PROMOTION_SCOPES = {
+    all: 'สินค้าทุกรายการ',
+    products: 'เลือกสินค้า',
+    brand: 'ทั้งแบรนด์',
+    category: 'ทั้งหมวดหมู่',
+};
+
+// End dates are the last day the promotion runs
+const isPromotionRunning = (promotion, { branchId, date }) => {
+    if (promotion.active === false) return false;
+    if (promotion.branchIds?.length && !promotion.branchIds.includes(branchId)) return false;
+    if (promotion.startDate && date < promotion.startDate) return false;
+    if (promotion.endDate && date >= addDays(promotion.endDate, 1)) return false;
+    return true;
+};
+
+const isInPromotionScope = (promotion, product) => {
+    if (promotion.scope === 'products') return (promotion.productIds || []).includes(product.productId);
+    if (promotion.scope === 'brand') return Boolean(product.brand) && product.brand === promotion.brand;
+    if (promotion.scope === 'category') return Boolean(product.category) && product.category === promotion.category;
+    return true;
+};
+
+// What one promotion would take off each cart line; lines are { productId, brand, category, quantity, unitPrice }
+export const calculatePromotionDiscounts = (promotion, lines) => {
+    const discounts = lines.map(() => 0);
+    const eligible = lines.map((line, index) => index).filter(index => isInPromotionScope(promotion, lines[index]));
+    const value = Number(promotion.value) || 0;
+
+    if (promotion.type === 'percent') {
+        eligible.forEach(index => { discounts[index] = lines[index].unitPrice * lines[index].quantity * value / 100; });
+    } else if (promotion.type === 'fixed') {
+        eligible.forEach(index => { discounts[index] = Math.min(value, lines[index].unitPrice) * lines[index].quantity; });
+    } else if (promotion.type === 'buy-x-get-y') {
+        // Counted per product, and the free units are the cheapest lines of that product
+        const groupSize = (Number(promotion.buyQuantity) || 0) + (Number(promotion.getQuantity) || 0);
+        if (groupSize === 0) return discounts;
+        const byProduct = eligible.reduce((acc, index) => ({ ...acc, [lines[index].productId]: [...(acc[lines[index].productId] || []), index] }), {});
+        Object.values(byProduct).forEach(indexes => {
+            const quantity = indexes.reduce((sum, index) => sum + lines[index].quantity, 0);
+            let free = Math.floor(quantity / groupSize) * Number(promotion.getQuantity);
+            [...indexes].sort((a, b) => lines[a].unitPrice - lines[b].unitPrice).forEach(index => {
+                const units = Math.min(free, lines[index].quantity);
+                discounts[index] += units * lines[index].unitPrice;
+                free -= units;
+            });
+        });
+    } else if (promotion.type === 'bundle') {
+        // The dearest units are bundled first, and each set's saving is shared by the units in it
+        const size = Number(promotion.bundleQuantity) || 0;
+        const bundlePrice = Number(promotion.bundlePrice) || 0;
+        if (size < 1) return discounts;
+        const units = eligible
+            .flatMap(index => Array.from({ length: lines[index].quantity }, () => ({ index, price: lines[index].unitPrice })))
+            .sort((a, b) => b.price - a.price);
+        for (let start = 0; start + size <= units.length; start += size) {
+            const set = units.slice(start, start + size);
+            const total = set.reduce((sum, unit) => sum + unit.price, 0);
+            if (total <= bundlePrice) continue;
+            set.forEach(unit => { discounts[unit.index] += (total - bundlePrice) * unit.price / total; });
+        }
+    }
+    return discounts;
+};
+
+// Bundles and buy-X-get-Y only pay out when every line in the set keeps that promotion
+const SET_PROMOTION_TYPES = ['bundle', 'buy-x-get-y'];
+
+// Promotions never stack: each line keeps one running promotion. Per-unit promotions are compared line by line; a set promotion
+// takes its lines only when the whole set saves more than those lines would get on their own, best set first.
+export const applyPromotions = (lines, promotions, context) => {
+    const running = promotions.filter(promotion => isPromotionRunning(promotion, context));
+    const capDiscount = (amount, line) => Math.min(Math.round(amount * 100) / 100, line.unitPrice * line.quantity);
+
+    const lineBest = lines.map(() => ({ discount: 0, promotion: null }));
+    running.filter(promotion => !SET_PROMOTION_TYPES.includes(promotion.type)).forEach(promotion => {
+        calculatePromotionDiscounts(promotion, lines).forEach((amount, index) => {
+            const discount = capDiscount(amount, lines[index]);
+            if (discount > lineBest[index].discount) lineBest[index] = { discount, promotion };
+        });
+    });
+
+    const result = [...lineBest];
+    const taken = new Set();
+    const setPromotions = running.filter(promotion => SET_PROMOTION_TYPES.includes(promotion.type));
+    const pickBestSet = () => {
+        const open = lines.map((line, index) => index).filter(index => !taken.has(index));
+        let best = null;
+        setPromotions.forEach(promotion => {
+            const discounts = calculatePromotionDiscounts(promotion, open.map(index => lines[index]));
+            // The units paid for in a buy-X-get-Y set belong to it as much as the free ones
+            const freeProducts = new Set(open.filter((index, i) => discounts[i] > 0).map(index => lines[index].productId));
+            const members = open
+                .map((index, i) => ({ index, discount: capDiscount(discounts[i], lines[index]) }))
+                .filter(({ index, discount }) => discount > 0
+                    || (promotion.type === 'buy-x-get-y' && freeProducts.has(lines[index].productId) && isInPromotionScope(promotion, lines[index])));
+            const gain = members.reduce((sum, { index, discount }) => sum + discount - lineBest[index].discount, 0);
+            if (members.length > 0 && gain > (best?.gain || 0)) best = { promotion, members, gain };
+        });
+        return best;
+    };
+
+    let best = pickBestSet();
+    while (best) {
+        const { promotion, members } = best;
+        members.forEach(({ index, discount }) => {
+            result[index] = { discount, promotion };
+            taken.add(index);
+        });
+        best = pickBestSet();
+    }
+    return result;
+};
+
+const describePromotion = (promotion) => {
+    if (promotion.type === 'percent') return `ลด ${promotion.value}%`;
+    if (promotion.type === 'fixed') return `ลด ${formatCurrency(promotion.value || 0)} ต่อชิ้น`;
+    if (promotion.type === 'buy-x-get-y') return `ซื้อ ${promotion.buyQuantity} แถม ${promotion.getQuantity}`;
+    return `${promotion.bundleQuantity} ชิ้น ${formatCurrency(promotion.bundlePrice || 0)}`;
+};
+
+// Compares units sold while the promotion ran with the same number of days just before it started
+const buildPromotionReport = (promotions, sales, inventory) => {
+    const productsById = Object.fromEntries(inventory.map(p => [p.id, p]));
+    const now = new Date();
+    const netUnits = (list) => list.reduce((sum, sale) => sum + sale.quantity - (sale.refundedQuantity || 0), 0);
+    const revenue = (list) => list.reduce((sum, sale) => sum + getSaleNetAmount(sale), 0);
+
+    return promotions
+        .filter(promotion => promotion.startDate && promotion.startDate <= now)
+        .map(promotion => {
+            const start = promotion.startDate;
+            const end = promotion.endDate && addDays(promotion.endDate, 1) < now ? addDays(promotion.endDate, 1) : now;
+            const baselineStart = new Date(start.getTime() - (end - start));
+            const inScope = (sale) => !isSaleVoided(sale) && sale.date
+                && (!promotion.branchIds?.length || promotion.branchIds.includes(sale.branchId))
+                && isInPromotionScope(promotion, { ...productsById[sale.productId], productId: sale.productId });
+            const during = sales.filter(sale => inScope(sale) && sale.date >= start && sale.date < end);
+            const before = sales.filter(sale => inScope(sale) && sale.date >= baselineStart && sale.date < start);
+            const promoted = during.filter(sale => sale.promotionId === promotion.id);
+            const units = netUnits(during);
+            const baselineUnits = netUnits(before);
+            const discount = promoted.reduce((sum, sale) => sum + (sale.promotionDiscount || 0), 0);
+            return {
+                promotion,
+                discount,
+                promotedUnits: netUnits(promoted),
+                units,
+                baselineUnits,
+                extraUnits: units - baselineUnits,
+                revenue: revenue(during),
+                baselineRevenue: revenue(before),
+                discountPerExtraUnit: units > baselineUnits ? discount / (units - baselineUnits) : null
+            };
+        })
+        .sort((a, b) => b.promotion.startDate - a.promotion.startDate);
+};
+
+const EMPTY_PROMOTION = {
+    name: '',
+    type: 'percent',
+    value: '',
+    buyQuantity: '',
+    getQuantity: '',
+    bundleQuantity: '',
+    bundlePrice: '',
+    scope: 'all',
+    productIds: [],
+    brand: '',
+    category: '',
+    branchIds: [],
+    startDate: '',
+    endDate: ''
+};
+
+const PromotionFormModal = ({ db, orgId, promotion, inventory, branches, onClose }) => {
+    const [form, setForm] = useState(() => (promotion ? {
+        ...EMPTY_PROMOTION,
+        ...promotion,
+        startDate: toDateInputValue(promotion.startDate),
+        endDate: toDateInputValue(promotion.endDate)
+    } : EMPTY_PROMOTION));
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const brands = useMemo(() => getDistinctValues(inventory, 'brand'), [inventory]);
+    const categories = useMemo(() => getDistinctValues(inventory, 'category'), [inventory]);
+
+    const toggleBranch = (branchId) => setForm({
+        ...form,
+        branchIds: form.branchIds.includes(branchId) ? form.branchIds.filter(id => id !== branchId) : [...form.branchIds, branchId]
+    });
+
+    const validate = () => {
+        if (!form.name.trim()) return "กรุณากรอกชื่อโปรโมชัน";
+        if (form.type === 'percent' && !(Number(form.value) > 0 && Number(form.value) <= 100)) return "เปอร์เซ็นต์ส่วนลดต้องอยู่ระหว่าง 1-100";
+        if (form.type === 'fixed' && !(Number(form.value) > 0)) return "กรุณากรอกจำนวนเงินที่ลด";
+        if (form.type === 'buy-x-get-y' && !(Number(form.buyQuantity) >= 1 && Number(form.getQuantity) >= 1)) return "กรุณากรอกจำนวนที่ซื้อและจำนวนที่แถม";
+        if (form.type === 'bundle' && !(Number(form.bundleQuantity) >= 2 && Number(form.bundlePrice) >= 0 && form.bundlePrice !== '')) return "ชุดต้องมีอย่างน้อย 2 ชิ้นและระบุราคาเหมา";
+        if (form.scope === 'products' && form.productIds.length === 0) return "กรุณาเลือกสินค้าที่ร่วมรายการ";
+        if (form.scope === 'brand' && !form.brand) return "กรุณาเลือกแบรนด์";
+        if (form.scope === 'category' && !form.category) return "กรุณาเลือกหมวดหมู่";
+        if (!form.startDate) return "กรุณาระบุวันเริ่มโปรโมชัน";
+        if (form.endDate && form.endDate < form.startDate) return "วันสิ้นสุดต้องไม่ก่อนวันเริ่ม";
+        return null;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationError = validate();
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const data = {
+                name: form.name.trim(),
+                type: form.type,
+                value: Number(form.value) || 0,
+                buyQuantity: Number(form.buyQuantity) || 0,
+                getQuantity: Number(form.getQuantity) || 0,
+                bundleQuantity: Number(form.bundleQuantity) || 0,
+                bundlePrice: Number(form.bundlePrice) || 0,
+                scope: form.scope,
+                productIds: form.scope === 'products' ? form.productIds : [],
+                brand: form.scope === 'brand' ? form.brand : '',
+                category: form.scope === 'category' ? form.category : '',
+                branchIds: form.branchIds,
+                startDate: new Date(form.startDate + 'T00:00:00'),
+                endDate: form.endDate ? new Date(form.endDate + 'T00:00:00') : null
+            };
+            if (promotion) await updateDoc(doc(db, 'organizations', orgId, 'promotions', promotion.id), data);
+            else await addDoc(collection(db, 'organizations', orgId, 'promotions'), { ...data, active: true, createdAt: new Date() });
+            onClose();
+        } catch (err) {
+            console.error("Error saving promotion: ", err);
+            setError("ไม่สามารถบันทึกโปรโมชันได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg mx-auto max-h-full overflow-y-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">{promotion ? `แก้ไขโปรโมชัน: ${promotion.name}` : 'สร้างโปรโมชัน'}</h3>
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="promo-name" className="block text-sm font-medium text-gray-700">ชื่อโปรโมชัน</label>
+                                <input type="text" id="promo-name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="เช่น ลดกลางปี 20%" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="promo-type" className="block text-sm font-medium text-gray-700">รูปแบบ</label>
+                                <select id="promo-type" value={form.type} onChange={e => setForm({ ...form, type: e.target.value })} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                    {Object.entries(PROMOTION_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                            {(form.type === 'percent' || form.type === 'fixed') && (
+                                <div>
+                                    <label htmlFor="promo-value" className="block text-sm font-medium text-gray-700">{form.type === 'percent' ? 'ส่วนลด (%)' : 'ส่วนลดต่อชิ้น (฿)'}</label>
+                                    <input type="number" id="promo-value" min="0" value={form.value} onChange={e => setForm({ ...form, value: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                </div>
+                            )}
+                            {form.type === 'buy-x-get-y' && (
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label htmlFor="promo-buy" className="block text-sm font-medium text-gray-700">ซื้อ (ชิ้น)</label>
+                                        <input type="number" id="promo-buy" min="1" value={form.buyQuantity} onChange={e => setForm({ ...form, buyQuantity: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                    </div>
+                                    <div>
+                                        <label htmlFor="promo-get" className="block text-sm font-medium text-gray-700">แถม (ชิ้น)</label>
+                                        <input type="number" id="promo-get" min="1" value={form.getQuantity} onChange={e => setForm({ ...form, getQuantity: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                    </div>
+                                </div>
+                            )}
+                            {form.type === 'bundle' && (
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label htmlFor="promo-bundle-quantity" className="block text-sm font-medium text-gray-700">จำนวนต่อชุด</label>
+                                        <input type="number" id="promo-bundle-quantity" min="2" value={form.bundleQuantity} onChange={e => setForm({ ...form, bundleQuantity: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                    </div>
+                                    <div>
+                                        <label htmlFor="promo-bundle-price" className="block text-sm font-medium text-gray-700">ราคาเหมาต่อชุด (฿)</label>
+                                        <input type="number" id="promo-bundle-price" min="0" value={form.bundlePrice} onChange={e => setForm({ ...form, bundlePrice: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                    </div>
+                                </div>
+                            )}
+                            <div>
+                                <label htmlFor="promo-scope" className="block text-sm font-medium text-gray-700">สินค้าที่ร่วมรายการ</label>
+                                <select id="promo-scope" value={form.scope} onChange={e => setForm({ ...form, scope: e.target.value })} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                    {Object.entries(PROMOTION_SCOPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                            {form.scope === 'products' && (
+                                <select multiple aria-label="เลือกสินค้า" value={form.productIds} onChange={e => setForm({ ...form, productIds: [...e.target.selectedOptions].map(option => option.value) })} className="block w-full h-32 px-3 py-2 bg-white border border-gray-300 rounded-md text-sm">
+                                    {sortWithVariants(inventory).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </select>
+                            )}
+                            {form.scope === 'brand' && (
+                                <select aria-label="แบรนด์" value={form.brand} onChange={e => setForm({ ...form, brand: e.target.value })} className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                    <option value="">-- เลือกแบรนด์ --</option>
+                                    {brands.map(b => <option key={b} value={b}>{b}</option>)}
+                                </select>
+                            )}
+                            {form.scope === 'category' && (
+                                <select aria-label="หมวดหมู่" value={form.category} onChange={e => setForm({ ...form, category: e.target.value })} className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                    <option value="">-- เลือกหมวดหมู่ --</option>
+                                    {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                                </select>
+                            )}
+                            <div>
+                                <p className="block text-sm font-medium text-gray-700">สาขาที่ร่วมรายการ (ไม่เลือก = ทุกสาขา)</p>
+                                <div className="mt-1 grid grid-cols-2 gap-1">
+                                    {branches.map(branch => (
+                                        <label key={branch.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                            <input type="checkbox" checked={form.branchIds.includes(branch.id)} onChange={() => toggleBranch(branch.id)} />
+                                            {branch.name}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="promo-start" className="block text-sm font-medium text-gray-700">วันเริ่ม</label>
+                                    <input type="date" id="promo-start" value={form.startDate} onChange={e => setForm({ ...form, startDate: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                </div>
+                                <div>
+                                    <label htmlFor="promo-end" className="block text-sm font-medium text-gray-700">วันสุดท้าย (ว่าง = ไม่มีกำหนด)</label>
+                                    <input type="date" id="promo-end" value={form.endDate} onChange={e => setForm({ ...form, endDate: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                </div>
+                            </div>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3 rounded-b-xl">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const PromotionsView = ({ db, orgId, promotions, inventory, branches, sales }) => {
+    const [editingPromotion, setEditingPromotion] = useState(null); // a promotion, or {} for a new one
+    const [error, setError] = useState('');
+
+    const report = useMemo(() => buildPromotionReport(promotions, sales, inventory), [promotions, sales, inventory]);
+    const now = new Date();
+
+    const getStatus = (promotion) => {
+        if (promotion.active === false) return { label: 'ปิดใช้งาน', className: 'bg-gray-100 text-gray-600' };
+        if (promotion.startDate > now) return { label: 'ยังไม่เริ่ม', className: 'bg-blue-100 text-blue-800' };
+        if (promotion.endDate && addDays(promotion.endDate, 1) <= now) return { label: 'สิ้นสุดแล้ว', className: 'bg-gray-100 text-gray-600' };
+        return { label: 'กำลังใช้งาน', className: 'bg-green-100 text-green-800' };
+    };
+
+    const describeScope = (promotion) => {
+        if (promotion.scope === 'brand') return `แบรนด์ ${promotion.brand}`;
+        if (promotion.scope === 'category') return `หมวด ${promotion.category}`;
+        if (promotion.scope === 'products') return `${(promotion.productIds || []).length} สินค้า`;
+        return PROMOTION_SCOPES.all;
+    };
+
+    const handleToggleActive = async (promotion) => {
+        setError('');
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'promotions', promotion.id), { active: promotion.active === false });
+        } catch (err) {
+            console.error("Error toggling promotion: ", err);
+            setError('ไม่สามารถเปลี่ยนสถานะโปรโมชันได้');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-md overflow-hidden">
+                <div className="p-6 flex justify-between items-center">
+                    <h2 className="text-xl font-bold text-gray-800">โปรโมชัน</h2>
+                    <button type="button" onClick={() => setEditingPromotion({})} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700">สร้างโปรโมชัน</button>
+                </div>
+                {promotions.length === 0 ? (
+                    <p className="px-6 pb-6 text-sm text-gray-500">ยังไม่มีโปรโมชัน</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ชื่อ</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">เงื่อนไข</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า / สาขา</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ช่วงเวลา</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สถานะ</th>
+                                    <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {promotions.map(promotion => {
+                                    const status = getStatus(promotion);
+                                    return (
+                                        <tr key={promotion.id} className="hover:bg-gray-50">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{promotion.name}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describePromotion(promotion)}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {describeScope(promotion)}
+                                                <span className="block text-xs text-gray-400">
+                                                    {promotion.branchIds?.length ? promotion.branchIds.map(id => getLocationName(id, branches)).join(', ') : 'ทุกสาขา'}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(promotion.startDate)} - {promotion.endDate ? formatDate(promotion.endDate) : 'ไม่มีกำหนด'}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.className}`}>{status.label}</span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                                                <button onClick={() => setEditingPromotion(promotion)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>
+                                                <button onClick={() => handleToggleActive(promotion)} className={promotion.active === false ? 'text-green-600 hover:text-green-900' : 'text-red-600 hover:text-red-900'}>
+                                                    {promotion.active === false ? 'เปิดใช้งาน' : 'ปิดใช้งาน'}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+                {error && <p className="px-6 pb-4 text-red-500 text-sm">{error}</p>}
+            </div>
+
+            <div className="bg-white rounded-xl shadow-md overflow-hidden">
+                <div className="p-6">
+                    <h3 className="text-lg font-bold text-gray-800">ผลลัพธ์โปรโมชัน</h3>
+                    <p className="text-sm text-gray-500">เทียบยอดขายของสินค้าที่ร่วมรายการระหว่างโปรโมชัน กับจำนวนวันเท่ากันก่อนเริ่มโปรโมชัน</p>
+                </div>
+                {report.length === 0 ? (
+                    <p className="px-6 pb-6 text-sm text-gray-500">ยังไม่มีโปรโมชันที่เริ่มแล้ว</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">โปรโมชัน</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ส่วนลดที่ให้</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ขายได้ช่วงโปร (ชิ้น)</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ช่วงก่อนหน้า (ชิ้น)</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">เพิ่มขึ้น</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดขายช่วงโปร / ก่อนหน้า</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ส่วนลดต่อชิ้นที่เพิ่ม</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {report.map(row => (
+                                    <tr key={row.promotion.id}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {row.promotion.name}
+                                            <span className="block text-xs font-normal text-gray-400">ใช้โปรโมชัน {row.promotedUnits} ชิ้น</span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-red-500">{formatCurrency(row.discount)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.units}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.baselineUnits}</td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${row.extraUnits >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                            {row.extraUnits > 0 ? '+' : ''}{row.extraUnits}
+                                            {row.baselineUnits > 0 && <span className="block text-xs">{formatPercent(row.extraUnits / row.baselineUnits)}</span>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatCurrency(row.revenue)} / {formatCurrency(row.baselineRevenue)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.discountPerExtraUnit === null ? '-' : formatCurrency(row.discountPerExtraUnit)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {editingPromotion && (
+                <PromotionFormModal
+                    db={db}
+                    orgId={orgId}
+                    promotion={editingPromotion.id ? editingPromotion : null}
+                    inventory={inventory}
+                    branches={branches}
+                    onClose={() => setEditingPromotion(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+// --- Sales Channel Components ---
+const CHANNEL_TYPES = {
+    'walk-in': 'หน้าร้าน',
+    marketplace: 'มาร์เก็ตเพลส',
+    social: 'โซเชียล / แชท',
+    other: 'อื่น ๆ',
+};
+
+// Selling over the counter needs no setup, so this channel always exists and carries no fees
+const WALK_IN_CHANNEL = { id: 'walk-in', name: 'หน้าร้าน', type: 'walk-in', commissionPercent: 0, feePercent: 0 };
+
+const CHANNEL_PRESETS = [
+    { name: 'Shopee', type: 'marketplace' },
+    { name: 'Lazada', type: 'marketplace' },
+    { name: 'LINE', type: 'social' },
+];
+
+const getChannelFeeRate = (channel) => ((Number(channel?.commissionPercent) || 0) + (Number(channel?.feePercent) || 0)) / 100;
+
+const calculateChannelFee = (amount, feeRate) => Math.round(amount * (feeRate || 0) * 100) / 100;
+
+// Sales from before channels existed copied the branch name into salesChannel; they were all walk-in sales
+const withCurrentChannelNames = (sales, channels) => {
+    const names = Object.fromEntries(channels.map(c => [c.id, c.name]));
+    return sales.map(sale => {
+        if (!sale.channelId) return { ...sale, channelId: WALK_IN_CHANNEL.id, salesChannel: WALK_IN_CHANNEL.name };
+        const name = names[sale.channelId];
+        return name && name !== sale.salesChannel ? { ...sale, salesChannel: name } : sale;
+    });
+};
+
+const ChannelFormModal = ({ db, orgId, channel, onClose }) => {
+    const [form, setForm] = useState({
+        name: channel?.name || '',
+        type: channel?.type || 'marketplace',
+        commissionPercent: channel?.commissionPercent ?? '',
+        feePercent: channel?.feePercent ?? ''
+    });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const commissionPercent = Number(form.commissionPercent) || 0;
+        const feePercent = Number(form.feePercent) || 0;
+        if (!form.name.trim()) {
+            setError("กรุณากรอกชื่อช่องทาง");
+            return;
+        }
+        if (commissionPercent < 0 || feePercent < 0 || commissionPercent + feePercent >= 100) {
+            setError("เปอร์เซ็นต์ค่าธรรมเนียมไม่ถูกต้อง");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const data = { name: form.name.trim(), type: form.type, commissionPercent, feePercent };
+            if (channel) await updateDoc(doc(db, 'organizations', orgId, 'salesChannels', channel.id), data);
+            else await addDoc(collection(db, 'organizations', orgId, 'salesChannels'), { ...data, active: true });
+            onClose();
+        } catch (err) {
+            console.error("Error saving sales channel: ", err);
+            setError("ไม่สามารถบันทึกช่องทางการขายได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">{channel ? `แก้ไขช่องทาง: ${channel.name}` : 'เพิ่มช่องทางการขาย'}</h3>
+                        {!channel && (
+                            <div className="mt-2 flex gap-2">
+                                {CHANNEL_PRESETS.map(preset => (
+                                    <button key={preset.name} type="button" onClick={() => setForm({ ...form, ...preset })} className="px-2 py-1 text-xs rounded-full border border-indigo-300 text-indigo-600 hover:bg-indigo-50">{preset.name}</button>
+                                ))}
+                            </div>
+                        )}
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="channel-name" className="block text-sm font-medium text-gray-700">ชื่อช่องทาง</label>
+                                <input type="text" id="channel-name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="channel-type" className="block text-sm font-medium text-gray-700">ประเภท</label>
+                                <select id="channel-type" value={form.type} onChange={e => setForm({ ...form, type: e.target.value })} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                    {Object.entries(CHANNEL_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="channel-commission" className="block text-sm font-medium text-gray-700">ค่าคอมมิชชั่น (%)</label>
+                                    <input type="number" id="channel-commission" min="0" step="0.01" value={form.commissionPercent} onChange={e => setForm({ ...form, commissionPercent: e.target.value })} placeholder="0" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                </div>
+                                <div>
+                                    <label htmlFor="channel-fee" className="block text-sm font-medium text-gray-700">ค่าธรรมเนียมชำระเงิน (%)</label>
+                                    <input type="number" id="channel-fee" min="0" step="0.01" value={form.feePercent} onChange={e => setForm({ ...form, feePercent: e.target.value })} placeholder="0" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                                </div>
+                            </div>
+                            <p className="text-xs text-gray-500">อัตราใหม่มีผลกับการขายหลังบันทึกเท่านั้น รายการขายเดิมยังใช้อัตราตอนที่ขาย</p>
+                        </div>
+                        {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3 rounded-b-xl">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const SalesChannelManager = ({ db, orgId, channels }) => {
+    const [editingChannel, setEditingChannel] = useState(null); // a channel, or {} for a new one
+    const [error, setError] = useState('');
+
+    const handleToggleActive = async (channel) => {
+        setError('');
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'salesChannels', channel.id), { active: channel.active === false });
+        } catch (err) {
+            console.error("Error archiving sales channel: ", err);
+            setError('ไม่สามารถเปลี่ยนสถานะช่องทางได้');
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-bold text-gray-800">ช่องทางการขาย</h3>
+                <button type="button" onClick={() => setEditingChannel({})} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700">เพิ่มช่องทาง</button>
+            </div>
+            <ul className="divide-y divide-gray-200">
+                <li className="py-2">
+                    <p className="text-sm font-medium">{WALK_IN_CHANNEL.name}</p>
+                    <p className="text-xs text-gray-500">ค่าเริ่มต้น ไม่มีค่าธรรมเนียม</p>
+                </li>
+                {channels.map(channel => (
+                    <li key={channel.id} className="py-2 flex justify-between items-center gap-4">
+                        <div className={channel.active === false ? 'text-gray-400' : ''}>
+                            <p className="text-sm font-medium">
+                                {channel.name}
+                                {channel.active === false && <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">ปิดใช้งาน</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                {CHANNEL_TYPES[channel.type] || CHANNEL_TYPES.other} · คอมมิชชั่น {channel.commissionPercent || 0}% · ค่าธรรมเนียม {channel.feePercent || 0}%
+                            </p>
+                        </div>
+                        <div className="text-sm font-medium space-x-2 whitespace-nowrap">
+                            <button onClick={() => setEditingChannel(channel)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>
+                            <button onClick={() => handleToggleActive(channel)} className={channel.active === false ? 'text-green-600 hover:text-green-900' : 'text-red-600 hover:text-red-900'}>
+                                {channel.active === false ? 'เปิดใช้งาน' : 'ปิดใช้งาน'}
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+            {editingChannel && (
+                <ChannelFormModal db={db} orgId={orgId} channel={editingChannel.id ? editingChannel : null} onClose={() => setEditingChannel(null)} />
+            )}
+        </div>
+    );
+};
+
+// --- Marketplace Import Components ---
+// Shopee and Lazada name their export columns differently and in both Thai and English
+const MARKETPLACE_IMPORT_FIELDS = [
+    { key: 'orderId', label: 'เลขที่คำสั่งซื้อ', required: true, aliases: ['order id', 'order number', 'ordernumber', 'order no.', 'หมายเลขคำสั่งซื้อ', 'เลขที่คำสั่งซื้อ'] },
+    { key: 'status', label: 'สถานะ', aliases: ['order status', 'status', 'สถานะการสั่งซื้อ', 'สถานะ'] },
+    { key: 'date', label: 'วันที่สั่งซื้อ', aliases: ['order creation date', 'created at', 'createtime', 'create time', 'order date', 'วันที่ทำการสั่งซื้อ', 'วันที่สั่งซื้อ'] },
+    { key: 'sku', label: 'SKU', required: true, aliases: ['sku reference no.', 'เลขอ้างอิง sku (sku reference no.)', 'seller sku', 'sellersku', 'sku', 'รหัสสินค้า'] },
+    { key: 'name', label: 'ชื่อสินค้า', aliases: ['product name', 'item name', 'itemname', 'ชื่อสินค้า'] },
+    { key: 'quantity', label: 'จำนวน', aliases: ['quantity', 'qty', 'จำนวน'] },
+    { key: 'amount', label: 'ยอดขาย', required: true, aliases: ['product subtotal', 'paid price', 'paidprice', 'subtotal', 'ราคาขายสุทธิ', 'ยอดรวมสินค้า'] },
+    { key: 'commissionFee', label: 'ค่าคอมมิชชั่น', aliases: ['commission fee', 'commission', 'ค่าคอมมิชชั่น'] },
+    { key: 'serviceFee', label: 'ค่าบริการ', aliases: ['service fee', 'ค่าบริการ'] },
+    { key: 'transactionFee', label: 'ค่าธรรมเนียมชำระเงิน', aliases: ['transaction fee', 'payment fee', 'ค่าธรรมเนียมการชำระเงิน', 'ค่าธรรมเนียมธุรกรรม'] },
+    { key: 'shippingSubsidy', label: 'เงินสนับสนุนค่าส่ง', aliases: ['shipping rebate', 'shopee shipping rebate', 'shipping fee voucher', 'shipping subsidy', 'เงินสนับสนุนค่าจัดส่ง', 'ส่วนลดค่าจัดส่ง'] },
+];
+
+const MARKETPLACE_FEE_FIELDS = ['commissionFee', 'serviceFee', 'transactionFee'];
+
+const CANCELLED_ORDER_PATTERN = /cancel|return|failed|ยกเลิก|คืนสินค้า/i;
+
+// Lazada writes dates like "29 Sep 2024 14:20", which only the browser's own parser understands
+const parseMarketplaceDate = (value) => {
+    const date = parseImportDate(value);
+    if (date !== undefined) return date;
+    const parsed = new Date(value);
+    return isNaN(parsed) ? undefined : parsed;
+};
+
+// Firestore IDs cannot contain slashes, and one channel's order number never repeats
+const getMarketplaceOrderDocId = (channelId, externalOrderId) => `${channelId}_${externalOrderId.replace(/\//g, '-')}`;
+
+// Manual mappings win, then SKUs remembered from earlier imports, then the product's own SKU or barcode
+const findMarketplaceProduct = (inventory, sku, skuMap) => {
+    if (skuMap[sku]) return inventory.find(p => p.id === skuMap[sku]) || null;
+    return inventory.find(p => (p.marketplaceSkus || []).includes(sku)) || findProductByCode(inventory, sku);
+};
+
+// Groups file rows into orders and decides which can be imported; stock is drawn down in file order
+const buildMarketplacePreview = (rows, mapping, { inventory, branchStock, skuMap, importedOrderIds }) => {
+    const orders = new Map();
+    const unmatchedSkus = new Set();
+    const remainingStock = { ...branchStock };
+
+    rows.slice(1).forEach((values, index) => {
+        const get = (key) => (mapping[key] === '' || mapping[key] === undefined ? '' : (values[Number(mapping[key])] ?? '').trim());
+        const externalOrderId = get('orderId');
+        if (!externalOrderId) return;
+        const order = orders.get(externalOrderId) || {
+            externalOrderId,
+            date: parseMarketplaceDate(get('date')),
+            cancelled: false,
+            lines: [],
+            errors: []
+        };
+        if (CANCELLED_ORDER_PATTERN.test(get('status'))) order.cancelled = true;
+
+        const sku = get('sku');
+        const quantity = parseImportNumber(get('quantity')) ?? 1; // Lazada exports one row per unit
+        const amount = parseImportNumber(get('amount'));
+        const fees = MARKETPLACE_FEE_FIELDS.map(key => parseImportNumber(get(key)));
+        const shippingSubsidy = parseImportNumber(get('shippingSubsidy'));
+        const product = sku ? findMarketplaceProduct(inventory, sku, skuMap) : null;
+
+        if (!sku) order.errors.push(`แถว ${index + 2}: ไม่มี SKU`);
+        else if (!product) unmatchedSkus.add(sku);
+        if (Number.isNaN(quantity) || quantity < 1 || !Number.isInteger(quantity)) order.errors.push(`แถว ${index + 2}: จำนวนไม่ถูกต้อง`);
+        if (amount === null || Number.isNaN(amount) || amount < 0) order.errors.push(`แถว ${index + 2}: ยอดขายไม่ถูกต้อง`);
+        if ([...fees, shippingSubsidy].some(value => Number.isNaN(value))) order.errors.push(`แถว ${index + 2}: ค่าธรรมเนียมไม่ใช่ตัวเลข`);
+
+        order.lines.push({
+            sku,
+            name: get('name'),
+            product,
+            quantity,
+            amount,
+            // Shopee and Lazada report fees as negative deductions
+            fee: fees.some(value => value !== null) ? fees.reduce((sum, value) => sum + Math.abs(value || 0), 0) : null,
+            shippingSubsidy: Math.abs(shippingSubsidy || 0)
+        });
+        orders.set(externalOrderId, order);
+    });
+
+    return {
+        unmatchedSkus: [...unmatchedSkus],
+        orders: [...orders.values()].map(order => {
+            let status = 'ready';
+            if (importedOrderIds.has(order.externalOrderId)) status = 'imported';
+            else if (order.cancelled) status = 'cancelled';
+            else if (order.date === undefined) order.errors.push('รูปแบบวันที่ไม่ถูกต้อง');
+            if (status === 'ready' && order.lines.some(line => !line.product)) status = 'unmatched';
+            if (status === 'ready' && order.errors.length === 0) {
+                const needed = order.lines.reduce((acc, line) => ({ ...acc, [line.product.id]: (acc[line.product.id] || 0) + line.quantity }), {});
+                const short = Object.keys(needed).find(productId => (remainingStock[productId] || 0) < needed[productId]);
+                if (short) {
+                    const name = order.lines.find(line => line.product.id === short).product.name;
+                    order.errors.push(remainingStock[short] === undefined ? `${name} ไม่มีในสาขานี้` : `สต็อก ${name} ไม่พอ`);
+                } else {
+                    Object.entries(needed).forEach(([productId, quantity]) => { remainingStock[productId] -= quantity; });
+                }
+            }
+            if (status === 'ready' && order.errors.length > 0) status = 'error';
+            return { ...order, status };
+        })
+    };
+};
+
+const importMarketplaceOrder = async (db, orgId, userId, order, { branch, channel, rowIdsByProduct, costingMethod }) => {
+    const orderRef = doc(db, 'organizations', orgId, 'orders', getMarketplaceOrderDocId(channel.id, order.externalOrderId));
+    const salesCollection = collection(db, 'organizations', orgId, 'sales');
+    const feeRate = getChannelFeeRate(channel);
+    const date = order.date || new Date();
+    const note = `${channel.name} ${order.externalOrderId}`;
+
+    return runTransaction(db, async (transaction) => {
+        // Another manager may have imported the same file meanwhile
+        const existing = await transaction.get(orderRef);
+        if (existing.exists()) return false;
+
+        const quantities = order.lines.reduce((acc, line) => ({ ...acc, [line.product.id]: (acc[line.product.id] || 0) + line.quantity }), {});
+        const productIds = Object.keys(quantities);
+        const rowSnaps = await Promise.all(productIds.map(productId => transaction.get(doc(db, 'organizations', orgId, 'branchInventory', rowIdsByProduct[productId]))));
+        const productSnaps = await Promise.all(productIds.map(productId => transaction.get(doc(db, 'organizations', orgId, 'inventory', productId))));
+
+        const stockByProduct = {};
+        rowSnaps.forEach((snap, index) => {
+            const available = snap.exists() ? (snap.data().stock || 0) : 0;
+            const productId = productIds[index];
+            if (available < quantities[productId]) {
+                const error = new Error(`คำสั่งซื้อ ${order.externalOrderId}: ${productSnaps[index].data()?.name || ''} เหลือเพียง ${available} ชิ้นในสาขานี้`);
+                error.code = 'insufficient-stock';
+                throw error;
+            }
+            stockByProduct[productId] = available;
+        });
+        const productsById = Object.fromEntries(productSnaps.filter(snap => snap.exists()).map(snap => [snap.id, { id: snap.id, ...snap.data() }]));
+        const { costs, costUpdates } = costLinesFromLayers(order.lines.map(line => ({ productId: line.product.id, quantity: line.quantity })), productsById, costingMethod);
+
+        const orderLines = order.lines.map((line, index) => {
+            const saleRef = doc(salesCollection);
+            // Fees from the settlement file are what the platform actually charged; otherwise estimate from the channel's rates
+            const channelFee = line.fee !== null ? line.fee : calculateChannelFee(line.amount, feeRate);
+            const sale = {
+                product: productsById[line.product.id]?.name || line.product.name,
+                productId: line.product.id,
+                branchId: branch.id,
+                branchName: branch.name,
+                quantity: line.quantity,
+                unitPrice: Math.round(line.amount / line.quantity * 100) / 100,
+                amount: line.amount,
+                cost: costs[index].cost,
+                costMethod: costingMethod,
+                consumedLayers: costs[index].consumedLayers,
+                discount: 0,
+                channelId: channel.id,
+                salesChannel: channel.name,
+                ...(line.fee !== null ? {} : { channelFeeRate: feeRate }),
+                channelFee,
+                shippingSubsidy: line.shippingSubsidy,
+                orderId: orderRef.id,
+                externalOrderId: order.externalOrderId,
+                date,
+                businessDay: getBusinessDay(date),
+                userId
+            };
+            transaction.set(saleRef, sale);
+            return { saleId: saleRef.id, productId: sale.productId, product: sale.product, quantity: sale.quantity, unitPrice: sale.unitPrice, discount: 0, amount: sale.amount, cost: sale.cost, channelFee };
+        });
+
+        const amount = orderLines.reduce((sum, line) => sum + line.amount, 0);
+        transaction.set(orderRef, {
+            branchId: branch.id,
+            branchName: branch.name,
+            lines: orderLines,
+            subtotal: amount,
+            lineDiscount: 0,
+            orderDiscount: 0,
+            amount,
+            cost: orderLines.reduce((sum, line) => sum + line.cost, 0),
+            channelId: channel.id,
+            salesChannel: channel.name,
+            channelFee: Math.round(orderLines.reduce((sum, line) => sum + line.channelFee, 0) * 100) / 100,
+            shippingSubsidy: order.lines.reduce((sum, line) => sum + line.shippingSubsidy, 0),
+            externalOrderId: order.externalOrderId,
+            date,
+            businessDay: getBusinessDay(date),
+            userId
+        });
+
+        productIds.forEach(productId => {
+            const balance = stockByProduct[productId] - quantities[productId];
+            transaction.update(doc(db, 'organizations', orgId, 'branchInventory', rowIdsByProduct[productId]), { stock: balance });
+            transaction.set(stockMovementRef(db, orgId), buildStockMovement({
+                productId,
+                productName: productsById[productId]?.name || '',
+                locationId: branch.id,
+                locationName: branch.name,
+                type: 'sale',
+                quantity: -quantities[productId],
+                balance,
+                userId,
+                referenceId: orderRef.id,
+                note
+            }));
+        });
+        Object.entries(costUpdates).forEach(([productId, product]) => {
+            transaction.update(doc(db, 'organizations', orgId, 'inventory', productId), { costLayers: product.costLayers, averageCost: product.averageCost });
+        });
+        return true;
+    });
+};
+
+const MARKETPLACE_ORDER_STATUS = {
+    ready: { label: 'พร้อมนำเข้า', className: 'text-green-600' },
+    imported: { label: 'นำเข้าแล้ว', className: 'text-gray-500' },
+    cancelled: { label: 'ยกเลิก', className: 'text-gray-500' },
+    unmatched: { label: 'ไม่พบ SKU', className: 'text-yellow-700' },
+    error: { label: 'ข้าม', className: 'text-red-600' },
+};
+
+const MarketplaceImporter = ({ db, orgId, userId, inventory, branches, branchInventory, channels, sales, costingMethod }) => {
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [branchId, setBranchId] = useState('');
+    const [channelId, setChannelId] = useState('');
+    const [skuMap, setSkuMap] = useState({});
+    const [isImporting, setIsImporting] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+
+    const headers = rows[0] || [];
+    const missingFields = MARKETPLACE_IMPORT_FIELDS.filter(f => f.required && mapping[f.key] === '');
+    const branch = branches.find(b => b.id === branchId);
+    const channel = channels.find(c => c.id === channelId);
+
+    const branchRows = useMemo(() => branchInventory.filter(row => row.branchId === branchId), [branchInventory, branchId]);
+
+    const preview = useMemo(() => {
+        if (rows.length <= 1 || !branch || !channel || missingFields.length > 0) return null;
+        const importedOrderIds = new Set(sales.filter(sale => sale.channelId === channel.id && sale.externalOrderId).map(sale => sale.externalOrderId));
+        const branchStock = Object.fromEntries(branchRows.map(row => [row.productId, row.stock || 0]));
+        return buildMarketplacePreview(rows, mapping, { inventory, branchStock, skuMap, importedOrderIds });
+    }, [rows, mapping, branch, channel, missingFields.length, sales, branchRows, inventory, skuMap]);
+
+    const readyOrders = preview ? preview.orders.filter(order => order.status === 'ready') : [];
+    const countByStatus = (status) => (preview ? preview.orders.filter(order => order.status === status).length : 0);
+
+    const resetFile = () => {
+        setRows([]);
+        setMapping({});
+        setSkuMap({});
+        document.getElementById('marketplace-file-input').value = '';
+    };
+
+    const handleFileChange = async (e) => {
+        setError('');
+        setSuccessMessage('');
+        if (!e.target.files.length) return;
+        try {
+            const parsedRows = await readSpreadsheetRows(e.target.files[0]);
+            if (parsedRows.length <= 1) {
+                setError('ไฟล์ว่างเปล่าหรือมีแค่หัวข้อ');
+                setRows([]);
+                return;
+            }
+            setRows(parsedRows);
+            setMapping(guessColumnMapping(parsedRows[0], MARKETPLACE_IMPORT_FIELDS));
+            setSkuMap({});
+        } catch (err) {
+            console.error("Error reading marketplace file: ", err);
+            setError('ไม่สามารถอ่านไฟล์ได้');
+        }
+    };
+
+    const handleImport = async () => {
+        if (readyOrders.length === 0) {
+            setError('ไม่มีคำสั่งซื้อที่พร้อมนำเข้า');
+            return;
+        }
+        setIsImporting(true);
+        setError('');
+        setSuccessMessage('');
+        const rowIdsByProduct = Object.fromEntries(branchRows.map(row => [row.productId, row.id]));
+        const failures = [];
+        let imported = 0;
+        try {
+            // Remember manual mappings so the next file from this shop matches on its own
+            const mappedSkus = Object.entries(skuMap).filter(([, productId]) => productId);
+            if (mappedSkus.length > 0) {
+                await commitInChunks(db, mappedSkus.map(([sku, productId]) => ({
+                    type: 'update',
+                    ref: doc(db, 'organizations', orgId, 'inventory', productId),
+                    data: { marketplaceSkus: arrayUnion(sku) }
+                })));
+            }
+            // One transaction per order, so a short product only holds back the orders that need it
+            for (const order of readyOrders) {
+                try {
+                    if (await importMarketplaceOrder(db, orgId, userId, order, { branch, channel, rowIdsByProduct, costingMethod })) imported++;
+                } catch (err) {
+                    console.error("Error importing marketplace order: ", err);
+                    failures.push(err.code === 'insufficient-stock' ? err.message : `คำสั่งซื้อ ${order.externalOrderId}: บันทึกไม่สำเร็จ`);
+                }
+            }
+            setSuccessMessage(`นำเข้าคำสั่งซื้อ ${channel.name} สำเร็จ ${imported} รายการ`);
+            if (failures.length > 0) setError(failures.join('\n'));
+            else resetFile();
+        } catch (err) {
+            console.error("Error saving marketplace SKU mappings: ", err);
+            setError('ไม่สามารถบันทึกการจับคู่ SKU ได้');
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    return (
+        <div className="bg-gray-50 p-6 rounded-xl shadow-md mb-6 border-t-4 border-orange-300">
+            <h2 className="text-xl font-bold text-gray-800 mb-2">นำเข้าคำสั่งซื้อจาก Shopee / Lazada</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                รองรับไฟล์คำสั่งซื้อหรือรายงานการชำระเงินแบบ CSV และ XLSX คำสั่งซื้อที่นำเข้าแล้วหรือถูกยกเลิกจะถูกข้าม และสต็อกจะถูกตัดจากสาขาที่เลือก
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label htmlFor="marketplace-branch" className="block text-xs font-medium text-gray-700">ตัดสต็อกจากสาขา</label>
+                    <select id="marketplace-branch" value={branchId} onChange={e => setBranchId(e.target.value)} className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-md">
+                        <option value="">-- เลือกสาขา --</option>
+                        {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="marketplace-channel" className="block text-xs font-medium text-gray-700">ช่องทางการขาย</label>
+                    <select id="marketplace-channel" value={channelId} onChange={e => setChannelId(e.target.value)} className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-md">
+                        <option value="">-- เลือกช่องทาง --</option>
+                        {channels.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    {channels.length === 0 && <p className="text-xs text-yellow-700 mt-1">เพิ่มช่องทาง Shopee หรือ Lazada ในหน้าจัดการสาขาก่อน</p>}
+                </div>
+                <div>
+                    <label htmlFor="marketplace-file-input" className="block text-xs font-medium text-gray-700">ไฟล์คำสั่งซื้อ</label>
+                    <input
+                        type="file"
+                        id="marketplace-file-input"
+                        accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                        onChange={handleFileChange}
+                        className="mt-1 block w-full text-sm text-gray-500 file:mr-4 file:py-1 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-orange-50 file:text-orange-700 hover:file:bg-orange-100"
+                    />
+                </div>
+            </div>
+
+            {rows.length > 1 && (
+                <div className="mt-6 space-y-6">
+                    <div>
+                        <h3 className="text-sm font-bold text-gray-800 mb-2">จับคู่คอลัมน์</h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {MARKETPLACE_IMPORT_FIELDS.map(field => (
+                                <div key={field.key}>
+                                    <label htmlFor={`marketplace-map-${field.key}`} className="block text-xs font-medium text-gray-700">{field.label}{field.required && ' *'}</label>
+                                    <select id={`marketplace-map-${field.key}`} value={mapping[field.key]} onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })} className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-md">
+                                        <option value="">-- ไม่ใช้ --</option>
+                                        {headers.map((header, index) => <option key={index} value={String(index)}>{header || `คอลัมน์ ${index + 1}`}</option>)}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+                        {MARKETPLACE_FEE_FIELDS.every(key => mapping[key] === '') && channel && (
+                            <p className="text-xs text-yellow-700 mt-2">ไม่ได้เลือกคอลัมน์ค่าธรรมเนียม จะประมาณจากอัตราของช่องทาง {channel.name} ({formatPercent(getChannelFeeRate(channel))})</p>
+                        )}
+                    </div>
+
+                    {!preview && <p className="text-sm text-gray-500">เลือกสาขา ช่องทาง และคอลัมน์ที่จำเป็นให้ครบเพื่อดูตัวอย่าง</p>}
+
+                    {preview && preview.unmatchedSkus.length > 0 && (
+                        <div>
+                            <h3 className="text-sm font-bold text-yellow-700 mb-2">SKU ที่ไม่พบในคลัง ({preview.unmatchedSkus.length}) — เลือกสินค้าที่ตรงกัน</h3>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                {preview.unmatchedSkus.map(sku => (
+                                    <label key={sku} className="flex items-center gap-2 text-sm text-gray-700">
+                                        <span className="w-40 truncate font-mono">{sku}</span>
+                                        <select value={skuMap[sku] || ''} onChange={e => setSkuMap({ ...skuMap, [sku]: e.target.value })} className="flex-grow px-2 py-1 text-sm border border-gray-300 rounded-md">
+                                            <option value="">-- ยังไม่จับคู่ --</option>
+                                            {inventory.map(p => <option key={p.id} value={p.id}>{p.name}{p.sku ? ` (${p.sku})` : ''}</option>)}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {preview && Object.values(skuMap).some(Boolean) && (
+                        <p className="text-xs text-gray-500">SKU ที่จับคู่เองจะถูกจดจำไว้สำหรับการนำเข้าครั้งถัดไป</p>
+                    )}
+
+                    {preview && (
+                        <div>
+                            <h3 className="text-sm font-bold text-gray-800 mb-2">
+                                พร้อมนำเข้า {readyOrders.length} / นำเข้าแล้ว {countByStatus('imported')} / ยกเลิก {countByStatus('cancelled')} / ไม่พบ SKU {countByStatus('unmatched')} / ข้อผิดพลาด {countByStatus('error')} คำสั่งซื้อ
+                            </h3>
+                            <div className="overflow-auto max-h-80 bg-white rounded-lg border border-gray-200">
+                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                    <thead className="bg-gray-50 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">คำสั่งซื้อ</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">วันที่</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">สินค้า</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">ยอดขาย</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">ค่าธรรมเนียม</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">สถานะ</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {preview.orders.map(order => (
+                                            <tr key={order.externalOrderId} className={order.status === 'error' ? 'bg-red-50' : ''}>
+                                                <td className="px-3 py-2 text-gray-900 font-mono">{order.externalOrderId}</td>
+                                                <td className="px-3 py-2 text-gray-500">{order.date ? formatDate(order.date) : '-'}</td>
+                                                <td className="px-3 py-2 text-gray-500">{order.lines.map(line => `${line.product?.name || line.name || line.sku} x${line.quantity}`).join(', ')}</td>
+                                                <td className="px-3 py-2 text-gray-500">{formatCurrency(order.lines.reduce((sum, line) => sum + (line.amount || 0), 0))}</td>
+                                                <td className="px-3 py-2 text-gray-500">{order.lines.every(line => line.fee === null) ? '-' : formatCurrency(order.lines.reduce((sum, line) => sum + (line.fee || 0), 0))}</td>
+                                                <td className={`px-3 py-2 ${MARKETPLACE_ORDER_STATUS[order.status].className}`}>
+                                                    {MARKETPLACE_ORDER_STATUS[order.status].label}
+                                                    {order.status === 'error' && <span className="block text-xs">{order.errors.join(', ')}</span>}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="text-right space-x-2">
+                        <button type="button" onClick={resetFile} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button
+                            onClick={handleImport}
+                            disabled={isImporting || readyOrders.length === 0}
+                            className="inline-flex justify-center py-2 px-6 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 disabled:cursor-not-allowed"
+                        >
+                            {isImporting ? 'กำลังนำเข้า...' : `นำเข้า ${readyOrders.length} คำสั่งซื้อ`}
+                        </button>
+                    </div>
+                </div>
+            )}
+            {error && <p className="text-red-500 text-sm mt-2 whitespace-pre-line">{error}</p>}
+            {successMessage && <p className="text-green-600 text-sm mt-2">{successMessage}</p>}
+        </div>
+    );
+};
+
+// --- Branch View Components ---
+const BRANCH_TYPES = {
+    store: 'หน้าร้าน',
+    vending: 'ตู้ขายสินค้าอัตโนมัติ',
+    online: 'ช่องทางออนไลน์',
+};
+
+// Branches created before archiving existed have no flag and count as active
+const isBranchActive = (branch) => branch.active !== false;
+
+// Sales keep the branch name they were rung up under; lists and reports show the branch's current name instead
+const withCurrentBranchNames = (sales, branches) => {
+    const names = Object.fromEntries(branches.map(b => [b.id, b.name]));
+    return sales.map(sale => {
+        const name = names[sale.branchId];
+        return name && name !== sale.branchName ? { ...sale, branchName: name } : sale;
+    });
+};
+
+const BranchFormModal = ({ db, orgId, branch, onClose }) => {
+    const [form, setForm] = useState({
+        name: branch?.name || '',
+        type: branch?.type || 'store',
+        address: branch?.address || '',
+        openingHours: branch?.openingHours || ''
+    });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.name.trim()) {
+            setError("กรุณากรอกชื่อสาขา");
+            return;
+        }
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const data = { ...form, name: form.name.trim() };
+            if (branch) await updateDoc(doc(db, 'organizations', orgId, 'branches', branch.id), data);
+            else await addDoc(collection(db, 'organizations', orgId, 'branches'), { ...data, active: true });
+            onClose();
+        } catch (err) {
+            console.error("Error saving branch: ", err);
+            setError("ไม่สามารถบันทึกข้อมูลสาขาได้");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md mx-auto">
+                <form onSubmit={handleSubmit}>
+                    <div className="p-6">
+                        <h3 className="text-lg font-medium text-gray-900">{branch ? `แก้ไขสาขา: ${branch.name}` : 'เพิ่มสาขา / Vending Machine'}</h3>
+                        <div className="mt-4 space-y-4">
+                            <div>
+                                <label htmlFor="branch-name" className="block text-sm font-medium text-gray-700">ชื่อสาขา</label>
+                                <input type="text" id="branch-name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="เช่น สาขาสยาม, ตู้ MBK ชั้น 4" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="branch-type" className="block text-sm font-medium text-gray-700">ประเภท</label>
+                                <select id="branch-type" value={form.type} onChange={e => setForm({ ...form, type: e.target.value })} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md">
+                                    {Object.entries(BRANCH_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="branch-address" className="block text-sm font-medium text-gray-700">{form.type === 'online' ? 'ลิงก์ร้านค้า' : 'ที่อยู่ / จุดติดตั้ง'}</label>
+                                <textarea id="branch-address" rows={2} value={form.address} onChange={e => setForm({ ...form, address: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                            </div>
+                            <div>
+                                <label htmlFor="branch-hours" className="block text-sm font-medium text-gray-700">เวลาทำการ</label>
+                                <input type="text" id="branch-hours" value={form.openingHours} onChange={e => setForm({ ...form, openingHours: e.target.value })} placeholder="เช่น ทุกวัน 10:00-22:00" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                             </div>
                         </div>
+                        {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
+                    </div>
+                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3 rounded-b-xl">
+                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+const BranchManager = ({ db, orgId, branches, branchInventory, onEdit, onAdd }) => {
+    const [error, setError] = useState('');
+
+    const stockByBranch = useMemo(() => branchInventory.reduce((acc, row) => {
+        acc[row.branchId] = (acc[row.branchId] || 0) + (row.stock || 0);
+        return acc;
+    }, {}), [branchInventory]);
+
+    const handleToggleActive = async (branch) => {
+        setError('');
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'branches', branch.id), isBranchActive(branch)
+                ? { active: false, archivedAt: new Date() }
+                : { active: true, archivedAt: null });
+        } catch (err) {
+            console.error("Error archiving branch: ", err);
+            setError('ไม่สามารถเปลี่ยนสถานะสาขาได้');
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-bold text-gray-800">สาขาทั้งหมด</h3>
+                <button type="button" onClick={onAdd} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700">เพิ่มสาขา</button>
+            </div>
+            {branches.length === 0 ? (
+                <p className="text-sm text-gray-500">ยังไม่มีสาขา</p>
+            ) : (
+                <ul className="divide-y divide-gray-200">
+                    {branches.map(branch => (
+                        <li key={branch.id} className="py-2 flex justify-between items-center gap-4">
+                            <div className={isBranchActive(branch) ? '' : 'text-gray-400'}>
+                                <p className="text-sm font-medium">
+                                    {branch.name}
+                                    {!isBranchActive(branch) && <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">ปิดใช้งาน</span>}
+                                </p>
+                                <p className="text-xs text-gray-500">{BRANCH_TYPES[branch.type] || BRANCH_TYPES.store}{branch.openingHours ? ` · ${branch.openingHours}` : ''}</p>
+                            </div>
+                            <div className="text-sm font-medium space-x-2 whitespace-nowrap">
+                                <button onClick={() => onEdit(branch)} className="text-indigo-600 hover:text-indigo-900">แก้ไข</button>
+                                <button
+                                    onClick={() => handleToggleActive(branch)}
+                                    title={isBranchActive(branch) && stockByBranch[branch.id] ? `ยังมีสินค้าคงเหลือ ${stockByBranch[branch.id]} ชิ้น` : undefined}
+                                    className={isBranchActive(branch) ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}
+                                >
+                                    {isBranchActive(branch) ? 'ปิดใช้งาน' : 'เปิดใช้งาน'}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+        </div>
+    );
+};
+
+const BranchDashboard = ({ branch, sales, stockRows, costingMethod }) => {
+    const summary = useMemo(() => summarizeSales(sales), [sales]);
+    const stockValue = useMemo(() => stockRows.reduce((sum, row) => sum + (row.stock || 0) * getInventoryUnitCost(row, costingMethod), 0), [stockRows, costingMethod]);
+    const bestSellers = useMemo(() => buildProductBreakdown(sales).sort((a, b) => b.revenue - a.revenue).slice(0, 5), [sales]);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+            <div className="flex flex-col md:flex-row md:justify-between md:items-start gap-2 mb-4">
+                <div>
+                    <h3 className="text-lg font-bold text-gray-800">{branch.name}</h3>
+                    <p className="text-sm text-gray-500">{BRANCH_TYPES[branch.type] || BRANCH_TYPES.store}{branch.openingHours ? ` · ${branch.openingHours}` : ''}</p>
+                    {branch.address && <p className="text-sm text-gray-500">{branch.address}</p>}
+                </div>
+                {!isBranchActive(branch) && <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">ปิดใช้งาน</span>}
+            </div>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                <div className="p-4 bg-indigo-50 rounded-lg">
+                    <p className="text-sm text-gray-500">ยอดขายสุทธิ</p>
+                    <p className="text-xl font-bold text-gray-800">{formatCurrency(summary.revenue)}</p>
+                </div>
+                <div className="p-4 bg-indigo-50 rounded-lg">
+                    <p className="text-sm text-gray-500">กำไรขั้นต้น</p>
+                    <p className="text-xl font-bold text-gray-800">{formatCurrency(summary.profit)}</p>
+                    <p className="text-xs text-gray-500">{formatPercent(summary.revenue > 0 ? summary.profit / summary.revenue : 0)}</p>
+                </div>
+                <div className="p-4 bg-indigo-50 rounded-lg">
+                    <p className="text-sm text-gray-500">มูลค่าสต็อกในสาขา</p>
+                    <p className="text-xl font-bold text-gray-800">{formatCurrency(stockValue)}</p>
+                    <p className="text-xs text-gray-500">{stockRows.reduce((sum, row) => sum + (row.stock || 0), 0)} ชิ้น</p>
+                </div>
+                <div className="p-4 bg-indigo-50 rounded-lg">
+                    <p className="text-sm text-gray-500">จำนวนรายการขาย</p>
+                    <p className="text-xl font-bold text-gray-800">{summary.orders}</p>
+                </div>
+            </div>
+            <h4 className="text-md font-bold text-gray-800 mb-2">สินค้าขายดี</h4>
+            {bestSellers.length === 0 ? (
+                <p className="text-sm text-gray-500">ยังไม่มียอดขายในช่วงเวลานี้</p>
+            ) : (
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สินค้า</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">จำนวน</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ยอดขาย</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">กำไร</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {bestSellers.map((product, index) => (
+                            <tr key={index}>
+                                <td className="px-4 py-2 text-sm font-medium text-gray-900">{product.name}</td>
+                                <td className="px-4 py-2 text-sm text-gray-500">{product.quantity}</td>
+                                <td className="px-4 py-2 text-sm text-gray-500">{formatCurrency(product.revenue)}</td>
+                                <td className="px-4 py-2 text-sm text-gray-500">{formatCurrency(product.profit)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+const BranchView = ({ db, orgId, userId, inventory, branches, branchInventory, sales, stockTransfers, salesChannels, costingMethod, onEditSale, onRefundSale, onVoidSale, onReceiptSale, onStockHistory }) => {
+    const [selectedBranchId, setSelectedBranchId] = useState('');
+    const [editingBranch, setEditingBranch] = useState(null); // a branch, or {} for a new one
+
+    const selectedBranch = branches.find(b => b.id === selectedBranchId);
+
+    const currentBranchInventory = useMemo(() => {
+        if (!selectedBranchId) return [];
+        return branchInventory
+            .filter(item => item.branchId === selectedBranchId)
+            .map(item => {
+                const masterProduct = inventory.find(p => p.id === item.productId);
+                // Reorder settings belong to the branch row, never the warehouse product; its price is only an override
+                return { ...masterProduct, ...item, reorderPoint: item.reorderPoint, targetLevel: item.targetLevel, price: masterProduct?.price, branchPrice: item.price ?? null };
+            });
+    }, [selectedBranchId, branchInventory, inventory]);
+
+    const lowStockCounts = useMemo(() => branchInventory.filter(isLowStock).reduce((acc, row) => {
+        acc[row.branchId] = (acc[row.branchId] || 0) + 1;
+        return acc;
+    }, {}), [branchInventory]);
+    
+    const currentBranchSales = useMemo(() => {
+        if (!selectedBranchId) return [];
+        return sales.filter(sale => sale.branchId === selectedBranchId);
+    }, [selectedBranchId, sales]);
+
+    const currentBranchTransfers = useMemo(() => {
+        if (!selectedBranchId) return [];
+        return stockTransfers.filter(t => t.fromId === selectedBranchId || t.toId === selectedBranchId);
+    }, [selectedBranchId, stockTransfers]);
+
+    return (
+        <div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                <BranchManager
+                    db={db}
+                    orgId={orgId}
+                    branches={branches}
+                    branchInventory={branchInventory}
+                    onAdd={() => setEditingBranch({})}
+                    onEdit={setEditingBranch}
+                />
+                <SalesChannelManager db={db} orgId={orgId} channels={salesChannels} />
+                <div className="bg-white p-6 rounded-xl shadow-md">
+                     <h3 className="text-lg font-bold text-gray-800 mb-4">เลือกสาขาเพื่อดูข้อมูล</h3>
+                     <select value={selectedBranchId} onChange={(e) => setSelectedBranchId(e.target.value)} className="block w-full px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="">-- กรุณาเลือกสาขา --</option>
+                        {branches.map(b => <option key={b.id} value={b.id}>{b.name}{isBranchActive(b) ? '' : ' (ปิดใช้งาน)'}{lowStockCounts[b.id] ? ` (ใกล้หมด ${lowStockCounts[b.id]} รายการ)` : ''}</option>)}
+                     </select>
+                </div>
+            </div>
+
+            {editingBranch && (
+                <BranchFormModal
+                    db={db}
+                    orgId={orgId}
+                    branch={editingBranch.id ? editingBranch : null}
+                    onClose={() => setEditingBranch(null)}
+                />
+            )}
+
+            {selectedBranch && (
+                <div className="space-y-8">
+                    <BranchDashboard
+                        branch={selectedBranch}
+                        sales={currentBranchSales}
+                        stockRows={currentBranchInventory}
+                        costingMethod={costingMethod}
+                    />
+
+                    <div className="bg-white p-6 rounded-xl shadow-md">
+                        <h3 className="text-lg font-bold text-gray-800 mb-4">โอนสต็อก: {selectedBranch.name}</h3>
+                        <StockTransferForm
+                            key={selectedBranchId}
+                            db={db}
+                            orgId={orgId}
+                            userId={userId}
+                            inventory={inventory}
+                            branches={branches}
+                            branchInventory={branchInventory}
+                            // Archived branches can only send their leftover stock back out
+                            {...(isBranchActive(selectedBranch)
+                                ? { defaultToId: selectedBranchId }
+                                : { defaultFromId: selectedBranchId, defaultToId: WAREHOUSE_ID })}
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                        <div>
+                             <h3 className="text-xl font-bold text-gray-800 mb-4">สต็อกสินค้าในสาขา</h3>
+                             <InventoryList inventory={currentBranchInventory} loading={false} onEdit={() => {}} onHistory={item => onStockHistory({ productId: item.productId, locationId: selectedBranchId })} db={db} orgId={orgId} editBranchPrices />
+                        </div>
+                         <div>
+                             <h3 className="text-xl font-bold text-gray-800 mb-4">ประวัติการขายในสาขา</h3>
+                             <SalesList sales={currentBranchSales} loading={false} onEdit={onEditSale} onRefund={onRefundSale} onVoid={onVoidSale} onReceipt={onReceiptSale} />
+                        </div>
+                    </div>
+
+                    <div>
+                        <h3 className="text-xl font-bold text-gray-800 mb-4">ประวัติการโอนสต็อก</h3>
+                        <StockTransferList transfers={currentBranchTransfers} />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Auth & Organization Components ---
+const ROLE_LABELS = {
+    owner: 'เจ้าของร้าน',
+    manager: 'ผู้จัดการ',
+    cashier: 'แคชเชียร์สาขา',
+};
+
+const canManageStore = (role) => role === 'owner' || role === 'manager';
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/invalid-email': 'รูปแบบอีเมลไม่ถูกต้อง',
+    'auth/email-already-in-use': 'อีเมลนี้มีบัญชีอยู่แล้ว',
+    'auth/weak-password': 'รหัสผ่านต้องมีอย่างน้อย 6 ตัวอักษร',
+    'auth/too-many-requests': 'พยายามเข้าสู่ระบบหลายครั้งเกินไป กรุณารอสักครู่',
+};
+
+// Joins the organization that invited this email, if any. Returns true when a membership was created.
+// Anyone can sign up with any address, so an invite is only honoured once the email is verified.
+const acceptPendingInvite = async (db, user) => {
+    if (!user.email || !user.emailVerified) return false;
+    const email = user.email.toLowerCase();
+    const inviteSnapshot = await getDocs(query(collectionGroup(db, 'invites'), where('email', '==', email)));
+    if (inviteSnapshot.empty) return false;
+
+    const inviteDoc = inviteSnapshot.docs[0];
+    const invite = inviteDoc.data();
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'organizations', invite.orgId, 'members', user.uid), {
+        email,
+        role: invite.role,
+        branchId: invite.branchId || null,
+        joinedAt: new Date()
+    });
+    batch.set(doc(db, 'userProfiles', user.uid), { orgId: invite.orgId, email });
+    batch.delete(inviteDoc.ref);
+    await batch.commit();
+    return true;
+};
+
+const LoginForm = ({ auth }) => {
+    const [mode, setMode] = useState('signin'); // 'signin' or 'signup'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!email || !password) {
+            setError('กรุณากรอกอีเมลและรหัสผ่าน');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            if (mode === 'signin') {
+                await signInWithEmailAndPassword(auth, email.trim(), password);
+            } else {
+                const { user } = await createUserWithEmailAndPassword(auth, email.trim(), password);
+                await sendEmailVerification(user);
+            }
+        } catch (err) {
+            console.error("Authentication failed:", err);
+            setError(AUTH_ERROR_MESSAGES[err.code] || 'ไม่สามารถเข้าสู่ระบบได้');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md max-w-md mx-auto">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">{mode === 'signin' ? 'เข้าสู่ระบบ' : 'สมัครสมาชิก'}</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="login-email" className="block text-sm font-medium text-gray-700">อีเมล</label>
+                    <input type="email" id="login-email" value={email} onChange={e => setEmail(e.target.value)} autoComplete="email" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                <div>
+                    <label htmlFor="login-password" className="block text-sm font-medium text-gray-700">รหัสผ่าน</label>
+                    <input type="password" id="login-password" value={password} onChange={e => setPassword(e.target.value)} autoComplete={mode === 'signin' ? 'current-password' : 'new-password'} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                </div>
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                <button type="submit" disabled={isSubmitting} className="w-full inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                    {isSubmitting ? '...' : (mode === 'signin' ? 'เข้าสู่ระบบ' : 'สมัครสมาชิก')}
+                </button>
+            </form>
+            <p className="text-sm text-gray-600 mt-4 text-center">
+                {mode === 'signin' ? 'ยังไม่มีบัญชี? ' : 'มีบัญชีอยู่แล้ว? '}
+                <button type="button" onClick={() => { setMode(mode === 'signin' ? 'signup' : 'signin'); setError(''); }} className="text-indigo-600 hover:text-indigo-900 font-medium">
+                    {mode === 'signin' ? 'สมัครสมาชิก' : 'เข้าสู่ระบบ'}
+                </button>
+            </p>
+        </div>
+    );
+};
+
+const OrganizationSetup = ({ db, user, onEmailVerified }) => {
+    const [name, setName] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [verifyMessage, setVerifyMessage] = useState('');
+
+    const handleResendVerification = async () => {
+        try {
+            await sendEmailVerification(user);
+            setVerifyMessage(`ส่งอีเมลยืนยันไปที่ ${user.email} แล้ว`);
+        } catch (err) {
+            console.error("Error sending verification email: ", err);
+            setVerifyMessage('ไม่สามารถส่งอีเมลยืนยันได้ กรุณาลองใหม่ภายหลัง');
+        }
+    };
+
+    // The ID token has to be refreshed too, or the rules still see the address as unverified
+    const handleCheckVerified = async () => {
+        try {
+            await user.reload();
+            await user.getIdToken(true);
+            if (user.emailVerified) onEmailVerified();
+            else setVerifyMessage('ยังไม่ได้ยืนยันอีเมล กรุณากดลิงก์ในอีเมลก่อน');
+        } catch (err) {
+            console.error("Error checking email verification: ", err);
+            setVerifyMessage('ไม่สามารถตรวจสอบการยืนยันอีเมลได้');
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name) {
+            setError('กรุณาระบุชื่อร้าน');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const email = (user.email || '').toLowerCase();
+            const orgRef = doc(collection(db, 'organizations'));
+            const batch = writeBatch(db);
+            batch.set(orgRef, { name, ownerId: user.uid, createdAt: new Date() });
+            batch.set(doc(db, 'organizations', orgRef.id, 'members', user.uid), { email, role: 'owner', branchId: null, joinedAt: new Date() });
+            batch.set(doc(db, 'userProfiles', user.uid), { orgId: orgRef.id, email });
+            await batch.commit();
+        } catch (err) {
+            console.error("Error creating organization: ", err);
+            setError('ไม่สามารถสร้างร้านได้');
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md max-w-md mx-auto">
+            <h2 className="text-xl font-bold text-gray-800 mb-2">สร้างร้านใหม่</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                บัญชี {user.email} ยังไม่ได้อยู่ในร้านใด หากได้รับคำเชิญ ให้เจ้าของร้านเชิญด้วยอีเมลนี้แล้วเข้าสู่ระบบใหม่
+            </p>
+            {!user.emailVerified && (
+                <div className="mb-4 p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                    <p>ต้องยืนยันอีเมลก่อนจึงจะรับคำเชิญเข้าร้านได้</p>
+                    <div className="mt-2 flex gap-2">
+                        <button type="button" onClick={handleCheckVerified} className="py-1 px-3 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700">ยืนยันแล้ว ตรวจสอบอีกครั้ง</button>
+                        <button type="button" onClick={handleResendVerification} className="py-1 px-3 text-sm font-medium rounded-md text-indigo-600 bg-white border border-indigo-600 hover:bg-indigo-50">ส่งอีเมลยืนยันอีกครั้ง</button>
+                    </div>
+                    {verifyMessage && <p className="mt-2">{verifyMessage}</p>}
+                </div>
+            )}
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="org-name" className="block text-sm font-medium text-gray-700">ชื่อร้าน</label>
+                    <input type="text" id="org-name" value={name} onChange={e => setName(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="เช่น ร้านของฉัน" />
+                </div>
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                <button type="submit" disabled={isSubmitting} className="w-full inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                    {isSubmitting ? '...' : 'สร้างร้าน'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+// Seller details printed on receipts; Thai tax IDs are 13 digits and branch codes 5 digits
+const SellerSettings = ({ db, orgId, organization, branches }) => {
+    const seller = organization?.seller || {};
+    const [form, setForm] = useState({
+        legalName: seller.legalName || organization?.name || '',
+        taxId: seller.taxId || '',
+        address: seller.address || '',
+        phone: seller.phone || '',
+        promptPayId: seller.promptPayId || '',
+        vatRegistered: Boolean(seller.vatRegistered)
+    });
+    const [branchCodes, setBranchCodes] = useState(() => Object.fromEntries(branches.map(b => [b.id, b.taxBranchCode || ''])));
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (form.taxId && !/^\d{13}$/.test(form.taxId)) {
+            setError('เลขประจำตัวผู้เสียภาษีต้องเป็นตัวเลข 13 หลัก');
+            return;
+        }
+        if (Object.values(branchCodes).some(code => code && !/^\d{5}$/.test(code))) {
+            setError('รหัสสาขาต้องเป็นตัวเลข 5 หลัก (สำนักงานใหญ่ใช้ 00000)');
+            return;
+        }
+        if (form.promptPayId && !isValidPromptPayId(form.promptPayId)) {
+            setError('หมายเลขพร้อมเพย์ต้องเป็นเบอร์มือถือ 10 หลัก เลขประจำตัว 13 หลัก หรือ e-Wallet 15 หลัก');
+            return;
+        }
+        if (form.vatRegistered && !form.taxId) {
+            setError('ร้านที่จดทะเบียนภาษีมูลค่าเพิ่มต้องระบุเลขประจำตัวผู้เสียภาษี');
+            return;
+        }
+        setIsSaving(true);
+        setError('');
+        setMessage('');
+        try {
+            const batch = writeBatch(db);
+            batch.update(doc(db, 'organizations', orgId), { seller: form });
+            branches.forEach(branch => {
+                const code = branchCodes[branch.id] || '';
+                if (code !== (branch.taxBranchCode || '')) {
+                    batch.update(doc(db, 'organizations', orgId, 'branches', branch.id), { taxBranchCode: code });
+                }
+            });
+            await batch.commit();
+            setMessage('บันทึกข้อมูลผู้ขายแล้ว');
+        } catch (err) {
+            console.error("Error saving seller settings: ", err);
+            setError('ไม่สามารถบันทึกข้อมูลผู้ขายได้');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+            <h3 className="text-lg font-bold text-gray-800 mb-4">ข้อมูลผู้ขายบนใบเสร็จ / ใบกำกับภาษี</h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="seller-name" className="block text-sm font-medium text-gray-700">ชื่อผู้ประกอบการ</label>
+                        <input type="text" id="seller-name" value={form.legalName} onChange={e => setForm({ ...form, legalName: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                     </div>
-                    <div className="bg-gray-50 px-6 py-3 flex justify-end space-x-3">
-                        <button type="button" onClick={onClose} className="py-2 px-4 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 border border-gray-300">ยกเลิก</button>
-                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                    <div>
+                        <label htmlFor="seller-tax-id" className="block text-sm font-medium text-gray-700">เลขประจำตัวผู้เสียภาษี</label>
+                        <input type="text" id="seller-tax-id" inputMode="numeric" value={form.taxId} onChange={e => setForm({ ...form, taxId: e.target.value.replace(/\D/g, '') })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
                     </div>
-                </form>
-            </div>
+                    <div className="md:col-span-2">
+                        <label htmlFor="seller-address" className="block text-sm font-medium text-gray-700">ที่อยู่</label>
+                        <textarea id="seller-address" rows={2} value={form.address} onChange={e => setForm({ ...form, address: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                        <label htmlFor="seller-phone" className="block text-sm font-medium text-gray-700">เบอร์โทร</label>
+                        <input type="tel" id="seller-phone" value={form.phone} onChange={e => setForm({ ...form, phone: e.target.value })} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                        <label htmlFor="seller-promptpay" className="block text-sm font-medium text-gray-700">หมายเลขพร้อมเพย์รับเงิน</label>
+                        <input type="text" id="seller-promptpay" inputMode="numeric" value={form.promptPayId} onChange={e => setForm({ ...form, promptPayId: e.target.value.replace(/\D/g, '') })} placeholder="เบอร์มือถือหรือเลขประจำตัวผู้เสียภาษี" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 md:mt-6">
+                        <input type="checkbox" checked={form.vatRegistered} onChange={e => setForm({ ...form, vatRegistered: e.target.checked })} />
+                        จดทะเบียนภาษีมูลค่าเพิ่ม (แสดง VAT {VAT_RATE * 100}% บนใบเสร็จ)
+                    </label>
+                </div>
+                {branches.length > 0 && (
+                    <div>
+                        <p className="text-sm font-medium text-gray-700 mb-2">รหัสสาขาตามทะเบียนภาษี (เว้นว่างหรือ 00000 = สำนักงานใหญ่)</p>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                            {branches.map(branch => (
+                                <label key={branch.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                    <span className="flex-grow">{branch.name}</span>
+                                    <input type="text" inputMode="numeric" maxLength={5} value={branchCodes[branch.id] || ''} onChange={e => setBranchCodes({ ...branchCodes, [branch.id]: e.target.value.replace(/\D/g, '') })} className="w-24 px-2 py-1 border border-gray-300 rounded-md" />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                {message && <p className="text-green-600 text-sm">{message}</p>}
+                <div className="text-right">
+                    <button type="submit" disabled={isSaving} className="py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">บันทึก</button>
+                </div>
+            </form>
         </div>
     );
 };
 
-// --- Branch View Components ---
-const BranchView = ({ db, userId, inventory, branches, branchInventory, sales }) => {
-    const [selectedBranchId, setSelectedBranchId] = useState('');
-    const [newBranchName, setNewBranchName] = useState('');
-    const [isAddingBranch, setIsAddingBranch] = useState(false);
-    const [distributeProductId, setDistributeProductId] = useState('');
-    const [distributeQuantity, setDistributeQuantity] = useState(1);
-    const [isDistributing, setIsDistributing] = useState(false);
+const TeamView = ({ db, orgId, userId, branches, organization }) => {
+    const [members, setMembers] = useState([]);
+    const [invites, setInvites] = useState([]);
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('cashier');
+    const [branchId, setBranchId] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!db || !orgId) return;
+        const unsubMembers = onSnapshot(collection(db, 'organizations', orgId, 'members'), (snapshot) => {
+            setMembers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => console.error("Error fetching members:", error));
+        const unsubInvites = onSnapshot(collection(db, 'organizations', orgId, 'invites'), (snapshot) => {
+            setInvites(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => console.error("Error fetching invites:", error));
+        return () => {
+            unsubMembers();
+            unsubInvites();
+        };
+    }, [db, orgId]);
 
-    const handleAddBranch = async (e) => {
+    const handleInvite = async (e) => {
         e.preventDefault();
-        if (!newBranchName) return;
-        setIsAddingBranch(true);
-        const branchesCollection = collection(db, 'users', userId, 'branches');
-        await addDoc(branchesCollection, { name: newBranchName });
-        setNewBranchName('');
-        setIsAddingBranch(false);
+        const normalizedEmail = email.trim().toLowerCase();
+        if (!normalizedEmail) {
+            setError('กรุณากรอกอีเมล');
+            return;
+        }
+        if (role === 'cashier' && !branchId) {
+            setError('แคชเชียร์ต้องระบุสาขา');
+            return;
+        }
+        if (members.some(m => m.email === normalizedEmail)) {
+            setError('อีเมลนี้อยู่ในร้านแล้ว');
+            return;
+        }
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await setDoc(doc(db, 'organizations', orgId, 'invites', normalizedEmail), {
+                email: normalizedEmail,
+                orgId,
+                role,
+                branchId: role === 'cashier' ? branchId : null,
+                invitedBy: userId,
+                createdAt: new Date()
+            });
+            setEmail('');
+            setBranchId('');
+        } catch (err) {
+            console.error("Error inviting member: ", err);
+            setError('ไม่สามารถส่งคำเชิญได้');
+        } finally {
+            setIsSubmitting(false);
+        }
     };
 
-    const handleDistributeStock = async (e) => {
-        e.preventDefault();
-        if (!distributeProductId || !distributeQuantity || !selectedBranchId) return;
-        setIsDistributing(true);
+    const handleMemberChange = async (member, changes) => {
+        const next = { role: member.role, branchId: member.branchId || null, ...changes };
+        if (next.role !== 'cashier') next.branchId = null;
+        try {
+            await updateDoc(doc(db, 'organizations', orgId, 'members', member.id), next);
+        } catch (err) {
+            console.error("Error updating member: ", err);
+        }
+    };
 
-        const branchInventoryCollection = collection(db, 'users', userId, 'branchInventory');
-        
-        const q = query(branchInventoryCollection, where("branchId", "==", selectedBranchId), where("productId", "==", distributeProductId));
-        const querySnapshot = await getDocs(q);
-
-        if (querySnapshot.empty) {
-            await addDoc(branchInventoryCollection, {
-                branchId: selectedBranchId,
-                productId: distributeProductId,
-                stock: Number(distributeQuantity)
-            });
-        } else {
-            const docToUpdate = querySnapshot.docs[0];
-            const newStock = docToUpdate.data().stock + Number(distributeQuantity);
-            await updateDoc(doc(db, 'users', userId, 'branchInventory', docToUpdate.id), {
-                stock: newStock
-            });
+    const handleRemoveMember = async (member) => {
+        try {
+            await deleteDoc(doc(db, 'organizations', orgId, 'members', member.id));
+        } catch (err) {
+            console.error("Error removing member: ", err);
         }
-        
-        setDistributeProductId('');
-        setDistributeQuantity(1);
-        setIsDistributing(false);
     };
 
-    const currentBranchInventory = useMemo(() => {
-        if (!selectedBranchId) return [];
-        return branchInventory
-            .filter(item => item.branchId === selectedBranchId)
-            .map(item => {
-                const masterProduct = inventory.find(p => p.id === item.productId);
-                return { ...masterProduct, ...item };
-            });
-    }, [selectedBranchId, branchInventory, inventory]);
-    
-    const currentBranchSales = useMemo(() => {
-        if (!selectedBranchId) return [];
-        return sales.filter(sale => sale.branchId === selectedBranchId);
-    }, [selectedBranchId, sales]);
+    const handleCancelInvite = async (invite) => {
+        try {
+            await deleteDoc(doc(db, 'organizations', orgId, 'invites', invite.id));
+        } catch (err) {
+            console.error("Error cancelling invite: ", err);
+        }
+    };
 
     return (
-        <div>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-                <div className="bg-white p-6 rounded-xl shadow-md">
-                    <h3 className="text-lg font-bold text-gray-800 mb-4">เพิ่มสาขา / Vending Machine</h3>
-                    <form onSubmit={handleAddBranch} className="flex items-center gap-2">
-                        <input 
-                            type="text" 
-                            value={newBranchName} 
-                            onChange={(e) => setNewBranchName(e.target.value)} 
-                            placeholder="เช่น สาขาสยาม, ตู้ MBK ชั้น 4" 
-                            className="flex-grow block w-full px-3 py-2 border border-gray-300 rounded-md"
-                        />
-                        <button type="submit" disabled={isAddingBranch || !newBranchName} className="py-2 px-4 border border-transparent rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
-                            {isAddingBranch ? '...' : 'เพิ่ม'}
+        <div className="space-y-8">
+            <SellerSettings key={organization ? organization.id : 'loading'} db={db} orgId={orgId} organization={organization} branches={branches} />
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <h3 className="text-lg font-bold text-gray-800 mb-4">เชิญผู้ใช้งาน</h3>
+                <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div className="md:col-span-2">
+                        <label htmlFor="invite-email" className="block text-sm font-medium text-gray-700">อีเมล</label>
+                        <input type="email" id="invite-email" value={email} onChange={e => setEmail(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <div>
+                        <label htmlFor="invite-role" className="block text-sm font-medium text-gray-700">บทบาท</label>
+                        <select id="invite-role" value={role} onChange={e => setRole(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <option value="manager">{ROLE_LABELS.manager}</option>
+                            <option value="cashier">{ROLE_LABELS.cashier}</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="invite-branch" className="block text-sm font-medium text-gray-700">สาขา</label>
+                        <select id="invite-branch" value={branchId} onChange={e => setBranchId(e.target.value)} disabled={role !== 'cashier'} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md disabled:bg-gray-100">
+                            <option value="">-- เลือกสาขา --</option>
+                            {branches.filter(isBranchActive).map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="md:col-span-4 text-right">
+                        <button type="submit" disabled={isSubmitting} className="py-2 px-4 border border-transparent rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
+                            {isSubmitting ? '...' : 'ส่งคำเชิญ'}
                         </button>
-                    </form>
-                </div>
-                <div className="bg-white p-6 rounded-xl shadow-md">
-                     <h3 className="text-lg font-bold text-gray-800 mb-4">เลือกสาขาเพื่อดูข้อมูล</h3>
-                     <select value={selectedBranchId} onChange={(e) => setSelectedBranchId(e.target.value)} className="block w-full px-3 py-2 border border-gray-300 rounded-md">
-                        <option value="">-- กรุณาเลือกสาขา --</option>
-                        {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
-                     </select>
-                </div>
-            </div>
-
-            {selectedBranchId && (
-                <div className="space-y-8">
-                    <div className="bg-white p-6 rounded-xl shadow-md">
-                        <h3 className="text-lg font-bold text-gray-800 mb-4">กระจายสินค้าเข้าสาขา: {branches.find(b => b.id === selectedBranchId)?.name}</h3>
-                        <form onSubmit={handleDistributeStock} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
-                             <div className="md:col-span-2">
-                                <label className="block text-sm font-medium text-gray-700">เลือกสินค้าจากคลังกลาง</label>
-                                <select value={distributeProductId} onChange={e => setDistributeProductId(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
-                                    <option value="">-- เลือกสินค้า --</option>
-                                    {inventory.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
-                                </select>
-                            </div>
-                            <div>
-                                <label className="block text-sm font-medium text-gray-700">จำนวนที่เพิ่ม</label>
-                                <input type="number" min="1" value={distributeQuantity} onChange={e => setDistributeQuantity(e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md" />
-                            </div>
-                            <div className="md:col-span-3 text-right">
-                                <button type="submit" disabled={isDistributing || !distributeProductId} className="py-2 px-4 border border-transparent rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300">
-                                    {isDistributing ? '...' : 'เพิ่มสต็อกสาขา'}
-                                </button>
-                            </div>
-                        </form>
                     </div>
+                </form>
+                {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+            </div>
 
-                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                        <div>
-                             <h3 className="text-xl font-bold text-gray-800 mb-4">สต็อกสินค้าในสาขา</h3>
-                             <InventoryList inventory={currentBranchInventory} loading={false} onEdit={() => {}} db={db} userId={userId} />
-                        </div>
-                         <div>
-                             <h3 className="text-xl font-bold text-gray-800 mb-4">ประวัติการขายในสาขา</h3>
-                             <SalesList sales={currentBranchSales} loading={false} />
-                        </div>
-                    </div>
+            <div className="bg-white rounded-xl shadow-md overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">อีเมล</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">บทบาท</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">สาขา</th>
+                                <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {members.map(member => (
+                                <tr key={member.id} className="hover:bg-gray-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{member.email}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {member.role === 'owner' ? ROLE_LABELS.owner : (
+                                            <select value={member.role} onChange={e => handleMemberChange(member, { role: e.target.value })} className="px-2 py-1 border border-gray-300 rounded-md">
+                                                <option value="manager">{ROLE_LABELS.manager}</option>
+                                                <option value="cashier">{ROLE_LABELS.cashier}</option>
+                                            </select>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {member.role === 'cashier' ? (
+                                            <select value={member.branchId || ''} onChange={e => handleMemberChange(member, { branchId: e.target.value })} className="px-2 py-1 border border-gray-300 rounded-md">
+                                                <option value="">-- เลือกสาขา --</option>
+                                                {branches.filter(b => isBranchActive(b) || b.id === member.branchId).map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                                            </select>
+                                        ) : 'ทุกสาขา'}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                        {member.role !== 'owner' && member.id !== userId && (
+                                            <button onClick={() => handleRemoveMember(member)} className="text-red-600 hover:text-red-900">นำออก</button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                            {invites.map(invite => (
+                                <tr key={invite.id} className="bg-yellow-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{invite.email} <span className="text-xs text-yellow-700">(รอตอบรับ)</span></td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{ROLE_LABELS[invite.role]}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invite.branchId ? getLocationName(invite.branchId, branches) : 'ทุกสาขา'}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                        <button onClick={() => handleCancelInvite(invite)} className="text-red-600 hover:text-red-900">ยกเลิกคำเชิญ</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
-            )}
+            </div>
         </div>
     );
 };
@@ -877,62 +8372,172 @@ const BranchView = ({ db, userId, inventory, branches, branchInventory, sales })
 export default function App() {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [sales, setSales] = useState([]);
+    const [user, setUser] = useState(null);
+    const [membership, setMembership] = useState(null); // { orgId, role, branchId, email }
+    const [isMembershipReady, setIsMembershipReady] = useState(false);
+    const [inviteCheck, setInviteCheck] = useState(0); // Bumped once the email is verified so pending invites are looked up again
+    const [salesSnapshot, setSalesSnapshot] = useState([]);
     const [inventory, setInventory] = useState([]);
     const [branches, setBranches] = useState([]);
+    const [salesChannels, setSalesChannels] = useState([]);
+    const [promotions, setPromotions] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [shifts, setShifts] = useState([]);
+    const [dayClosings, setDayClosings] = useState([]);
     const [branchInventory, setBranchInventory] = useState([]);
+    const [stockTransfers, setStockTransfers] = useState([]);
+    const [organization, setOrganization] = useState(null);
+    const [suppliers, setSuppliers] = useState([]);
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [stocktakes, setStocktakes] = useState([]);
     const [loading, setLoading] = useState(true);
     const [isAuthReady, setIsAuthReady] = useState(false);
-    const [yearFilter, setYearFilter] = useState('all');
-    const [monthFilter, setMonthFilter] = useState('all');
-    const [currentView, setCurrentView] = useState('sales'); // 'sales' or 'inventory' or 'branch'
+    const [salesFilter, setSalesFilter] = useState(() => readURLState().filter);
+    const [currentView, setCurrentView] = useState(() => readURLState().view); // 'sales', 'dashboard', 'inventory', 'branch', 'purchasing', 'replenishment', 'stocktake', 'promotions', 'customers' or 'team'
     const [editingItem, setEditingItem] = useState(null); // For inventory edit modal
+    const [receiving, setReceiving] = useState(null); // { item, scanToCount }
+    const [editingSale, setEditingSale] = useState(null);
+    const [refundingSale, setRefundingSale] = useState(null);
+    const [voidingSale, setVoidingSale] = useState(null);
+    const [receiptTarget, setReceiptTarget] = useState(null); // { orderId, sale }
+    const [historyTarget, setHistoryTarget] = useState(null); // { productId, locationId }
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const [outbox, setOutbox] = useState([]); // Sales queued while offline, until the server confirms or rejects them
+
+    const userId = user ? user.uid : null;
+    const orgId = membership ? membership.orgId : null;
+    const role = membership ? membership.role : null;
+    const assignedBranchId = role === 'cashier' ? membership.branchId : null;
+    const isManager = canManageStore(role);
+    const costingMethod = organization?.costingMethod || 'average';
 
     // Initialize Firebase
     useEffect(() => {
         try {
             if (Object.keys(firebaseConfig).length === 0) { console.error("Firebase config is not available."); return; }
             const app = initializeApp(firebaseConfig);
-            setDb(getFirestore(app));
-            setAuth(getAuth(app));
+            // Cache reads and queue writes in IndexedDB so branches with poor signal keep selling
+            let firestore;
+            try {
+                firestore = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+            } catch (e) {
+                // Already initialized by an earlier mount (React StrictMode mounts twice in development)
+                firestore = getFirestore(app);
+            }
+            const firebaseAuth = getAuth(app);
+            // Local development and tests run against `firebase emulators:start`
+            if (process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true' && !firebaseAuth.emulatorConfig) {
+                connectAuthEmulator(firebaseAuth, 'http://127.0.0.1:9099', { disableWarnings: true });
+                connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
+            }
+            setDb(firestore);
+            setAuth(firebaseAuth);
         } catch (e) { console.error("Error initializing Firebase:", e); }
     }, []);
 
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
     // Handle Authentication
     useEffect(() => {
         if (!auth) return;
-        const authUser = async () => {
-            try {
-                 await signInAnonymously(auth);
-            } catch (error) {
-               console.error("Authentication failed:", error);
-            }
-        };
         const unsubscribe = onAuthStateChanged(auth, user => {
-            setUserId(user ? user.uid : null);
+            setUser(user);
             setIsAuthReady(true);
         });
-        authUser();
         return () => unsubscribe();
     }, [auth]);
 
+    // Resolve the organization and role of the signed-in user
+    useEffect(() => {
+        if (!db || !user) {
+            setMembership(null);
+            setIsMembershipReady(false);
+            return;
+        }
+        setIsMembershipReady(false);
+        let unsubMember = () => {};
+
+        const resolveWithoutMembership = async () => {
+            try {
+                // A successful join rewrites the profile, which re-runs this listener
+                if (await acceptPendingInvite(db, user)) return;
+            } catch (error) {
+                console.error("Error accepting invite:", error);
+            }
+            setMembership(null);
+            setIsMembershipReady(true);
+        };
+
+        const unsubProfile = onSnapshot(doc(db, 'userProfiles', user.uid), (profileSnap) => {
+            unsubMember();
+            const profileOrgId = profileSnap.exists() ? profileSnap.data().orgId : null;
+            if (!profileOrgId) {
+                resolveWithoutMembership();
+                return;
+            }
+            unsubMember = onSnapshot(doc(db, 'organizations', profileOrgId, 'members', user.uid), (memberSnap) => {
+                if (!memberSnap.exists()) {
+                    resolveWithoutMembership();
+                    return;
+                }
+                setMembership({ orgId: profileOrgId, ...memberSnap.data() });
+                setIsMembershipReady(true);
+            }, (error) => { console.error("Error fetching membership:", error); setIsMembershipReady(true); });
+        }, (error) => { console.error("Error fetching profile:", error); setIsMembershipReady(true); });
+
+        return () => {
+            unsubProfile();
+            unsubMember();
+        };
+    }, [db, user, inviteCheck]);
+
     // Fetch Data (Sales & Inventory)
     useEffect(() => {
-        if (!db || !userId || !isAuthReady) {
-            if (isAuthReady && !userId) setLoading(false);
+        if (!db || !orgId || (role === 'cashier' && !assignedBranchId)) {
+            setSalesSnapshot([]);
+            setInventory([]);
+            setBranches([]);
+            setSalesChannels([]);
+            setPromotions([]);
+            setCustomers([]);
+            setShifts([]);
+            setDayClosings([]);
+            setBranchInventory([]);
+            setStockTransfers([]);
+            setOrganization(null);
+            if (isMembershipReady) setLoading(false);
             return;
         }
         setLoading(true);
-        
-        const salesQuery = query(collection(db, 'users', userId, 'sales'));
-        const inventoryQuery = query(collection(db, 'users',userId, 'inventory'));
-        const branchesQuery = query(collection(db, 'users', userId, 'branches'));
-        const branchInventoryQuery = query(collection(db, 'users', userId, 'branchInventory'));
 
-        const unsubSales = onSnapshot(salesQuery, (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), date: doc.data().date?.toDate() })).sort((a, b) => b.date - a.date);
-            setSales(data);
+        // Cashiers may only read their own branch's sales
+        const salesCollection = collection(db, 'organizations', orgId, 'sales');
+        const salesQuery = assignedBranchId ? query(salesCollection, where('branchId', '==', assignedBranchId)) : query(salesCollection);
+        const shiftsCollection = collection(db, 'organizations', orgId, 'shifts');
+        const shiftsQuery = assignedBranchId ? query(shiftsCollection, where('branchId', '==', assignedBranchId)) : query(shiftsCollection);
+        const dayClosingsCollection = collection(db, 'organizations', orgId, 'dayClosings');
+        const dayClosingsQuery = assignedBranchId ? query(dayClosingsCollection, where('branchId', '==', assignedBranchId)) : query(dayClosingsCollection);
+        const inventoryQuery = query(collection(db, 'organizations', orgId, 'inventory'));
+        const branchesQuery = query(collection(db, 'organizations', orgId, 'branches'));
+        const salesChannelsQuery = query(collection(db, 'organizations', orgId, 'salesChannels'));
+        const promotionsQuery = query(collection(db, 'organizations', orgId, 'promotions'));
+        const customersQuery = query(collection(db, 'organizations', orgId, 'customers'));
+        const branchInventoryQuery = query(collection(db, 'organizations', orgId, 'branchInventory'));
+        const stockTransfersQuery = query(collection(db, 'organizations', orgId, 'stockTransfers'));
+
+        // Metadata changes tell us when a locally written document has reached the server
+        const unsubSales = onSnapshot(salesQuery, { includeMetadataChanges: true }, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), date: doc.data().date?.toDate(), pending: doc.metadata.hasPendingWrites })).sort((a, b) => b.date - a.date);
+            setSalesSnapshot(data);
             setLoading(false);
         }, (error) => { console.error("Error fetching sales:", error); setLoading(false); });
 
@@ -946,82 +8551,377 @@ export default function App() {
             setBranches(data);
         }, (error) => console.error("Error fetching branches:", error));
 
-        const unsubBranchInventory = onSnapshot(branchInventoryQuery, (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const unsubSalesChannels = onSnapshot(salesChannelsQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => a.name.localeCompare(b.name, 'th'));
+            setSalesChannels(data);
+        }, (error) => console.error("Error fetching sales channels:", error));
+
+        const unsubPromotions = onSnapshot(promotionsQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), startDate: doc.data().startDate?.toDate(), endDate: doc.data().endDate?.toDate() || null })).sort((a, b) => b.startDate - a.startDate);
+            setPromotions(data);
+        }, (error) => console.error("Error fetching promotions:", error));
+
+        const unsubCustomers = onSnapshot(customersQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), lastPurchaseAt: doc.data().lastPurchaseAt?.toDate() })).sort((a, b) => a.name.localeCompare(b.name, 'th'));
+            setCustomers(data);
+        }, (error) => console.error("Error fetching customers:", error));
+
+        const unsubShifts = onSnapshot(shiftsQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), openedAt: doc.data().openedAt?.toDate(), closedAt: doc.data().closedAt?.toDate() })).sort((a, b) => b.openedAt - a.openedAt);
+            setShifts(data);
+        }, (error) => console.error("Error fetching shifts:", error));
+
+        const unsubDayClosings = onSnapshot(dayClosingsQuery, (snapshot) => {
+            setDayClosings(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => console.error("Error fetching day closings:", error));
+
+        const unsubBranchInventory = onSnapshot(branchInventoryQuery, { includeMetadataChanges: true }, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), pending: doc.metadata.hasPendingWrites }));
             setBranchInventory(data);
         }, (error) => console.error("Error fetching branch inventory:", error));
 
+        const unsubStockTransfers = onSnapshot(stockTransfersQuery, (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), date: doc.data().date?.toDate() })).sort((a, b) => b.date - a.date);
+            setStockTransfers(data);
+        }, (error) => console.error("Error fetching stock transfers:", error));
+
+        const unsubOrganization = onSnapshot(doc(db, 'organizations', orgId), (snapshot) => {
+            setOrganization(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (error) => console.error("Error fetching organization:", error));
+
         return () => {
             unsubSales();
             unsubInventory();
             unsubBranches();
+            unsubSalesChannels();
+            unsubPromotions();
+            unsubCustomers();
+            unsubShifts();
+            unsubDayClosings();
             unsubBranchInventory();
+            unsubStockTransfers();
+            unsubOrganization();
         };
-    }, [db, userId, isAuthReady]);
+    }, [db, orgId, role, assignedBranchId, isMembershipReady]);
 
-    const filteredSales = useMemo(() => {
-        if (yearFilter === 'all') {
-            return sales;
+    // Purchasing data is manager-only, so cashiers never subscribe to it
+    useEffect(() => {
+        if (!db || !orgId || !isManager) {
+            setSuppliers([]);
+            setPurchaseOrders([]);
+            setStocktakes([]);
+            return;
         }
+        const unsubSuppliers = onSnapshot(query(collection(db, 'organizations', orgId, 'suppliers')), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => a.name.localeCompare(b.name, 'th'));
+            setSuppliers(data);
+        }, (error) => console.error("Error fetching suppliers:", error));
+        const unsubPurchaseOrders = onSnapshot(query(collection(db, 'organizations', orgId, 'purchaseOrders')), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                createdAt: doc.data().createdAt?.toDate(),
+                expectedDate: doc.data().expectedDate?.toDate() || null
+            })).sort((a, b) => b.createdAt - a.createdAt);
+            setPurchaseOrders(data);
+        }, (error) => console.error("Error fetching purchase orders:", error));
+        const unsubStocktakes = onSnapshot(query(collection(db, 'organizations', orgId, 'stocktakes')), (snapshot) => {
+            const data = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                createdAt: doc.data().createdAt?.toDate(),
+                completedAt: doc.data().completedAt?.toDate() || null
+            })).sort((a, b) => b.createdAt - a.createdAt);
+            setStocktakes(data);
+        }, (error) => console.error("Error fetching stocktakes:", error));
+        return () => {
+            unsubSuppliers();
+            unsubPurchaseOrders();
+            unsubStocktakes();
+        };
+    }, [db, orgId, isManager]);
+
+    useEffect(() => {
+        setOutbox(orgId ? readOutbox(orgId) : []);
+    }, [orgId]);
+
+    const updateOutbox = (update) => setOutbox(entries => {
+        const next = update(entries);
+        saveOutbox(orgId, next);
+        return next;
+    });
+
+    const markOutboxConflict = (orderId, reason) => updateOutbox(entries => entries.map(entry => entry.orderId === orderId ? { ...entry, status: 'conflict', reason } : entry));
+
+    const handleSaleQueued = (entry, commit) => {
+        updateOutbox(entries => [...entries, { ...entry, status: 'pending' }]);
+        commit
+            .then(() => updateOutbox(entries => entries.filter(e => e.orderId !== entry.orderId)))
+            .catch(async err => {
+                console.error("Error syncing queued sale: ", err);
+                markOutboxConflict(entry.orderId, await describeSyncFailure(db, orgId, err, entry));
+            });
+    };
+
+    // After a reload the commit promises are gone, so queued sales are checked against the server once writes flush
+    useEffect(() => {
+        if (!db || !orgId || !isOnline) return;
+        const pendingEntries = readOutbox(orgId).filter(entry => entry.status === 'pending');
+        const pendingIds = pendingEntries.map(entry => entry.orderId);
+        if (pendingIds.length === 0) return;
+        let cancelled = false;
+
+        const reconcile = async () => {
+            try {
+                await waitForPendingWrites(db);
+                const results = await Promise.all(pendingIds.map(async orderId => [orderId, await orderExistsOnServer(db, orgId, orderId)]));
+                if (cancelled) return;
+                const arrived = Object.fromEntries(results);
+                const reasons = Object.fromEntries(await Promise.all(pendingEntries
+                    .filter(entry => arrived[entry.orderId] === false)
+                    .map(async entry => [entry.orderId, await describeRejectedSale(db, orgId, entry)])));
+                if (cancelled) return;
+                setOutbox(entries => {
+                    const next = entries
+                        .filter(entry => arrived[entry.orderId] !== true)
+                        .map(entry => arrived[entry.orderId] === false && entry.status === 'pending' ? { ...entry, status: 'conflict', reason: reasons[entry.orderId] } : entry);
+                    saveOutbox(orgId, next);
+                    return next;
+                });
+            } catch (err) {
+                console.error("Error reconciling queued sales: ", err);
+            }
+        };
+        reconcile();
+
+        return () => { cancelled = true; };
+    }, [db, orgId, isOnline]);
+
+    // Uncosted sales are costed by whichever device sees them first; the transaction skips an order already settled
+    const settlingOrderIds = useRef(new Set());
+    useEffect(() => {
+        if (!db || !orgId || !isOnline) return;
+        const queuedIds = new Set(outbox.map(entry => entry.orderId));
+        const orderIds = [...new Set(salesSnapshot.filter(sale => sale.uncostedQuantity > 0 && sale.orderId).map(sale => sale.orderId))]
+            .filter(orderId => !queuedIds.has(orderId) && !settlingOrderIds.current.has(orderId));
+        orderIds.forEach(orderId => {
+            settlingOrderIds.current.add(orderId);
+            settleQueuedSaleCost(db, orgId, orderId)
+                .then(() => settlingOrderIds.current.delete(orderId))
+                .catch(err => {
+                    console.error("Error costing synced sale: ", err);
+                    // A till may not follow that many layers; the order waits for a manager's device instead of retrying here
+                    if (err.code !== 'permission-denied') settlingOrderIds.current.delete(orderId);
+                });
+        });
+    }, [db, orgId, isOnline, outbox, salesSnapshot]);
+
+    useEffect(() => {
+        writeURLState(currentView, salesFilter);
+    }, [currentView, salesFilter]);
+
+    const closedDayIds = useMemo(() => new Set(dayClosings.map(closing => closing.id)), [dayClosings]);
+    const sales = useMemo(
+        () => withDayLocks(withCurrentBranchNames(withCurrentChannelNames(salesSnapshot, salesChannels), branches), closedDayIds),
+        [salesSnapshot, salesChannels, branches, closedDayIds]
+    );
+
+    const filterRange = useMemo(() => getFilterRange(salesFilter), [salesFilter]);
+
+    // Branch and product narrow every period, including the ones the dashboard compares against
+    const scopedSales = useMemo(() => sales.filter(sale => matchesSalesFilter(sale, salesFilter)), [sales, salesFilter]);
+
+    const filteredSales = useMemo(() => {
+        if (!filterRange) return scopedSales;
+        return filterSalesByRange(scopedSales, filterRange);
+    }, [scopedSales, filterRange]);
+
+    // The branch view picks its own branch, so only the date and product filters apply there
+    const branchViewSales = useMemo(() => {
+        const matching = sales.filter(sale => matchesSalesFilter(sale, salesFilter, { ignoreBranch: true }));
+        return filterRange ? filterSalesByRange(matching, filterRange) : matching;
+    }, [sales, salesFilter, filterRange]);
 
-        const year = parseInt(yearFilter, 10);
-        let salesToFilter = sales.filter(sale => sale.date && sale.date.getFullYear() === year);
+    // Cashiers only ever see and sell from their assigned branch
+    const visibleBranches = assignedBranchId ? branches.filter(b => b.id === assignedBranchId) : branches;
+    const activeView = isManager || currentView === 'sales' ? currentView : 'sales';
+
+    const filterControls = (
+        <FilterControls
+            filter={salesFilter}
+            setFilter={setSalesFilter}
+            sales={sales}
+            branches={visibleBranches}
+            products={inventory}
+            showBranch={activeView !== 'branch' && !assignedBranchId}
+        />
+    );
 
-        if (monthFilter !== 'all') {
-            const month = parseInt(monthFilter, 10);
-            salesToFilter = salesToFilter.filter(sale => sale.date && sale.date.getMonth() === month);
+    const handleSignOut = async () => {
+        try {
+            await signOut(auth);
+            setCurrentView('sales');
+        } catch (error) {
+            console.error("Sign out failed:", error);
         }
-        
-        return salesToFilter;
-    }, [sales, yearFilter, monthFilter]);
+    };
 
-    return (
-        <div className="bg-gray-100 min-h-screen font-sans">
-            <Header />
-            <main className="container mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
-                {!isAuthReady ? (
-                    <div className="text-center p-8"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-indigo-500 mx-auto"></div><p className="mt-4 text-gray-600">กำลังยืนยันตัวตน...</p></div>
-                ) : (
-                    <>
-                        <ViewSwitcher currentView={currentView} setCurrentView={setCurrentView} />
-                        <div className="bg-white rounded-b-xl rounded-r-xl shadow-md p-6">
-                            {currentView === 'sales' && (
-                                <>
-                                    <FilterControls 
-                                        yearFilter={yearFilter} 
-                                        setYearFilter={setYearFilter} 
-                                        monthFilter={monthFilter} 
-                                        setMonthFilter={setMonthFilter} 
+    const openSaleReceipt = (sale) => setReceiptTarget({ orderId: sale.orderId || null, sale });
+
+    const renderContent = () => {
+        if (!isAuthReady || (user && !isMembershipReady)) {
+            return <div className="text-center p-8"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-indigo-500 mx-auto"></div><p className="mt-4 text-gray-600">กำลังยืนยันตัวตน...</p></div>;
+        }
+        if (!user) return <LoginForm auth={auth} />;
+        if (!membership) return <OrganizationSetup db={db} user={user} onEmailVerified={() => setInviteCheck(count => count + 1)} />;
+        if (role === 'cashier' && !assignedBranchId) {
+            return <div className="text-center bg-white rounded-xl shadow-md p-8"><h3 className="mt-2 text-lg font-medium text-gray-900">บัญชีนี้ยังไม่ได้กำหนดสาขา กรุณาติดต่อเจ้าของร้าน</h3></div>;
+        }
+        return (
+            <>
+                <SyncStatusBar isOnline={isOnline} outbox={outbox} pendingStockCount={branchInventory.filter(row => row.pending).length} onDismiss={orderId => updateOutbox(entries => entries.filter(entry => entry.orderId !== orderId))} />
+                <ViewSwitcher currentView={activeView} setCurrentView={setCurrentView} role={role} />
+                <div className="bg-white rounded-b-xl rounded-r-xl shadow-md p-6">
+                    {activeView === 'sales' && (
+                        <>
+                            {filterControls}
+                            <SalesStats sales={filteredSales} showCosts={isManager} />
+                            {isManager && (
+                                <div className="bg-white p-4 rounded-xl shadow-md mb-6">
+                                    <ExportButtons
+                                        label="ส่งออกยอดขายตามช่วงที่เลือก"
+                                        filename={`sales-${getFilterSuffix(salesFilter, filterRange)}`}
+                                        sheetName="Sales"
+                                        columns={SALES_EXPORT_COLUMNS}
+                                        records={filteredSales}
                                     />
-                                    <SalesStats sales={filteredSales} />
-                                    <AddSaleForm db={db} userId={userId} inventory={inventory} branches={branches} branchInventory={branchInventory} />
-                                    <SalesList sales={sales} loading={loading} />
-                                </>
+                                </div>
                             )}
-                            {currentView === 'inventory' && (
-                                <>
-                                    <InventoryStats inventory={inventory} />
-                                    <InventoryCSVUploader db={db} userId={userId} />
-                                    <AddInventoryForm db={db} userId={userId} />
-                                    <InventoryList inventory={inventory} db={db} userId={userId} loading={loading} onEdit={setEditingItem} />
-                                </>
-                            )}
-                            {currentView === 'branch' && (
-                                <BranchView 
+                            <ShiftPanel
+                                db={db}
+                                orgId={orgId}
+                                userId={userId}
+                                branches={visibleBranches.filter(isBranchActive)}
+                                defaultBranchId={assignedBranchId || ''}
+                                shifts={shifts}
+                                closedDayIds={closedDayIds}
+                                sales={sales}
+                                sellerName={organization?.seller?.legalName || organization?.name}
+                            />
+                            <AddSaleForm db={db} orgId={orgId} userId={userId} inventory={inventory} branches={visibleBranches.filter(isBranchActive)} channels={salesChannels.filter(c => c.active !== false)} promotions={promotions} customers={customers} openShifts={shifts.filter(shift => shift.status === 'open')} closedDayIds={closedDayIds} promptPayId={organization?.seller?.promptPayId} branchInventory={branchInventory} defaultBranchId={assignedBranchId || ''} showCosts={isManager} costingMethod={costingMethod} onSaleQueued={handleSaleQueued} onSaleComplete={setReceiptTarget} />
+                            {isManager && (
+                                <MarketplaceImporter
                                     db={db}
+                                    orgId={orgId}
                                     userId={userId}
                                     inventory={inventory}
-                                    branches={branches}
+                                    branches={branches.filter(isBranchActive)}
                                     branchInventory={branchInventory}
+                                    channels={salesChannels.filter(c => c.active !== false)}
                                     sales={sales}
+                                    costingMethod={costingMethod}
                                 />
                             )}
-                        </div>
-                    </>
-                )}
+                            <SalesList
+                                sales={filteredSales}
+                                loading={loading}
+                                showCosts={isManager}
+                                onEdit={isManager ? setEditingSale : undefined}
+                                onRefund={isManager ? setRefundingSale : undefined}
+                                onVoid={isManager ? setVoidingSale : undefined}
+                                onReceipt={openSaleReceipt}
+                            />
+                        </>
+                    )}
+                    {activeView === 'dashboard' && (
+                        <>
+                            {filterControls}
+                            <DashboardView sales={scopedSales} filteredSales={filteredSales} range={filterRange} branches={branches} />
+                        </>
+                    )}
+                    {activeView === 'inventory' && (
+                        <>
+                            <InventoryStats inventory={inventory} sales={sales} costingMethod={costingMethod} />
+                            <CostingMethodSetting db={db} orgId={orgId} costingMethod={costingMethod} canEdit={role === 'owner'} />
+                            <CostLayerMigrationNotice db={db} orgId={orgId} inventory={inventory} branchInventory={branchInventory} />
+                            <InventoryExportPanel inventory={inventory} branches={branches} branchInventory={branchInventory} costingMethod={costingMethod} />
+                            <InventoryCSVUploader db={db} orgId={orgId} userId={userId} inventory={inventory} />
+                            <AddInventoryForm db={db} orgId={orgId} userId={userId} inventory={inventory} />
+                            <InventoryScanPanel inventory={inventory} onFound={item => setReceiving({ item, scanToCount: true })} />
+                            <InventoryList inventory={inventory} db={db} orgId={orgId} loading={loading} onEdit={setEditingItem} onReceive={item => setReceiving({ item, scanToCount: false })} onHistory={item => setHistoryTarget({ productId: item.id, locationId: '' })} costingMethod={costingMethod} />
+                        </>
+                    )}
+                    {activeView === 'branch' && (
+                        <>
+                            {filterControls}
+                            <BranchView 
+                                db={db}
+                                orgId={orgId}
+                                userId={userId}
+                                inventory={inventory}
+                                branches={branches}
+                                branchInventory={branchInventory}
+                                sales={branchViewSales}
+                                stockTransfers={stockTransfers}
+                                salesChannels={salesChannels}
+                                costingMethod={costingMethod}
+                                onEditSale={setEditingSale}
+                                onRefundSale={setRefundingSale}
+                                onVoidSale={setVoidingSale}
+                                onReceiptSale={openSaleReceipt}
+                                onStockHistory={setHistoryTarget}
+                            />
+                        </>
+                    )}
+                    {activeView === 'purchasing' && (
+                        <PurchasingView db={db} orgId={orgId} userId={userId} inventory={inventory} suppliers={suppliers} purchaseOrders={purchaseOrders} />
+                    )}
+                    {activeView === 'replenishment' && (
+                        <ReplenishmentView db={db} orgId={orgId} userId={userId} inventory={inventory} branches={branches} branchInventory={branchInventory} sales={sales} suppliers={suppliers} purchaseOrders={purchaseOrders} />
+                    )}
+                    {activeView === 'stocktake' && (
+                        <StocktakeView db={db} orgId={orgId} userId={userId} inventory={inventory} branches={branches} branchInventory={branchInventory} stocktakes={stocktakes} costingMethod={costingMethod} />
+                    )}
+                    {activeView === 'promotions' && (
+                        <PromotionsView db={db} orgId={orgId} promotions={promotions} inventory={inventory} branches={branches} sales={sales} />
+                    )}
+                    {activeView === 'customers' && (
+                        <CustomersView db={db} orgId={orgId} customers={customers} sales={sales} />
+                    )}
+                    {activeView === 'team' && role === 'owner' && (
+                        <TeamView db={db} orgId={orgId} userId={userId} branches={branches} organization={organization} />
+                    )}
+                </div>
+            </>
+        );
+    };
+
+    return (
+        <div className="bg-gray-100 min-h-screen font-sans">
+            <Header user={user} membership={membership} onSignOut={handleSignOut} />
+            <main className="container mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+                {renderContent()}
             </main>
             {editingItem && (
-                <EditInventoryModal item={editingItem} db={db} userId={userId} onClose={() => setEditingItem(null)} />
+                <EditInventoryModal item={editingItem} db={db} orgId={orgId} userId={userId} costingMethod={costingMethod} onClose={() => setEditingItem(null)} />
+            )}
+            {receiving && (
+                <ReceiveStockModal item={receiving.item} scanToCount={receiving.scanToCount} db={db} orgId={orgId} userId={userId} onClose={() => setReceiving(null)} />
+            )}
+            {editingSale && (
+                <EditSaleModal sale={editingSale} db={db} orgId={orgId} userId={userId} branchInventory={branchInventory} onClose={() => setEditingSale(null)} />
+            )}
+            {refundingSale && (
+                <RefundSaleModal sale={refundingSale} db={db} orgId={orgId} userId={userId} onClose={() => setRefundingSale(null)} />
+            )}
+            {historyTarget && inventory.some(p => p.id === historyTarget.productId) && (
+                <StockMovementTimeline db={db} orgId={orgId} product={inventory.find(p => p.id === historyTarget.productId)} branches={branches} initialLocationId={historyTarget.locationId} onClose={() => setHistoryTarget(null)} />
+            )}
+            {receiptTarget && (
+                <ReceiptModal target={receiptTarget} db={db} orgId={orgId} organization={organization} branches={branches} sales={sales} onClose={() => setReceiptTarget(null)} />
+            )}
+            {voidingSale && (
+                <VoidSaleModal sale={voidingSale} db={db} orgId={orgId} userId={userId} onClose={() => setVoidingSale(null)} />
             )}
         </div>
     );
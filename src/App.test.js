@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('shows the email sign-in form to a signed-out visitor', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByLabelText('อีเมล')).toHaveAttribute('type', 'email');
+  expect(screen.getByLabelText('รหัสผ่าน')).toHaveAttribute('type', 'password');
 });
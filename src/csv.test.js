@@ -0,0 +1,36 @@
+import { TextDecoder as NodeTextDecoder } from 'util';
+import { parseCSV, decodeCSVBuffer } from './App';
+
+// jsdom does not provide TextDecoder; Node's build ships the Thai code page.
+global.TextDecoder = global.TextDecoder || NodeTextDecoder;
+
+describe('parseCSV', () => {
+  test.each([
+    ['plain rows', 'sku,name\nA1,Tea\n', [['sku', 'name'], ['A1', 'Tea']]],
+    ['quoted comma', 'A1,"Tea, iced",35', [['A1', 'Tea, iced', '35']]],
+    ['quoted newline', 'A1,"line one\nline two",35', [['A1', 'line one\nline two', '35']]],
+    ['doubled quotes', 'A1,"say ""hi""",0', [['A1', 'say "hi"', '0']]],
+    ['CRLF row ends', 'a,b\r\nc,d\r\n', [['a', 'b'], ['c', 'd']]],
+    ['CR row ends', 'a,b\rc,d', [['a', 'b'], ['c', 'd']]],
+    ['leading BOM', '\uFEFFsku,name\nA1,ชาไทย', [['sku', 'name'], ['A1', 'ชาไทย']]],
+    ['blank lines dropped', 'a,b\n\n , \nc,d', [['a', 'b'], ['c', 'd']]],
+    ['empty trailing field', 'a,b,\n', [['a', 'b', '']]],
+  ])('%s', (_, text, expected) => {
+    expect(parseCSV(text)).toEqual(expected);
+  });
+});
+
+describe('decodeCSVBuffer', () => {
+  test.each([
+    ['UTF-8', new Uint8Array([0xE0, 0xB8, 0x81, 0x2C, 0x31]), 'ก,1'],
+    ['Windows-874', new Uint8Array([0xA1, 0xD2, 0x2C, 0x31]), 'กา,1'],
+    ['ASCII', new Uint8Array([0x61, 0x2C, 0x62]), 'a,b'],
+  ])('%s', (_, bytes, expected) => {
+    expect(decodeCSVBuffer(bytes.buffer)).toBe(expected);
+  });
+
+  test('Windows-874 output parses into Thai fields', () => {
+    const bytes = new Uint8Array([0x41, 0x31, 0x2C, 0xA1, 0xD2, 0xE1, 0xBF, 0x0D, 0x0A]);
+    expect(parseCSV(decodeCSVBuffer(bytes.buffer))).toEqual([['A1', 'กาแฟ']]);
+  });
+});
@@ -0,0 +1,49 @@
+import { crc16, buildPromptPayPayload, resolvePayments, mergePayments } from './App';
+
+describe('crc16', () => {
+  test.each([
+    ['123456789', '29B1'],
+    ['', 'FFFF'],
+  ])('%j', (text, expected) => {
+    expect(crc16(text)).toBe(expected);
+  });
+});
+
+describe('buildPromptPayPayload', () => {
+  test.each([
+    ['mobile number, open amount', '0812345678', 0, '00020101021129370016A0000006770101110113006681234567853037645802TH6304823E'],
+    ['mobile number with dashes', '081-234-5678', 0, '00020101021129370016A0000006770101110113006681234567853037645802TH6304823E'],
+    ['mobile number and amount', '0812345678', 4.22, '00020101021229370016A00000067701011101130066812345678530376454044.225802TH63042352'],
+    ['citizen ID', '1111111111111', 0, '00020101021129370016A0000006770101110213111111111111153037645802TH6304A4E6'],
+  ])('%s', (_, id, amount, expected) => {
+    expect(buildPromptPayPayload(id, amount)).toBe(expected);
+  });
+
+  test('ends in the checksum of everything before it', () => {
+    const payload = buildPromptPayPayload('1111111111111', 120);
+    expect(payload).toContain('5406120.00');
+    expect(payload.slice(-4)).toBe(crc16(payload.slice(0, -4)));
+  });
+});
+
+describe('resolvePayments', () => {
+  test.each([
+    ['one row takes the whole bill', [{ method: 'cash', amount: '' }], 250, [{ method: 'cash', amount: 250 }]],
+    ['the last row takes the rest', [{ method: 'cash', amount: '100' }, { method: 'promptpay', amount: '' }], 250.5, [{ method: 'cash', amount: 100 }, { method: 'promptpay', amount: 150.5 }]],
+    ['the last row ignores what was typed into it', [{ method: 'cash', amount: '100' }, { method: 'card', amount: '999' }], 150, [{ method: 'cash', amount: 100 }, { method: 'card', amount: 50 }]],
+    ['rounds the remainder to satang', [{ method: 'cash', amount: '0.1' }, { method: 'card', amount: '0.2' }, { method: 'promptpay', amount: '' }], 1, [{ method: 'cash', amount: 0.1 }, { method: 'card', amount: 0.2 }, { method: 'promptpay', amount: 0.7 }]],
+    ['over-allocated rows leave the last one negative', [{ method: 'cash', amount: '300' }, { method: 'promptpay', amount: '' }], 250, [{ method: 'cash', amount: 300 }, { method: 'promptpay', amount: -50 }]],
+  ])('%s', (_, rows, total, expected) => {
+    expect(resolvePayments(rows, total)).toEqual(expected);
+  });
+});
+
+describe('mergePayments', () => {
+  test.each([
+    ['same method rows combine', [{ method: 'cash', amount: 100 }, { method: 'promptpay', amount: 30 }, { method: 'cash', amount: 50 }], [{ method: 'cash', amount: 150 }, { method: 'promptpay', amount: 30 }]],
+    ['empty rows are dropped', [{ method: 'cash', amount: 250 }, { method: 'card', amount: 0 }], [{ method: 'cash', amount: 250 }]],
+    ['an over-allocated split nets out', [{ method: 'cash', amount: 300 }, { method: 'cash', amount: -50 }], [{ method: 'cash', amount: 250 }]],
+  ])('%s', (_, payments, expected) => {
+    expect(mergePayments(payments)).toEqual(expected);
+  });
+});
@@ -0,0 +1,95 @@
+import { calculatePromotionDiscounts, applyPromotions } from './App';
+
+const line = (productId, unitPrice, quantity, extra = {}) => ({ productId, unitPrice, quantity, brand: '', category: '', ...extra });
+
+describe('calculatePromotionDiscounts', () => {
+  test.each([
+    ['percent on mixed prices', { type: 'percent', scope: 'all', value: 10 }, [line('p1', 100, 2), line('p2', 50, 1)], [20, 5]],
+    ['fixed never exceeds the unit price', { type: 'fixed', scope: 'all', value: 30 }, [line('p1', 20, 2), line('p2', 50, 1)], [40, 30]],
+    ['scope limits the lines', { type: 'percent', scope: 'products', productIds: ['p2'], value: 10 }, [line('p1', 100, 1), line('p2', 50, 1)], [0, 5]],
+    ['brand scope skips unbranded lines', { type: 'percent', scope: 'brand', brand: '', value: 10 }, [line('p1', 100, 1)], [0]],
+    ['buy 2 get 1 frees the cheapest line of a product', { type: 'buy-x-get-y', scope: 'all', buyQuantity: 2, getQuantity: 1 }, [line('p1', 30, 2), line('p1', 20, 1)], [0, 20]],
+    ['buy 2 get 1 needs a full group', { type: 'buy-x-get-y', scope: 'all', buyQuantity: 2, getQuantity: 1 }, [line('p1', 30, 2)], [0]],
+    ['free units spill onto the next cheapest line', { type: 'buy-x-get-y', scope: 'all', buyQuantity: 1, getQuantity: 1 }, [line('p1', 15, 3), line('p1', 10, 1)], [15, 10]],
+    ['buy x get y counts each product on its own', { type: 'buy-x-get-y', scope: 'all', buyQuantity: 1, getQuantity: 1 }, [line('p1', 10, 1), line('p2', 10, 1)], [0, 0]],
+    ['buy x get y with no quantities', { type: 'buy-x-get-y', scope: 'all', buyQuantity: 0, getQuantity: 0 }, [line('p1', 10, 4)], [0]],
+    ['bundle of one product', { type: 'bundle', scope: 'all', bundleQuantity: 2, bundlePrice: 50 }, [line('p1', 30, 3)], [10]],
+    ['bundle priced above the units saves nothing', { type: 'bundle', scope: 'all', bundleQuantity: 2, bundlePrice: 100 }, [line('p1', 30, 2)], [0]],
+    ['bundle with no size', { type: 'bundle', scope: 'all', bundleQuantity: 0, bundlePrice: 50 }, [line('p1', 30, 2)], [0]],
+  ])('%s', (_, promotion, lines, expected) => {
+    expect(calculatePromotionDiscounts(promotion, lines)).toEqual(expected);
+  });
+
+  test('bundle takes the dearest units and shares the saving by price', () => {
+    const promotion = { type: 'bundle', scope: 'all', bundleQuantity: 3, bundlePrice: 100 };
+    const discounts = calculatePromotionDiscounts(promotion, [line('p1', 50, 1), line('p2', 40, 1), line('p3', 30, 1), line('p4', 10, 1)]);
+    expect(discounts[0]).toBeCloseTo(20 * 50 / 120);
+    expect(discounts[1]).toBeCloseTo(20 * 40 / 120);
+    expect(discounts[2]).toBeCloseTo(20 * 30 / 120);
+    expect(discounts[3]).toBe(0);
+  });
+});
+
+describe('applyPromotions', () => {
+  const context = { branchId: 'branch-a', date: new Date(2026, 9, 18) };
+  const percent = { id: 'percent', type: 'percent', scope: 'all', value: 10 };
+  const fixed = { id: 'fixed', type: 'fixed', scope: 'all', value: 15 };
+
+  test('each line takes the single best promotion without stacking', () => {
+    const result = applyPromotions([line('p1', 100, 1), line('p2', 200, 1)], [percent, fixed], context);
+    expect(result).toEqual([
+      { discount: 15, promotion: fixed },
+      { discount: 20, promotion: percent },
+    ]);
+  });
+
+  test.each([
+    ['inactive', { ...fixed, active: false }],
+    ['another branch', { ...fixed, branchIds: ['branch-b'] }],
+    ['not started', { ...fixed, startDate: new Date(2026, 9, 19) }],
+    ['ended', { ...fixed, endDate: new Date(2026, 9, 17) }],
+  ])('skips a promotion that is %s', (_, promotion) => {
+    expect(applyPromotions([line('p1', 100, 1)], [promotion], context)).toEqual([{ discount: 0, promotion: null }]);
+  });
+
+  test('runs through its end date', () => {
+    const promotion = { ...fixed, endDate: new Date(2026, 9, 18) };
+    expect(applyPromotions([line('p1', 100, 1)], [promotion], { ...context, date: new Date(2026, 9, 18, 21) })[0].discount).toBe(15);
+  });
+
+  test('a bundle keeps both of its lines instead of stacking with a per-unit promotion', () => {
+    const bundle = { id: 'bundle', type: 'bundle', scope: 'all', bundleQuantity: 2, bundlePrice: 100 };
+    const percentOnB = { id: 'percent-b', type: 'percent', scope: 'products', productIds: ['B'], value: 40 };
+    const result = applyPromotions([line('A', 80, 1), line('B', 80, 1)], [bundle, percentOnB], context);
+    expect(result).toEqual([
+      { discount: 30, promotion: bundle },
+      { discount: 30, promotion: bundle },
+    ]);
+  });
+
+  test('a per-unit promotion wins when it saves more than the whole set', () => {
+    const bundle = { id: 'bundle', type: 'bundle', scope: 'all', bundleQuantity: 2, bundlePrice: 100 };
+    const percentOnB = { id: 'percent-b', type: 'percent', scope: 'products', productIds: ['B'], value: 80 };
+    const result = applyPromotions([line('A', 80, 1), line('B', 80, 1)], [bundle, percentOnB], context);
+    expect(result).toEqual([
+      { discount: 0, promotion: null },
+      { discount: 64, promotion: percentOnB },
+    ]);
+  });
+
+  test('the paid line of a buy-x-get-y set cannot take another promotion', () => {
+    const bogo = { id: 'bogo', type: 'buy-x-get-y', scope: 'all', buyQuantity: 1, getQuantity: 1 };
+    const result = applyPromotions([line('A', 50, 1), line('A', 40, 1)], [bogo, percent], context);
+    expect(result).toEqual([
+      { discount: 0, promotion: bogo },
+      { discount: 40, promotion: bogo },
+    ]);
+  });
+
+  test('rounds to satang and never exceeds the line total', () => {
+    const third = { id: 'third', type: 'percent', scope: 'all', value: 100 / 3 };
+    const over = { id: 'over', type: 'percent', scope: 'all', value: 150 };
+    expect(applyPromotions([line('p1', 10, 1)], [third], context)[0].discount).toBe(3.33);
+    expect(applyPromotions([line('p1', 10, 1)], [over], context)[0].discount).toBe(10);
+  });
+});
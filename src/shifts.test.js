@@ -0,0 +1,36 @@
+import { buildShiftReport } from './App';
+
+describe('buildShiftReport', () => {
+  const shift = { id: 'shift-2', openingFloat: 500 };
+  const sale = (id, shiftId, amount, payments, extra = {}) => ({ id, shiftId, amount, discount: 0, payments, ...extra });
+
+  test('counts the takings rung up during the shift', () => {
+    const sales = [
+      sale('s1', 'shift-2', 100, [{ method: 'cash', amount: 100 }]),
+      sale('s2', 'shift-2', 200, [{ method: 'cash', amount: 50 }, { method: 'promptpay', amount: 150 }]),
+      sale('s3', 'shift-1', 80, [{ method: 'cash', amount: 80 }]),
+    ];
+    const report = buildShiftReport(shift, sales);
+    expect(report.orders).toBe(2);
+    expect(report.netSales).toBe(300);
+    expect(report.payments).toEqual({ cash: 150, promptpay: 150 });
+    expect(report.expectedCash).toBe(650);
+  });
+
+  test('takes refunds and voids out of the shift they were paid out in, whichever shift rang the sale up', () => {
+    const events = [
+      { type: 'refund', saleId: 's3', amount: 30, payments: { cash: 30 } },
+      { type: 'void', saleId: 's1', amount: 100, payments: { cash: 100 } },
+      { type: 'edit', saleId: 's4', amount: 10, payments: { cash: 10 } },
+    ];
+    const sales = [
+      sale('s1', 'shift-2', 100, [{ method: 'cash', amount: 100 }], { status: 'voided' }),
+      sale('s2', 'shift-2', 200, [{ method: 'cash', amount: 200 }]),
+      sale('s3', 'shift-1', 80, [{ method: 'cash', amount: 80 }], { refundedAmount: 30 }),
+    ];
+    const report = buildShiftReport({ ...shift, events }, sales);
+    expect(report).toMatchObject({ refunds: 30, voidedAmount: 100, adjustments: 10, netSales: 160 });
+    expect(report.payments).toEqual({ cash: 160 });
+    expect(report.expectedCash).toBe(660);
+  });
+});
@@ -0,0 +1,335 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, writeBatch, increment, collectionGroup, query, where } = require('firebase/firestore');
+
+const ORG_ID = 'org-1';
+const orgPath = (...segments) => ['organizations', ORG_ID, ...segments];
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'sales-tracker-rules-test',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+});
+
+afterAll(async () => {
+    await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, ...orgPath()), { name: 'ร้านทดสอบ', ownerId: 'owner' });
+        await setDoc(doc(db, ...orgPath('members', 'owner')), { role: 'owner' });
+        await setDoc(doc(db, ...orgPath('members', 'cashier-a')), { role: 'cashier', branchId: 'branch-a' });
+        await setDoc(doc(db, ...orgPath('members', 'cashier-b')), { role: 'cashier', branchId: 'branch-a' });
+        await setDoc(doc(db, ...orgPath('inventory', 'product-1')), { name: 'น้ำดื่ม', stock: 5, costLayers: [], averageCost: 10 });
+        await setDoc(doc(db, ...orgPath('branchInventory', 'row-1')), { branchId: 'branch-a', productId: 'product-1', name: 'น้ำดื่ม', stock: 1 });
+    });
+});
+
+const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+// The same writes AddSaleForm queues while offline: sale, order, a stock delta and its movement in one batch
+const queueSale = (db, orderId, quantity) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, ...orgPath('sales', `${orderId}-line-1`)), { branchId: 'branch-a', productId: 'product-1', quantity, cost: 10 * quantity, uncostedQuantity: quantity, orderId, businessDay: '2026-10-18' });
+    batch.set(doc(db, ...orgPath('orders', orderId)), { branchId: 'branch-a', lines: [{ saleId: `${orderId}-line-1`, quantity, cost: 10 * quantity }], cost: 10 * quantity, receiptProvisional: true, costPending: true });
+    batch.update(doc(db, ...orgPath('branchInventory', 'row-1')), { stock: increment(-quantity) });
+    batch.set(doc(db, ...orgPath('stockMovements', `${orderId}-movement-1`)), { productId: 'product-1', locationId: 'branch-a', type: 'sale', quantity: -quantity, referenceId: orderId });
+    return batch.commit();
+};
+
+const readAsAdmin = async (...segments) => {
+    let snapshot;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        snapshot = await getDoc(doc(context.firestore(), ...orgPath(...segments)));
+    });
+    return snapshot;
+};
+
+describe('invites', () => {
+    const INVITED_EMAIL = 'staff@example.com';
+    const signedInWith = (uid, emailVerified) => testEnv.authenticatedContext(uid, { email: INVITED_EMAIL, email_verified: emailVerified }).firestore();
+
+    // What acceptPendingInvite writes: the membership, the profile and the spent invite
+    const acceptInvite = (db, uid) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, ...orgPath('members', uid)), { email: INVITED_EMAIL, role: 'cashier', branchId: 'branch-a' });
+        batch.set(doc(db, 'userProfiles', uid), { orgId: ORG_ID, email: INVITED_EMAIL });
+        batch.delete(doc(db, ...orgPath('invites', INVITED_EMAIL)));
+        return batch.commit();
+    };
+    const findInvites = (db) => getDocs(query(collectionGroup(db, 'invites'), where('email', '==', INVITED_EMAIL)));
+
+    beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(doc(context.firestore(), ...orgPath('invites', INVITED_EMAIL)), { email: INVITED_EMAIL, orgId: ORG_ID, role: 'cashier', branchId: 'branch-a' });
+        });
+    });
+
+    test('an unverified account with the invited address can neither see nor accept the invite', async () => {
+        const db = signedInWith('squatter', false);
+        await assertFails(findInvites(db));
+        await assertFails(acceptInvite(db, 'squatter'));
+    });
+
+    test('the invitee joins once their email is verified', async () => {
+        const db = signedInWith('staff', true);
+        await assertSucceeds(findInvites(db));
+        await assertSucceeds(acceptInvite(db, 'staff'));
+    });
+});
+
+describe('branch stock', () => {
+    test('a cashier can sell the last unit', async () => {
+        await assertSucceeds(queueSale(firestoreAs('cashier-a'), 'order-1', 1));
+        expect((await readAsAdmin('branchInventory', 'row-1')).data().stock).toBe(0);
+    });
+
+    test('a cashier cannot sell more than the branch holds', async () => {
+        await assertFails(queueSale(firestoreAs('cashier-a'), 'order-1', 2));
+        expect((await readAsAdmin('branchInventory', 'row-1')).data().stock).toBe(1);
+    });
+
+    test('the second of two tills selling the last unit is rejected as a whole', async () => {
+        await assertSucceeds(queueSale(firestoreAs('cashier-a'), 'order-1', 1));
+        await assertFails(queueSale(firestoreAs('cashier-b'), 'order-2', 1));
+
+        expect((await readAsAdmin('branchInventory', 'row-1')).data().stock).toBe(0);
+        expect((await readAsAdmin('orders', 'order-2')).exists()).toBe(false);
+        expect((await readAsAdmin('sales', 'order-2-line-1')).exists()).toBe(false);
+    });
+
+    test('an absolute negative stock value is rejected', async () => {
+        await assertFails(updateDoc(doc(firestoreAs('cashier-a'), ...orgPath('branchInventory', 'row-1')), { stock: -1 }));
+        await assertFails(updateDoc(doc(firestoreAs('owner'), ...orgPath('branchInventory', 'row-1')), { stock: -1 }));
+    });
+
+    test('a cashier cannot change their branch price', async () => {
+        const rowRef = doc(firestoreAs('cashier-a'), ...orgPath('branchInventory', 'row-1'));
+        await assertFails(updateDoc(rowRef, { price: 1 }));
+        await assertSucceeds(updateDoc(doc(firestoreAs('owner'), ...orgPath('branchInventory', 'row-1')), { price: 1 }));
+    });
+
+    test('a manager cannot create a branch row with negative stock', async () => {
+        const db = firestoreAs('owner');
+        await assertFails(setDoc(doc(db, ...orgPath('branchInventory', 'row-2')), { branchId: 'branch-a', productId: 'product-2', stock: -3 }));
+        await assertSucceeds(setDoc(doc(db, ...orgPath('branchInventory', 'row-2')), { branchId: 'branch-a', productId: 'product-2', stock: 0 }));
+    });
+});
+
+describe('warehouse stock', () => {
+    test('a manager can draw warehouse stock down to zero but not below', async () => {
+        const productRef = doc(firestoreAs('owner'), ...orgPath('inventory', 'product-1'));
+        await assertFails(updateDoc(productRef, { stock: increment(-6) }));
+        await assertSucceeds(updateDoc(productRef, { stock: increment(-5) }));
+    });
+
+    test('a cashier may only touch cost layers', async () => {
+        const productRef = doc(firestoreAs('cashier-a'), ...orgPath('inventory', 'product-1'));
+        await assertFails(updateDoc(productRef, { costLayers: [], averageCost: 12 }));
+        await assertFails(updateDoc(productRef, { stock: 4 }));
+    });
+});
+
+describe('cost layers drawn down by a sale', () => {
+    const layers = [
+        { id: 'layer-1', remaining: 2, landedUnitCost: 10 },
+        { id: 'layer-2', remaining: 5, landedUnitCost: 12 },
+    ];
+
+    beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await updateDoc(doc(context.firestore(), ...orgPath('inventory', 'product-1')), { costLayers: layers });
+        });
+    });
+
+    // The order and the product's layers written together, the way AddSaleForm records a sale
+    const sellFromLayers = (db, orderId, taken, costLayers) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, ...orgPath('orders', orderId)), { branchId: 'branch-a', layerConsumption: { 'product-1': taken } });
+        batch.update(doc(db, ...orgPath('inventory', 'product-1')), { costLayers, lastOrderId: orderId });
+        return batch.commit();
+    };
+
+    test('a cashier draws down the layers their order records', async () => {
+        const taken = [{ layerId: 'layer-1', quantity: 2 }, { layerId: 'layer-2', quantity: 1 }];
+        await assertSucceeds(sellFromLayers(firestoreAs('cashier-a'), 'order-1', taken, [{ ...layers[1], remaining: 4 }]));
+    });
+
+    test('a cashier cannot zero out layers beyond what the order took', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertFails(sellFromLayers(db, 'order-1', [{ layerId: 'layer-1', quantity: 1 }], []));
+        await assertFails(sellFromLayers(db, 'order-2', [{ layerId: 'layer-1', quantity: 1 }], [{ ...layers[0], remaining: 1, landedUnitCost: 0 }, layers[1]]));
+        await assertFails(updateDoc(doc(db, ...orgPath('inventory', 'product-1')), { costLayers: [] }));
+    });
+});
+
+describe('stock adjustments', () => {
+    const adjustment = { productId: 'product-1', locationId: 'warehouse', previousStock: 5, newStock: 4, quantity: -1, reason: 'damage' };
+
+    test('managers record adjustments that cannot be edited or removed', async () => {
+        const adjustmentRef = doc(firestoreAs('owner'), ...orgPath('stockAdjustments', 'adjustment-1'));
+        await assertSucceeds(setDoc(adjustmentRef, adjustment));
+        await assertFails(updateDoc(adjustmentRef, { reason: 'other' }));
+    });
+
+    test('cashiers cannot record adjustments or stocktakes', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertFails(setDoc(doc(db, ...orgPath('stockAdjustments', 'adjustment-1')), adjustment));
+        await assertFails(setDoc(doc(db, ...orgPath('stocktakes', 'stocktake-1')), { locationId: 'branch-a', status: 'open', counts: {} }));
+    });
+});
+
+describe('stock movements', () => {
+    const movement = { productId: 'product-1', locationId: 'branch-a', type: 'sale', quantity: -1, balance: 0 };
+
+    test('a cashier logs movements for their own branch only', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(setDoc(doc(db, ...orgPath('stockMovements', 'movement-1')), movement));
+        await assertFails(setDoc(doc(db, ...orgPath('stockMovements', 'movement-2')), { ...movement, locationId: 'branch-b' }));
+    });
+
+    test('logged movements cannot be rewritten', async () => {
+        const movementRef = doc(firestoreAs('owner'), ...orgPath('stockMovements', 'movement-1'));
+        await assertSucceeds(setDoc(movementRef, movement));
+        await assertFails(updateDoc(movementRef, { quantity: -2 }));
+    });
+});
+
+describe('costing synced offline sales', () => {
+    test('the till fills in the cost once and changes nothing else', async () => {
+        await queueSale(firestoreAs('cashier-a'), 'order-1', 1);
+        const db = firestoreAs('cashier-a');
+        const saleRef = doc(db, ...orgPath('sales', 'order-1-line-1'));
+        const orderRef = doc(db, ...orgPath('orders', 'order-1'));
+        await assertFails(updateDoc(saleRef, { cost: 12, uncostedQuantity: 0, quantity: 2 }));
+        await assertFails(updateDoc(orderRef, { lines: [], cost: 0, costPending: false }));
+        await assertSucceeds(updateDoc(saleRef, { cost: 12, consumedLayers: [], uncostedQuantity: 0 }));
+        await assertSucceeds(updateDoc(orderRef, { lines: [{ saleId: 'order-1-line-1', quantity: 1, cost: 12 }], cost: 12, costPending: false }));
+        await assertFails(updateDoc(saleRef, { cost: 1 }));
+        await assertFails(updateDoc(orderRef, { cost: 1 }));
+    });
+});
+
+describe('promotions', () => {
+    test('cashiers read promotions at the till but only managers set them up', async () => {
+        const promotion = { name: 'ลด 10%', type: 'percent', value: 10, scope: 'all', branchIds: [], active: true };
+        await assertSucceeds(setDoc(doc(firestoreAs('owner'), ...orgPath('promotions', 'promotion-1')), promotion));
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(getDoc(doc(db, ...orgPath('promotions', 'promotion-1'))));
+        await assertFails(updateDoc(doc(db, ...orgPath('promotions', 'promotion-1')), { value: 50 }));
+    });
+});
+
+describe('customers', () => {
+    beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(doc(context.firestore(), ...orgPath('customers', 'customer-1')), { name: 'สมชาย', phone: '0812345678', points: 10 });
+        });
+    });
+
+    test('a cashier signs up customers with no points', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(setDoc(doc(db, ...orgPath('customers', 'customer-2')), { name: 'สมหญิง', phone: '0898765432', points: 0 }));
+        await assertFails(setDoc(doc(db, ...orgPath('customers', 'customer-3')), { name: 'สมศรี', phone: '0811111111', points: 500 }));
+    });
+
+    // An order and the customer's balance written together, the way AddSaleForm settles points
+    const settlePoints = (db, orderId, { pointsEarned, pointsRedeemed, change }) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, ...orgPath('orders', orderId)), { branchId: 'branch-a', customerId: 'customer-1', pointsEarned, pointsRedeemed });
+        batch.update(doc(db, ...orgPath('customers', 'customer-1')), { points: increment(change), lastOrderId: orderId });
+        return batch.commit();
+    };
+
+    test('a cashier settles the points of the order they ring up', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(settlePoints(db, 'order-1', { pointsEarned: 2, pointsRedeemed: 10, change: -8 }));
+        expect((await readAsAdmin('customers', 'customer-1')).data().points).toBe(2);
+    });
+
+    test('a cashier cannot inflate points beyond what the order earned', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertFails(settlePoints(db, 'order-1', { pointsEarned: 1, pointsRedeemed: 0, change: 100 }));
+        await assertFails(updateDoc(doc(db, ...orgPath('customers', 'customer-1')), { points: increment(100) }));
+    });
+
+    test('a cashier cannot reuse an existing order or redeem below zero', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(settlePoints(db, 'order-1', { pointsEarned: 1, pointsRedeemed: 0, change: 1 }));
+        await assertFails(updateDoc(doc(db, ...orgPath('customers', 'customer-1')), { points: increment(1), lastOrderId: 'order-1' }));
+        await assertFails(settlePoints(db, 'order-2', { pointsEarned: 0, pointsRedeemed: 20, change: -20 }));
+    });
+
+    test('a cashier cannot edit customer details', async () => {
+        await assertFails(updateDoc(doc(firestoreAs('cashier-a'), ...orgPath('customers', 'customer-1')), { phone: '0800000000' }));
+    });
+});
+
+describe('shifts and day closing', () => {
+    const sale = { branchId: 'branch-a', productId: 'product-1', quantity: 1, amount: 20, businessDay: '2026-10-18' };
+
+    // What openBranchShift writes: the shift and its branch's marker together
+    const openShift = (db, shiftId) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, ...orgPath('shifts', shiftId)), { branchId: 'branch-a', status: 'open', openingFloat: 1000 });
+        batch.set(doc(db, ...orgPath('openShifts', 'branch-a')), { branchId: 'branch-a', shiftId });
+        return batch.commit();
+    };
+
+    const closeShift = (db, shiftId) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, ...orgPath('shifts', shiftId)), { status: 'closed', countedCash: 1500 });
+        batch.delete(doc(db, ...orgPath('openShifts', 'branch-a')));
+        return batch.commit();
+    };
+
+    test('a closed shift cannot be recounted', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(openShift(db, 'shift-1'));
+        await assertSucceeds(closeShift(db, 'shift-1'));
+        await assertFails(updateDoc(doc(db, ...orgPath('shifts', 'shift-1')), { countedCash: 1600 }));
+    });
+
+    test('a branch has only one open shift at a time', async () => {
+        await assertSucceeds(openShift(firestoreAs('cashier-a'), 'shift-1'));
+        await assertFails(openShift(firestoreAs('cashier-b'), 'shift-2'));
+        await assertFails(setDoc(doc(firestoreAs('cashier-b'), ...orgPath('shifts', 'shift-2')), { branchId: 'branch-a', status: 'open', openingFloat: 1000 }));
+
+        await assertSucceeds(closeShift(firestoreAs('cashier-a'), 'shift-1'));
+        await assertSucceeds(openShift(firestoreAs('cashier-b'), 'shift-2'));
+    });
+
+    test('closing a shift gives up its branch marker', async () => {
+        const db = firestoreAs('cashier-a');
+        await assertSucceeds(openShift(db, 'shift-1'));
+        await assertFails(updateDoc(doc(db, ...orgPath('shifts', 'shift-1')), { status: 'closed', countedCash: 1500 }));
+        await assertFails(deleteDoc(doc(db, ...orgPath('openShifts', 'branch-a'))));
+    });
+
+    test('a closed day locks its sales', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(doc(context.firestore(), ...orgPath('sales', 'sale-1')), sale);
+        });
+        await assertFails(setDoc(doc(firestoreAs('cashier-a'), ...orgPath('dayClosings', 'branch-b_2026-10-18')), { branchId: 'branch-a', businessDay: '2026-10-18' }));
+        await assertSucceeds(setDoc(doc(firestoreAs('cashier-a'), ...orgPath('dayClosings', 'branch-a_2026-10-18')), { branchId: 'branch-a', businessDay: '2026-10-18' }));
+
+        const db = firestoreAs('owner');
+        await assertFails(updateDoc(doc(db, ...orgPath('sales', 'sale-1')), { quantity: 2 }));
+        await assertFails(setDoc(doc(db, ...orgPath('sales', 'sale-2')), sale));
+        await assertSucceeds(setDoc(doc(db, ...orgPath('sales', 'sale-3')), { ...sale, businessDay: '2026-10-19' }));
+    });
+
+    test('a new sale must say which business day it belongs to', async () => {
+        const { businessDay, ...undated } = sale;
+        await assertFails(setDoc(doc(firestoreAs('cashier-a'), ...orgPath('sales', 'sale-1')), undated));
+        await assertSucceeds(setDoc(doc(firestoreAs('cashier-a'), ...orgPath('sales', 'sale-1')), { ...undated, businessDay }));
+    });
+});